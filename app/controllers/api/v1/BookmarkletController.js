@@ -45,7 +45,7 @@ export const create = compose([
       destNames.push(author.username);
     }
 
-    const timelineIds = await checkDestNames(destNames, author);
+    const timelineIds = await checkDestNames(destNames, author, ctx.state.appToken);
 
     // Attachments
     if (images.length === 0 && image !== '') {
@@ -2,7 +2,7 @@ import compose from 'koa-compose';
 import monitor from 'monitor-dog';
 
 import { dbAdapter, Comment } from '../../../models';
-import { ForbiddenException, NotFoundException, BadRequestException } from '../../../support/exceptions';
+import { ForbiddenException, NotFoundException, BadRequestException, ValidationException } from '../../../support/exceptions';
 import { serializeComment } from '../../../serializers/v2/comment';
 import { authRequired, inputSchemaRequired, postAccessRequired, monitored } from '../../middlewares';
 import { commentCreateInputSchema, commentUpdateInputSchema } from './data-schemes';
@@ -20,13 +20,21 @@ export const create = compose([
   monitored('comments.create'),
   async (ctx) => {
     const { user: author, post } = ctx.state;
-    const { comment: { body, postId } } = ctx.request.body;
+    const { comment: { body, postId, replyTo } } = ctx.request.body;
 
     if (post.commentsDisabled === '1' && !await post.isAuthorOrGroupAdmin(author)) {
       throw new ForbiddenException('Comments disabled');
     }
 
-    const comment = new Comment({ body, postId, userId: author.id });
+    if (replyTo) {
+      const parentComment = await dbAdapter.getCommentById(replyTo);
+
+      if (!parentComment || parentComment.postId !== postId) {
+        throw new ValidationException('Comment to reply to is not found in this post');
+      }
+    }
+
+    const comment = new Comment({ body, postId, userId: author.id, replyTo });
 
     try {
       await comment.create();
@@ -1,6 +1,14 @@
 import { dbAdapter } from '../../../models'
 import { UserMailer } from '../../../mailers'
 import { NotFoundException } from '../../../support/exceptions'
+import { isSecondFactorEnabled, verifySecondFactor } from '../../../support/totp'
+import {
+  ACTION_LOGIN,
+  ACTION_PASSWORD_RESET,
+  checkRateLimit,
+  getRateLimitSubjects,
+  registerAttempt,
+} from '../../../support/rate-limiter'
 
 
 export default class PasswordsController {
@@ -13,6 +21,11 @@ export default class PasswordsController {
       return
     }
 
+    // Every request sends an email, so all of them are counted
+    const rateLimitSubjects = getRateLimitSubjects(ctx, email);
+    await checkRateLimit(ACTION_PASSWORD_RESET, rateLimitSubjects);
+    await registerAttempt(ACTION_PASSWORD_RESET, rateLimitSubjects);
+
     const user = await dbAdapter.getUserByEmail(email)
 
     if (null === user) {
@@ -40,8 +53,24 @@ export default class PasswordsController {
       throw new NotFoundException(`Password reset token not found or has expired`)
     }
 
+    // The reset link proves only the email ownership, so users with
+    // two-factor authentication should also provide the second factor code
+    if (await isSecondFactorEnabled(user.id)) {
+      const rateLimitSubjects = getRateLimitSubjects(ctx, user.username);
+      await checkRateLimit(ACTION_LOGIN, rateLimitSubjects);
+
+      if (!await verifySecondFactor(user.id, ctx.request.body.code)) {
+        await registerAttempt(ACTION_LOGIN, rateLimitSubjects);
+        ctx.status = 403;
+        ctx.body = { err: 'Valid second factor code is required', secondFactorRequired: true };
+        return
+      }
+    }
+
     await user.updatePassword(ctx.request.body.newPassword, ctx.request.body.passwordConfirmation)
     await user.updateResetPasswordToken()
+    // Password was reset, so all existing sessions should be closed
+    await dbAdapter.deleteUserAuthSessions(user.id)
 
     ctx.body = { message: 'Your new password has been saved' };
   }
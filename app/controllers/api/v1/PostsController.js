@@ -3,9 +3,17 @@ import monitor from 'monitor-dog';
 import compose from 'koa-compose';
 
 import { dbAdapter, Post } from '../../../models'
-import { ForbiddenException, NotAuthorizedException, NotFoundException, BadRequestException } from '../../../support/exceptions'
+import {
+  ForbiddenException,
+  NotAuthorizedException,
+  NotFoundException,
+  BadRequestException,
+  ValidationException,
+} from '../../../support/exceptions'
 import { postAccessRequired, authRequired, monitored, inputSchemaRequired } from '../../middlewares';
 import { show as showPost } from '../v2/PostsController';
+import { SCOPE_DIRECTS } from '../../../support/auth-tokens';
+import { serializeScheduledPosts } from '../../../serializers/v2/scheduled-post';
 import { postCreateInputSchema, postUpdateInputSchema } from './data-schemes';
 
 
@@ -17,12 +25,38 @@ export default class PostsController {
     async (ctx) => {
       const { user: author } = ctx.state;
       const {
-        meta: { commentsDisabled, feeds },
-        post: { body, attachments }
+        meta: { commentsDisabled, feeds, publishAt },
+        post: { body, attachments, poll, quotedPost: quotedPostId = null }
       } = ctx.request.body;
 
       const destNames = (typeof feeds === 'string') ? [feeds] : feeds;
-      const timelineIds = await checkDestNames(destNames, author);
+      const timelineIds = await checkDestNames(destNames, author, ctx.state.appToken);
+
+      if (poll) {
+        checkPoll(poll, publishAt);
+      }
+
+      if (quotedPostId) {
+        await checkQuotedPost(quotedPostId, author, publishAt);
+      }
+
+      if (publishAt) {
+        // Post will be published later by the bin/publish_scheduled_posts.js
+        checkPostBody(body, author);
+        checkPublishAt(publishAt);
+        await checkPostAttachments(attachments, author);
+
+        const scheduledPost = await dbAdapter.createScheduledPost(author.id, {
+          body,
+          attachments,
+          destinationNames: destNames,
+          commentsDisabled: !!commentsDisabled,
+          publishAt:        new Date(publishAt),
+        });
+
+        ctx.body = await serializeScheduledPosts([scheduledPost]);
+        return;
+      }
 
       const newPost = new Post({
         userId:           author.id,
@@ -30,6 +64,8 @@ export default class PostsController {
         attachments,
         commentsDisabled: commentsDisabled ? '1' : '0',
         timelineIds,
+        poll,
+        quotedPostId,
       });
 
       try {
@@ -61,7 +97,7 @@ export default class PostsController {
       let { destinationFeedIds } = post;
 
       if (feeds) {
-        const destUids = await checkDestNames(feeds, user);
+        const destUids = await checkDestNames(feeds, user, ctx.state.appToken);
         const [destFeeds, isDirect] = await Promise.all([
           dbAdapter.getTimelinesByIds(destUids),
           post.isStrictlyDirect(),
@@ -83,15 +119,7 @@ export default class PostsController {
       }
 
       if (attachments) {
-        const attObjects = await dbAdapter.getAttachmentsByIds(attachments);
-
-        if (attObjects.some((a) => a.userId !== user.id)) {
-          throw new ForbiddenException('You can not use attachments created by other user');
-        }
-
-        if (attObjects.some((a) => a.postId && a.postId !== post.id)) {
-          throw new ForbiddenException('You can not use attachments from another post');
-        }
+        await checkPostAttachments(attachments, user, post.id);
       }
 
       try {
@@ -265,9 +293,10 @@ export default class PostsController {
  *
  * @param {string[]} destNames
  * @param {User} author
+ * @param {object|null} appToken - application token used for the request (if any)
  * @returns {string[]}
  */
-export async function checkDestNames(destNames, author) {
+export async function checkDestNames(destNames, author, appToken = null) {
   const destUsers = await dbAdapter.getFeedOwnersByUsernames(destNames);
 
   if (destNames.length !== destUsers.length) {
@@ -288,6 +317,12 @@ export async function checkDestNames(destNames, author) {
     throw new ForbiddenException(`You can not create "public directs"`);
   }
 
+  const isDirect = destUsers.length > 0 && destUsers[0].isUser() && destUsers[0].id !== author.id;
+
+  if (isDirect && appToken && !appToken.scopes.includes(SCOPE_DIRECTS)) {
+    throw new ForbiddenException(`This application token does not have the '${SCOPE_DIRECTS}' scope`);
+  }
+
   const destFeeds = await Promise.all(destUsers.map((u) => u.getFeedsToPost(author)));
   const deniedNames = destFeeds.map((x, i) => x.length === 0 ? destNames[i] : '').filter(Boolean);
 
@@ -308,3 +343,84 @@ export async function checkDestNames(destNames, author) {
   const timelineIds = _.flatten(destFeeds).map((f) => f.id);
   return timelineIds;
 }
+
+/**
+ * Check that the attachments can be used in the (new or existing) post.
+ * Throws HTTP errors if any error happens.
+ *
+ * @param {string[]} attachmentIds
+ * @param {User} author
+ * @param {string|null} postId - id of the existing post
+ */
+export async function checkPostAttachments(attachmentIds, author, postId = null) {
+  const attObjects = await dbAdapter.getAttachmentsByIds(attachmentIds);
+
+  if (attObjects.some((a) => a.userId !== author.id)) {
+    throw new ForbiddenException('You can not use attachments created by other user');
+  }
+
+  if (attObjects.some((a) => a.postId && a.postId !== postId)) {
+    throw new ForbiddenException('You can not use attachments from another post');
+  }
+}
+
+/**
+ * Check the post body without creating a post.
+ * Throws HTTP errors if body is not valid.
+ *
+ * @param {string} body
+ * @param {User} author
+ */
+export function checkPostBody(body, author) {
+  try {
+    new Post({ body, userId: author.id }).validate();
+  } catch (e) {
+    throw new BadRequestException(`Can not create post: ${e.message}`);
+  }
+}
+
+/**
+ * Check that the scheduled post publication time is in the future.
+ * Throws HTTP errors if it is not.
+ *
+ * @param {string} publishAt
+ */
+export function checkPublishAt(publishAt) {
+  if (new Date(publishAt) <= new Date()) {
+    throw new ValidationException('Publication time must be in the future');
+  }
+}
+
+/**
+ * Check that the post can be quoted by the author.
+ * Throws HTTP errors if it can not.
+ *
+ * @param {string} quotedPostId
+ * @param {User} author
+ * @param {string|null} publishAt
+ */
+export async function checkQuotedPost(quotedPostId, author, publishAt = null) {
+  if (publishAt) {
+    throw new ValidationException('Quote posts are not supported in scheduled posts');
+  }
+
+  const quotedPost = await dbAdapter.getPostById(quotedPostId);
+
+  if (!quotedPost || !await quotedPost.isVisibleFor(author)) {
+    throw new NotFoundException('Quoted post not found');
+  }
+
+  if (await quotedPost.isStrictlyDirect()) {
+    throw new ForbiddenException('You can not quote direct messages');
+  }
+}
+
+export function checkPoll(poll, publishAt = null) {
+  if (publishAt) {
+    throw new ValidationException('Polls are not supported in scheduled posts');
+  }
+
+  if (poll.closesAt && new Date(poll.closesAt) <= new Date()) {
+    throw new ValidationException('Poll closing time must be in the future');
+  }
+}
@@ -1,15 +1,31 @@
 import passport from 'koa-passport'
-import jwt from 'jsonwebtoken'
 
-import { load as configLoader } from '../../../../config/config'
 import { UserSerializer } from '../../../models'
+import {
+  startAuthSessionForRequest,
+  createSecondFactorChallenge,
+  getSecondFactorChallengeUser,
+} from '../../../support/auth-tokens'
+import { isSecondFactorEnabled, verifySecondFactor } from '../../../support/totp'
+import {
+  ACTION_LOGIN,
+  checkRateLimit,
+  getRateLimitSubjects,
+  registerAttempt,
+  resetAttempts,
+} from '../../../support/rate-limiter'
 
 
-const config = configLoader()
-
 export default class SessionController {
-  static create(ctx) {
-    return passport.authenticate('local', async (err, user, msg) => {
+  static async create(ctx) {
+    const rateLimitSubjects = getRateLimitSubjects(ctx, ctx.request.body.username);
+    await checkRateLimit(ACTION_LOGIN, rateLimitSubjects);
+
+    await passport.authenticate('local', async (err, user, msg) => {
+      if (err || user === false) {
+        await registerAttempt(ACTION_LOGIN, rateLimitSubjects);
+      }
+
       if (err) {
         ctx.status = 401;
         ctx.body = { err: err.message };
@@ -26,11 +42,58 @@ export default class SessionController {
         return
       }
 
-      const { secret } = config;
-      const authToken = jwt.sign({ userId: user.id }, secret)
+      if (await isSecondFactorEnabled(user.id)) {
+        // Password is valid but the user should also pass the second factor
+        // check via the 'completeSecondFactor' method
+        ctx.status = 401;
+        ctx.body = {
+          err:                  'Second factor code is required',
+          secondFactorRequired: true,
+          challengeToken:       createSecondFactorChallenge(user),
+        };
+        return
+      }
 
-      const json = await new UserSerializer(user).promiseToJSON();
-      ctx.body = { ...json, authToken };
+      await resetAttempts(ACTION_LOGIN, rateLimitSubjects);
+      await signIn(ctx, user);
     })(ctx);
   }
+
+  static async completeSecondFactor(ctx) {
+    const { challengeToken, code } = ctx.request.body;
+
+    if (!challengeToken || !code) {
+      ctx.status = 400;
+      ctx.body = { err: 'Challenge token and code are required' };
+      return
+    }
+
+    const user = await getSecondFactorChallengeUser(challengeToken);
+
+    if (!user) {
+      ctx.status = 401;
+      ctx.body = { err: 'Challenge token is invalid or expired, please sign in again' };
+      return
+    }
+
+    const rateLimitSubjects = getRateLimitSubjects(ctx, user.username);
+    await checkRateLimit(ACTION_LOGIN, rateLimitSubjects);
+
+    if (!await verifySecondFactor(user.id, code)) {
+      await registerAttempt(ACTION_LOGIN, rateLimitSubjects);
+      ctx.status = 401;
+      ctx.body = { err: 'Invalid second factor code', secondFactorRequired: true };
+      return
+    }
+
+    await resetAttempts(ACTION_LOGIN, rateLimitSubjects);
+    await signIn(ctx, user);
+  }
+}
+
+async function signIn(ctx, user) {
+  const { authToken } = await startAuthSessionForRequest(user, ctx);
+
+  const json = await new UserSerializer(user).promiseToJSON();
+  ctx.body = { ...json, authToken };
 }
@@ -1,4 +1,3 @@
-import jwt from 'jsonwebtoken'
 import _ from 'lodash'
 import compose from 'koa-compose';
 
@@ -10,6 +9,8 @@ import recaptchaVerify from '../../../../lib/recaptcha'
 import { serializeUsersByIds } from '../../../serializers/v2/user';
 import { authRequired, targetUserRequired, monitored } from '../../middlewares';
 import { UsersControllerV2 } from '../../../controllers';
+import { startAuthSessionForRequest } from '../../../support/auth-tokens';
+import { ACTION_SIGN_UP, checkRateLimit, getRateLimitSubjects, registerAttempt } from '../../../support/rate-limiter';
 
 
 const config = configLoader()
@@ -21,6 +22,10 @@ export default class UsersController {
       email:    ctx.request.body.email
     }
 
+    const rateLimitSubjects = getRateLimitSubjects(ctx, params.email || params.username);
+    await checkRateLimit(ACTION_SIGN_UP, rateLimitSubjects);
+    await registerAttempt(ACTION_SIGN_UP, rateLimitSubjects);
+
     params.hashedPassword = ctx.request.body.password_hash
 
     if (!config.acceptHashedPasswordsOnly) {
@@ -55,8 +60,7 @@ export default class UsersController {
       // if onboarding username is not found, just pass
     }
 
-    const { secret } = config;
-    const authToken = jwt.sign({ userId: user.id }, secret)
+    const { authToken } = await startAuthSessionForRequest(user, ctx);
 
     const json = await new MyProfileSerializer(user).promiseToJSON()
     ctx.body = { ...json, authToken };
@@ -93,8 +97,7 @@ export default class UsersController {
       // if onboarding username is not found, just pass
     }
 
-    const { secret } = config;
-    const authToken = jwt.sign({ userId: user.id }, secret)
+    const { authToken } = await startAuthSessionForRequest(user, ctx);
 
     const json = await new MyProfileSerializer(user).promiseToJSON()
     ctx.body = { ...json, authToken };
@@ -18,7 +18,8 @@ export const commentCreateInputSchema = {
           minLength: 1,
           pattern:   '\\S'
         },
-        postId: { '$ref': '#/definitions/uuid' }
+        postId:  { '$ref': '#/definitions/uuid' },
+        replyTo: { '$ref': '#/definitions/uuid' },
       }
     }
   }
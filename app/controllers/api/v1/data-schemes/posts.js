@@ -27,7 +27,29 @@ export const postCreateInputSchema = {
           items:       { '$ref': '#/definitions/uuid' },
           maxItems:    config.attachments.maxCount,
           uniqueItems: true,
-        }
+        },
+        poll: {
+          type:       'object',
+          required:   ['options'],
+          properties: {
+            options: {
+              type:        'array',
+              minItems:    2,
+              maxItems:    config.polls.maxOptions,
+              uniqueItems: true,
+              items:       {
+                type:      'string',
+                minLength: 1,
+                maxLength: config.polls.maxOptionLength,
+                pattern:   '\\S'
+              },
+            },
+            isMultiple:  { type: 'boolean', default: false },
+            isAnonymous: { type: 'boolean', default: false },
+            closesAt:    { type: 'string', format: 'date-time' },
+          }
+        },
+        quotedPost: { '$ref': '#/definitions/uuid' },
       }
     },
     meta: {
@@ -35,6 +57,7 @@ export const postCreateInputSchema = {
       required:   ['feeds'],
       properties: {
         commentsDisabled: { type: 'boolean', default: false },
+        publishAt:        { type: 'string', format: 'date-time' },
         feeds:            {
           oneOf: [
             { '$ref': '#/definitions/accountName' },
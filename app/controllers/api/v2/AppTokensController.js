@@ -0,0 +1,88 @@
+import compose from 'koa-compose';
+
+import { dbAdapter } from '../../../models';
+import { ForbiddenException, NotFoundException } from '../../../support/exceptions';
+import { APP_TOKEN_SCOPES, createAppToken } from '../../../support/auth-tokens';
+import { authRequired, inputSchemaRequired, monitored } from '../../middlewares';
+import { appTokenCreateInputSchema, appTokenUpdateInputSchema } from './data-schemes';
+
+
+// Application tokens can not be managed using application tokens:
+// ctx.state.user is not set for such requests, so authRequired() rejects them.
+
+export const scopes = compose([
+  monitored('app-tokens.scopes'),
+  (ctx) => {
+    ctx.body = { scopes: APP_TOKEN_SCOPES };
+  },
+]);
+
+export const list = compose([
+  authRequired(),
+  monitored('app-tokens.list'),
+  async (ctx) => {
+    const tokens = await dbAdapter.getUserAppTokens(ctx.state.user.id);
+    ctx.body = { tokens: tokens.map(serializeAppToken) };
+  },
+]);
+
+export const create = compose([
+  authRequired(),
+  inputSchemaRequired(appTokenCreateInputSchema),
+  monitored('app-tokens.create'),
+  async (ctx) => {
+    const { title, scopes: tokenScopes } = ctx.request.body;
+    const { appToken, tokenString } = await createAppToken(ctx.state.user, title.trim(), tokenScopes);
+    ctx.body = { token: serializeAppToken(appToken), tokenString };
+  },
+]);
+
+export const update = compose([
+  authRequired(),
+  ownAppTokenRequired(),
+  inputSchemaRequired(appTokenUpdateInputSchema),
+  monitored('app-tokens.update'),
+  async (ctx) => {
+    const token = await dbAdapter.updateAppToken(ctx.state.appTokenToManage.id, { title: ctx.request.body.title.trim() });
+    ctx.body = { token: serializeAppToken(token) };
+  },
+]);
+
+export const revoke = compose([
+  authRequired(),
+  ownAppTokenRequired(),
+  monitored('app-tokens.revoke'),
+  async (ctx) => {
+    await dbAdapter.deleteAppToken(ctx.state.appTokenToManage.id);
+    ctx.body = {};
+  },
+]);
+
+function ownAppTokenRequired() {
+  return async (ctx, next) => {
+    const token = await dbAdapter.getAppTokenById(ctx.params.tokenId);
+
+    if (!token) {
+      throw new NotFoundException('Token not found');
+    }
+
+    if (token.userId !== ctx.state.user.id) {
+      throw new ForbiddenException('You can not manage this token');
+    }
+
+    ctx.state.appTokenToManage = token;
+    await next();
+  };
+}
+
+function serializeAppToken(token) {
+  return {
+    id:         token.id,
+    title:      token.title,
+    scopes:     token.scopes,
+    createdAt:  token.createdAt.toISOString(),
+    updatedAt:  token.updatedAt.toISOString(),
+    lastUsedAt: token.lastUsedAt && token.lastUsedAt.toISOString(),
+    lastIp:     token.lastIp,
+  };
+}
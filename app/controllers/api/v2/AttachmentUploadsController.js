@@ -0,0 +1,260 @@
+import crypto from 'crypto';
+import fs from 'fs';
+
+import compose from 'koa-compose';
+import { promisifyAll } from 'bluebird';
+import { wait as waitStream, pipeline } from 'promise-streams';
+import meter from 'stream-meter';
+import { parse as bytesParse } from 'bytes';
+
+import { load as configLoader } from '../../../../config/config';
+import { dbAdapter, AttachmentSerializer } from '../../../models';
+import {
+  BadRequestException,
+  ConflictException,
+  ForbiddenException,
+  NotFoundException,
+  ValidationException,
+} from '../../../support/exceptions';
+import { serializeAttachmentUpload } from '../../../serializers/v2/attachment-upload';
+import { ensureDir } from '../../../support/storage/utils';
+import { authRequired, inputSchemaRequired, monitored } from '../../middlewares';
+import { attachmentUploadInputSchema } from './data-schemes';
+
+
+promisifyAll(fs);
+
+const config = configLoader();
+const maxFileSize = config.attachmentUploads.maxFileSize || bytesParse(config.attachments.fileSizeLimit);
+
+const CHUNK_CONTENT_TYPE = 'application/offset+octet-stream';
+
+export const create = compose([
+  authRequired(),
+  inputSchemaRequired(attachmentUploadInputSchema),
+  monitored('attachment-uploads.create'),
+  async (ctx) => {
+    const { user } = ctx.state;
+    const { fileName, fileSize, mimeType } = ctx.request.body.upload;
+    const { maxCount } = config.attachmentUploads;
+
+    if (fileSize > maxFileSize) {
+      throw new ValidationException(`File is too large (${fileSize} bytes, max. ${maxFileSize})`);
+    }
+
+    if (await dbAdapter.getUserAttachmentUploadsCount(user.id) >= maxCount) {
+      throw new ForbiddenException(`You can not have more than ${maxCount} incomplete uploads`);
+    }
+
+    const upload = await dbAdapter.createAttachmentUpload(user.id, { fileName, fileSize, mimeType });
+    await ensureDir(config.attachmentUploads.dir);
+    await fs.writeFileAsync(getUploadPath(upload), Buffer.alloc(0));
+
+    setUploadHeaders(ctx, upload);
+    ctx.body = { upload: serializeAttachmentUpload(upload) };
+  },
+]);
+
+export const show = compose([
+  authRequired(),
+  ownUploadRequired(),
+  monitored('attachment-uploads.show'),
+  (ctx) => {
+    const { upload } = ctx.state;
+    setUploadHeaders(ctx, upload);
+    ctx.body = { upload: serializeAttachmentUpload(upload) };
+  },
+]);
+
+export const append = compose([
+  authRequired(),
+  ownUploadRequired(),
+  monitored('attachment-uploads.append'),
+  async (ctx) => {
+    const { upload } = ctx.state;
+
+    if (!ctx.is(CHUNK_CONTENT_TYPE)) {
+      throw new BadRequestException(`Content-Type must be '${CHUNK_CONTENT_TYPE}'`);
+    }
+
+    const offsetHeader = ctx.get('Upload-Offset');
+
+    if (!/^\d+$/.test(offsetHeader)) {
+      throw new BadRequestException('Upload-Offset header is required');
+    }
+
+    const offset = parseInt(offsetHeader, 10);
+    checkOffset(upload, offset);
+
+    // Chunk can not be larger than the rest of file
+    const maxLength = Math.min(config.attachmentUploads.maxChunkSize, upload.fileSize - upload.offset);
+
+    if (ctx.request.length > maxLength) {
+      throw new ValidationException(`Chunk is too large (${ctx.request.length} bytes, max. ${maxLength})`);
+    }
+
+    // The chunk is received to a separate file first, so the interrupted
+    // request doesn't damage the upload
+    const chunkPath = `${getUploadPath(upload)}.${crypto.randomBytes(4).toString('hex')}.chunk`;
+
+    try {
+      await receiveChunk(ctx.req, chunkPath, maxLength);
+
+      const { size } = await fs.statAsync(chunkPath);
+
+      const updatedUpload = await dbAdapter.withLockedAttachmentUpload(upload.id, async (lockedUpload) => {
+        if (!lockedUpload) {
+          throw new NotFoundException('Upload not found');
+        }
+
+        checkNotFinalizing(lockedUpload);
+        // Other chunk could be received while this one was transferred
+        checkOffset(lockedUpload, offset);
+
+        if (size > 0) {
+          await writeChunk(getUploadPath(upload), chunkPath, offset);
+        }
+
+        return offset + size;
+      });
+
+      setUploadHeaders(ctx, updatedUpload);
+      ctx.body = { upload: serializeAttachmentUpload(updatedUpload) };
+    } finally {
+      await fs.unlinkAsync(chunkPath).catch(() => null);
+    }
+  },
+]);
+
+export const finalize = compose([
+  authRequired(),
+  ownUploadRequired(),
+  monitored('attachment-uploads.finalize'),
+  async (ctx) => {
+    const { user } = ctx.state;
+    const uploadPath = getUploadPath(ctx.state.upload);
+
+    const upload = await dbAdapter.startAttachmentUploadFinalization(ctx.state.upload.id, (lockedUpload) => {
+      if (!lockedUpload) {
+        throw new NotFoundException('Upload not found');
+      }
+
+      checkNotFinalizing(lockedUpload);
+
+      if (lockedUpload.offset < lockedUpload.fileSize) {
+        throw new ConflictException(`Upload is not complete (${lockedUpload.offset} of ${lockedUpload.fileSize} bytes received)`);
+      }
+    });
+
+    // Attachment processing modifies and moves its file, so it gets a copy of
+    // the upload. If the processing fails, the upload is kept and the client
+    // can retry the finalization.
+    const tmpFile = `${uploadPath}.${crypto.randomBytes(4).toString('hex')}.final`;
+    let attachment;
+
+    try {
+      await fs.copyFileAsync(uploadPath, tmpFile);
+
+      attachment = user.newAttachment({
+        file: {
+          name: upload.fileName,
+          size: upload.fileSize,
+          type: upload.mimeType || 'application/octet-stream',
+          path: tmpFile,
+        },
+      });
+      await attachment.create();
+    } catch (e) {
+      await dbAdapter.cancelAttachmentUploadFinalization(upload.id);
+      throw e;
+    } finally {
+      await fs.unlinkAsync(tmpFile).catch(() => null);
+    }
+
+    // If the deletion fails, the upload stays marked as finalizing, so it
+    // can not produce the second attachment. It is removed with the stale uploads.
+    await dbAdapter.deleteAttachmentUpload(upload.id);
+    await fs.unlinkAsync(uploadPath).catch(() => null);
+    ctx.body = await new AttachmentSerializer(attachment).promiseToJSON();
+  },
+]);
+
+export const destroy = compose([
+  authRequired(),
+  ownUploadRequired(),
+  monitored('attachment-uploads.destroy'),
+  async (ctx) => {
+    const { upload } = ctx.state;
+    await dbAdapter.deleteAttachmentUpload(upload.id);
+    await fs.unlinkAsync(getUploadPath(upload)).catch(() => null);
+    ctx.body = {};
+  },
+]);
+
+/**
+ * @param {object} upload
+ * @return {string}
+ */
+function getUploadPath(upload) {
+  return `${config.attachmentUploads.dir}${upload.id}`;
+}
+
+function setUploadHeaders(ctx, upload) {
+  ctx.set('Upload-Offset', upload.offset.toString());
+  ctx.set('Upload-Length', upload.fileSize.toString());
+  ctx.set('Cache-Control', 'no-store');
+}
+
+function checkOffset(upload, offset) {
+  if (offset !== upload.offset) {
+    throw new ConflictException(`Upload-Offset mismatch (expected ${upload.offset}, got ${offset})`);
+  }
+}
+
+function checkNotFinalizing(upload) {
+  if (upload.finalizingAt) {
+    throw new ConflictException('Upload is being finalized');
+  }
+}
+
+async function receiveChunk(req, chunkPath, maxLength) {
+  const stream = fs.createWriteStream(chunkPath, { flags: 'w' });
+  const fileWasWritten = waitStream(stream);
+  const chunkMeter = meter(maxLength);
+
+  try {
+    await pipeline(req, chunkMeter, stream);
+    await fileWasWritten;
+  } catch (e) {
+    if (chunkMeter.bytes > maxLength) {
+      throw new ValidationException(`Chunk is too large (max. ${maxLength} bytes)`);
+    }
+
+    throw e;
+  }
+}
+
+/**
+ * Writes the chunk to the upload file at the given offset. The file is not
+ * opened in the append mode, so the partially written chunk is just
+ * overwritten by the next attempt.
+ */
+async function writeChunk(uploadPath, chunkPath, offset) {
+  const stream = fs.createWriteStream(uploadPath, { flags: 'r+', start: offset });
+  const fileWasWritten = waitStream(stream);
+  await pipeline(fs.createReadStream(chunkPath), stream);
+  await fileWasWritten;
+}
+
+function ownUploadRequired() {
+  return async (ctx, next) => {
+    const upload = await dbAdapter.getAttachmentUploadById(ctx.params.uploadId);
+
+    if (!upload || upload.userId !== ctx.state.user.id) {
+      throw new NotFoundException('Upload not found');
+    }
+
+    ctx.state.upload = upload;
+    await next();
+  };
+}
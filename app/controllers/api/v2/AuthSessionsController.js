@@ -0,0 +1,64 @@
+import compose from 'koa-compose';
+
+import { dbAdapter } from '../../../models';
+import { ForbiddenException, NotFoundException } from '../../../support/exceptions';
+import { authRequired, monitored } from '../../middlewares';
+
+
+export const list = compose([
+  authRequired(),
+  monitored('auth-sessions.list'),
+  async (ctx) => {
+    const { user, authSession: currentSession } = ctx.state;
+    const sessions = await dbAdapter.getUserAuthSessions(user.id);
+    ctx.body = { sessions: sessions.map((s) => serializeAuthSession(s, currentSession)) };
+  },
+]);
+
+export const close = compose([
+  authRequired(),
+  monitored('auth-sessions.close'),
+  async (ctx) => {
+    const { user } = ctx.state;
+    const session = await dbAdapter.getAuthSessionById(ctx.params.sessionId);
+
+    if (!session) {
+      throw new NotFoundException(`Session not found`);
+    }
+
+    if (session.userId !== user.id) {
+      throw new ForbiddenException(`You can not close this session`);
+    }
+
+    await dbAdapter.deleteAuthSession(session.id);
+    ctx.body = {};
+  },
+]);
+
+/**
+ * "Log out everywhere". Closes all sessions of the current user.
+ * Use 'keepCurrent=1' query parameter to keep the current session alive.
+ */
+export const closeAll = compose([
+  authRequired(),
+  monitored('auth-sessions.close-all'),
+  async (ctx) => {
+    const { user, authSession } = ctx.state;
+    const keepCurrent = ['yes', 'true', '1', 'on'].includes((ctx.request.query.keepCurrent || '').toLowerCase());
+    const closed = await dbAdapter.deleteUserAuthSessions(user.id, keepCurrent && authSession ? authSession.id : null);
+    ctx.body = { closed };
+  },
+]);
+
+function serializeAuthSession(session, currentSession) {
+  return {
+    id:         session.id,
+    userAgent:  session.userAgent,
+    createdIp:  session.createdIp,
+    lastIp:     session.lastIp,
+    createdAt:  session.createdAt.toISOString(),
+    lastUsedAt: session.lastUsedAt.toISOString(),
+    expiresAt:  session.expiresAt.toISOString(),
+    isCurrent:  !!currentSession && currentSession.id === session.id,
+  };
+}
@@ -0,0 +1,48 @@
+import _ from 'lodash';
+import compose from 'koa-compose';
+
+import { dbAdapter, Comment } from '../../../models';
+import { serializeRevisions } from '../../../serializers/v2/revision';
+import { serializeComment } from '../../../serializers/v2/post';
+import { serializeUsersByIds } from '../../../serializers/v2/user';
+import { commentAccessRequired, monitored } from '../../middlewares';
+
+
+export const revisions = compose([
+  commentAccessRequired(),
+  monitored('comments.revisions'),
+  async (ctx) => {
+    const { comment } = ctx.state;
+    const previousRevisions = await dbAdapter.getCommentRevisions(comment.id);
+    ctx.body = { revisions: serializeRevisions(previousRevisions, comment) };
+  },
+]);
+
+export const replyChain = compose([
+  commentAccessRequired({ mustBeVisible: false }),
+  monitored('comments.reply-chain'),
+  async (ctx) => {
+    const { user: viewer, comment } = ctx.state;
+
+    const [chain, banIds] = await Promise.all([
+      dbAdapter.getCommentReplyChain(comment.id),
+      viewer ? viewer.getBanIds() : [],
+    ]);
+
+    // Comments of the banned users are kept in the chain, but hidden
+    for (const c of chain) {
+      if (banIds.includes(c.userId)) {
+        c.userId = null;
+        c.hideType = Comment.HIDDEN_BANNED;
+        c.body = Comment.hiddenBody(Comment.HIDDEN_BANNED);
+      }
+    }
+
+    const userIds = _.uniq(_.compact(_.map(chain, 'userId')));
+
+    ctx.body = {
+      comments: chain.map(serializeComment),
+      users:    await serializeUsersByIds(userIds, false, viewer && viewer.id),
+    };
+  },
+]);
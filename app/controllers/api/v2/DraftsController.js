@@ -0,0 +1,138 @@
+import compose from 'koa-compose';
+
+import { dbAdapter, Post } from '../../../models';
+import { BadRequestException, ForbiddenException, NotFoundException } from '../../../support/exceptions';
+import { serializeDrafts } from '../../../serializers/v2/draft';
+import { authRequired, inputSchemaRequired, monitored } from '../../middlewares';
+import { checkDestNames, checkPostAttachments, checkPostBody } from '../v1/PostsController';
+import { show as showPost } from './PostsController';
+import { draftInputSchema } from './data-schemes';
+
+
+export const list = compose([
+  authRequired(),
+  monitored('drafts.list'),
+  async (ctx) => {
+    const drafts = await dbAdapter.getUserDrafts(ctx.state.user.id);
+    ctx.body = await serializeDrafts(drafts);
+  },
+]);
+
+export const create = compose([
+  authRequired(),
+  inputSchemaRequired(draftInputSchema),
+  monitored('drafts.create'),
+  async (ctx) => {
+    const { user } = ctx.state;
+    const { body = '', attachments = [], feeds = [], commentsDisabled = false } = ctx.request.body.draft;
+
+    await checkPostAttachments(attachments, user);
+
+    const draft = await dbAdapter.createDraft(user.id, {
+      body,
+      attachments,
+      destinationNames: feeds,
+      commentsDisabled,
+    });
+    ctx.body = await serializeDrafts([draft]);
+  },
+]);
+
+export const show = compose([
+  authRequired(),
+  ownDraftRequired(),
+  monitored('drafts.show'),
+  async (ctx) => {
+    ctx.body = await serializeDrafts([ctx.state.draft]);
+  },
+]);
+
+export const update = compose([
+  authRequired(),
+  ownDraftRequired(),
+  inputSchemaRequired(draftInputSchema),
+  monitored('drafts.update'),
+  async (ctx) => {
+    const { user, draft } = ctx.state;
+    const { body, attachments, feeds, commentsDisabled } = ctx.request.body.draft;
+
+    if (attachments) {
+      await checkPostAttachments(attachments, user);
+    }
+
+    const updatedDraft = await dbAdapter.updateDraft(draft.id, {
+      body,
+      attachments,
+      destinationNames: feeds,
+      commentsDisabled,
+    });
+    ctx.body = await serializeDrafts([updatedDraft]);
+  },
+]);
+
+export const destroy = compose([
+  authRequired(),
+  ownDraftRequired(),
+  monitored('drafts.destroy'),
+  async (ctx) => {
+    await dbAdapter.deleteDraft(ctx.state.draft.id);
+    ctx.body = {};
+  },
+]);
+
+/**
+ * Creates a post from the draft (with the same checks as
+ * the POST /v1/posts) and deletes the draft
+ */
+export const publish = compose([
+  authRequired(),
+  ownDraftRequired(),
+  monitored('drafts.publish'),
+  async (ctx) => {
+    const { user: author, draft } = ctx.state;
+
+    if (draft.destinationNames.length === 0) {
+      throw new BadRequestException('Draft has no destination feeds');
+    }
+
+    checkPostBody(draft.body, author);
+    await checkPostAttachments(draft.attachments, author);
+    const timelineIds = await checkDestNames(draft.destinationNames, author, ctx.state.appToken);
+
+    const newPost = new Post({
+      userId:           author.id,
+      body:             draft.body,
+      attachments:      draft.attachments,
+      commentsDisabled: draft.commentsDisabled ? '1' : '0',
+      timelineIds,
+    });
+
+    try {
+      await newPost.create();
+    } catch (e) {
+      throw new BadRequestException(`Can not create post: ${e.message}`);
+    }
+
+    await dbAdapter.deleteDraft(draft.id);
+
+    ctx.params.postId = newPost.id;
+    await showPost(ctx);
+  },
+]);
+
+function ownDraftRequired() {
+  return async (ctx, next) => {
+    const draft = await dbAdapter.getDraftById(ctx.params.draftId);
+
+    if (!draft) {
+      throw new NotFoundException('Draft not found');
+    }
+
+    if (draft.userId !== ctx.state.user.id) {
+      throw new ForbiddenException('You can not manage this draft');
+    }
+
+    ctx.state.draft = draft;
+    await next();
+  };
+}
@@ -2,10 +2,11 @@ import _ from 'lodash';
 import { dbAdapter } from '../../../models';
 import { ALLOWED_EVENT_TYPES } from '../../../support/EventTypes';
 import { serializeEvents } from '../../../serializers/v2/event';
+import { CURSOR_EVENTS, getCursorParam, cutPage, getPageCursors } from '../../../support/cursors';
 
 
 const EVENT_GROUPS = {
-  mentions:      ['mention_in_post', 'mention_in_comment', 'mention_comment_to'],
+  mentions:      ['mention_in_post', 'mention_in_comment', 'mention_comment_to', 'post_quoted'],
   bans:          ['banned_user', 'unbanned_user'],
   subscriptions: [
     'user_subscribed',
@@ -46,22 +47,19 @@ export default class EventsController {
       params.limit + 1,
       params.offset,
       params.startDate,
-      params.endDate
+      params.endDate,
+      params.cursor
     );
 
-    const isLastPage = events.length <= params.limit;
-
-    if (!isLastPage) {
-      events.length = params.limit;
-    }
-
-    const serializedData = await serializeEvents(events, ctx.state.user.id);
+    const { items, isLastPage } = cutPage(events, params.limit, params.cursor);
+    const serializedData = await serializeEvents(items, ctx.state.user.id);
 
     ctx.body = {
       Notifications: serializedData.events,
       users:         serializedData.users,
       groups:        serializedData.groups,
-      isLastPage
+      isLastPage,
+      cursors:       getPageCursors(CURSOR_EVENTS, items, (e) => [e.cursor_date, e.id]),
     };
   }
 }
@@ -97,11 +95,13 @@ function getQueryParams(ctx) {
 
   const startDate = ctx.request.query.startDate ? new Date(ctx.request.query.startDate) : null;
   const endDate = ctx.request.query.endDate ? new Date(ctx.request.query.endDate) : null;
+  const cursor = getCursorParam(ctx.request.query, CURSOR_EVENTS);
   return {
     offset,
     limit,
     eventTypes,
     startDate,
-    endDate
+    endDate,
+    cursor
   };
 }
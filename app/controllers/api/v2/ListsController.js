@@ -0,0 +1,169 @@
+import compose from 'koa-compose';
+import { difference } from 'lodash';
+
+import { load as configLoader } from '../../../../config/config';
+import { dbAdapter } from '../../../models';
+import { ForbiddenException, NotFoundException, ValidationException } from '../../../support/exceptions';
+import { serializeLists } from '../../../serializers/v2/list';
+import {
+  authRequired,
+  inputSchemaRequired,
+  listAccessRequired,
+  monitored,
+} from '../../middlewares';
+import { listInputSchema, listMembersInputSchema } from './data-schemes';
+
+
+const config = configLoader();
+
+export const list = compose([
+  authRequired(),
+  monitored('lists.list'),
+  async (ctx) => {
+    const { user } = ctx.state;
+    const lists = await dbAdapter.getUserLists(user.id);
+    ctx.body = await serializeLists(lists, user.id);
+  },
+]);
+
+export const create = compose([
+  authRequired(),
+  inputSchemaRequired(listInputSchema),
+  monitored('lists.create'),
+  async (ctx) => {
+    const { user } = ctx.state;
+    const { title, members = [] } = ctx.request.body.list;
+
+    const lists = await dbAdapter.getUserLists(user.id);
+
+    if (lists.length >= config.lists.maxCount) {
+      throw new ForbiddenException(`You can not have more than ${config.lists.maxCount} lists`);
+    }
+
+    const memberIds = await checkListMembers(members, user);
+
+    const newList = await dbAdapter.createList(user.id, title.trim());
+    await dbAdapter.addListMembers(newList.intId, memberIds);
+
+    ctx.body = await serializeLists([newList], user.id);
+  },
+]);
+
+export const show = compose([
+  authRequired(),
+  listAccessRequired(),
+  monitored('lists.show'),
+  async (ctx) => {
+    const { user, list: userList } = ctx.state;
+    ctx.body = await serializeLists([userList], user.id);
+  },
+]);
+
+/**
+ * Updates the list title and, if the 'members' field is present,
+ * replaces the list members
+ */
+export const update = compose([
+  authRequired(),
+  listAccessRequired(),
+  inputSchemaRequired(listInputSchema),
+  monitored('lists.update'),
+  async (ctx) => {
+    const { user, list: userList } = ctx.state;
+    const { title, members } = ctx.request.body.list;
+
+    if (members) {
+      const [memberIds, oldMemberIds] = await Promise.all([
+        checkListMembers(members, user),
+        dbAdapter.getListMembersIds(userList.intId),
+      ]);
+
+      for (const id of difference(oldMemberIds, memberIds)) {
+        // eslint-disable-next-line no-await-in-loop
+        await dbAdapter.removeListMember(userList.intId, id);
+      }
+
+      await dbAdapter.addListMembers(userList.intId, memberIds);
+    }
+
+    await dbAdapter.updateList(userList.intId, title.trim());
+
+    const updatedList = await dbAdapter.getListById(userList.id);
+    ctx.body = await serializeLists([updatedList], user.id);
+  },
+]);
+
+export const destroy = compose([
+  authRequired(),
+  listAccessRequired(),
+  monitored('lists.destroy'),
+  async (ctx) => {
+    await dbAdapter.deleteList(ctx.state.list.intId);
+    ctx.body = {};
+  },
+]);
+
+export const addMembers = compose([
+  authRequired(),
+  listAccessRequired(),
+  inputSchemaRequired(listMembersInputSchema),
+  monitored('lists.add-members'),
+  async (ctx) => {
+    const { user, list: userList } = ctx.state;
+    const memberIds = await checkListMembers(ctx.request.body.members, user);
+
+    await dbAdapter.addListMembers(userList.intId, memberIds);
+    ctx.body = await serializeLists([userList], user.id);
+  },
+]);
+
+export const removeMember = compose([
+  authRequired(),
+  listAccessRequired(),
+  monitored('lists.remove-member'),
+  async (ctx) => {
+    const { user, list: userList } = ctx.state;
+    const { username } = ctx.params;
+
+    const member = await dbAdapter.getFeedOwnerByUsername(username);
+
+    if (!member || !await dbAdapter.removeListMember(userList.intId, member.id)) {
+      throw new NotFoundException(`"${username}" is not a member of this list`);
+    }
+
+    ctx.body = await serializeLists([userList], user.id);
+  },
+]);
+
+/**
+ * Checks that all the given accounts exist and the user is subscribed to them.
+ * Returns ids of these accounts.
+ *
+ * @param {string[]} usernames
+ * @param {User} user
+ * @return {string[]}
+ */
+async function checkListMembers(usernames, user) {
+  if (usernames.length === 0) {
+    return [];
+  }
+
+  const [accounts, friendIds] = await Promise.all([
+    dbAdapter.getFeedOwnersByUsernames(usernames),
+    dbAdapter.getUserFriendIds(user.id),
+  ]);
+
+  for (const username of usernames) {
+    const account = accounts.find((a) => a.username === username.toLowerCase());
+
+    if (!account || !account.isActive) {
+      throw new ValidationException(`Account "${username}" is not found`);
+    }
+
+    if (!friendIds.includes(account.id)) {
+      throw new ValidationException(`You are not subscribed to "${username}"`);
+    }
+  }
+
+  return accounts.map((a) => a.id);
+}
@@ -0,0 +1,98 @@
+import compose from 'koa-compose';
+
+import { load as configLoader } from '../../../../config/config';
+import { dbAdapter } from '../../../models';
+import { ForbiddenException, NotFoundException, ValidationException } from '../../../support/exceptions';
+import { serializeMuteRule } from '../../../serializers/v2/mute-rule';
+import { normalizeMutePattern, MUTE_TYPE_HASHTAG, MUTE_TYPE_REGEX } from '../../../support/mute-rules';
+import { authRequired, inputSchemaRequired, monitored } from '../../middlewares';
+import { muteRuleInputSchema } from './data-schemes';
+
+
+const config = configLoader();
+
+export const list = compose([
+  authRequired(),
+  monitored('mute-rules.list'),
+  async (ctx) => {
+    const rules = await dbAdapter.getUserMuteRules(ctx.state.user.id);
+    ctx.body = { rules: rules.map(serializeMuteRule) };
+  },
+]);
+
+export const create = compose([
+  authRequired(),
+  inputSchemaRequired(muteRuleInputSchema),
+  monitored('mute-rules.create'),
+  async (ctx) => {
+    const { user } = ctx.state;
+    const rules = await dbAdapter.getUserMuteRules(user.id);
+
+    if (rules.length >= config.muteRules.maxCount) {
+      throw new ForbiddenException(`You can not have more than ${config.muteRules.maxCount} mute rules`);
+    }
+
+    const params = await checkMuteRule(ctx.request.body.rule);
+    const rule = await dbAdapter.createMuteRule(user.id, params);
+    ctx.body = { rules: [serializeMuteRule(rule)] };
+  },
+]);
+
+export const update = compose([
+  authRequired(),
+  ownMuteRuleRequired(),
+  inputSchemaRequired(muteRuleInputSchema),
+  monitored('mute-rules.update'),
+  async (ctx) => {
+    const params = await checkMuteRule(ctx.request.body.rule);
+    const rule = await dbAdapter.updateMuteRule(ctx.state.muteRule.id, params);
+    ctx.body = { rules: [serializeMuteRule(rule)] };
+  },
+]);
+
+export const destroy = compose([
+  authRequired(),
+  ownMuteRuleRequired(),
+  monitored('mute-rules.destroy'),
+  async (ctx) => {
+    await dbAdapter.deleteMuteRule(ctx.state.muteRule.id);
+    ctx.body = {};
+  },
+]);
+
+/**
+ * Validates and normalizes the rule input
+ *
+ * @param {object} input
+ * @return {object} - {type, pattern, scope, expiresAt}
+ */
+async function checkMuteRule({ type, pattern, scope, expiresAt = null }) {
+  pattern = normalizeMutePattern(type, pattern);
+
+  if (type === MUTE_TYPE_HASHTAG && (pattern === '' || /[\s#]/.test(pattern))) {
+    throw new ValidationException('Invalid hashtag');
+  }
+
+  if (type === MUTE_TYPE_REGEX && !await dbAdapter.isValidMuteRegex(pattern)) {
+    throw new ValidationException('Invalid regular expression');
+  }
+
+  return { type, pattern, scope, expiresAt: expiresAt && new Date(expiresAt) };
+}
+
+function ownMuteRuleRequired() {
+  return async (ctx, next) => {
+    const muteRule = await dbAdapter.getMuteRuleById(ctx.params.ruleId);
+
+    if (!muteRule) {
+      throw new NotFoundException('Mute rule not found');
+    }
+
+    if (muteRule.userId !== ctx.state.user.id) {
+      throw new ForbiddenException('You can not manage this mute rule');
+    }
+
+    ctx.state.muteRule = muteRule;
+    await next();
+  };
+}
@@ -0,0 +1,78 @@
+import compose from 'koa-compose';
+import validator from 'validator';
+
+import { load as configLoader } from '../../../../config/config';
+import { dbAdapter } from '../../../models';
+import { ForbiddenException, NotFoundException } from '../../../support/exceptions';
+import { authRequired, monitored, postAccessRequired, targetUserRequired } from '../../middlewares';
+
+
+const config = configLoader();
+
+/**
+ * Pins post to the 'Posts' feed of the user or group
+ */
+export const pin = compose([
+  authRequired(),
+  targetUserRequired(),
+  feedManagementRequired(),
+  postAccessRequired(),
+  monitored('posts.pin'),
+  async (ctx) => {
+    const { user, targetUser: feedOwner, post } = ctx.state;
+
+    const feedIntId = await feedOwner.getPostsTimelineIntId();
+
+    if (!post.destinationFeedIds.includes(feedIntId)) {
+      throw new ForbiddenException(`This post is not posted to "${feedOwner.username}"`);
+    }
+
+    const pinnedPosts = await dbAdapter.getPinnedPosts(feedOwner.id);
+
+    if (pinnedPosts.length >= config.pinnedPosts.maxCount) {
+      throw new ForbiddenException(`You can not pin more than ${config.pinnedPosts.maxCount} posts`);
+    }
+
+    if (!await dbAdapter.pinPost(feedOwner.id, post.id, user.id)) {
+      throw new ForbiddenException('This post is already pinned');
+    }
+
+    ctx.body = {};
+  },
+]);
+
+export const unpin = compose([
+  authRequired(),
+  targetUserRequired(),
+  feedManagementRequired(),
+  monitored('posts.unpin'),
+  async (ctx) => {
+    const { targetUser: feedOwner } = ctx.state;
+    const { postId } = ctx.params;
+
+    if (!validator.isUUID(postId) || !await dbAdapter.unpinPost(feedOwner.id, postId)) {
+      throw new NotFoundException('This post is not pinned');
+    }
+
+    ctx.body = {};
+  },
+]);
+
+/**
+ * Only the user themself or the group admins can manage the pinned posts
+ */
+function feedManagementRequired() {
+  return async (ctx, next) => {
+    const { user, targetUser: feedOwner } = ctx.state;
+
+    const canManage = feedOwner.isUser()
+      ? feedOwner.id === user.id
+      : (await feedOwner.getAdministratorIds()).includes(user.id);
+
+    if (!canManage) {
+      throw new ForbiddenException(`You can not manage pinned posts of "${feedOwner.username}"`);
+    }
+
+    await next();
+  };
+}
@@ -0,0 +1,66 @@
+import compose from 'koa-compose';
+
+import { dbAdapter, PubSub as pubSub } from '../../../models';
+import { ForbiddenException, NotFoundException } from '../../../support/exceptions';
+import { checkPollVotes, isPollClosed } from '../../../support/polls';
+import { serializePoll } from '../../../serializers/v2/post';
+import { authRequired, inputSchemaRequired, monitored, postAccessRequired } from '../../middlewares';
+import { pollVoteInputSchema } from './data-schemes';
+
+
+export const vote = compose([
+  authRequired(),
+  postAccessRequired(),
+  pollRequired(),
+  inputSchemaRequired(pollVoteInputSchema),
+  monitored('polls.vote'),
+  async (ctx) => {
+    const { user, post, poll } = ctx.state;
+    const { options } = ctx.request.body;
+
+    checkPollVotes(poll, options);
+
+    await dbAdapter.setPollVotes(poll.id, user.id, options);
+    await pubSub.updatePost(post.id);
+
+    ctx.body = { poll: serializePoll(await dbAdapter.getPollByPostId(post.id, user.id)) };
+  },
+]);
+
+export const unvote = compose([
+  authRequired(),
+  postAccessRequired(),
+  pollRequired(),
+  monitored('polls.unvote'),
+  async (ctx) => {
+    const { user, post, poll } = ctx.state;
+
+    if (isPollClosed(poll)) {
+      throw new ForbiddenException('This poll is closed');
+    }
+
+    if (!await dbAdapter.deletePollVotes(poll.id, user.id)) {
+      throw new ForbiddenException("You haven't voted in this poll");
+    }
+
+    await pubSub.updatePost(post.id);
+
+    ctx.body = { poll: serializePoll(await dbAdapter.getPollByPostId(post.id, user.id)) };
+  },
+]);
+
+/**
+ * Loads poll of the ctx.state.post to the ctx.state.poll
+ */
+function pollRequired() {
+  return async (ctx, next) => {
+    const poll = await dbAdapter.getPollByPostId(ctx.state.post.id);
+
+    if (!poll) {
+      throw new NotFoundException('This post has no poll');
+    }
+
+    ctx.state.poll = poll;
+    await next();
+  };
+}
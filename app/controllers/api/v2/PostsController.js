@@ -2,9 +2,17 @@ import _ from 'lodash';
 import compose from 'koa-compose';
 
 import { dbAdapter } from '../../../models';
-import { serializePost, serializeComment, serializeAttachment } from '../../../serializers/v2/post';
+import {
+  serializePost,
+  serializeComment,
+  serializeAttachment,
+  serializePoll,
+  getPollVoters,
+  getQuotedPosts,
+} from '../../../serializers/v2/post';
 import { monitored, postAccessRequired } from '../../middlewares';
 import { userSerializerFunction } from '../../../serializers/v2/user';
+import { serializeRevisions } from '../../../serializers/v2/revision';
 
 
 export const show = compose([
@@ -35,6 +43,7 @@ export const show = compose([
       likes:           postWithStuff.likes,
       omittedComments: postWithStuff.omittedComments,
       omittedLikes:    postWithStuff.omittedLikes,
+      poll:            serializePoll(postWithStuff.poll),
     };
 
     const { intId: hidesFeedId } = viewer ? await dbAdapter.getUserNamedFeed(viewer.id, 'Hides') : { intId: 0 };
@@ -43,6 +52,25 @@ export const show = compose([
       sPost.isHidden = true; // present only if true
     }
 
+    const { intId: savesFeedId } = viewer ? await dbAdapter.getUserNamedFeed(viewer.id, 'Saves') : { intId: 0 };
+
+    if (postWithStuff.post.feedIntIds.includes(savesFeedId)) {
+      const savedPost = await dbAdapter.getSavedPost(viewer.id, postWithStuff.post.id);
+      sPost.isSaved = true; // present only if true
+      sPost.savedNote = savedPost && savedPost.note;
+    }
+
+    if (postWithStuff.post.quotedPostId) {
+      const quotedPosts = await getQuotedPosts([postWithStuff.post], viewer && viewer.id);
+      sPost.quotedPost = quotedPosts[postWithStuff.post.id]; // present only for quote posts
+    }
+
+    const { [postWithStuff.post.id]: repostedBy } = await dbAdapter.getPostsRepostersIds([postWithStuff.post.id]);
+
+    if (repostedBy) {
+      sPost.repostedBy = repostedBy; // present only if reposted
+    }
+
     const comments = postWithStuff.comments.map(serializeComment);
     const attachments = postWithStuff.attachments.map(serializeAttachment);
     const subscribersIds = _.compact(_.map(postWithStuff.destinations, 'user'));
@@ -51,6 +79,13 @@ export const show = compose([
     postWithStuff.likes.forEach((l) => allUserIds.add(l));
     postWithStuff.comments.forEach((c) => allUserIds.add(c.userId));
     postWithStuff.destinations.forEach((d) => allUserIds.add(d.user));
+    getPollVoters(postWithStuff.poll).forEach((v) => allUserIds.add(v));
+
+    if (sPost.quotedPost) {
+      allUserIds.add(sPost.quotedPost.createdBy);
+    }
+
+    (sPost.repostedBy || []).forEach((id) => allUserIds.add(id));
 
     const allGroupAdmins = await dbAdapter.getGroupsAdministratorsIds([...allUserIds], viewer && viewer.id);
     Object.values(allGroupAdmins).forEach((ids) => ids.forEach((s) => allUserIds.add(s)));
@@ -113,7 +148,7 @@ export const opengraph = compose([
             image = item.thumbnailUrl;
           } else if (`o` in item.imageSizes) {
             image_size = `o`; // Use original image if there are no thumbnails present
-            image = item.url;
+            image = item.imageSizes.o.fallbackUrl || item.url;
           } else {
             break;
           }
@@ -142,3 +177,13 @@ export const opengraph = compose([
     ctx.body = og;
   },
 ]);
+
+export const revisions = compose([
+  postAccessRequired(),
+  monitored('posts.revisions'),
+  async (ctx) => {
+    const { post } = ctx.state;
+    const previousRevisions = await dbAdapter.getPostRevisions(post.id);
+    ctx.body = { revisions: serializeRevisions(previousRevisions, post) };
+  },
+]);
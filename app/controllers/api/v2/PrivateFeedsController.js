@@ -0,0 +1,63 @@
+import compose from 'koa-compose';
+
+import { dbAdapter } from '../../../models';
+import { load as configLoader } from '../../../../config/config';
+import { createFeedToken } from '../../../support/auth-tokens';
+import { authRequired, monitored } from '../../middlewares';
+
+
+const config = configLoader();
+
+// Private feed URLs can not be managed using application tokens:
+// ctx.state.user is not set for such requests, so authRequired() rejects them.
+
+export const show = compose([
+  authRequired(),
+  monitored('private-feeds.show'),
+  async (ctx) => {
+    const feedToken = await dbAdapter.getUserFeedToken(ctx.state.user.id);
+    ctx.body = serializeFeedToken(feedToken);
+  },
+]);
+
+/**
+ * Creates the private feed URLs or replaces them with the new ones
+ */
+export const regenerate = compose([
+  authRequired(),
+  monitored('private-feeds.regenerate'),
+  async (ctx) => {
+    const feedToken = await createFeedToken(ctx.state.user);
+    ctx.body = serializeFeedToken(feedToken);
+  },
+]);
+
+export const revoke = compose([
+  authRequired(),
+  monitored('private-feeds.revoke'),
+  async (ctx) => {
+    await dbAdapter.deleteFeedToken(ctx.state.user.id);
+    ctx.body = serializeFeedToken(null);
+  },
+]);
+
+function serializeFeedToken(feedToken) {
+  if (!feedToken) {
+    return { secret: null, createdAt: null, urls: null };
+  }
+
+  const baseURL = `${config.host}/v2/private-rss/${feedToken.secret}`;
+  return {
+    secret:    feedToken.secret,
+    createdAt: feedToken.createdAt.toISOString(),
+    urls:      {
+      home:        `${baseURL}/home`,
+      discussions: `${baseURL}/discussions`,
+      directs:     `${baseURL}/directs`,
+      // Replace ':username' with the username of any user visible to you
+      timeline:    `${baseURL}/timelines/:username`,
+      // Replace ':listId' with the id of your list
+      list:        `${baseURL}/lists/:listId`,
+    },
+  };
+}
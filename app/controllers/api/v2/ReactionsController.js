@@ -0,0 +1,144 @@
+import compose from 'koa-compose';
+
+import { load as configLoader } from '../../../../config/config';
+import { dbAdapter, PubSub as pubSub } from '../../../models';
+import { ForbiddenException } from '../../../support/exceptions';
+import { serializeUsersByIds } from '../../../serializers/v2/user';
+import {
+  authRequired,
+  commentAccessRequired,
+  inputSchemaRequired,
+  monitored,
+  postAccessRequired,
+} from '../../middlewares';
+import { reactionInputSchema } from './data-schemes';
+
+
+const config = configLoader();
+
+export const emojis = compose([
+  monitored('reactions.emojis'),
+  (ctx) => {
+    ctx.body = { emojis: config.reactions.emojis };
+  },
+]);
+
+export const addToPost = compose([
+  authRequired(),
+  postAccessRequired(),
+  inputSchemaRequired(reactionInputSchema),
+  monitored('reactions.add-to-post'),
+  async (ctx) => {
+    const { user, post } = ctx.state;
+    const { emoji } = ctx.request.body;
+
+    if (!await dbAdapter.addPostReaction(post.id, user.id, emoji)) {
+      throw new ForbiddenException('You have already reacted to this post with this emoji');
+    }
+
+    await pubSub.newReaction(post.id, user.id, emoji);
+
+    const summary = await dbAdapter.getReactionsSummaryForPosts([post.id], user.id);
+    ctx.body = { reactions: summary[post.id] || [] };
+  },
+]);
+
+export const removeFromPost = compose([
+  authRequired(),
+  postAccessRequired(),
+  monitored('reactions.remove-from-post'),
+  async (ctx) => {
+    const { user, post } = ctx.state;
+    const { emoji } = ctx.params;
+
+    if (!await dbAdapter.removePostReaction(post.id, user.id, emoji)) {
+      throw new ForbiddenException("You haven't reacted to this post with this emoji");
+    }
+
+    await pubSub.removeReaction(post.id, user.id, emoji);
+
+    const summary = await dbAdapter.getReactionsSummaryForPosts([post.id], user.id);
+    ctx.body = { reactions: summary[post.id] || [] };
+  },
+]);
+
+export const listOfPost = compose([
+  postAccessRequired(),
+  monitored('reactions.list-of-post'),
+  async (ctx) => {
+    const { user: viewer, post } = ctx.state;
+    const reactions = await dbAdapter.getPostReactions(post.id, viewer && viewer.id);
+    ctx.body = await serializeReactionsList(reactions, viewer);
+  },
+]);
+
+export const addToComment = compose([
+  authRequired(),
+  commentAccessRequired(),
+  inputSchemaRequired(reactionInputSchema),
+  monitored('reactions.add-to-comment'),
+  async (ctx) => {
+    const { user, comment } = ctx.state;
+    const { emoji } = ctx.request.body;
+
+    if (!await dbAdapter.addCommentReaction(comment.id, user.id, emoji)) {
+      throw new ForbiddenException('You have already reacted to this comment with this emoji');
+    }
+
+    await pubSub.newCommentReaction(comment.id, comment.postId, user.id, emoji);
+
+    const summary = await dbAdapter.getReactionsSummaryForComments([comment.id], user.id);
+    ctx.body = { reactions: summary[comment.id] || [] };
+  },
+]);
+
+export const removeFromComment = compose([
+  authRequired(),
+  commentAccessRequired(),
+  monitored('reactions.remove-from-comment'),
+  async (ctx) => {
+    const { user, comment } = ctx.state;
+    const { emoji } = ctx.params;
+
+    if (!await dbAdapter.removeCommentReaction(comment.id, user.id, emoji)) {
+      throw new ForbiddenException("You haven't reacted to this comment with this emoji");
+    }
+
+    await pubSub.removeCommentReaction(comment.id, comment.postId, user.id, emoji);
+
+    const summary = await dbAdapter.getReactionsSummaryForComments([comment.id], user.id);
+    ctx.body = { reactions: summary[comment.id] || [] };
+  },
+]);
+
+export const listOfComment = compose([
+  commentAccessRequired(),
+  monitored('reactions.list-of-comment'),
+  async (ctx) => {
+    const { user: viewer, comment } = ctx.state;
+    const reactions = await dbAdapter.getCommentReactions(comment.id, viewer && viewer.id);
+    ctx.body = await serializeReactionsList(reactions, viewer);
+  },
+]);
+
+/**
+ * Groups reactions by emoji (in order of the first usage)
+ */
+async function serializeReactionsList(reactions, viewer) {
+  const byEmoji = new Map();
+
+  for (const { emoji, userId } of reactions) {
+    if (!byEmoji.has(emoji)) {
+      byEmoji.set(emoji, []);
+    }
+
+    byEmoji.get(emoji).push(userId);
+  }
+
+  const userIds = [...new Set(reactions.map((r) => r.userId))];
+
+  return {
+    reactions: [...byEmoji].map(([emoji, users]) => ({ emoji, users })),
+    users:     await serializeUsersByIds(userIds, false, viewer && viewer.id),
+  };
+}
@@ -0,0 +1,57 @@
+import compose from 'koa-compose';
+
+import { ForbiddenException, NotFoundException } from '../../../support/exceptions';
+import { authRequired, monitored, postAccessRequired } from '../../middlewares';
+import { show as showPost } from './PostsController';
+
+
+/**
+ * Places the existing post into the 'Posts' feed of the current user
+ */
+export const repost = compose([
+  authRequired(),
+  postAccessRequired(),
+  monitored('posts.repost'),
+  async (ctx) => {
+    const { user, post } = ctx.state;
+
+    const [postsFeedIntId, isDirect] = await Promise.all([
+      user.getPostsTimelineIntId(),
+      post.isStrictlyDirect(),
+    ]);
+
+    if (post.destinationFeedIds.includes(postsFeedIntId)) {
+      throw new ForbiddenException('This post is already in your feed');
+    }
+
+    if (isDirect) {
+      throw new ForbiddenException('You can not repost direct messages');
+    }
+
+    // Repost must not make the post visible to a wider audience
+    if ((post.isPrivate === '1' && user.isPrivate !== '1') || (post.isProtected === '1' && user.isProtected !== '1')) {
+      throw new ForbiddenException('You can not repost this post to your public feed');
+    }
+
+    if (!await post.addRepost(user)) {
+      throw new ForbiddenException('You have already reposted this post');
+    }
+
+    await showPost(ctx);
+  },
+]);
+
+export const unrepost = compose([
+  authRequired(),
+  postAccessRequired(),
+  monitored('posts.unrepost'),
+  async (ctx) => {
+    const { user, post } = ctx.state;
+
+    if (!await post.removeRepost(user)) {
+      throw new NotFoundException('You have not reposted this post');
+    }
+
+    await showPost(ctx);
+  },
+]);
@@ -0,0 +1,40 @@
+import compose from 'koa-compose';
+
+import { NotFoundException } from '../../../support/exceptions';
+import { serializeSavedPost } from '../../../serializers/v2/saved-post';
+import { authRequired, inputSchemaRequired, monitored, postAccessRequired } from '../../middlewares';
+import { savePostInputSchema } from './data-schemes';
+
+
+/**
+ * Saves post to the user's private 'Saves' feed. If the post is
+ * already saved, its note is replaced by the new one.
+ */
+export const save = compose([
+  authRequired(),
+  postAccessRequired(),
+  inputSchemaRequired(savePostInputSchema),
+  monitored('posts.save'),
+  async (ctx) => {
+    const { user, post } = ctx.state;
+    const { note = null } = ctx.request.body;
+
+    const savedPost = await post.save(user.id, (note && note.trim()) || null);
+    ctx.body = { savedPost: serializeSavedPost(savedPost) };
+  },
+]);
+
+export const unsave = compose([
+  authRequired(),
+  postAccessRequired(),
+  monitored('posts.unsave'),
+  async (ctx) => {
+    const { user, post } = ctx.state;
+
+    if (!await post.unsave(user.id)) {
+      throw new NotFoundException('This post is not saved');
+    }
+
+    ctx.body = {};
+  },
+]);
@@ -0,0 +1,104 @@
+import compose from 'koa-compose';
+
+import { dbAdapter } from '../../../models';
+import { ForbiddenException, NotFoundException } from '../../../support/exceptions';
+import { isScheduledPostBeingPublished } from '../../../support/ScheduledPosts';
+import { serializeScheduledPosts } from '../../../serializers/v2/scheduled-post';
+import { authRequired, inputSchemaRequired, monitored } from '../../middlewares';
+import {
+  checkDestNames,
+  checkPostAttachments,
+  checkPostBody,
+  checkPublishAt,
+} from '../v1/PostsController';
+import { scheduledPostUpdateInputSchema } from './data-schemes';
+
+
+// Scheduled posts are created by the POST /v1/posts request with the 'publishAt' parameter
+
+export const list = compose([
+  authRequired(),
+  monitored('scheduled-posts.list'),
+  async (ctx) => {
+    const scheduledPosts = await dbAdapter.getUserScheduledPosts(ctx.state.user.id);
+    ctx.body = await serializeScheduledPosts(scheduledPosts);
+  },
+]);
+
+export const show = compose([
+  authRequired(),
+  ownScheduledPostRequired(),
+  monitored('scheduled-posts.show'),
+  async (ctx) => {
+    ctx.body = await serializeScheduledPosts([ctx.state.scheduledPost]);
+  },
+]);
+
+export const update = compose([
+  authRequired(),
+  ownScheduledPostRequired(),
+  inputSchemaRequired(scheduledPostUpdateInputSchema),
+  monitored('scheduled-posts.update'),
+  async (ctx) => {
+    const { user, scheduledPost } = ctx.state;
+    const { body, attachments, feeds, commentsDisabled, publishAt } = ctx.request.body.scheduledPost;
+
+    if (feeds) {
+      await checkDestNames(feeds, user, ctx.state.appToken);
+    }
+
+    if (body) {
+      checkPostBody(body, user);
+    }
+
+    if (attachments) {
+      await checkPostAttachments(attachments, user);
+    }
+
+    if (publishAt) {
+      checkPublishAt(publishAt);
+    }
+
+    const updatedPost = await dbAdapter.updateScheduledPost(scheduledPost.id, {
+      body,
+      attachments,
+      destinationNames: feeds,
+      commentsDisabled,
+      publishAt:        publishAt && new Date(publishAt),
+    });
+
+    ctx.body = await serializeScheduledPosts([updatedPost]);
+  },
+]);
+
+export const cancel = compose([
+  authRequired(),
+  ownScheduledPostRequired(),
+  monitored('scheduled-posts.cancel'),
+  async (ctx) => {
+    await dbAdapter.deleteScheduledPost(ctx.state.scheduledPost.id);
+    ctx.body = {};
+  },
+]);
+
+function ownScheduledPostRequired() {
+  return async (ctx, next) => {
+    const scheduledPost = await dbAdapter.getScheduledPostById(ctx.params.scheduledPostId);
+
+    if (!scheduledPost) {
+      throw new NotFoundException('Scheduled post not found');
+    }
+
+    if (scheduledPost.userId !== ctx.state.user.id) {
+      throw new ForbiddenException('You can not manage this scheduled post');
+    }
+
+    // The post of the crashed worker can be updated or cancelled after its claim expires
+    if (isScheduledPostBeingPublished(scheduledPost) && ctx.method !== 'GET') {
+      throw new ForbiddenException('This post is being published right now');
+    }
+
+    ctx.state.scheduledPost = scheduledPost;
+    await next();
+  };
+}
@@ -3,6 +3,8 @@ import { dbAdapter } from '../../../models';
 import { NotFoundException, ForbiddenException } from '../../../support/exceptions';
 import { SearchQueryParser } from '../../../support/SearchQueryParser';
 import { serializePostsCollection } from '../../../serializers/v2/post';
+import { CURSOR_POSTS_BUMPED, getCursorParam, cutPage, getPageCursors } from '../../../support/cursors';
+import { getMuteRulesForTimeline, SEARCH_RESULTS } from '../../../support/mute-rules';
 
 
 export default class SearchController {
@@ -37,11 +39,16 @@ export default class SearchController {
     const requestedLimit = limit;
     limit++;
 
+    const cursor = getCursorParam(ctx.request.query, CURSOR_POSTS_BUMPED);
+
     const bannedUserIds = ctx.state.user ? await ctx.state.user.getBanIds() : [];
     const feedIntIdsBannedForUser = ctx.state.user ? await dbAdapter.getFeedsIntIdsOfUsersWhoBannedViewer(ctx.state.user.id) : [];
     const currentUserId = ctx.state.user ? ctx.state.user.id : null;
     const isAnonymous = !ctx.state.user;
     const visibleFeedIds = ctx.state.user ? [await ctx.state.user.getPostsTimelineIntId(), ...ctx.state.user.subscribedFeedIds] : [];
+    const collapseMuted = ctx.request.query.muted === 'collapse';
+    const muteRules = currentUserId ? getMuteRulesForTimeline(await dbAdapter.getActiveUserMuteRules(currentUserId), SEARCH_RESULTS) : [];
+    const searchMuteRules = collapseMuted ? [] : muteRules;
 
     if (ctx.request.query.qs.trim().length === 0) {
       // block "empty" queries for now, as they're too slow
@@ -53,6 +60,10 @@ export default class SearchController {
         throw new NotFoundException(`Group "${preparedQuery.group}" is not found`);
       }
 
+      if (isAnonymous && targetGroup.isProtected === '1') {
+        throw new ForbiddenException(`Please sign in to view group "${preparedQuery.group}"`);
+      }
+
       const groupPostsFeedId = await targetGroup.getPostsTimelineId();
       isSubscribed           = await dbAdapter.isUserSubscribedToTimeline(currentUserId, groupPostsFeedId);
 
@@ -76,7 +87,7 @@ export default class SearchController {
         targetUserId = targetUser.id;
       }
 
-      foundPosts = await dbAdapter.searchGroupPosts(preparedQuery, groupPostsFeedId, targetUserId, visibleFeedIds, bannedUserIds, feedIntIdsBannedForUser, offset, limit);
+      foundPosts = await dbAdapter.searchGroupPosts(preparedQuery, groupPostsFeedId, targetUserId, visibleFeedIds, bannedUserIds, feedIntIdsBannedForUser, offset, limit, cursor, searchMuteRules, currentUserId);
     } else if (preparedQuery.username) {
       if (preparedQuery.username === 'me') {
         throw new NotFoundException(`Please sign in to use 'from:me' operator`);
@@ -101,20 +112,24 @@ export default class SearchController {
         }
       }
 
-      foundPosts = await dbAdapter.searchUserPosts(preparedQuery, targetUser.id, visibleFeedIds, bannedUserIds, feedIntIdsBannedForUser, offset, limit);
+      foundPosts = await dbAdapter.searchUserPosts(preparedQuery, targetUser.id, visibleFeedIds, bannedUserIds, feedIntIdsBannedForUser, offset, limit, cursor, searchMuteRules, currentUserId);
     } else {
-      foundPosts = await dbAdapter.searchPosts(preparedQuery, currentUserId, visibleFeedIds, bannedUserIds, feedIntIdsBannedForUser, offset, limit);
+      foundPosts = await dbAdapter.searchPosts(preparedQuery, currentUserId, visibleFeedIds, bannedUserIds, feedIntIdsBannedForUser, offset, limit, cursor, searchMuteRules, currentUserId);
     }
 
-    const isLastPage = foundPosts.length <= requestedLimit;
+    const { items, isLastPage } = cutPage(foundPosts, requestedLimit, cursor);
+    const cursors = getPageCursors(CURSOR_POSTS_BUMPED, items, (p) => [p.cursor_date, p.uid]);
 
-    if (!isLastPage) {
-      foundPosts.length = requestedLimit;
-    }
-
-    const postsObjects = dbAdapter.initRawPosts(foundPosts, { currentUser: currentUserId });
+    const postsObjects = dbAdapter.initRawPosts(items, { currentUser: currentUserId });
     const postsCollectionJson = await serializePostsCollection(postsObjects, currentUserId);
 
-    ctx.body = { ...postsCollectionJson, isLastPage };
+    if (collapseMuted) {
+      const mutedPostsIds = await dbAdapter.getMutedPostsIds(items.map((p) => p.uid), muteRules, currentUserId);
+      postsCollectionJson.posts
+        .filter((p) => mutedPostsIds.includes(p.id))
+        .forEach((p) => p.isMuted = true);
+    }
+
+    ctx.body = { ...postsCollectionJson, isLastPage, cursors };
   };
 }
@@ -5,6 +5,7 @@ import { load as configLoader } from '../../../../config/config';
 import { serializePostsCollection } from '../../../serializers/v2/post';
 import { serializeUser } from '../../../serializers/v2/user';
 import { monitored, authRequired, targetUserRequired } from '../../middlewares';
+import { isScopeAllowed, SCOPE_DIRECTS } from '../../../support/auth-tokens';
 
 
 const config = configLoader();
@@ -37,6 +38,12 @@ export const generalSummary = compose([
       destinations = await dbAdapter.getUserNamedFeedsIntIds(currentUser.id, ['RiverOfNews']);
     }
 
+    if (!isScopeAllowed(ctx.state.appToken, SCOPE_DIRECTS)) {
+      // Direct messages are the posts of the viewer's 'Directs' feed
+      const [directsIntId] = await dbAdapter.getUserNamedFeedsIntIds(currentUser.id, ['Directs']);
+      destinations = destinations.filter((id) => id !== directsIntId);
+    }
+
     // Get posts current user subscribed to
     const foundPosts = await dbAdapter.getSummaryPosts(currentUser.id, days, destinations, activities, limit);
 
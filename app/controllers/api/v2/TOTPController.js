@@ -0,0 +1,115 @@
+import compose from 'koa-compose';
+
+import { dbAdapter } from '../../../models';
+import { ForbiddenException } from '../../../support/exceptions';
+import {
+  findCodeCounter,
+  generateRecoveryCodes,
+  generateSecret,
+  getProvisioningURI,
+  hashRecoveryCode,
+  verifySecondFactor,
+} from '../../../support/totp';
+import { authRequired, inputSchemaRequired, monitored } from '../../middlewares';
+import { totpStartInputSchema, totpCodeInputSchema } from './data-schemes';
+
+
+export const status = compose([
+  authRequired(),
+  monitored('totp.status'),
+  async (ctx) => {
+    const totp = await dbAdapter.getUserTOTP(ctx.state.user.id);
+    const enabled = !!totp && totp.isEnabled;
+    ctx.body = {
+      enabled,
+      recoveryCodesLeft: enabled ? totp.recoveryCodesLeft : 0,
+    };
+  },
+]);
+
+/**
+ * Starts the enrolment: generates a new secret that should be
+ * confirmed by the valid code (see 'enable' below)
+ */
+export const start = compose([
+  authRequired(),
+  inputSchemaRequired(totpStartInputSchema),
+  monitored('totp.start'),
+  async (ctx) => {
+    const { user } = ctx.state;
+
+    if (!await user.validPassword(ctx.request.body.password)) {
+      throw new ForbiddenException('The password you provided does not match the password in our system');
+    }
+
+    const totp = await dbAdapter.getUserTOTP(user.id);
+
+    if (totp && totp.isEnabled) {
+      throw new ForbiddenException('Two-factor authentication is already enabled');
+    }
+
+    const { secret } = await dbAdapter.setUserTOTPSecret(user.id, generateSecret());
+    ctx.body = { secret, provisioningURI: getProvisioningURI(secret, user.username) };
+  },
+]);
+
+export const enable = compose([
+  authRequired(),
+  inputSchemaRequired(totpCodeInputSchema),
+  monitored('totp.enable'),
+  async (ctx) => {
+    const { user } = ctx.state;
+    const totp = await dbAdapter.getUserTOTP(user.id);
+
+    if (!totp) {
+      throw new ForbiddenException('Two-factor authentication enrolment is not started');
+    }
+
+    if (totp.isEnabled) {
+      throw new ForbiddenException('Two-factor authentication is already enabled');
+    }
+
+    const counter = findCodeCounter(totp.secret, ctx.request.body.code.trim());
+
+    if (counter === null) {
+      throw new ForbiddenException('Invalid verification code');
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+    await dbAdapter.enableUserTOTP(user.id, recoveryCodes.map(hashRecoveryCode), counter);
+    ctx.body = { recoveryCodes };
+  },
+]);
+
+export const regenerateRecoveryCodes = compose([
+  authRequired(),
+  inputSchemaRequired(totpCodeInputSchema),
+  monitored('totp.recovery-codes'),
+  async (ctx) => {
+    const { user } = ctx.state;
+
+    if (!await verifySecondFactor(user.id, ctx.request.body.code)) {
+      throw new ForbiddenException('Invalid verification code');
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+    await dbAdapter.setUserTOTPRecoveryCodes(user.id, recoveryCodes.map(hashRecoveryCode));
+    ctx.body = { recoveryCodes };
+  },
+]);
+
+export const disable = compose([
+  authRequired(),
+  inputSchemaRequired(totpCodeInputSchema),
+  monitored('totp.disable'),
+  async (ctx) => {
+    const { user } = ctx.state;
+
+    if (!await verifySecondFactor(user.id, ctx.request.body.code)) {
+      throw new ForbiddenException('Invalid verification code');
+    }
+
+    await dbAdapter.deleteUserTOTP(user.id);
+    ctx.body = {};
+  },
+]);
@@ -4,9 +4,26 @@ import compose from 'koa-compose';
 
 import { dbAdapter } from '../../../models';
 import { load as configLoader } from '../../../../config/config';
-import { serializePostsCollection, serializePost, serializeComment, serializeAttachment } from '../../../serializers/v2/post';
-import { monitored, authRequired, targetUserRequired } from '../../middlewares';
+import {
+  serializePostsCollection,
+  serializePost,
+  serializeComment,
+  serializeAttachment,
+  serializePoll,
+  getPollVoters,
+  getQuotedPosts,
+} from '../../../serializers/v2/post';
+import { monitored, authRequired, targetUserRequired, listAccessRequired } from '../../middlewares';
 import { userSerializerFunction } from '../../../serializers/v2/user';
+import {
+  CURSOR_POSTS_BUMPED,
+  CURSOR_POSTS_CREATED,
+  getCursorParam,
+  cutPage,
+  getPageCursors,
+} from '../../../support/cursors';
+import { getMuteRulesForTimeline } from '../../../support/mute-rules';
+import { isScopeAllowed, SCOPE_DIRECTS } from '../../../support/auth-tokens';
 
 
 export const ORD_UPDATED = 'bumped';
@@ -47,17 +64,16 @@ export const bestOf = compose([
     const offset = parseInt(ctx.request.query.offset, 10) || 0;
     const limit =  parseInt(ctx.request.query.limit, 10) || DEFAULT_LIMIT;
 
-    const foundPosts = await dbAdapter.bestPosts(ctx.state.user, offset, limit + 1);
-    const isLastPage = foundPosts.length <= limit;
+    const cursor = getCursorParam(ctx.request.query, CURSOR_POSTS_BUMPED);
 
-    if (!isLastPage) {
-      foundPosts.length = limit;
-    }
+    const foundPosts = await dbAdapter.bestPosts(ctx.state.user, offset, limit + 1, cursor);
+    const { items, isLastPage } = cutPage(foundPosts, limit, cursor);
+    const cursors = getPageCursors(CURSOR_POSTS_BUMPED, items, (p) => [p.cursor_date, p.uid]);
 
-    const postsObjects = dbAdapter.initRawPosts(foundPosts, { currentUser: currentUserId });
+    const postsObjects = dbAdapter.initRawPosts(items, { currentUser: currentUserId });
     const postsCollectionJson = await serializePostsCollection(postsObjects, currentUserId);
 
-    ctx.body = { ...postsCollectionJson, isLastPage };
+    ctx.body = { ...postsCollectionJson, isLastPage, cursors };
   },
 ]);
 
@@ -93,11 +109,22 @@ export const userTimeline = (feedName) => compose([
     const timeline = await dbAdapter.getUserNamedFeed(targetUser.id, feedName);
     ctx.body = await genericTimeline(timeline, viewer ? viewer.id : null, {
       withoutDirects: (feedName !== 'Posts'),
+      withPinned:     (feedName === 'Posts'),
       ...getCommonParams(ctx),
     });
   },
 ]);
 
+export const listTimeline = compose([
+  authRequired(),
+  listAccessRequired(),
+  monitored('timelines.list-v2'),
+  async (ctx) => {
+    const { user, list } = ctx.state;
+    ctx.body = await genericTimeline(list, user.id, { withLocalBumps: true, ...getCommonParams(ctx) });
+  },
+]);
+
 export const metatags = compose([
   monitored(`timelines-metatags`),
   async (ctx) => {
@@ -109,9 +136,16 @@ export const metatags = compose([
       return;
     }
 
-    const rssURL = `${config.host}/v2/timelines-rss/${urlEscape(targetUser.username)}`;
-    const rssTitle = targetUser.isUser() ? `Posts of ${targetUser.username}` : `Posts in group ${targetUser.username}`;
-    ctx.body = `<link rel="alternate" type="application/rss+xml" title="${_.escape(rssTitle)}" href="${_.escape(rssURL)}" data-react-helmet="true">`;
+    const feedTitle = targetUser.isUser() ? `Posts of ${targetUser.username}` : `Posts in group ${targetUser.username}`;
+    const feeds = [
+      ['rss', 'application/rss+xml'],
+      ['atom', 'application/atom+xml'],
+      ['json', 'application/feed+json'],
+    ];
+    ctx.body = feeds.map(([format, type]) => {
+      const feedURL = `${config.host}/v2/timelines-${format}/${urlEscape(targetUser.username)}`;
+      return `<link rel="alternate" type="${type}" title="${_.escape(feedTitle)}" href="${_.escape(feedURL)}" data-react-helmet="true">`;
+    }).join('\n');
   },
 ]);
 
@@ -124,12 +158,18 @@ export const metatags = compose([
  * @param {string} [ctx.request.query.sort]           - Sort mode ('created' or 'updated')
  * @param {string} [ctx.request.query.with-my-posts]  - For filter/discussions only: return viewer's own
  *                                                      posts even without his likes or comments (default: no)
- * @param {string} [ctx.request.query.homefeed-mode]  - For RiverOfNews only: homefeed selection mode
+ * @param {string} [ctx.request.query.homefeed-mode]  - For RiverOfNews and lists only: homefeed selection mode
  * @param {string} [ctx.request.query.created-before] - Show only posts created before this datetime (ISO 8601)
  * @param {string} [ctx.request.query.created-after]  - Show only posts created after this datetime (ISO 8601)
+ * @param {string} [ctx.request.query.before]         - Show posts older than this cursor (see support/cursors.js)
+ * @param {string} [ctx.request.query.after]          - Show posts newer than this cursor
+ * @param {string} [ctx.request.query.muted]          - 'collapse' to return posts matched by the viewer's
+ *                                                      mute rules with the 'isMuted' flag (default: remove them)
  * @param {string} defaultSort                        - Default sort mode
  * @return {object}                                   - Object with the following sructure:
- *                                                      { limit:number, offset:number, sort:string, withMyPosts:boolean, hiddenCommentTypes: array }
+ *                                                      { limit:number, offset:number, sort:string, cursor:object|null,
+ *                                                        withMyPosts:boolean, hiddenCommentTypes: array,
+ *                                                        collapseMuted:boolean, withoutAnyDirects:boolean }
  */
 function getCommonParams(ctx, defaultSort = ORD_UPDATED) {
   const { query } = ctx.request;
@@ -167,7 +207,17 @@ function getCommonParams(ctx, defaultSort = ORD_UPDATED) {
     HOMEFEED_MODE_FRIENDS_ALL_ACTIVITY,
   ].includes(query['homefeed-mode']) ? query['homefeed-mode'] : HOMEFEED_MODE_CLASSIC;
   const hiddenCommentTypes = viewer ? viewer.getHiddenCommentTypes() : [];
-  return { limit, offset, sort, homefeedMode, withMyPosts, hiddenCommentTypes, createdBefore, createdAfter };
+  const cursor = getCursorParam(query, postsCursorKind(sort));
+  const collapseMuted = query.muted === 'collapse';
+  const withoutAnyDirects = !isScopeAllowed(ctx.state.appToken, SCOPE_DIRECTS);
+  return {
+    limit, offset, sort, cursor, homefeedMode, withMyPosts, hiddenCommentTypes,
+    createdBefore, createdAfter, collapseMuted, withoutAnyDirects,
+  };
+}
+
+function postsCursorKind(sort) {
+  return sort === ORD_CREATED ? CURSOR_POSTS_CREATED : CURSOR_POSTS_BUMPED;
 }
 
 async function genericTimeline(timeline, viewerId = null, params = {}) {
@@ -178,10 +228,15 @@ async function genericTimeline(timeline, viewerId = null, params = {}) {
     homefeedMode:       HOMEFEED_MODE_CLASSIC,
     withLocalBumps:     false,  // consider viewer local bumps (for RiverOfNews)
     withoutDirects:     false,  // do not show direct messages (for Likes and Comments)
+    withoutAnyDirects:  false,  // do not show any direct messages (for application tokens without the 'directs' scope)
     withMyPosts:        false,  // show viewer's own posts even without his likes or comments (for MyDiscussions)
     hiddenCommentTypes: [],     // dont show hidden/deleted comments of these hide_type's
     createdBefore:      null,
     createdAfter:       null,
+    cursor:             null,   // pagination cursor (offset is counted from the cursor position)
+    collapseMuted:      false,  // return posts matched by the mute rules with the 'isMuted' flag instead of removing them
+    mutedUsersIds:      [],     // hide posts, comments and likes of these users (set below)
+    withPinned:         false,  // show pinned posts at the top of the first page (for Posts)
     ...params,
   };
 
@@ -196,6 +251,7 @@ async function genericTimeline(timeline, viewerId = null, params = {}) {
   const allSubscribers = [];
 
   const { intId: hidesFeedId } = viewerId ? await dbAdapter.getUserNamedFeed(viewerId, 'Hides') : { intId: 0 };
+  const { intId: savesFeedId } = viewerId ? await dbAdapter.getUserNamedFeed(viewerId, 'Saves') : { intId: 0 };
 
   const timelineIds = [timeline.intId];
   const activityFeedIds = [];
@@ -208,6 +264,11 @@ async function genericTimeline(timeline, viewerId = null, params = {}) {
   const owner = await timeline.getUser();
   let canViewUser = true;
 
+  if (viewerId) {
+    // The muted user's own timelines are shown as is
+    params.mutedUsersIds = _.without(await dbAdapter.getUserMutedIds(viewerId), owner.id);
+  }
+
   if (timeline.name === 'MyDiscussions') {
     const srcIds = await Promise.all([
       owner.getCommentsTimelineIntId(),
@@ -247,21 +308,61 @@ async function genericTimeline(timeline, viewerId = null, params = {}) {
     } else if (params.homefeedMode === HOMEFEED_MODE_CLASSIC) {
       activityFeedIds.push(...activities);
     }
+  } else if (timeline.name === 'List') {
+    // Custom home feed: the same modes as for the RiverOfNews but only for the list members
+    const { destinations, activities, authors } = await dbAdapter.getListSourceFeedsIntIds(timeline.intId, viewerId);
+    timelineIds.length = 0;
+    timelineIds.push(...destinations);
+
+    if (params.homefeedMode === HOMEFEED_MODE_FRIENDS_ALL_ACTIVITY) {
+      timelineIds.push(...activities);
+      authorsIds.push(...authors);
+    } else if (params.homefeedMode === HOMEFEED_MODE_CLASSIC) {
+      activityFeedIds.push(...activities);
+    }
   }
 
-  const postsIds = canViewUser ?
-    await dbAdapter.getTimelinePostsIds(timeline.name, timelineIds, viewerId, { ...params, authorsIds, activityFeedIds, limit: params.limit + 1 }) :
-    [];
+  const muteRules = viewerId ? getMuteRulesForTimeline(await dbAdapter.getActiveUserMuteRules(viewerId), timeline.name) : [];
 
-  const isLastPage = postsIds.length <= params.limit;
+  // Pinned posts are shown only at the top of the first page. They are
+  // removed from the rest of this page and kept at their places on the other pages.
+  const isFirstPage = params.offset === 0 && !params.cursor && !params.createdBefore && !params.createdAfter;
+  let pinnedPostsIds = [];
 
-  if (!isLastPage) {
-    postsIds.length = params.limit;
+  if (params.withPinned && timeline.isPosts() && canViewUser && isFirstPage) {
+    const pinnedPosts = await dbAdapter.getPinnedPosts(owner.id);
+    const hiddenAuthorsIds = viewerId ? [...params.mutedUsersIds, ...await dbAdapter.getUsersBansOrWasBannedBy(viewerId)] : [];
+    pinnedPostsIds = pinnedPosts.filter((p) => !hiddenAuthorsIds.includes(p.userId)).map((p) => p.id);
+
+    if (!params.collapseMuted) {
+      pinnedPostsIds = _.difference(pinnedPostsIds, await dbAdapter.getMutedPostsIds(pinnedPostsIds, muteRules, viewerId));
+    }
   }
 
-  const postsWithStuff = await dbAdapter.getPostsWithStuffByIds(postsIds, viewerId, params);
+  const postsPage = canViewUser ?
+    await dbAdapter.getTimelinePostsPage(timeline.name, timelineIds, viewerId, {
+      ...params,
+      authorsIds,
+      activityFeedIds,
+      muteRules:        params.collapseMuted ? [] : muteRules,
+      excludedPostsIds: pinnedPostsIds,
+      limit:            params.limit + 1,
+    }) :
+    [];
+
+  const { items: pageItems, isLastPage } = cutPage(postsPage, params.limit, params.cursor);
+  const postsIds = [...pinnedPostsIds, ...pageItems.map((p) => p.id)];
+  const cursors = getPageCursors(postsCursorKind(params.sort), pageItems, (p) => [p.cursorDate, p.id]);
+
+  const [postsWithStuff, mutedPostsIds, savedNotes, repostersIds] = await Promise.all([
+    dbAdapter.getPostsWithStuffByIds(postsIds, viewerId, params),
+    params.collapseMuted ? dbAdapter.getMutedPostsIds(postsIds, muteRules, viewerId) : [],
+    viewerId ? dbAdapter.getSavedPostsNotes(viewerId, postsIds) : {},
+    dbAdapter.getPostsRepostersIds(postsIds),
+  ]);
+  const quotedPosts = await getQuotedPosts(_.map(postsWithStuff, 'post'), viewerId);
 
-  for (const { post, destinations, attachments, comments, likes, omittedComments, omittedLikes } of postsWithStuff) {
+  for (const { post, destinations, attachments, comments, likes, omittedComments, omittedLikes, poll } of postsWithStuff) {
     const sPost = {
       ...serializePost(post),
       postedTo:    destinations.map((d) => d.id),
@@ -270,12 +371,39 @@ async function genericTimeline(timeline, viewerId = null, params = {}) {
       likes,
       omittedComments,
       omittedLikes,
+      poll:        serializePoll(poll),
     };
 
     if (post.feedIntIds.includes(hidesFeedId)) {
       sPost.isHidden = true; // present only if true
     }
 
+    if (mutedPostsIds.includes(post.id)) {
+      sPost.isMuted = true; // present only if true
+    }
+
+    if (post.feedIntIds.includes(savesFeedId)) {
+      sPost.isSaved = true; // present only if true
+      sPost.savedNote = savedNotes[post.id] || null;
+    }
+
+    if (post.quotedPostId) {
+      sPost.quotedPost = quotedPosts[post.id]; // present only for quote posts
+
+      if (sPost.quotedPost) {
+        allUserIds.add(sPost.quotedPost.createdBy);
+      }
+    }
+
+    if (repostersIds[post.id]) {
+      sPost.repostedBy = repostersIds[post.id]; // present only if reposted
+      sPost.repostedBy.forEach((id) => allUserIds.add(id));
+    }
+
+    if (pinnedPostsIds.includes(post.id)) {
+      sPost.isPinned = true; // present only if true
+    }
+
     allPosts.push(sPost);
     allDestinations.push(...destinations);
     allSubscribers.push(..._.map(destinations, 'user'));
@@ -286,9 +414,15 @@ async function genericTimeline(timeline, viewerId = null, params = {}) {
     likes.forEach((l) => allUserIds.add(l));
     comments.forEach((c) => allUserIds.add(c.userId));
     destinations.forEach((d) => allUserIds.add(d.user));
+    getPollVoters(poll).forEach((v) => allUserIds.add(v));
   }
 
   const timelines = _.pick(timeline, ['id', 'name']);
+
+  if (timeline.isList()) {
+    timelines.title = timeline.title;
+  }
+
   timelines.user = timeline.userId;
   timelines.posts = postsIds;
   timelines.subscribers = canViewUser ? await dbAdapter.getTimelineSubscribersIds(timeline.id) : [];
@@ -325,6 +459,7 @@ async function genericTimeline(timeline, viewerId = null, params = {}) {
     subscribers,
     admins,
     isLastPage,
+    cursors,
     posts:       allPosts,
     comments:    _.compact(allComments),
     attachments: _.compact(allAttachments),
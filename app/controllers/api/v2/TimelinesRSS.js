@@ -6,9 +6,12 @@ import builder from 'xmlbuilder';
 import { load as configLoader } from '../../../../config/config';
 import { dbAdapter } from '../../../models';
 import { extractTitle, textToHTML } from '../../../support/rss-text-parser';
+import { getFeedTokenUser } from '../../../support/auth-tokens';
+import { BadRequestException, NotFoundException } from '../../../support/exceptions';
 import { monitored } from '../../middlewares';
 import { serializeComment } from '../../../serializers/v2/post';
-import { userTimeline, ORD_CREATED } from './TimelinesController';
+import { userTimeline, ownTimeline, listTimeline, ORD_CREATED } from './TimelinesController';
+import SearchController from './SearchController';
 
 
 const config = configLoader();
@@ -16,49 +19,307 @@ const SERVICE_NAME = 'FreeFeed.net';
 const TITILE_MAX_LEN = 60;
 const ommitBubblesThreshold = 600 * 1000; // 10 min in ms
 
-export const timelineRSS = compose([
-  monitored('timelines.rss'),
-  async (ctx) => {
-    ctx.request.sort = ORD_CREATED;
-    await userTimeline('Posts')(ctx);
+// Own feeds available by the private feed URLs
+const PRIVATE_FEEDS = {
+  RiverOfNews: {
+    title: (owner) => `Home feed of ${owner.username}`,
+    path:  '',
+  },
+  MyDiscussions: {
+    title: (owner) => `Discussions of ${owner.username}`,
+    path:  'filter/discussions',
+  },
+  Directs: {
+    title: (owner) => `Direct messages of ${owner.username}`,
+    path:  'filter/direct',
+  },
+  List: {
+    title: (owner, timeline) => `List "${timeline.title}" of ${owner.username}`,
+    path:  (timeline) => `list/${timeline.id}`,
+  },
+};
+
+export const timelineRSS = timelineFeed('timelines.rss', userTimeline('Posts'), 'application/xml', timelineToRSS);
+export const timelineAtom = timelineFeed('timelines.atom', userTimeline('Posts'), 'application/atom+xml', timelineToAtom);
+export const timelineJSONFeed = timelineFeed('timelines.json', userTimeline('Posts'), 'application/feed+json', timelineToJSONFeed);
+
+/**
+ * RSS of the own feed (RiverOfNews, MyDiscussions or Directs) of the private feed
+ * URL owner. The secret of URL grants only the read access to these feeds.
+ *
+ * @param {string} feedName
+ * @return {function}
+ */
+export const privateTimelineRSS = (feedName) => compose([
+  feedTokenRequired(),
+  timelineFeed(`timelines.private-rss.${feedName.toLowerCase()}`, ownTimeline(feedName), 'application/xml', timelineToRSS),
+]);
 
-    if (ctx.status !== 200) {
-      return;
-    }
+/**
+ * RSS of the user's 'Posts' timeline as it seen by the private feed URL owner
+ */
+export const privateUserTimelineRSS = compose([
+  feedTokenRequired(),
+  timelineFeed('timelines.private-rss.posts', userTimeline('Posts'), 'application/xml', timelineToRSS),
+]);
+
+/**
+ * RSS of the private feed URL owner's list (for example, a list of groups)
+ */
+export const privateListRSS = compose([
+  feedTokenRequired(),
+  timelineFeed('timelines.private-rss.list', listTimeline, 'application/xml', timelineToRSS),
+]);
 
-    ctx.type = 'application/xml';
-    ctx.body = await timelineToRSS(ctx.body, ctx);
+/**
+ * RSS of the search results for the 'qs' query parameter. The results are
+ * the same as of /v2/search for the same viewer.
+ */
+export const searchRSS = timelineFeed('search.rss', searchResults, 'application/xml', timelineToRSS);
+
+/**
+ * RSS of the hashtag search results
+ */
+export const hashtagRSS = compose([
+  (ctx, next) => {
+    ctx.request.query = { ...ctx.request.query, qs: `#${ctx.params.hashtag}` };
+    return next();
   },
+  searchRSS,
 ]);
 
-async function timelineToRSS(data, ctx) {
+function searchResults(ctx) {
+  if (typeof ctx.request.query.qs !== 'string') {
+    throw new BadRequestException('Search query is required');
+  }
+
+  return new SearchController().search(ctx);
+}
+
+/**
+ * Creates the handler of the timeline in the given feed format
+ *
+ * @param {string} monitorName
+ * @param {function} loadTimeline - the timeline controller
+ * @param {string} contentType
+ * @param {function} render - async (feed, ctx) => string
+ * @return {function}
+ */
+function timelineFeed(monitorName, loadTimeline, contentType, render) {
+  return compose([
+    monitored(monitorName),
+    async (ctx) => {
+      ctx.request.sort = ORD_CREATED;
+      await loadTimeline(ctx);
+
+      if (ctx.status !== 200) {
+        return;
+      }
+
+      const data = ctx.body;
+      ctx.type = contentType;
+
+      // Last-Modified is not set: the feed also changes when comments are
+      // added or posts are deleted, so the conditional requests are handled
+      // only by the ETag of the rendered feed (koa-etag and koa-conditional-get)
+      const feed = await timelineToFeed(data, ctx);
+      ctx.body = await render(feed, ctx);
+    },
+  ]);
+}
+
+/**
+ * Returns the last modification time of the timeline (or search results)
+ * data for the feed 'updated' field: the time of the latest post update or of
+ * the feed owner update
+ */
+function getLastModified(data) {
+  const owner = data.timelines && data.users.find((u) => u.id === data.timelines.user);
+  const times = [owner ? +owner.updatedAt || 0 : 0, ...data.posts.map((p) => +p.updatedAt)];
+  return new Date(Math.max(...times));
+}
+
+/**
+ * Sets ctx.state.user to the owner of the private feed URL secret
+ */
+function feedTokenRequired() {
+  return async (ctx, next) => {
+    const user = await getFeedTokenUser(ctx.params.secret);
+
+    if (!user) {
+      throw new NotFoundException('Feed is not found');
+    }
+
+    ctx.state.user = user;
+    await next();
+  };
+}
+
+/**
+ * Converts the timeline (or search results) data to the format-neutral feed object
+ */
+async function timelineToFeed(data, ctx) {
+  if (!data.timelines) {
+    return await searchResultsToFeed(data, ctx);
+  }
+
   const ownerId = data.timelines.user;
   const owner = data.users.find((u) => u.id === ownerId);
-  const isGroup = owner.type === 'group';
-  const feedTitle = isGroup ? `Posts in group ${owner.username}` : `Posts of ${owner.username}`;
+  const privateFeed = PRIVATE_FEEDS[data.timelines.name];
+  let feedTitle, feedLink;
+
+  if (privateFeed) {
+    feedTitle = privateFeed.title(owner, data.timelines);
+    const path = typeof privateFeed.path === 'function' ? privateFeed.path(data.timelines) : privateFeed.path;
+    feedLink = `${config.host}/${path}`;
+  } else {
+    feedTitle = owner.type === 'group' ? `Posts in group ${owner.username}` : `Posts of ${owner.username}`;
+    feedLink = `${config.host}/${urlEscape(owner.username)}`;
+  }
+
+  return {
+    title:       `${feedTitle} @ ${SERVICE_NAME}`,
+    username:    owner.username,
+    link:        feedLink,
+    description: privateFeed ? '' : owner.description,
+    userpic:     owner.profilePictureLargeUrl || config.profilePictures.defaultProfilePictureMediumUrl,
+    updatedAt:   getLastModified(data),
+    items:       await Promise.all(data.timelines.posts.map(
+      (postId) => postToFeedItem(postId, data, ctx, privateFeed ? null : owner)
+    )),
+  };
+}
+
+async function searchResultsToFeed(data, ctx) {
+  const { qs } = ctx.request.query;
+
+  return {
+    title:       `Search results for "${qs}" @ ${SERVICE_NAME}`,
+    username:    null,
+    link:        `${config.host}/search?qs=${encodeURIComponent(qs)}`,
+    description: '',
+    userpic:     config.profilePictures.defaultProfilePictureMediumUrl,
+    updatedAt:   getLastModified(data),
+    items:       await Promise.all(data.posts.map((post) => postToFeedItem(post.id, data, ctx))),
+  };
+}
+
+function timelineToRSS(feed) {
   const rss = builder.create('rss')
     .att('version', '2.0')
   const channel = rss
     .ele('channel')
-    .ele('title', {}, `${feedTitle} @ ${SERVICE_NAME}`).up()
-    .ele('link', {}, `${config.host}/${urlEscape(owner.username)}`).up()
-    .ele('description', {}, owner.description).up();
+    .ele('title', {}, feed.title).up()
+    .ele('link', {}, feed.link).up()
+    .ele('description', {}, feed.description).up();
 
-  const userpic = owner.profilePictureLargeUrl || config.profilePictures.defaultProfilePictureMediumUrl;
   channel.ele('image')
-    .ele('url', {}, userpic).up()
-    .ele('title', {}, `${feedTitle} @ ${SERVICE_NAME}`).up()
-    .ele('link', {}, `${config.host}/${urlEscape(owner.username)}`).up();
+    .ele('url', {}, feed.userpic).up()
+    .ele('title', {}, feed.title).up()
+    .ele('link', {}, feed.link).up();
 
-  const postMakers = await Promise.all(data.timelines.posts.map((postId) => postItemMaker(postId, data, ctx)));
+  for (const entry of feed.items) {
+    const item = channel.ele('item')
+      .ele('guid', {}, `freefeed:post:${entry.id}`).up()
+      .ele('pubDate', {}, entry.createdAt.toGMTString()).up()
+      .ele('link', {}, entry.link).up()
+      .ele('author', {}, entry.author.username).up()
+      .ele('title', {}, entry.title).up()
+      .ele('description', {}, entry.html).up();
+
+    if (entry.isPinned) {
+      item.ele('category', {}, 'pinned');
+    }
 
-  for (const mk of postMakers) {
-    mk(channel);
+    for (const attach of entry.attachments) {
+      item.ele('enclosure')
+        .att('url', attach.url)
+        .att('length', attach.fileSize)
+        .att('type', attachMimeType(attach));
+    }
   }
 
   return rss.end({ pretty: true });
 }
 
+function timelineToAtom(feed) {
+  const atom = builder.create('feed')
+    .att('xmlns', 'http://www.w3.org/2005/Atom')
+    .ele('id', {}, feed.link).up()
+    .ele('title', {}, feed.title).up()
+    .ele('subtitle', {}, feed.description).up()
+    .ele('link', { rel: 'alternate', type: 'text/html', href: feed.link }).up()
+    .ele('link', {
+      rel:  'self',
+      type: 'application/atom+xml',
+      href: `${config.host}/v2/timelines-atom/${urlEscape(feed.username)}`,
+    }).up()
+    .ele('updated', {}, feed.updatedAt.toISOString()).up()
+    .ele('icon', {}, feed.userpic).up();
+
+  for (const entry of feed.items) {
+    const item = atom.ele('entry')
+      .ele('id', {}, `urn:uuid:${entry.id}`).up()
+      .ele('title', {}, entry.title).up()
+      .ele('link', { rel: 'alternate', type: 'text/html', href: entry.link }).up()
+      .ele('published', {}, entry.createdAt.toISOString()).up()
+      .ele('updated', {}, entry.updatedAt.toISOString()).up()
+      .ele('author')
+      .ele('name', {}, entry.author.username).up()
+      .ele('uri', {}, entry.author.link).up()
+      .up()
+      .ele('content', { type: 'html' }, entry.html).up();
+
+    if (entry.isPinned) {
+      item.ele('category', { term: 'pinned' });
+    }
+
+    for (const attach of entry.attachments) {
+      item.ele('link', {
+        rel:    'enclosure',
+        href:   attach.url,
+        type:   attachMimeType(attach),
+        length: attach.fileSize,
+      });
+    }
+  }
+
+  return atom.end({ pretty: true });
+}
+
+/**
+ * JSON Feed 1.1, see https://jsonfeed.org/version/1.1
+ */
+function timelineToJSONFeed(feed) {
+  const jsonFeed = {
+    version:       'https://jsonfeed.org/version/1.1',
+    title:         feed.title,
+    home_page_url: feed.link,
+    feed_url:      `${config.host}/v2/timelines-json/${urlEscape(feed.username)}`,
+    description:   feed.description,
+    icon:          feed.userpic,
+    authors:       [{ name: feed.username, url: feed.link, avatar: feed.userpic }],
+    items:         feed.items.map((entry) => ({
+      id:             entry.id,
+      url:            entry.link,
+      title:          entry.title,
+      content_html:   entry.html,
+      date_published: entry.createdAt.toISOString(),
+      date_modified:  entry.updatedAt.toISOString(),
+      authors:        [{ name: entry.author.username, url: entry.author.link, avatar: entry.author.userpic }],
+      tags:           entry.isPinned ? ['pinned'] : undefined,
+      attachments:    entry.attachments.map((attach) => ({
+        url:           attach.url,
+        mime_type:     attachMimeType(attach),
+        title:         attach.title || attach.fileName,
+        size_in_bytes: +attach.fileSize,
+      })),
+    })),
+  };
+
+  return JSON.stringify(jsonFeed);
+}
+
 function attachMimeType({ url, mediaType }) {
   const m = /\.(\w+)$/.exec(url)
   const ext = m ? m[1] : '';
@@ -70,6 +331,12 @@ function attachMimeType({ url, mediaType }) {
       return 'image/gif';
     } else if (ext === 'svg') {
       return 'image/svg+xml';
+    } else if (ext === 'webp') {
+      return 'image/webp';
+    } else if (ext === 'avif') {
+      return 'image/avif';
+    } else if (ext === 'heic') {
+      return 'image/heic';
     }
 
     return 'image/jpeg';
@@ -83,24 +350,43 @@ function attachMimeType({ url, mediaType }) {
     }
 
     return 'audio/mpeg';
+  } else if (mediaType === 'video') {
+    if (ext === 'webm') {
+      return 'video/webm';
+    } else if (ext === 'mov') {
+      return 'video/quicktime';
+    }
+
+    return 'video/mp4';
   }
 
   return 'application/octet-stream';
 }
 
-async function postItemMaker(postId, data, ctx) {
-  const ownerId = data.timelines.user;
-  const feedOwner = data.users.find((u) => u.id === ownerId);
-  const isGroup = feedOwner.type === 'group';
+/**
+ * Converts the post to the format-neutral feed item. The feedOwner is null for
+ * the feeds that contain posts of many authors and destinations (RiverOfNews,
+ * search results etc.)
+ */
+async function postToFeedItem(postId, data, ctx, feedOwner = null) {
+  const isMixedFeed = !feedOwner;
 
   const post = data.posts.find((p) => p.id === postId);
   const author = data.users.find((u) => u.id === post.createdBy);
   let title = extractTitle(post.body, TITILE_MAX_LEN);
 
-  if (isGroup) {
+  if (isMixedFeed || feedOwner.type === 'group') {
     title = `${author.username}: ${title}`;
   }
 
+  let postOwner = feedOwner;
+
+  if (isMixedFeed) {
+    const destination = data.subscriptions.find((s) => s.id === post.postedTo[0]);
+    const destOwner = destination && [...data.users, ...data.subscribers].find((u) => u.id === destination.user);
+    postOwner = destOwner || author;
+  }
+
   const userpic = author.profilePictureLargeUrl || config.profilePictures.defaultProfilePictureMediumUrl;
   const descriptionLines = [
     `<p class="freefeed-author">`,
@@ -115,7 +401,8 @@ async function postItemMaker(postId, data, ctx) {
   const attachments = post.attachments.map((id) => data.attachments.find((a) => a.id === id));
   const imageAtts = attachments.filter(({ mediaType }) => mediaType === 'image');
   const audioAtts = attachments.filter(({ mediaType }) => mediaType === 'audio');
-  const otherAtts = attachments.filter(({ mediaType }) => mediaType !== 'image' && mediaType !== 'audio');
+  const videoAtts = attachments.filter(({ mediaType }) => mediaType === 'video');
+  const otherAtts = attachments.filter(({ mediaType }) => !['image', 'audio', 'video'].includes(mediaType));
 
   if (imageAtts.length > 0) {
     const tags = imageAtts.map((a) => {
@@ -134,6 +421,11 @@ async function postItemMaker(postId, data, ctx) {
   descriptionLines.push(...audioAtts.map(
     (a) => `<p class="freefeed-attachment">🎵 <a href="${htmlEscape(a.url)}">${htmlEscape(a.title ? `${a.title} (${a.fileName})` : a.fileName)}</a></p>`)
   );
+  descriptionLines.push(...videoAtts.map((a) => {
+    const sz = a.imageSizes.t;
+    const poster = sz ? `<img src="${htmlEscape(sz.url)}" width="${htmlEscape(sz.w)}" height="${htmlEscape(sz.h)}"><br>` : '';
+    return `<p class="freefeed-attachment">${poster}🎬 <a href="${htmlEscape(a.url)}">${htmlEscape(a.fileName)}</a></p>`;
+  }));
   descriptionLines.push(...otherAtts.map(
     (a) => `<p class="freefeed-attachment">📄 <a href="${htmlEscape(a.url)}">${htmlEscape(a.fileName)}</a></p>`)
   );
@@ -161,22 +453,21 @@ async function postItemMaker(postId, data, ctx) {
     }
   }
 
-  return (channel) => {
-    const item = channel.ele('item')
-      .ele('guid', {}, `freefeed:post:${post.id}`).up()
-      .ele('pubDate', {}, new Date(+post.createdAt).toGMTString()).up()
-      .ele('link', {}, `${config.host}/${urlEscape(feedOwner.username)}/${urlEscape(post.id)}`).up()
-      .ele('author', {}, author.username).up()
-      .ele('title', {}, title).up()
-      .ele('description', {}, descriptionLines.join('\n')).up();
-
-    for (const attach of attachments) {
-      item.ele('enclosure')
-        .att('url', attach.url)
-        .att('length', attach.fileSize)
-        .att('type', attachMimeType(attach));
-    }
-  }
+  return {
+    id:        post.id,
+    title,
+    link:      `${config.host}/${urlEscape(postOwner.username)}/${urlEscape(post.id)}`,
+    html:      descriptionLines.join('\n'),
+    createdAt: new Date(+post.createdAt),
+    updatedAt: new Date(+(post.editedAt || post.createdAt)),
+    isPinned:  !!post.isPinned,
+    author:    {
+      username: author.username,
+      link:     `${config.host}/${urlEscape(author.username)}`,
+      userpic,
+    },
+    attachments,
+  };
 }
 
 async function loadAllComments(postId, ctx) {
@@ -2,8 +2,9 @@ import compose from 'koa-compose';
 import _ from 'lodash'
 import monitor from 'monitor-dog'
 import { dbAdapter, PubSub as pubSub } from '../../../models'
-import { serializeSelfUser, serializeUser } from '../../../serializers/v2/user'
-import { monitored, authRequired } from '../../middlewares';
+import { serializeSelfUser, serializeUser, serializeUsersByIds } from '../../../serializers/v2/user'
+import { monitored, authRequired, targetUserRequired } from '../../middlewares';
+import { ForbiddenException } from '../../../support/exceptions';
 
 
 export default class UsersController {
@@ -26,6 +27,58 @@ export default class UsersController {
     ctx.body = result
   }
 
+  static mutedByMe = compose([
+    authRequired(),
+    monitored('users.muted-by-me'),
+    async (ctx) => {
+      const { user } = ctx.state;
+      const mutedIds = await dbAdapter.getUserMutedIds(user.id);
+      ctx.body = { users: await serializeUsersByIds(mutedIds, false, user.id) };
+    },
+  ]);
+
+  /**
+   * Silently hides the target user's posts, comments, likes and
+   * notifications from the viewer. The target user is not informed.
+   */
+  static mute = compose([
+    authRequired(),
+    targetUserRequired(),
+    monitored('users.mute'),
+    async (ctx) => {
+      const { user, targetUser } = ctx.state;
+
+      if (!targetUser.isUser()) {
+        throw new ForbiddenException('You can not mute a group');
+      }
+
+      if (targetUser.id === user.id) {
+        throw new ForbiddenException('You can not mute yourself');
+      }
+
+      if (!await dbAdapter.createUserMute(user.id, targetUser.id)) {
+        throw new ForbiddenException('You have already muted this user');
+      }
+
+      ctx.body = {};
+    },
+  ]);
+
+  static unmute = compose([
+    authRequired(),
+    targetUserRequired(),
+    monitored('users.unmute'),
+    async (ctx) => {
+      const { user, targetUser } = ctx.state;
+
+      if (!await dbAdapter.deleteUserMute(user.id, targetUser.id)) {
+        throw new ForbiddenException('You have not muted this user');
+      }
+
+      ctx.body = {};
+    },
+  ]);
+
   static async getUnreadDirectsNumber(ctx) {
     if (!ctx.state.user) {
       ctx.status = 401;
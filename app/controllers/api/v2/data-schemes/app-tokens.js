@@ -0,0 +1,33 @@
+import { APP_TOKEN_SCOPES } from '../../../../support/auth-tokens';
+
+
+const title = {
+  type:      'string',
+  minLength: 1,
+  maxLength: 250,
+  pattern:   '\\S'
+};
+
+export const appTokenCreateInputSchema = {
+  '$schema': 'http://json-schema.org/schema#',
+
+  type:       'object',
+  required:   ['title', 'scopes'],
+  properties: {
+    title,
+    scopes: {
+      type:        'array',
+      minItems:    1,
+      uniqueItems: true,
+      items:       { type: 'string', enum: APP_TOKEN_SCOPES },
+    },
+  }
+};
+
+export const appTokenUpdateInputSchema = {
+  '$schema': 'http://json-schema.org/schema#',
+
+  type:       'object',
+  required:   ['title'],
+  properties: { title },
+};
@@ -0,0 +1,17 @@
+export const attachmentUploadInputSchema = {
+  '$schema': 'http://json-schema.org/schema#',
+
+  type:       'object',
+  required:   ['upload'],
+  properties: {
+    upload: {
+      type:       'object',
+      required:   ['fileName', 'fileSize'],
+      properties: {
+        fileName: { type: 'string', minLength: 1, maxLength: 255, pattern: '\\S' },
+        fileSize: { type: 'integer', minimum: 1 },
+        mimeType: { type: 'string', maxLength: 255 },
+      },
+    },
+  },
+};
@@ -0,0 +1,37 @@
+import { load as configLoader } from '../../../../../config/config';
+import definitions from '../../v1/data-schemes/definitions';
+
+
+const config = configLoader();
+
+// Drafts can be incomplete, so all fields are optional and the body can be empty
+const draftProperties = {
+  body:        { type: 'string' },
+  attachments: {
+    type:        'array',
+    items:       { '$ref': '#/definitions/uuid' },
+    maxItems:    config.attachments.maxCount,
+    uniqueItems: true,
+  },
+  feeds: {
+    type:        'array',
+    items:       { '$ref': '#/definitions/accountName' },
+    uniqueItems: true,
+  },
+  commentsDisabled: { type: 'boolean' },
+};
+
+export const draftInputSchema = {
+  '$schema': 'http://json-schema.org/schema#',
+
+  definitions,
+
+  type:       'object',
+  required:   ['draft'],
+  properties: {
+    draft: {
+      type:       'object',
+      properties: draftProperties,
+    }
+  }
+};
@@ -0,0 +1,10 @@
+export { appTokenCreateInputSchema, appTokenUpdateInputSchema } from './app-tokens';
+export { totpStartInputSchema, totpCodeInputSchema } from './totp';
+export { scheduledPostUpdateInputSchema } from './scheduled-posts';
+export { draftInputSchema } from './drafts';
+export { pollVoteInputSchema } from './polls';
+export { reactionInputSchema } from './reactions';
+export { listInputSchema, listMembersInputSchema } from './lists';
+export { muteRuleInputSchema } from './mute-rules';
+export { savePostInputSchema } from './saved-posts';
+export { attachmentUploadInputSchema } from './attachment-uploads';
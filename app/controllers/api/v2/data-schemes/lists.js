@@ -0,0 +1,42 @@
+import definitions from '../../v1/data-schemes/definitions';
+
+
+export const listInputSchema = {
+  '$schema': 'http://json-schema.org/schema#',
+
+  definitions,
+
+  type:       'object',
+  required:   ['list'],
+  properties: {
+    list: {
+      type:       'object',
+      required:   ['title'],
+      properties: {
+        title:   { type: 'string', minLength: 1, maxLength: 100, pattern: '\\S' },
+        members: {
+          type:        'array',
+          items:       { '$ref': '#/definitions/accountName' },
+          uniqueItems: true,
+        },
+      },
+    },
+  },
+};
+
+export const listMembersInputSchema = {
+  '$schema': 'http://json-schema.org/schema#',
+
+  definitions,
+
+  type:       'object',
+  required:   ['members'],
+  properties: {
+    members: {
+      type:        'array',
+      items:       { '$ref': '#/definitions/accountName' },
+      minItems:    1,
+      uniqueItems: true,
+    },
+  },
+};
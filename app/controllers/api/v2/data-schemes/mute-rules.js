@@ -0,0 +1,23 @@
+export const muteRuleInputSchema = {
+  '$schema': 'http://json-schema.org/schema#',
+
+  type:       'object',
+  required:   ['rule'],
+  properties: {
+    rule: {
+      type:       'object',
+      required:   ['type', 'pattern', 'scope'],
+      properties: {
+        type:      { enum: ['keyword', 'hashtag', 'regex'] },
+        pattern:   { type: 'string', minLength: 1, maxLength: 200, pattern: '\\S' },
+        scope:     { enum: ['home', 'discussions', 'everywhere'] },
+        expiresAt: {
+          anyOf: [
+            { type: 'null' },
+            { type: 'string', format: 'date-time' },
+          ],
+        },
+      },
+    },
+  },
+};
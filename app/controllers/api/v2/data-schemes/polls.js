@@ -0,0 +1,15 @@
+export const pollVoteInputSchema = {
+  '$schema': 'http://json-schema.org/schema#',
+
+  type:       'object',
+  required:   ['options'],
+  properties: {
+    options: {
+      title:       'Indices of the chosen options',
+      type:        'array',
+      minItems:    1,
+      uniqueItems: true,
+      items:       { type: 'integer', minimum: 0 },
+    },
+  },
+};
@@ -0,0 +1,12 @@
+import { load as configLoader } from '../../../../../config/config';
+
+
+const config = configLoader();
+
+export const reactionInputSchema = {
+  '$schema': 'http://json-schema.org/schema#',
+
+  type:       'object',
+  required:   ['emoji'],
+  properties: { emoji: { enum: config.reactions.emojis } },
+};
@@ -0,0 +1,14 @@
+export const savePostInputSchema = {
+  '$schema': 'http://json-schema.org/schema#',
+
+  type:       'object',
+  properties: {
+    note: {
+      title: 'Private note to the saved post',
+      anyOf: [
+        { type: 'null' },
+        { type: 'string', maxLength: 1000 },
+      ],
+    },
+  },
+};
@@ -0,0 +1,40 @@
+import { load as configLoader } from '../../../../../config/config';
+import definitions from '../../v1/data-schemes/definitions';
+
+
+const config = configLoader();
+
+export const scheduledPostUpdateInputSchema = {
+  '$schema': 'http://json-schema.org/schema#',
+
+  definitions,
+
+  type:       'object',
+  required:   ['scheduledPost'],
+  properties: {
+    scheduledPost: {
+      type:       'object',
+      required:   [],
+      properties: {
+        body: {
+          type:      'string',
+          minLength: 1,
+          pattern:   '\\S'
+        },
+        attachments: {
+          type:        'array',
+          items:       { '$ref': '#/definitions/uuid' },
+          maxItems:    config.attachments.maxCount,
+          uniqueItems: true,
+        },
+        feeds: {
+          type:     'array',
+          minItems: 1,
+          items:    { '$ref': '#/definitions/accountName' }
+        },
+        commentsDisabled: { type: 'boolean' },
+        publishAt:        { type: 'string', format: 'date-time' },
+      }
+    }
+  }
+};
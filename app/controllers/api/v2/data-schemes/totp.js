@@ -0,0 +1,15 @@
+export const totpStartInputSchema = {
+  '$schema': 'http://json-schema.org/schema#',
+
+  type:       'object',
+  required:   ['password'],
+  properties: { password: { type: 'string' } },
+};
+
+export const totpCodeInputSchema = {
+  '$schema': 'http://json-schema.org/schema#',
+
+  type:       'object',
+  required:   ['code'],
+  properties: { code: { type: 'string', minLength: 1 } },
+};
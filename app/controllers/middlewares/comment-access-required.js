@@ -0,0 +1,51 @@
+import compose from 'koa-compose';
+
+import { ForbiddenException, NotFoundException } from '../../support/exceptions';
+import { dbAdapter, Comment } from '../../models';
+import { postAccessRequired } from './post-access-required';
+
+
+/**
+ * Loads comment (by the 'commentId' parameter) and its post to the
+ * ctx.state.comment and ctx.state.post and checks that viewer can see them.
+ * With the 'mustBeVisible' option the hidden comments and comments of the
+ * authors banned by viewer are not accessible.
+ *
+ * @param {object} options
+ */
+export function commentAccessRequired({ mustBeVisible = true } = {}) {
+  return compose([
+    async (ctx, next) => {
+      const comment = await dbAdapter.getCommentById(ctx.params.commentId);
+
+      if (!comment) {
+        throw new NotFoundException("Can't find comment");
+      }
+
+      ctx.state.comment = comment;
+      // for the postAccessRequired check
+      ctx.params.postId = comment.postId;
+      await next();
+    },
+    postAccessRequired(),
+    async (ctx, next) => {
+      const { user: viewer, comment } = ctx.state;
+
+      if (mustBeVisible) {
+        if (comment.hideType !== Comment.VISIBLE) {
+          throw new ForbiddenException('This comment is hidden');
+        }
+
+        if (viewer) {
+          const banIds = await viewer.getBanIds();
+
+          if (banIds.includes(comment.userId)) {
+            throw new ForbiddenException('You have banned the author of this comment');
+          }
+        }
+      }
+
+      await next();
+    },
+  ]);
+}
@@ -1,5 +1,5 @@
 import monitorDog from 'monitor-dog';
-import { NotAuthorizedException } from '../../support/exceptions';
+import { ForbiddenException, NotAuthorizedException } from '../../support/exceptions';
 
 /**
  * Middleware that monitors requests count and duration
@@ -47,6 +47,31 @@ export function authRequired() {
   };
 }
 
+/**
+ * Middleware that allows requests authorized by application tokens
+ * having the given scope. Requests authorized by the application tokens
+ * are treated as anonymous on the routes without this middleware.
+ *
+ * @param {string} scope
+ */
+export function tokenScopeRequired(scope) {
+  return async (ctx, next) => {
+    const { appToken, appTokenUser } = ctx.state;
+
+    if (appToken) {
+      if (!appToken.scopes.includes(scope)) {
+        throw new ForbiddenException(`This application token does not have the '${scope}' scope`);
+      }
+
+      ctx.state.user = appTokenUser;
+    }
+
+    await next();
+  };
+}
+
 export { postAccessRequired } from './post-access-required';
 export { targetUserRequired } from './target-user-required';
 export { inputSchemaRequired } from './input-schema-required';
+export { commentAccessRequired } from './comment-access-required';
+export { listAccessRequired } from './list-access-required';
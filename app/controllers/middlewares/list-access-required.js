@@ -0,0 +1,21 @@
+import { NotFoundException } from '../../support/exceptions';
+import { dbAdapter } from '../../models';
+
+
+/**
+ * Loads the viewer's list (by the 'listId' parameter) to the ctx.state.list.
+ * Lists are personal, so the lists of other users are not found.
+ */
+export function listAccessRequired() {
+  return async (ctx, next) => {
+    const { user: viewer } = ctx.state;
+    const list = await dbAdapter.getListById(ctx.params.listId);
+
+    if (!list || !viewer || list.userId !== viewer.id) {
+      throw new NotFoundException("Can't find list");
+    }
+
+    ctx.state.list = list;
+    await next();
+  };
+}
@@ -1,5 +1,6 @@
 import { ForbiddenException, NotFoundException, ServerErrorException } from '../../support/exceptions';
 import { dbAdapter } from '../../models';
+import { isScopeAllowed, SCOPE_DIRECTS } from '../../support/auth-tokens';
 
 
 export function postAccessRequired(map = { postId: 'post' }) {
@@ -30,6 +31,10 @@ export function postAccessRequired(map = { postId: 'post' }) {
         throw forbidden();
       }
 
+      if (!isScopeAllowed(ctx.state.appToken, SCOPE_DIRECTS) && await post.isStrictlyDirect()) {
+        throw forbidden(`This application token does not have the '${SCOPE_DIRECTS}' scope`);
+      }
+
       ctx.state[map[key]] = post;
     }));
 
@@ -356,6 +356,46 @@ export class DataProvider {
 
     process.stdout.write('\n');
 
+    process.stdout.write(`- getting user's saved posts: `);
+
+    {  // Saved posts (bookmarks) with the private notes
+      const sql = `SELECT "sp".*, "u"."uid", "u"."username", "u"."screen_name" FROM "saved_posts" AS "sp" INNER JOIN "posts" AS "p" ON "p"."uid" = "sp"."post_id" INNER JOIN "users" AS "u" ON "u"."uid" = "p"."user_id" WHERE "sp"."user_id" = $1`;
+      const cursor = pg.query(new PgCursor(sql, [user.id]));
+      const read = promisify(cursor.read).bind(cursor);
+
+      while (true) {  // eslint-disable-line no-constant-condition
+        const rows = await read(100);
+
+        if (rows.length === 0) {
+          cursor.close(noop);
+          break;
+        }
+
+        process.stdout.write('.');
+
+        for (const saveRow of rows) {
+          const postResourceId = `urn:uuid:${saveRow.post_id}`;
+          const saveId = `${frf}${saveRow.post_id}/save/${user.id}`;
+
+          await addQuad(schemaType(saveId, 'BookmarkAction'));
+          await addQuad(actionAgent(saveId, blogId));
+          await addQuad(actionObject(saveId, postResourceId));
+          await addQuad(actionStart(saveId, fixIso(saveRow.created_at)));
+          await addQuad(objUrl(postResourceId, `https://freefeed.net/${saveRow.username}/${saveRow.post_id}`));
+
+          if (saveRow.note) {
+            await addQuad(objDescription(saveId, saveRow.note));
+          }
+
+          if (saveRow.uid !== userUuid) {
+            otherUsers.add({ uid: saveRow.uid, username: saveRow.username, screen_name: saveRow.screen_name });
+          }
+        }
+      }
+    }
+
+    process.stdout.write('\n');
+
     const downloadUrls = [];
     process.stdout.write(`- getting user's attachments: `);
 
@@ -364,6 +404,7 @@ export class DataProvider {
         'audio':   'AudioObject',
         'general': 'DataDownload',
         'image':   'ImageObject',
+        'video':   'VideoObject',
       };
 
       const sql = `SELECT * FROM "attachments" WHERE "user_id" = $1`;  // using '$1' instead of '?' as we're VERY close to postgres in this call
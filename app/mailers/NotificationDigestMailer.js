@@ -243,6 +243,15 @@ const notificationTemplates = {
       ${unsubscriberLink} unsubscribed from ${groupLink}<br />
       ${eventTime}
     `;
+  },
+  post_quoted: (eventData) => {
+    const quoterLink = makeUserLink(eventData.creator);
+    const postLink = makePostLink(eventData.postId, eventData.postAuthor);
+    const eventTime = eventData.createdAt.format('HH:MM');
+    return `
+      ${quoterLink} quoted your post in the ${postLink}<br />
+      ${eventTime}
+    `;
   }
 };
 
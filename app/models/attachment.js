@@ -10,17 +10,18 @@ import mmm from 'mmmagic';
 import readChunk from 'read-chunk';
 import fileType from 'file-type';
 import _ from 'lodash';
-import mv from 'mv';
 import gifsicle from 'gifsicle';
 import probe from 'probe-image-size';
 
-import { getS3 } from '../support/s3';
+import { getStorage } from '../support/storage';
+import { parseProbeResult, isWebSafeVideo, canTranscodeVideo } from '../support/video';
+import { detectIsoBmffImageType, needsJpegThumbnails, needsImageMagick } from '../support/image-formats';
+import { stripImageMetadata, reencodeWithoutMetadata } from '../support/image-metadata';
 import { load as configLoader } from '../../config/config';
 
 
 const config = configLoader()
 promisifyAll(fs)
-const mvAsync = promisify(mv);
 
 const mimeMagic = new mmm.Magic(mmm.MAGIC_MIME_TYPE)
 const detectMime = promisify(mimeMagic.detectFile, { context: mimeMagic })
@@ -30,11 +31,22 @@ const detectFile = promisify(magic.detectFile, { context: magic })
 
 const debug = createDebug('freefeed:model:attachment');
 
+const imageMagick = gm.subClass({ imageMagick: true });
+const sRGBProfile = `${__dirname}/../../lib/assets/sRGB.icm`;
+
 
 async function mimeTypeDetect(fileName, filePath) {
   // The file type is detected by checking the magic number of the buffer.
   // It only needs the first "minimumBytes" bytes.
   const buffer = await readChunk(filePath, 0, fileType.minimumBytes);
+
+  // HEIC and AVIF images look like MP4 video for the general detectors
+  const isoBmffImageType = detectIsoBmffImageType(buffer);
+
+  if (isoBmffImageType) {
+    return isoBmffImageType;
+  }
+
   const info = fileType(buffer);
 
   if (info && info.mime && info.mime !== 'application/octet-stream') {
@@ -81,7 +93,7 @@ export function addModel(dbAdapter) {
     this.fileSize = params.fileSize // file size in bytes
     this.mimeType = params.mimeType // used as a fallback, in case we can't detect proper one
     this.fileExtension = params.fileExtension // jpg|png|gif etc.
-    this.mediaType = params.mediaType // image | audio | general
+    this.mediaType = params.mediaType // image | audio | video | general
 
     this.noThumbnail = params.noThumbnail // if true, image thumbnail URL == original URL
     this.imageSizes = params.imageSizes || {} // pixel sizes of thumbnail(s) and original image, e.g. {t: {w: 200, h: 175}, o: {w: 600, h: 525}}
@@ -89,6 +101,9 @@ export function addModel(dbAdapter) {
     this.artist = params.artist  // filled only for audio
     this.title = params.title   // filled only for audio
 
+    this.duration = params.duration  // filled only for video, in seconds
+    this.videoCodec = params.videoCodec  // filled only for video
+
     this.userId = params.userId
     this.postId = params.postId
 
@@ -145,7 +160,7 @@ export function addModel(dbAdapter) {
     // Determine initial file extension
     // (it might be overridden later when we know MIME type from its contents)
     // TODO: extract to config
-    const supportedExtensions = /\.(jpe?g|png|gif|mp3|m4a|ogg|wav|txt|pdf|docx?|pptx?|xlsx?)$/i
+    const supportedExtensions = /\.(jpe?g|png|gif|webp|avif|heic|heif|mp3|m4a|ogg|wav|mp4|m4v|mov|webm|txt|pdf|docx?|pptx?|xlsx?)$/i
 
     if (this.fileName && this.fileName.match(supportedExtensions) !== null) {
       this.fileExtension = this.fileName.match(supportedExtensions)[1].toLowerCase()
@@ -175,6 +190,11 @@ export function addModel(dbAdapter) {
       params.title = this.title
     }
 
+    if (this.mediaType === 'video') {
+      params.duration = this.duration
+      params.videoCodec = this.videoCodec
+    }
+
     await dbAdapter.updateAttachment(this.id, params)
 
     return this
@@ -217,7 +237,7 @@ export function addModel(dbAdapter) {
 
   // Get public URL of resized image attachment
   Attachment.prototype.getResizedImageUrl = function (sizeId) {
-    return config.attachments.url + config.attachments.imageSizes[sizeId].path + this.getFilename()
+    return config.attachments.url + config.attachments.imageSizes[sizeId].path + this.getThumbnailFilename()
   }
 
   // Get local filesystem path for original file
@@ -227,7 +247,7 @@ export function addModel(dbAdapter) {
 
   // Get local filesystem path for resized image file
   Attachment.prototype.getResizedImagePath = function (sizeId) {
-    return config.attachments.storage.rootDir + config.attachments.imageSizes[sizeId].path + this.getFilename()
+    return config.attachments.storage.rootDir + config.attachments.imageSizes[sizeId].path + this.getThumbnailFilename()
   }
 
   // Get file name
@@ -239,6 +259,15 @@ export function addModel(dbAdapter) {
     return this.id
   }
 
+  // Get file name of resized image (video posters and thumbnails of WebP, AVIF and HEIC are always JPEG)
+  Attachment.prototype.getThumbnailFilename = function () {
+    if (this.mediaType === 'video' || (this.mediaType === 'image' && needsJpegThumbnails(this.mimeType))) {
+      return `${this.id}.jpg`
+    }
+
+    return this.getFilename()
+  }
+
   // Store the file and process its thumbnail, if necessary
   Attachment.prototype.handleMedia = async function () {
     const tmpAttachmentFile = this.file.path
@@ -248,7 +277,10 @@ export function addModel(dbAdapter) {
       'image/jpeg':    'jpg',
       'image/png':     'png',
       'image/gif':     'gif',
-      'image/svg+xml': 'svg'
+      'image/svg+xml': 'svg',
+      'image/webp':    'webp',
+      'image/avif':    'avif',
+      'image/heic':    'heic'
     }
     const supportedAudioTypes = {
       'audio/mpeg':  'mp3',
@@ -258,6 +290,12 @@ export function addModel(dbAdapter) {
       'audio/ogg':   'ogg',
       'audio/x-wav': 'wav'
     };
+    const supportedVideoTypes = {
+      'video/mp4':       'mp4',
+      'video/x-m4v':     'mp4',
+      'video/quicktime': 'mov',
+      'video/webm':      'webm'
+    };
 
     this.mimeType = await mimeTypeDetect(tmpAttachmentFileName, tmpAttachmentFile);
     debug(`Mime-type of ${tmpAttachmentFileName} is ${this.mimeType}`);
@@ -291,6 +329,12 @@ export function addModel(dbAdapter) {
       } else {
         this.artist = metadata.artist;
       }
+    } else if (supportedVideoTypes[this.mimeType]) {
+      // Set media properties for 'video' type
+      this.mediaType = 'video';
+      this.fileExtension = supportedVideoTypes[this.mimeType];
+      this.noThumbnail = '1';  // this may be overriden below
+      await this.handleVideo(tmpAttachmentFile);
     } else {
       // Set media properties for 'general' type
       this.mediaType = 'general'
@@ -298,12 +342,7 @@ export function addModel(dbAdapter) {
     }
 
     // Store an original attachment
-    if (config.attachments.storage.type === 's3') {
-      await this.uploadToS3(tmpAttachmentFile, config.attachments.path)
-      await fs.unlinkAsync(tmpAttachmentFile)
-    } else {
-      await mvAsync(tmpAttachmentFile, this.getPath(), {})
-    }
+    await this.storeFile(tmpAttachmentFile, config.attachments.path + this.getFilename())
   }
 
   const fitIntoBounds = (size, bounds) => {
@@ -321,10 +360,104 @@ export function addModel(dbAdapter) {
   }
 
   /**
+   * Makes the thumbnails and strips the EXIF/GPS metadata from the original
+   * image unless the author prefers to keep it (the 'keepImageMetadata'
+   * preference)
+   *
    * @param {string} originalFile
    */
   Attachment.prototype.handleImage = async function (originalFile) {
+    const author = await dbAdapter.getUserById(this.userId);
+    const stripMetadata = !(author && author.preferences.keepImageMetadata);
+
+    if (!needsImageMagick(this.mimeType)) {
+      await this.processImage(originalFile, stripMetadata);
+
+      if (stripMetadata) {
+        // The orientation is already applied by processImage
+        await this.stripMetadata(originalFile);
+      }
+
+      return;
+    }
+
+    // GraphicsMagick can not read HEIC and AVIF, so we decode them to JPEG
+    // with ImageMagick and make the thumbnails from the decoded copy
+    const decodedFile = `${this.file.path}.decoded.jpg`;
+
+    try {
+      try {
+        await promisifyAll(imageMagick(originalFile))
+          .profile(sRGBProfile)
+          .autoOrient()
+          .strip()
+          .quality(95)
+          .writeAsync(decodedFile);
+      } catch (e) {
+        debug(`Cannot decode ${this.fileName}, saving as a general file`, e);
+        this.mediaType = 'general';
+        return;
+      }
+
+      if (stripMetadata) {
+        await this.stripHeifMetadata(originalFile, decodedFile);
+      }
+
+      await this.processImage(decodedFile, stripMetadata);
+    } finally {
+      await fs.unlinkAsync(decodedFile).catch(() => null);
+    }
+  }
+
+  /**
+   * Removes metadata from JPEG, PNG and WebP file in place (without
+   * re-encoding). Other formats are left intact.
+   *
+   * @param {string} file
+   */
+  Attachment.prototype.stripMetadata = async function (file) {
+    const stripped = stripImageMetadata(await fs.readFileAsync(file), this.mimeType);
+
+    if (stripped) {
+      await fs.writeFileAsync(file, stripped);
+      this.fileSize = stripped.length;
+    }
+  }
+
+  /**
+   * HEIC and AVIF can not be stripped without re-encoding. If ImageMagick
+   * can not encode them, the original is replaced by the decoded JPEG copy.
+   *
+   * @param {string} originalFile
+   * @param {string} decodedFile - stripped JPEG copy of the original
+   */
+  Attachment.prototype.stripHeifMetadata = async function (originalFile, decodedFile) {
+    const tmpStrippedFile = `${this.file.path}.stripped.${this.fileExtension}`;
+
+    try {
+      await reencodeWithoutMetadata(originalFile, tmpStrippedFile);
+      await fs.renameAsync(tmpStrippedFile, originalFile);
+    } catch (e) {
+      debug(`Cannot re-encode ${this.fileName}, replacing it by JPEG`, e);
+      await fs.unlinkAsync(tmpStrippedFile).catch(() => null);
+      await fs.copyFileAsync(decodedFile, originalFile);
+      this.mimeType = 'image/jpeg';
+      this.fileExtension = 'jpg';
+      this.fileName = this.fileName.replace(/(\.\w+)?$/, '.jpg');
+    }
+
+    this.fileSize = (await fs.statAsync(originalFile)).size;
+  }
+
+  /**
+   * Stores the image sizes and makes the thumbnails (and the JPEG fallback)
+   *
+   * @param {string} originalFile - original image or its decoded copy
+   * @param {boolean} stripMetadata - do not keep metadata in the thumbnails
+   */
+  Attachment.prototype.processImage = async function (originalFile, stripMetadata) {
     const tmpResizedFile = (sizeId) => `${this.file.path}.resized.${sizeId}`;
+    const jpegThumbnails = needsJpegThumbnails(this.mimeType);
 
     // Store original image size
     let originalSize = await getImageSize(originalFile);
@@ -351,7 +484,7 @@ export function addModel(dbAdapter) {
 
       if (!['unknown', 'Unknown', 'TopLeft'].includes(orientation)) {
         const img = originalImage
-          .profile(`${__dirname}/../../lib/assets/sRGB.icm`)
+          .profile(sRGBProfile)
           .autoOrient()
           .quality(95);
         await img.writeAsync(originalFile);
@@ -362,6 +495,10 @@ export function addModel(dbAdapter) {
       }
     }
 
+    if (jpegThumbnails && config.attachments.jpegFallback) {
+      await this.storeJpegFallback(originalFile, stripMetadata);
+    }
+
     const thumbIds = [];
 
     for (const sizeId of Object.keys(config.attachments.imageSizes)) {
@@ -380,6 +517,17 @@ export function addModel(dbAdapter) {
       thumbIds.push(sizeId);
     }
 
+    if (thumbIds.length === 0 && jpegThumbnails) {
+      // Small image still needs the JPEG thumbnail of the same size, because
+      // its original may be not displayable by browser
+      this.imageSizes.t = {
+        w:   originalSize.width,
+        h:   originalSize.height,
+        url: this.getResizedImageUrl('t'),
+      };
+      thumbIds.push('t');
+    }
+
     if (thumbIds.length === 0) {
       // No thumbnails
       return;
@@ -408,44 +556,221 @@ export function addModel(dbAdapter) {
 
       for (const sizeId of thumbIds) {
         const { w, h } = this.imageSizes[sizeId];
-        await originalImage  // eslint-disable-line no-await-in-loop
+        let img = originalImage
           .resizeExact(w, h)
-          .profile(`${__dirname}/../../lib/assets/sRGB.icm`)
+          .profile(sRGBProfile)
           .autoOrient()
-          .quality(95)
-          .writeAsync(tmpResizedFile(sizeId));
+          .quality(95);
+
+        if (stripMetadata) {
+          img = img.noProfile();
+        }
+
+        if (jpegThumbnails) {
+          img = toJpeg(img);
+        }
+
+        await img.writeAsync(tmpResizedFile(sizeId));  // eslint-disable-line no-await-in-loop
       }
     }
 
-    // Save image (permanently)
-    if (config.attachments.storage.type === 's3') {
-      await Promise.all(thumbIds.map(async (sizeId) => {
-        const { path } = config.attachments.imageSizes[sizeId];
-        const file = tmpResizedFile(sizeId);
-        await this.uploadToS3(file, path);
-        await fs.unlinkAsync(file);
-      }));
-    } else {
-      await Promise.all(thumbIds.map(async (sizeId) => {
-        const file = tmpResizedFile(sizeId);
-        await mvAsync(file, this.getResizedImagePath(sizeId), {})
-      }));
+    await this.storeResizedImages(thumbIds, tmpResizedFile, jpegThumbnails ? 'image/jpeg' : this.mimeType);
+  }
+
+  /**
+   * Saves the full-size JPEG copy of image for the clients that can not
+   * display its original format. The copy URL is stored in imageSizes.o.fallbackUrl.
+   *
+   * @param {string} sourceFile
+   * @param {boolean} stripMetadata
+   */
+  Attachment.prototype.storeJpegFallback = async function (sourceFile, stripMetadata) {
+    const { path } = config.attachments.jpegFallback;
+    const fileName = `${this.id}.jpg`;
+    const tmpFallbackFile = `${this.file.path}.fallback.jpg`;
+
+    let img = promisifyAll(gm(sourceFile))
+      .profile(sRGBProfile)
+      .quality(95);
+
+    if (stripMetadata) {
+      img = img.noProfile();
+    }
+
+    await toJpeg(img).writeAsync(tmpFallbackFile);
+
+    await this.storeFile(tmpFallbackFile, path + fileName, 'image/jpeg');
+
+    this.imageSizes.o.fallbackUrl = config.attachments.url + path + fileName;
+  }
+
+  /**
+   * Reads the video metadata and makes the poster thumbnails. Transcodes the
+   * video to the web-safe profile if config.attachments.video.transcode is
+   * set and the video is within the transcoding limits, otherwise the original
+   * is stored. Files that ffprobe can not read are stored as 'general' attachments.
+   *
+   * @param {string} originalFile
+   */
+  Attachment.prototype.handleVideo = async function (originalFile) {
+    const { ffmpegPath, transcode, transcodeTimeout } = config.attachments.video;
+
+    let meta = await probeVideo(originalFile);
+
+    if (!meta) {
+      debug(`Cannot read video stream of ${this.fileName}, saving as a general file`);
+      this.mediaType = 'general';
+      return;
+    }
+
+    const needsTranscoding = transcode && !isWebSafeVideo(meta, this.mimeType);
+
+    if (needsTranscoding && !canTranscodeVideo(meta, this.fileSize, config.attachments.video)) {
+      debug(`${this.fileName} is too long or too large to transcode, saving the original video`);
+    } else if (needsTranscoding) {
+      const tmpTranscodedFile = `${this.file.path}.transcoded.mp4`;
+
+      try {
+        await execFileAsync(ffmpegPath, [
+          '-v', 'error',
+          '-i', originalFile,
+          '-c:v', 'libx264',
+          '-preset', 'veryfast',
+          '-crf', '23',
+          '-pix_fmt', 'yuv420p',
+          // libx264 requires even dimensions
+          '-vf', 'scale=trunc(iw/2)*2:trunc(ih/2)*2',
+          '-c:a', 'aac',
+          '-b:a', '128k',
+          '-movflags', '+faststart',
+          '-y', tmpTranscodedFile,
+        ], { timeout: transcodeTimeout * 1000 });
+        await fs.renameAsync(tmpTranscodedFile, originalFile);
+
+        meta = await probeVideo(originalFile);
+        this.mimeType = 'video/mp4';
+        this.fileExtension = 'mp4';
+        this.fileName = this.fileName.replace(/(\.\w+)?$/, '.mp4');
+        this.fileSize = (await fs.statAsync(originalFile)).size;
+      } catch (e) {
+        debug(`Cannot transcode ${this.fileName}, saving the original video`, e);
+        await fs.unlinkAsync(tmpTranscodedFile).catch(() => null);
+      }
+    }
+
+    this.duration = meta.duration;
+    this.videoCodec = meta.codec;
+    this.imageSizes.o = {
+      w:   meta.width,
+      h:   meta.height,
+      url: await this.getUrl(),
+    }
+
+    // Poster frame is taken from the first second (or from the middle of the shorter video)
+    const tmpPosterFile = `${this.file.path}.poster.jpg`;
+    const posterTime = meta.duration ? Math.min(1, meta.duration / 2) : 0;
+
+    try {
+      await execFileAsync(ffmpegPath, [
+        '-v', 'error',
+        '-ss', posterTime.toFixed(3),
+        '-i', originalFile,
+        '-frames:v', '1',
+        '-y', tmpPosterFile,
+      ]);
+    } catch (e) {
+      debug(`Cannot extract poster frame of ${this.fileName}`, e);
+      return;
+    }
+
+    const tmpResizedFile = (sizeId) => `${this.file.path}.resized.${sizeId}`;
+    const posterSize = await getImageSize(tmpPosterFile);
+    const posterImage = promisifyAll(gm(tmpPosterFile));
+    const thumbIds = Object.keys(config.attachments.imageSizes);
+
+    // Unlike images, video always has the thumbnails (posters) of every size,
+    // but they are never larger than the video itself
+    for (const sizeId of thumbIds) {
+      const { bounds } = config.attachments.imageSizes[sizeId];
+      const size = (posterSize.width <= bounds.width && posterSize.height <= bounds.height)
+        ? posterSize
+        : fitIntoBounds(posterSize, bounds);
+
+      this.imageSizes[sizeId] = {
+        w:   size.width,
+        h:   size.height,
+        url: this.getResizedImageUrl(sizeId),
+      }
+
+      await posterImage  // eslint-disable-line no-await-in-loop
+        .resizeExact(size.width, size.height)
+        .quality(90)
+        .writeAsync(tmpResizedFile(sizeId));
     }
+
+    await fs.unlinkAsync(tmpPosterFile);
+
+    this.noThumbnail = '0';
+    await this.storeResizedImages(thumbIds, tmpResizedFile, 'image/jpeg');
+  }
+
+  /**
+   * Saves the resized images (thumbnails) permanently
+   *
+   * @param {string[]} thumbIds
+   * @param {function} tmpResizedFile - returns path of temporary file by sizeId
+   * @param {string} contentType
+   */
+  Attachment.prototype.storeResizedImages = async function (thumbIds, tmpResizedFile, contentType = this.mimeType) {
+    await Promise.all(thumbIds.map((sizeId) => {
+      const { path } = config.attachments.imageSizes[sizeId];
+      return this.storeFile(tmpResizedFile(sizeId), path + this.getThumbnailFilename(), contentType);
+    }));
   }
 
-  // Upload original attachment or its thumbnail to the S3 bucket
-  Attachment.prototype.uploadToS3 = async function (sourceFile, destPath) {
-    const s3 = getS3(config.attachments.storage);
-    await s3.upload({
-      ACL:                'public-read',
-      Bucket:             config.attachments.storage.bucket,
-      Key:                destPath + this.getFilename(),
-      Body:               fs.createReadStream(sourceFile),
-      ContentType:        this.mimeType,
-      ContentDisposition: this.getContentDisposition()
-    }).promise();
+  // Move original attachment or its thumbnail to the attachments storage
+  Attachment.prototype.storeFile = async function (sourceFile, key, contentType = this.mimeType) {
+    await getStorage(config.attachments.storage).putFile(key, sourceFile, {
+      contentType,
+      contentDisposition: this.getContentDisposition(),
+    });
   };
 
+  /**
+   * Returns all the stored files of attachment: the original, thumbnails
+   * and JPEG fallback
+   *
+   * @return {object[]} - [{key, contentType, isOriginal}]
+   */
+  Attachment.prototype.getStoredFiles = function () {
+    const files = [{
+      key:         config.attachments.path + this.getFilename(),
+      contentType: this.mimeType,
+      isOriginal:  true,
+    }];
+
+    const thumbFilename = this.getThumbnailFilename();
+    const thumbContentType = thumbFilename.endsWith('.jpg') ? 'image/jpeg' : this.mimeType;
+
+    for (const sizeId of Object.keys(this.imageSizes)) {
+      if (sizeId !== 'o' && config.attachments.imageSizes[sizeId]) {
+        files.push({
+          key:         config.attachments.imageSizes[sizeId].path + thumbFilename,
+          contentType: thumbContentType,
+        });
+      }
+    }
+
+    if (this.imageSizes.o && this.imageSizes.o.fallbackUrl && config.attachments.jpegFallback) {
+      files.push({
+        key:         `${config.attachments.jpegFallback.path}${this.id}.jpg`,
+        contentType: 'image/jpeg',
+      });
+    }
+
+    return files;
+  }
+
   // Get cross-browser Content-Disposition header for attachment
   Attachment.prototype.getContentDisposition = function () {
     // Old browsers (IE8) need ASCII-only fallback filenames
@@ -461,6 +786,14 @@ export function addModel(dbAdapter) {
   return Attachment
 }
 
+// JPEG has no transparency, so the transparent areas become white
+function toJpeg(gmImage) {
+  return gmImage
+    .background('white')
+    .flatten()
+    .setFormat('jpeg');
+}
+
 async function getImageSize(fileName) {
   const input = fs.createReadStream(fileName);
 
@@ -471,3 +804,19 @@ async function getImageSize(fileName) {
     input.destroy();
   }
 }
+
+async function probeVideo(fileName) {
+  try {
+    const stdout = await execFileAsync(config.attachments.video.ffprobePath, [
+      '-v', 'error',
+      '-print_format', 'json',
+      '-show_format',
+      '-show_streams',
+      fileName,
+    ]);
+    return parseProbeResult(JSON.parse(stdout));
+  } catch (e) {
+    debug(`ffprobe failed on ${fileName}`, e);
+    return null;
+  }
+}
@@ -23,6 +23,9 @@ export function addModel(dbAdapter) {
     hideType;
     createdAt;
     updatedAt;
+    editedAt;
+    revisionsCount;
+    replyTo;
 
     static hiddenBody(hideType) {
       switch (hideType) {
@@ -40,6 +43,9 @@ export function addModel(dbAdapter) {
       this.userId = params.userId;
       this.postId = params.postId;
       this.hideType = params.hideType || Comment.VISIBLE;
+      this.editedAt = params.editedAt || null;
+      this.revisionsCount = params.revisionsCount || 0;
+      this.replyTo = params.replyTo || null;
 
       if (parseInt(params.createdAt, 10)) {
         this.createdAt = params.createdAt;
@@ -90,6 +96,7 @@ export function addModel(dbAdapter) {
         'userId':   this.userId,
         'postId':   this.postId,
         'hideType': this.hideType,
+        'replyTo':  this.replyTo,
       };
 
       this.id = await dbAdapter.createComment(payload);
@@ -133,6 +140,7 @@ export function addModel(dbAdapter) {
     }
 
     async update(params) {
+      const oldBody = this.body;
       this.updatedAt = new Date().getTime();
       this.body = params.body;
 
@@ -142,7 +150,13 @@ export function addModel(dbAdapter) {
         'body':      this.body,
         'updatedAt': this.updatedAt.toString()
       };
-      await dbAdapter.updateComment(this.id, payload);
+
+      if (this.body !== oldBody) {
+        // Keep the previous version of the body
+        ({ editedAt: this.editedAt, revisionsCount: this.revisionsCount } = await dbAdapter.updateCommentWithRevision(this.id, payload));
+      } else {
+        await dbAdapter.updateComment(this.id, payload);
+      }
 
       await Promise.all([
         this.processHashtagsOnUpdate(),
@@ -24,6 +24,10 @@ export function addModel(dbAdapter) {
     isPrivate;
     isProtected;
     isPropagable;
+    editedAt;
+    revisionsCount;
+    poll;
+    quotedPostId;
 
     constructor(params) {
       this.id               = params.id;
@@ -40,6 +44,10 @@ export function addModel(dbAdapter) {
       this.isPrivate        = params.isPrivate || '0';
       this.isProtected      = params.isProtected || '0';
       this.isPropagable     = params.isPropagable || '0';
+      this.editedAt         = params.editedAt || null;
+      this.revisionsCount   = params.revisionsCount || 0;
+      this.poll             = params.poll || null;
+      this.quotedPostId     = params.quotedPostId || null;
 
       if (params.friendfeedUrl) {
         this.friendfeedUrl = params.friendfeedUrl;
@@ -107,6 +115,7 @@ export function addModel(dbAdapter) {
         'body':             this.body,
         'userId':           this.userId,
         'commentsDisabled': this.commentsDisabled,
+        'quotedPostId':     this.quotedPostId,
       };
       const [
         destFeeds,
@@ -138,6 +147,7 @@ export function addModel(dbAdapter) {
       await Promise.all([
         this.linkAttachments(),
         this.processHashtagsOnCreate(),
+        this.poll && dbAdapter.createPoll(this.id, this.poll),
       ]);
 
       const rtUpdates = destFeeds
@@ -183,6 +193,7 @@ export function addModel(dbAdapter) {
 
       let realtimeRooms = await getRoomsOfPost(this);
       const usersCanSeePostBeforeIds = await this.usersCanSeePostIds();
+      const oldBody = this.body;
 
       if (params.body != null) {
         this.body = params.body;
@@ -239,7 +250,12 @@ export function addModel(dbAdapter) {
       await this.validate();
 
       // Update post in DB
-      await dbAdapter.updatePost(this.id, payload);
+      if (this.body !== oldBody) {
+        // Keep the previous version of the body
+        ({ editedAt: this.editedAt, revisionsCount: this.revisionsCount } = await dbAdapter.updatePostWithRevision(this.id, payload));
+      } else {
+        await dbAdapter.updatePost(this.id, payload);
+      }
 
       // Perform afterUpdate actions
       await Promise.all(afterUpdate.map((f) => f()));
@@ -464,6 +480,36 @@ export function addModel(dbAdapter) {
       await pubSub.unhidePost(theUser.id, this.id);
     }
 
+    /**
+     * Saves post to the user's private 'Saves' feed with an optional note.
+     * Saving of already saved post updates its note.
+     *
+     * @param {string} userId
+     * @param {string|null} note
+     * @return {object} - saved post record
+     */
+    async save(userId, note = null) {
+      const theUser = await dbAdapter.getUserById(userId);
+      const savesTimelineId = await theUser.getSavesTimelineIntId();
+
+      const savedPost = await dbAdapter.savePost(theUser.id, this.id, note);
+      await dbAdapter.insertPostIntoFeeds([savesTimelineId], this.id);
+
+      return savedPost;
+    }
+
+    /**
+     * @param {string} userId
+     * @return {boolean} - false if post was not saved
+     */
+    async unsave(userId) {
+      const theUser = await dbAdapter.getUserById(userId);
+      const savesTimelineId = await theUser.getSavesTimelineIntId();
+
+      await dbAdapter.withdrawPostFromFeeds([savesTimelineId], this.id);
+      return await dbAdapter.unsavePost(theUser.id, this.id);
+    }
+
     async addComment(comment) {
       const user = await dbAdapter.getUserById(comment.userId);
 
@@ -737,6 +783,66 @@ export function addModel(dbAdapter) {
       return true;
     }
 
+    /**
+     * Places post into the user's 'Posts' feed. This method does not
+     * performs any access check. It returns true on success and false
+     * if this post was already reposted by this user.
+     *
+     * @param {User} user
+     * @returns {boolean}
+     */
+    async addRepost(user) {
+      const success = await dbAdapter.createRepost(this.id, user.id);
+
+      if (!success) {
+        return false;
+      }
+
+      const postsTimeline = await user.getPostsTimeline();
+
+      // Local bumps for the reposter subscribers who didn't see this post yet
+      const prevRONs = await this.getRiverOfNewsTimelines();
+      const prevRONsOwners = _.map(prevRONs, 'userId');
+      const usersSubscribedToPostsFeed = await dbAdapter.getUsersSubscribedToTimelines([postsTimeline.id]);
+      usersSubscribedToPostsFeed.push(user.id);
+      const newRONsOwners = _.difference(usersSubscribedToPostsFeed, prevRONsOwners);
+      await dbAdapter.setLocalBumpForUsers(this.id, newRONsOwners);
+
+      await dbAdapter.insertPostIntoFeeds([postsTimeline.intId], this.id);
+
+      // Send realtime notifications
+      await pubSub.updatePost(this.id);
+
+      return true;
+    }
+
+    /**
+     * Removes post from the user's 'Posts' feed. This method does not
+     * performs any access check. It returns true on success and false
+     * if this post was not reposted by this user.
+     *
+     * @param {User} user
+     * @returns {boolean}
+     */
+    async removeRepost(user) {
+      const success = await dbAdapter.deleteRepost(this.id, user.id);
+
+      if (!success) {
+        return false;
+      }
+
+      const [realtimeRooms, timelineId] = await Promise.all([
+        getRoomsOfPost(this),
+        user.getPostsTimelineIntId(),
+      ]);
+      await dbAdapter.withdrawPostFromFeeds([timelineId], this.id);
+
+      // Send realtime notifications
+      await pubSub.updatePost(this.id, realtimeRooms);
+
+      return true;
+    }
+
     async isBannedFor(userId) {
       const user = await dbAdapter.getUserById(userId);
       const banIds = await user.getBanIds();
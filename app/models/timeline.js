@@ -6,6 +6,7 @@ export function addModel(dbAdapter) {
   class Timeline {
     id;
     intId;
+    title;
     userId;
     user;
     createdAt;
@@ -19,6 +20,7 @@ export function addModel(dbAdapter) {
       this.id = params.id;
       this.intId = params.intId;
       this.name = params.name;
+      this.title = params.title || null;
       this.userId = params.userId;
       this.user = null;
 
@@ -381,6 +383,14 @@ export function addModel(dbAdapter) {
       return this.name === 'Hides';
     }
 
+    isSaves() {
+      return this.name === 'Saves';
+    }
+
+    isList() {
+      return this.name === 'List';
+    }
+
     /**
      * Personal timeline can be viewed only by its owner
      * @return {boolean}
@@ -389,7 +399,9 @@ export function addModel(dbAdapter) {
       return this.name === 'RiverOfNews' ||
         this.name === 'Directs' ||
         this.name === 'Hides' ||
-        this.name === 'MyDiscussions';
+        this.name === 'MyDiscussions' ||
+        this.name === 'Saves' ||
+        this.name === 'List';
     }
 
     async canShow(readerId) {
@@ -51,7 +51,12 @@ const schema = {
         userModel.ACCEPT_DIRECTS_FROM_ALL,
         userModel.ACCEPT_DIRECTS_FROM_FRIENDS,
       ],
-    }
+    },
+    keepImageMetadata: {
+      title:   'Keep EXIF metadata (camera info and GPS location) in uploaded images',
+      default: false,
+      type:    'boolean',
+    },
   },
   additionalProperties: false,
 };
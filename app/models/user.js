@@ -1,5 +1,4 @@
 import crypto from 'crypto'
-import fs from 'fs'
 
 import bcrypt from 'bcrypt'
 import { promisifyAll } from 'bluebird'
@@ -11,7 +10,7 @@ import validator from 'validator'
 import uuidv4 from 'uuid/v4';
 
 import { load as configLoader } from '../../config/config'
-import { getS3 } from '../support/s3';
+import { getStorage } from '../support/storage';
 import { BadRequestException, ForbiddenException, NotFoundException, ValidationException } from '../support/exceptions'
 import { Attachment, Comment, Post, PubSub as pubSub } from '../models'
 import { EventService } from '../support/EventService';
@@ -361,7 +360,7 @@ export function addModel(dbAdapter) {
 
     [this.id, this.intId] = await dbAdapter.createUser(payload);
 
-    await dbAdapter.createUserTimelines(this.id, ['RiverOfNews', 'Hides', 'Comments', 'Likes', 'Posts', 'Directs', 'MyDiscussions'])
+    await dbAdapter.createUserTimelines(this.id, ['RiverOfNews', 'Hides', 'Comments', 'Likes', 'Posts', 'Directs', 'MyDiscussions', 'Saves'])
     timer.stop() // @todo finally {}
     monitor.increment('users.creates')
 
@@ -542,6 +541,10 @@ export function addModel(dbAdapter) {
     return this.getGenericTimelineIntId('Hides', params)
   }
 
+  User.prototype.getSavesTimelineIntId = function (params) {
+    return this.getGenericTimelineIntId('Saves', params)
+  }
+
   User.prototype.getRiverOfNewsTimelineId = function () {
     return this.getGenericTimelineId('RiverOfNews')
   }
@@ -606,7 +609,7 @@ export function addModel(dbAdapter) {
   User.prototype.getTimelines = async function (params) {
     const timelineIds = await this.getTimelineIds()
     const timelines = await dbAdapter.getTimelinesByIds(Object.values(timelineIds), params);
-    const timelinesOrder = ['RiverOfNews', 'Hides', 'Comments', 'Likes', 'Posts', 'Directs', 'MyDiscussions']
+    const timelinesOrder = ['RiverOfNews', 'Hides', 'Comments', 'Likes', 'Posts', 'Directs', 'MyDiscussions', 'Saves']
     const sortedTimelines = _.sortBy(timelines, (tl) => {
       return timelinesOrder.indexOf(tl.name);
     })
@@ -870,33 +873,15 @@ export function addModel(dbAdapter) {
       .autoOrient()
       .quality(95)
 
-    if (config.profilePictures.storage.type === 's3') {
-      const tmpPictureFile = `${path}.resized.${size}`
-      const destPictureFile = this.getProfilePictureFilename(uuid, size)
-
-      await image.writeAsync(tmpPictureFile)
-      await this.uploadToS3(tmpPictureFile, destPictureFile, config.profilePictures)
-
-      return fs.unlinkAsync(tmpPictureFile)
-    }
-
-    const destPath = this.getProfilePicturePath(uuid, size)
-    return image.writeAsync(destPath)
+    const tmpPictureFile = `${path}.resized.${size}`
+    await image.writeAsync(tmpPictureFile)
+    await getStorage(config.profilePictures.storage).putFile(
+      config.profilePictures.path + this.getProfilePictureFilename(uuid, size),
+      tmpPictureFile,
+      { contentType: 'image/jpeg', contentDisposition: 'inline' },
+    )
   }
 
-  // Upload profile picture to the S3 bucket
-  User.prototype.uploadToS3 = async function (sourceFile, destFile, subConfig) {
-    const s3 = getS3(subConfig.storage);
-    await s3.upload({
-      ACL:                'public-read',
-      Bucket:             subConfig.storage.bucket,
-      Key:                subConfig.path + destFile,
-      Body:               fs.createReadStream(sourceFile),
-      ContentType:        'image/jpeg',
-      ContentDisposition: 'inline'
-    }).promise();
-  };
-
   User.prototype.getProfilePicturePath = function (uuid, size) {
     return config.profilePictures.storage.rootDir + config.profilePictures.path + this.getProfilePictureFilename(uuid, size)
   }
@@ -4,7 +4,6 @@ import { createClient as createRedisClient } from 'redis';
 import { cloneDeep, flatten, intersection, isArray, isFunction, isPlainObject, keyBy, map, uniqBy, noop, values, last, omit } from 'lodash';
 import IoServer from 'socket.io';
 import redis_adapter from 'socket.io-redis';
-import jwt from 'jsonwebtoken';
 import createDebug from 'debug';
 import Raven from 'raven';
 
@@ -12,10 +11,10 @@ import { load as configLoader } from '../config/config';
 import { dbAdapter, LikeSerializer, PostSerializer, PubsubCommentSerializer } from './models';
 import { eventNames } from './support/PubSubAdapter';
 import { difference as listDifference, intersection as listIntersection } from './support/open-lists';
+import { authenticateByToken, isScopeAllowed, SCOPE_DIRECTS, SCOPE_READ_FEEDS } from './support/auth-tokens';
+import { serializePoll } from './serializers/v2/post';
 
 
-promisifyAll(jwt);
-
 const config = configLoader();
 const sentryIsEnabled = 'sentryDsn' in config;
 const debug = createDebug('freefeed:PubsubListener');
@@ -37,14 +36,8 @@ export default class PubsubListener {
     // authentication
     this.io.use(async (socket, next) => {
       const authToken = socket.handshake.query.token;
-      const { secret } = config;
-
-      try {
-        const decoded = await jwt.verifyAsync(authToken, secret);
-        socket.user = await dbAdapter.getUserById(decoded.userId);
-      } catch (e) {
-        socket.user = { id: null };
-      }
+      const auth = authToken ? await getSocketAuth(authToken, socket) : null;
+      setSocketAuth(socket, auth);
 
       return next();
     });
@@ -66,7 +59,6 @@ export default class PubsubListener {
 
   onConnect = (socket) => {
     promisifyAll(socket);
-    const { secret } = config;
 
     socket.on('error', (e) => {
       debug(`[socket.id=${socket.id}] error`, e);
@@ -78,16 +70,16 @@ export default class PubsubListener {
       }
 
       if (data.authToken && typeof data.authToken === 'string') {
-        try {
-          const decoded = await jwt.verifyAsync(data.authToken, secret);
-          socket.user = await dbAdapter.getUserById(decoded.userId);
-          debug(`${debugPrefix}: successfully authenticated as ${socket.user.username}`);
-        } catch (e) {
-          socket.user = { id: null };
-          throw new Error('invalid token', `invalid token ${data.authToken}, signing user out`);
+        const auth = await getSocketAuth(data.authToken, socket);
+        setSocketAuth(socket, auth);
+
+        if (!auth) {
+          throw new EventHandlingError('invalid token', `invalid token ${data.authToken}, signing user out`);
         }
+
+        debug(`${debugPrefix}: successfully authenticated as ${socket.user.username}`);
       } else {
-        socket.user = { id: null };
+        setSocketAuth(socket, null);
       }
     });
 
@@ -190,6 +182,11 @@ export default class PubsubListener {
       [eventNames.COMMENT_LIKE_ADDED]:   this.onCommentLikeNew,
       [eventNames.COMMENT_LIKE_REMOVED]: this.onCommentLikeRemove,
 
+      [eventNames.REACTION_ADDED]:           this.onReactionNew,
+      [eventNames.REACTION_REMOVED]:         this.onReactionRemove,
+      [eventNames.COMMENT_REACTION_ADDED]:   this.onCommentReactionNew,
+      [eventNames.COMMENT_REACTION_REMOVED]: this.onCommentReactionRemove,
+
       [eventNames.GLOBAL_USER_UPDATED]: this.onGlobalUserUpdate,
     };
 
@@ -274,9 +271,30 @@ export default class PubsubListener {
       }
 
       destSockets = destSockets.filter((s) => users.includes((s.user)));
+
+      if (destSockets.some((s) => !isScopeAllowed(s.appToken, SCOPE_DIRECTS)) && await post.isStrictlyDirect()) {
+        // Application tokens without the 'directs' scope do not receive events of direct messages
+        destSockets = destSockets.filter((s) => isScopeAllowed(s.appToken, SCOPE_DIRECTS));
+      }
     }
 
-    const bansMap = await dbAdapter.getUsersBansIdsMap(users.map((u) => u.id).filter((id) => !!id));
+    const usersIds = users.map((u) => u.id).filter((id) => !!id);
+    const [bansMap, mutesMap] = await Promise.all([
+      dbAdapter.getUsersBansIdsMap(usersIds),
+      dbAdapter.getUsersMutedIdsMap(usersIds),
+    ]);
+
+    // Users who made the action (post, comment, like…) of this event
+    const actorsIds = post ? getEventActorsIds(type, json, post) : [];
+    const isMutedBy = (user) => !!user.id && actorsIds.some((id) => (mutesMap.get(user.id) || []).includes(id));
+    let actorsRooms = [];
+
+    if (destSockets.some((s) => s.user && isMutedBy(s.user))) {
+      // Timelines of the muted users are shown as is
+      const feedIds = rooms.filter((r) => r.startsWith('timeline:')).map((r) => r.replace('timeline:', ''));
+      const feeds = await dbAdapter.getTimelinesByIds(feedIds);
+      actorsRooms = feeds.filter((f) => actorsIds.includes(f.userId)).map((f) => `timeline:${f.id}`);
+    }
 
     await Promise.all(destSockets.map(async (socket) => {
       const { user } = socket;
@@ -294,6 +312,7 @@ export default class PubsubListener {
         if (
           ((type === eventNames.COMMENT_CREATED || type === eventNames.COMMENT_UPDATED) && banIds.includes(json.comments.createdBy))
           || ((type === eventNames.LIKE_ADDED) && banIds.includes(json.users.id))
+          || ((type === eventNames.REACTION_ADDED || type === eventNames.COMMENT_REACTION_ADDED) && banIds.includes(json.users.id))
           || ((type === eventNames.COMMENT_LIKE_ADDED || type === eventNames.COMMENT_LIKE_REMOVED) &&
             (banIds.includes(json.comments.createdBy) || banIds.includes(json.comments.userId)))
         ) {
@@ -301,7 +320,16 @@ export default class PubsubListener {
         }
       }
 
-      const realtimeChannels = intersection(rooms, Object.values(socket.rooms));
+      let realtimeChannels = intersection(rooms, Object.values(socket.rooms));
+
+      // Mutes: events of the muted users are not shown in the viewer's timelines
+      if (isMutedBy(user)) {
+        realtimeChannels = realtimeChannels.filter((r) => !r.startsWith('timeline:') || actorsRooms.includes(r));
+
+        if (realtimeChannels.length === 0) {
+          return;
+        }
+      }
 
       await emitter(socket, type, { ...json, realtimeChannels });
     }));
@@ -439,6 +467,22 @@ export default class PubsubListener {
     await this._sendCommentLikeMsg(data, eventNames.COMMENT_LIKE_REMOVED);
   };
 
+  onReactionNew = async (data) => {
+    await this._sendReactionMsg(data, eventNames.REACTION_ADDED);
+  };
+
+  onReactionRemove = async (data) => {
+    await this._sendReactionMsg(data, eventNames.REACTION_REMOVED);
+  };
+
+  onCommentReactionNew = async (data) => {
+    await this._sendReactionMsg(data, eventNames.COMMENT_REACTION_ADDED);
+  };
+
+  onCommentReactionRemove = async (data) => {
+    await this._sendReactionMsg(data, eventNames.COMMENT_REACTION_REMOVED);
+  };
+
   onGlobalUserUpdate = async (user) => {
     await this.broadcastMessage(['global:users'], eventNames.GLOBAL_USER_UPDATED, { user });
   };
@@ -465,6 +509,27 @@ export default class PubsubListener {
     await this.broadcastMessage(rooms, msgType, json, post, this._commentLikeEventEmitter);
   };
 
+  _sendReactionMsg = async ({ postId, commentId = null, userId, emoji }, msgType) => {
+    const [post, user] = await Promise.all([
+      dbAdapter.getPostById(postId),
+      dbAdapter.getUserById(userId),
+    ]);
+
+    if (!post || !user) {
+      return;
+    }
+
+    const json = await new LikeSerializer(user).promiseToJSON();
+    json.meta = { postId, userId, emoji };
+
+    if (commentId) {
+      json.meta.commentId = commentId;
+    }
+
+    const rooms = await getRoomsOfPost(post);
+    await this.broadcastMessage(rooms, msgType, json, post);
+  };
+
   async _commentLikeEventEmitter(socket, type, json) {
     const commentUUID = json.comments.id;
     const viewer = socket.user;
@@ -482,6 +547,7 @@ export default class PubsubListener {
     json = cloneDeep(json);
     const viewer = socket.user;
     json = await this._insertCommentLikesInfo(json, viewer.id);
+    json = await this._insertPollInfo(json, viewer.id);
 
     if (type !== eventNames.POST_CREATED) {
       const isHidden = !!viewer.id && await dbAdapter.isPostHiddenByUser(json.posts.id, viewer.id);
@@ -547,6 +613,16 @@ export default class PubsubListener {
 
     return postPayload;
   }
+
+  async _insertPollInfo(postPayload, viewerUUID) {
+    const poll = await dbAdapter.getPollByPostId(postPayload.posts.id, viewerUUID);
+
+    if (poll) {
+      postPayload.posts.poll = serializePoll(poll);
+    }
+
+    return postPayload;
+  }
 }
 
 /**
@@ -557,6 +633,34 @@ export default class PubsubListener {
  * @param {Post} post
  * @return {string[]}
  */
+/**
+ * Returns ids of users who made the action of the post-related event
+ *
+ * @param {string} type
+ * @param {object} json
+ * @param {Post} post
+ * @return {string[]}
+ */
+function getEventActorsIds(type, json, post) {
+  switch (type) {
+    case eventNames.POST_CREATED:
+    case eventNames.POST_UPDATED:
+      return [post.userId];
+    case eventNames.COMMENT_CREATED:
+    case eventNames.COMMENT_UPDATED:
+      return [json.comments.createdBy];
+    case eventNames.LIKE_ADDED:
+    case eventNames.REACTION_ADDED:
+    case eventNames.COMMENT_REACTION_ADDED:
+      return [json.users.id];
+    case eventNames.COMMENT_LIKE_ADDED:
+    case eventNames.COMMENT_LIKE_REMOVED:
+      return [json.comments.createdBy, json.comments.userId];
+  }
+
+  return [];
+}
+
 export async function getRoomsOfPost(post) {
   if (!post) {
     return [];
@@ -604,6 +708,29 @@ function buildGroupedListOfSubscriptions(socket) {
 
 const defaultEmitter = (socket, type, json) => socket.emit(type, json);
 
+/**
+ * Returns authentication ({user, appToken}) by the given token or null.
+ * Application tokens must have the 'read-feeds' scope.
+ *
+ * @param {string} authToken
+ * @param {object} socket
+ * @return {object|null}
+ */
+async function getSocketAuth(authToken, socket) {
+  const auth = await authenticateByToken(authToken, socket.handshake.address);
+
+  if (!auth || !isScopeAllowed(auth.appToken, SCOPE_READ_FEEDS)) {
+    return null;
+  }
+
+  return auth;
+}
+
+function setSocketAuth(socket, auth) {
+  socket.user = auth ? auth.user : { id: null };
+  socket.appToken = (auth && auth.appToken) || null;
+}
+
 class EventHandlingError extends Error {
   logMessage;
 
@@ -24,4 +24,12 @@ export default class pubSubStub {
   hidePost() {}
 
   unhidePost() {}
+
+  newReaction() {}
+
+  removeReaction() {}
+
+  newCommentReaction() {}
+
+  removeCommentReaction() {}
 }
@@ -17,6 +17,10 @@ export class DummyPublisher {
   commentLikeAdded() {}
   commentLikeRemoved() {}
   globalUserUpdated() {}
+  reactionAdded() {}
+  reactionRemoved() {}
+  commentReactionAdded() {}
+  commentReactionRemoved() {}
 }
 
 export default class pubSub {
@@ -101,6 +105,26 @@ export default class pubSub {
     await this.publisher.commentLikeRemoved(payload);
   }
 
+  async newReaction(postId, userId, emoji) {
+    const payload = JSON.stringify({ postId, userId, emoji });
+    await this.publisher.reactionAdded(payload);
+  }
+
+  async removeReaction(postId, userId, emoji) {
+    const payload = JSON.stringify({ postId, userId, emoji });
+    await this.publisher.reactionRemoved(payload);
+  }
+
+  async newCommentReaction(commentId, postId, userId, emoji) {
+    const payload = JSON.stringify({ commentId, postId, userId, emoji });
+    await this.publisher.commentReactionAdded(payload);
+  }
+
+  async removeCommentReaction(commentId, postId, userId, emoji) {
+    const payload = JSON.stringify({ commentId, postId, userId, emoji });
+    await this.publisher.commentReactionRemoved(payload);
+  }
+
   async globalUserUpdate(userId) {
     const user = await dbAdapter.getUserById(userId);
     const payload = JSON.stringify(serializeUser(user));
@@ -1,6 +1,4 @@
 /* eslint babel/semi: "error" */
-import { promisifyAll } from 'bluebird';
-import jwt from 'jsonwebtoken';
 import conditional from 'koa-conditional-get';
 import etag from 'koa-etag';
 import koaStatic from 'koa-static';
@@ -8,8 +6,8 @@ import Router from 'koa-router';
 import createDebug from 'debug';
 
 import { load as configLoader } from '../config/config';
-import { dbAdapter } from './models';
 import { reportError } from './support/exceptions';
+import { authenticateByToken, getRequestIp } from './support/auth-tokens';
 
 import AttachmentsRoute from './routes/api/v1/AttachmentsRoute';
 import BookmarkletRoute from './routes/api/v1/BookmarkletRoute';
@@ -34,10 +32,18 @@ import ArchivesRoute from './routes/api/v2/ArchivesRoute';
 import NotificationsRoute from './routes/api/v2/NotificationsRoute';
 import CommentLikesRoute from './routes/api/v2/CommentLikesRoute';
 import InvitationsRoute from './routes/api/v2/InvitationsRoute';
+import AuthSessionsRoute from './routes/api/v2/AuthSessionsRoute';
+import AppTokensRoute from './routes/api/v2/AppTokensRoute';
+import TOTPRoute from './routes/api/v2/TOTPRoute';
+import DraftsRoute from './routes/api/v2/DraftsRoute';
+import CommentsRouteV2 from './routes/api/v2/CommentsRoute';
+import ReactionsRoute from './routes/api/v2/ReactionsRoute';
+import PrivateFeedsRoute from './routes/api/v2/PrivateFeedsRoute';
+import ListsRoute from './routes/api/v2/ListsRoute';
+import MuteRulesRoute from './routes/api/v2/MuteRulesRoute';
+import AttachmentUploadsRoute from './routes/api/v2/AttachmentUploadsRoute';
 
 
-promisifyAll(jwt);
-
 const config = configLoader();
 
 export default function (app) {
@@ -50,16 +56,19 @@ export default function (app) {
     if (authToken) {
       authDebug('got token', authToken);
 
-      try {
-        const decoded = await jwt.verifyAsync(authToken, config.secret);
-        const user = await dbAdapter.getUserById(decoded.userId);
-
-        if (user && user.isActive) {
-          ctx.state.user = user;
-          authDebug(`authenticated as ${user.username}`);
-        }
-      } catch (e) {
-        authDebug(`invalid token. the user will be treated as anonymous: ${e.message}`);
+      const auth = await authenticateByToken(authToken, getRequestIp(ctx));
+
+      if (auth && auth.appToken) {
+        // The user will be set by the tokenScopeRequired middleware
+        ctx.state.appToken = auth.appToken;
+        ctx.state.appTokenUser = auth.user;
+        authDebug(`authenticated as ${auth.user.username} by application token ${auth.appToken.id}`);
+      } else if (auth) {
+        ctx.state.user = auth.user;
+        ctx.state.authSession = auth.authSession;
+        authDebug(`authenticated as ${auth.user.username}`);
+      } else {
+        authDebug(`invalid token. the user will be treated as anonymous`);
       }
     }
 
@@ -95,6 +104,16 @@ export default function (app) {
   NotificationsRoute(router);
   CommentLikesRoute(router);
   InvitationsRoute(router);
+  AuthSessionsRoute(router);
+  AppTokensRoute(router);
+  TOTPRoute(router);
+  DraftsRoute(router);
+  CommentsRouteV2(router);
+  ReactionsRoute(router);
+  PrivateFeedsRoute(router);
+  ListsRoute(router);
+  MuteRulesRoute(router);
+  AttachmentUploadsRoute(router);
 
   router.use('/v[0-9]+/*', (ctx) => {
     ctx.status = 404;
@@ -1,8 +1,10 @@
 import { AttachmentsController } from '../../../controllers'
+import { tokenScopeRequired } from '../../../controllers/middlewares'
+import { SCOPE_POST } from '../../../support/auth-tokens'
 
 
 export default function addRoutes(app) {
   const controller = new AttachmentsController(app)
 
-  app.post('/v1/attachments', controller.create)
+  app.post('/v1/attachments', tokenScopeRequired(SCOPE_POST), controller.create)
 }
@@ -1,6 +1,8 @@
 import { create } from '../../../controllers/api/v1/BookmarkletController';
+import { tokenScopeRequired } from '../../../controllers/middlewares';
+import { SCOPE_POST } from '../../../support/auth-tokens';
 
 
 export default function addRoutes(app) {
-  app.post('/v1/bookmarklet', create);
+  app.post('/v1/bookmarklet', tokenScopeRequired(SCOPE_POST), create);
 }
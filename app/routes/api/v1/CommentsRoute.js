@@ -1,8 +1,10 @@
 import { create, update, destroy } from '../../../controllers/api/v1/CommentsController';
+import { tokenScopeRequired } from '../../../controllers/middlewares';
+import { SCOPE_COMMENT } from '../../../support/auth-tokens';
 
 
 export default function addRoutes(app) {
-  app.post('/v1/comments',              create);
-  app.put('/v1/comments/:commentId',    update);
-  app.delete('/v1/comments/:commentId', destroy);
+  app.post('/v1/comments',              tokenScopeRequired(SCOPE_COMMENT), create);
+  app.put('/v1/comments/:commentId',    tokenScopeRequired(SCOPE_COMMENT), update);
+  app.delete('/v1/comments/:commentId', tokenScopeRequired(SCOPE_COMMENT), destroy);
 }
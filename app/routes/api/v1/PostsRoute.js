@@ -1,16 +1,18 @@
 import { PostsController } from '../../../controllers'
 import deprecated from '../../../controllers/api/v1/Deprecated';
+import { tokenScopeRequired } from '../../../controllers/middlewares';
+import { SCOPE_LIKE, SCOPE_POST } from '../../../support/auth-tokens';
 
 
 export default function addRoutes(app) {
-  app.post('/v1/posts',                PostsController.create)
+  app.post('/v1/posts',                tokenScopeRequired(SCOPE_POST), PostsController.create)
   app.get('/v1/posts/:postId',        deprecated('Please use /v2/posts/:postId'))
-  app.put('/v1/posts/:postId',        PostsController.update)
-  app.delete('/v1/posts/:postId',        PostsController.destroy)
-  app.post('/v1/posts/:postId/like',   PostsController.like)
-  app.post('/v1/posts/:postId/unlike', PostsController.unlike)
+  app.put('/v1/posts/:postId',        tokenScopeRequired(SCOPE_POST), PostsController.update)
+  app.delete('/v1/posts/:postId',        tokenScopeRequired(SCOPE_POST), PostsController.destroy)
+  app.post('/v1/posts/:postId/like',   tokenScopeRequired(SCOPE_LIKE), PostsController.like)
+  app.post('/v1/posts/:postId/unlike', tokenScopeRequired(SCOPE_LIKE), PostsController.unlike)
   app.post('/v1/posts/:postId/hide',   PostsController.hide)
   app.post('/v1/posts/:postId/unhide', PostsController.unhide)
-  app.post('/v1/posts/:postId/disableComments', PostsController.disableComments)
-  app.post('/v1/posts/:postId/enableComments',  PostsController.enableComments)
+  app.post('/v1/posts/:postId/disableComments', tokenScopeRequired(SCOPE_POST), PostsController.disableComments)
+  app.post('/v1/posts/:postId/enableComments',  tokenScopeRequired(SCOPE_POST), PostsController.enableComments)
 }
@@ -2,5 +2,6 @@ import { SessionController } from '../../../controllers'
 
 
 export default function addRoutes(app) {
-  app.post('/v1/session', SessionController.create)
+  app.post('/v1/session',               SessionController.create)
+  app.post('/v1/session/second-factor', SessionController.completeSecondFactor)
 }
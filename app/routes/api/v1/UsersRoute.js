@@ -1,5 +1,7 @@
 import { FeedFactoriesController, UsersController } from '../../../controllers'
 import deprecated from '../../../controllers/api/v1/Deprecated';
+import { tokenScopeRequired } from '../../../controllers/middlewares';
+import { SCOPE_READ_FEEDS } from '../../../support/auth-tokens';
 
 
 export default function addRoutes(app) {
@@ -12,7 +14,7 @@ export default function addRoutes(app) {
   app.post('/v1/users/:username/unsubscribeFromMe', UsersController.unsubscribeUser);
   app.post('/v1/users/:username/sendRequest',       UsersController.sendRequest);
   app.get('/v1/users/whoami',                       deprecated('Please use /v2/users/whoami'));
-  app.get('/v1/users/:username',                    UsersController.show);
+  app.get('/v1/users/:username',                    tokenScopeRequired(SCOPE_READ_FEEDS), UsersController.show);
   app.put('/v1/users/updatePassword',               UsersController.updatePassword);
   app.post('/v1/users/updateProfilePicture',        UsersController.updateProfilePicture);
   app.put('/v1/users/:userId',                      FeedFactoriesController.update);
@@ -20,6 +22,6 @@ export default function addRoutes(app) {
   app.post('/v1/users/:username/unban',             UsersController.unban);
   app.post('/v1/users/:username/subscribe',         UsersController.subscribe);
   app.post('/v1/users/:username/unsubscribe',       UsersController.unsubscribe);
-  app.get('/v1/users/:username/subscribers',        UsersController.subscribers);
-  app.get('/v1/users/:username/subscriptions',      UsersController.subscriptions);
+  app.get('/v1/users/:username/subscribers',        tokenScopeRequired(SCOPE_READ_FEEDS), UsersController.subscribers);
+  app.get('/v1/users/:username/subscriptions',      tokenScopeRequired(SCOPE_READ_FEEDS), UsersController.subscriptions);
 }
@@ -0,0 +1,10 @@
+import { scopes, list, create, update, revoke } from '../../../controllers/api/v2/AppTokensController';
+
+
+export default function addRoutes(app) {
+  app.get('/v2/app-tokens/scopes',      scopes);
+  app.get('/v2/app-tokens',             list);
+  app.post('/v2/app-tokens',            create);
+  app.put('/v2/app-tokens/:tokenId',    update);
+  app.delete('/v2/app-tokens/:tokenId', revoke);
+}
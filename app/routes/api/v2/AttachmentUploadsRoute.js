@@ -0,0 +1,20 @@
+import { tokenScopeRequired } from '../../../controllers/middlewares';
+import { SCOPE_POST } from '../../../support/auth-tokens';
+import {
+  create,
+  show,
+  append,
+  finalize,
+  destroy,
+} from '../../../controllers/api/v2/AttachmentUploadsController';
+
+
+export default function addRoutes(app) {
+  const scope = tokenScopeRequired(SCOPE_POST);
+
+  app.post('/v2/attachments/uploads',                     scope, create);
+  app.get('/v2/attachments/uploads/:uploadId',            scope, show);
+  app.patch('/v2/attachments/uploads/:uploadId',          scope, append);
+  app.post('/v2/attachments/uploads/:uploadId/finalize',  scope, finalize);
+  app.delete('/v2/attachments/uploads/:uploadId',         scope, destroy);
+}
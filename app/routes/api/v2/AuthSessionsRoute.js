@@ -0,0 +1,8 @@
+import { list, close, closeAll } from '../../../controllers/api/v2/AuthSessionsController';
+
+
+export default function addRoutes(app) {
+  app.get('/v2/sessions',               list);
+  app.delete('/v2/sessions',            closeAll);
+  app.delete('/v2/sessions/:sessionId', close);
+}
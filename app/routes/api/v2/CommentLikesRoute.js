@@ -1,8 +1,10 @@
 import { CommentLikesController } from '../../../controllers'
+import { tokenScopeRequired } from '../../../controllers/middlewares'
+import { SCOPE_LIKE, SCOPE_READ_FEEDS } from '../../../support/auth-tokens'
 
 
 export default function addRoutes(app) {
-  app.post('/v2/comments/:commentId/like', CommentLikesController.like);
-  app.post('/v2/comments/:commentId/unlike', CommentLikesController.unlike);
-  app.get('/v2/comments/:commentId/likes', CommentLikesController.likes);
+  app.post('/v2/comments/:commentId/like', tokenScopeRequired(SCOPE_LIKE), CommentLikesController.like);
+  app.post('/v2/comments/:commentId/unlike', tokenScopeRequired(SCOPE_LIKE), CommentLikesController.unlike);
+  app.get('/v2/comments/:commentId/likes', tokenScopeRequired(SCOPE_READ_FEEDS), CommentLikesController.likes);
 }
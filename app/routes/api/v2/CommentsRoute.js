@@ -0,0 +1,9 @@
+import { revisions, replyChain } from '../../../controllers/api/v2/CommentsController';
+import { tokenScopeRequired } from '../../../controllers/middlewares';
+import { SCOPE_READ_FEEDS } from '../../../support/auth-tokens';
+
+
+export default function addRoutes(app) {
+  app.get('/v2/comments/:commentId/revisions',   tokenScopeRequired(SCOPE_READ_FEEDS), revisions);
+  app.get('/v2/comments/:commentId/reply-chain', tokenScopeRequired(SCOPE_READ_FEEDS), replyChain);
+}
@@ -0,0 +1,20 @@
+import {
+  list,
+  create,
+  show,
+  update,
+  destroy,
+  publish,
+} from '../../../controllers/api/v2/DraftsController';
+import { tokenScopeRequired } from '../../../controllers/middlewares';
+import { SCOPE_POST } from '../../../support/auth-tokens';
+
+
+export default function addRoutes(app) {
+  app.get('/v2/drafts',                   tokenScopeRequired(SCOPE_POST), list);
+  app.post('/v2/drafts',                  tokenScopeRequired(SCOPE_POST), create);
+  app.get('/v2/drafts/:draftId',          tokenScopeRequired(SCOPE_POST), show);
+  app.put('/v2/drafts/:draftId',          tokenScopeRequired(SCOPE_POST), update);
+  app.delete('/v2/drafts/:draftId',       tokenScopeRequired(SCOPE_POST), destroy);
+  app.post('/v2/drafts/:draftId/publish', tokenScopeRequired(SCOPE_POST), publish);
+}
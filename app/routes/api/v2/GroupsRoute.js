@@ -1,7 +1,9 @@
 import { GroupsControllerV2 } from '../../../controllers'
+import { tokenScopeRequired } from '../../../controllers/middlewares'
+import { SCOPE_READ_FEEDS } from '../../../support/auth-tokens'
 
 
 export default function addRoutes(app) {
-  app.get('/v2/managedGroups', GroupsControllerV2.managedGroups)
-  app.get('/v2/allGroups', GroupsControllerV2.allGroups)
+  app.get('/v2/managedGroups', tokenScopeRequired(SCOPE_READ_FEEDS), GroupsControllerV2.managedGroups)
+  app.get('/v2/allGroups', tokenScopeRequired(SCOPE_READ_FEEDS), GroupsControllerV2.allGroups)
 }
@@ -0,0 +1,22 @@
+import {
+  list,
+  create,
+  show,
+  update,
+  destroy,
+  addMembers,
+  removeMember,
+} from '../../../controllers/api/v2/ListsController';
+import { tokenScopeRequired } from '../../../controllers/middlewares';
+import { SCOPE_READ_FEEDS } from '../../../support/auth-tokens';
+
+
+export default function addRoutes(app) {
+  app.get('/v2/lists',                              tokenScopeRequired(SCOPE_READ_FEEDS), list);
+  app.post('/v2/lists',                             create);
+  app.get('/v2/lists/:listId',                      tokenScopeRequired(SCOPE_READ_FEEDS), show);
+  app.put('/v2/lists/:listId',                      update);
+  app.delete('/v2/lists/:listId',                   destroy);
+  app.post('/v2/lists/:listId/members',             addMembers);
+  app.delete('/v2/lists/:listId/members/:username', removeMember);
+}
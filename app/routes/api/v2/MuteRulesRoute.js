@@ -0,0 +1,14 @@
+import {
+  list,
+  create,
+  update,
+  destroy,
+} from '../../../controllers/api/v2/MuteRulesController';
+
+
+export default function addRoutes(app) {
+  app.get('/v2/mute-rules',            list);
+  app.post('/v2/mute-rules',           create);
+  app.put('/v2/mute-rules/:ruleId',    update);
+  app.delete('/v2/mute-rules/:ruleId', destroy);
+}
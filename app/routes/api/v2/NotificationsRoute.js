@@ -1,6 +1,8 @@
 import { EventsController } from '../../../controllers'
+import { tokenScopeRequired } from '../../../controllers/middlewares'
+import { SCOPE_MANAGE_NOTIFICATIONS } from '../../../support/auth-tokens'
 
 
 export default function addRoutes(app) {
-  app.get('/v2/notifications', EventsController.myEvents);
+  app.get('/v2/notifications', tokenScopeRequired(SCOPE_MANAGE_NOTIFICATIONS), EventsController.myEvents);
 }
@@ -1,8 +1,34 @@
-import { show, opengraph } from '../../../controllers/api/v2/PostsController';
+import { show, opengraph, revisions } from '../../../controllers/api/v2/PostsController';
+import {
+  list as listScheduled,
+  show as showScheduled,
+  update as updateScheduled,
+  cancel as cancelScheduled,
+} from '../../../controllers/api/v2/ScheduledPostsController';
+import { vote, unvote } from '../../../controllers/api/v2/PollsController';
+import { pin, unpin } from '../../../controllers/api/v2/PinnedPostsController';
+import { save, unsave } from '../../../controllers/api/v2/SavedPostsController';
+import { repost, unrepost } from '../../../controllers/api/v2/RepostsController';
+import { tokenScopeRequired } from '../../../controllers/middlewares';
+import { SCOPE_READ_FEEDS, SCOPE_POST, SCOPE_LIKE } from '../../../support/auth-tokens';
 
 
 export default function addRoutes(app) {
-  app.get('/v2/posts/:postId',           show);
-  app.get('/v2/posts-opengraph/:postId', opengraph);
-}
+  // Scheduled posts routes must be defined before the '/v2/posts/:postId'
+  app.get('/v2/posts/scheduled',                     tokenScopeRequired(SCOPE_POST), listScheduled);
+  app.get('/v2/posts/scheduled/:scheduledPostId',    tokenScopeRequired(SCOPE_POST), showScheduled);
+  app.put('/v2/posts/scheduled/:scheduledPostId',    tokenScopeRequired(SCOPE_POST), updateScheduled);
+  app.delete('/v2/posts/scheduled/:scheduledPostId', tokenScopeRequired(SCOPE_POST), cancelScheduled);
 
+  app.get('/v2/posts/:postId',                   tokenScopeRequired(SCOPE_READ_FEEDS), show);
+  app.get('/v2/posts/:postId/revisions',         tokenScopeRequired(SCOPE_READ_FEEDS), revisions);
+  app.post('/v2/posts/:postId/poll/votes',       tokenScopeRequired(SCOPE_LIKE), vote);
+  app.delete('/v2/posts/:postId/poll/votes',     tokenScopeRequired(SCOPE_LIKE), unvote);
+  app.post('/v2/posts/:postId/pins/:username',   tokenScopeRequired(SCOPE_POST), pin);
+  app.delete('/v2/posts/:postId/pins/:username', tokenScopeRequired(SCOPE_POST), unpin);
+  app.post('/v2/posts/:postId/save',             tokenScopeRequired(SCOPE_LIKE), save);
+  app.post('/v2/posts/:postId/unsave',           tokenScopeRequired(SCOPE_LIKE), unsave);
+  app.post('/v2/posts/:postId/repost',           tokenScopeRequired(SCOPE_POST), repost);
+  app.post('/v2/posts/:postId/unrepost',         tokenScopeRequired(SCOPE_POST), unrepost);
+  app.get('/v2/posts-opengraph/:postId',         opengraph);
+}
@@ -0,0 +1,8 @@
+import { show, regenerate, revoke } from '../../../controllers/api/v2/PrivateFeedsController';
+
+
+export default function addRoutes(app) {
+  app.get('/v2/private-feeds',    show);
+  app.post('/v2/private-feeds',   regenerate);
+  app.delete('/v2/private-feeds', revoke);
+}
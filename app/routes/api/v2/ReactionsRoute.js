@@ -0,0 +1,22 @@
+import {
+  emojis,
+  listOfPost,
+  addToPost,
+  removeFromPost,
+  listOfComment,
+  addToComment,
+  removeFromComment,
+} from '../../../controllers/api/v2/ReactionsController';
+import { tokenScopeRequired } from '../../../controllers/middlewares';
+import { SCOPE_READ_FEEDS, SCOPE_LIKE } from '../../../support/auth-tokens';
+
+
+export default function addRoutes(app) {
+  app.get('/v2/reactions/emojis',                        emojis);
+  app.get('/v2/posts/:postId/reactions',                 tokenScopeRequired(SCOPE_READ_FEEDS), listOfPost);
+  app.post('/v2/posts/:postId/reactions',                tokenScopeRequired(SCOPE_LIKE), addToPost);
+  app.delete('/v2/posts/:postId/reactions/:emoji',       tokenScopeRequired(SCOPE_LIKE), removeFromPost);
+  app.get('/v2/comments/:commentId/reactions',           tokenScopeRequired(SCOPE_READ_FEEDS), listOfComment);
+  app.post('/v2/comments/:commentId/reactions',          tokenScopeRequired(SCOPE_LIKE), addToComment);
+  app.delete('/v2/comments/:commentId/reactions/:emoji', tokenScopeRequired(SCOPE_LIKE), removeFromComment);
+}
@@ -1,7 +1,12 @@
 import { SearchController } from '../../../controllers'
+import { searchRSS, hashtagRSS } from '../../../controllers/api/v2/TimelinesRSS'
+import { tokenScopeRequired } from '../../../controllers/middlewares'
+import { SCOPE_READ_FEEDS } from '../../../support/auth-tokens'
 
 
 export default function addRoutes(app) {
   const controller = new SearchController(app);
-  app.get('/v2/search', controller.search);
+  app.get('/v2/search',                tokenScopeRequired(SCOPE_READ_FEEDS), controller.search);
+  app.get('/v2/search-rss',            searchRSS);
+  app.get('/v2/hashtags-rss/:hashtag', hashtagRSS);
 }
@@ -1,7 +1,9 @@
 import { generalSummary, userSummary } from '../../../controllers/api/v2/SummaryController';
+import { tokenScopeRequired } from '../../../controllers/middlewares';
+import { SCOPE_READ_FEEDS } from '../../../support/auth-tokens';
 
 
 export default function addRoutes(app) {
-  app.get('/v2/summary/:days',           generalSummary);
-  app.get('/v2/summary/:username/:days', userSummary);
+  app.get('/v2/summary/:days',           tokenScopeRequired(SCOPE_READ_FEEDS), generalSummary);
+  app.get('/v2/summary/:username/:days', tokenScopeRequired(SCOPE_READ_FEEDS), userSummary);
 }
@@ -0,0 +1,16 @@
+import {
+  status,
+  start,
+  enable,
+  regenerateRecoveryCodes,
+  disable,
+} from '../../../controllers/api/v2/TOTPController';
+
+
+export default function addRoutes(app) {
+  app.get('/v2/totp',                 status);
+  app.post('/v2/totp',                start);
+  app.post('/v2/totp/enable',         enable);
+  app.post('/v2/totp/recovery-codes', regenerateRecoveryCodes);
+  app.post('/v2/totp/disable',        disable);
+}
@@ -1,15 +1,33 @@
-import { bestOf, ownTimeline, userTimeline, metatags } from '../../../controllers/api/v2/TimelinesController';
-import { timelineRSS } from '../../../controllers/api/v2/TimelinesRSS';
+import { bestOf, ownTimeline, userTimeline, listTimeline, metatags } from '../../../controllers/api/v2/TimelinesController';
+import {
+  timelineRSS,
+  timelineAtom,
+  timelineJSONFeed,
+  privateTimelineRSS,
+  privateUserTimelineRSS,
+  privateListRSS,
+} from '../../../controllers/api/v2/TimelinesRSS';
+import { tokenScopeRequired } from '../../../controllers/middlewares';
+import { SCOPE_DIRECTS, SCOPE_READ_FEEDS } from '../../../support/auth-tokens';
 
 
 export default function addRoutes(app) {
-  app.get('/v2/bestof',                       bestOf);
-  app.get('/v2/timelines/home',               ownTimeline('RiverOfNews', { withLocalBumps: true }));
-  app.get('/v2/timelines/filter/discussions', ownTimeline('MyDiscussions'));
-  app.get('/v2/timelines/filter/directs',     ownTimeline('Directs'));
-  app.get('/v2/timelines/:username',          userTimeline('Posts'));
-  app.get('/v2/timelines/:username/likes',    userTimeline('Likes'));
-  app.get('/v2/timelines/:username/comments', userTimeline('Comments'));
-  app.get('/v2/timelines-rss/:username',      timelineRSS);
-  app.get('/v2/timelines-metatags/:username', metatags);
+  app.get('/v2/bestof',                                  tokenScopeRequired(SCOPE_READ_FEEDS), bestOf);
+  app.get('/v2/timelines/home',                          tokenScopeRequired(SCOPE_READ_FEEDS), ownTimeline('RiverOfNews', { withLocalBumps: true }));
+  app.get('/v2/timelines/filter/discussions',            tokenScopeRequired(SCOPE_READ_FEEDS), ownTimeline('MyDiscussions'));
+  app.get('/v2/timelines/filter/directs',                tokenScopeRequired(SCOPE_DIRECTS), ownTimeline('Directs'));
+  app.get('/v2/timelines/filter/saves',                  tokenScopeRequired(SCOPE_READ_FEEDS), ownTimeline('Saves'));
+  app.get('/v2/timelines/:username',                     tokenScopeRequired(SCOPE_READ_FEEDS), userTimeline('Posts'));
+  app.get('/v2/timelines/:username/likes',               tokenScopeRequired(SCOPE_READ_FEEDS), userTimeline('Likes'));
+  app.get('/v2/timelines/:username/comments',            tokenScopeRequired(SCOPE_READ_FEEDS), userTimeline('Comments'));
+  app.get('/v2/timelines/lists/:listId',                 tokenScopeRequired(SCOPE_READ_FEEDS), listTimeline);
+  app.get('/v2/timelines-rss/:username',                 timelineRSS);
+  app.get('/v2/timelines-atom/:username',                timelineAtom);
+  app.get('/v2/timelines-json/:username',                timelineJSONFeed);
+  app.get('/v2/private-rss/:secret/home',                privateTimelineRSS('RiverOfNews'));
+  app.get('/v2/private-rss/:secret/discussions',         privateTimelineRSS('MyDiscussions'));
+  app.get('/v2/private-rss/:secret/directs',             privateTimelineRSS('Directs'));
+  app.get('/v2/private-rss/:secret/timelines/:username', privateUserTimelineRSS);
+  app.get('/v2/private-rss/:secret/lists/:listId',       privateListRSS);
+  app.get('/v2/timelines-metatags/:username',            metatags);
 }
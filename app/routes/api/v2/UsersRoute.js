@@ -1,11 +1,16 @@
 import { UsersControllerV2 } from '../../../controllers'
+import { tokenScopeRequired } from '../../../controllers/middlewares'
+import { SCOPE_DIRECTS, SCOPE_MANAGE_NOTIFICATIONS, SCOPE_READ_FEEDS } from '../../../support/auth-tokens'
 
 
 export default function addRoutes(app) {
   app.get('/v2/users/blockedByMe', UsersControllerV2.blockedByMe)
-  app.get('/v2/users/getUnreadDirectsNumber', UsersControllerV2.getUnreadDirectsNumber)
-  app.get('/v2/users/getUnreadNotificationsNumber', UsersControllerV2.getUnreadNotificationsNumber);
-  app.get('/v2/users/markAllDirectsAsRead', UsersControllerV2.markAllDirectsAsRead)
-  app.post('/v2/users/markAllNotificationsAsRead', UsersControllerV2.markAllNotificationsAsRead);
-  app.get('/v2/users/whoami', UsersControllerV2.whoAmI)
+  app.get('/v2/users/getUnreadDirectsNumber', tokenScopeRequired(SCOPE_DIRECTS), UsersControllerV2.getUnreadDirectsNumber)
+  app.get('/v2/users/getUnreadNotificationsNumber', tokenScopeRequired(SCOPE_MANAGE_NOTIFICATIONS), UsersControllerV2.getUnreadNotificationsNumber);
+  app.get('/v2/users/markAllDirectsAsRead', tokenScopeRequired(SCOPE_DIRECTS), UsersControllerV2.markAllDirectsAsRead)
+  app.post('/v2/users/markAllNotificationsAsRead', tokenScopeRequired(SCOPE_MANAGE_NOTIFICATIONS), UsersControllerV2.markAllNotificationsAsRead);
+  app.get('/v2/users/whoami', tokenScopeRequired(SCOPE_READ_FEEDS), UsersControllerV2.whoAmI)
+  app.get('/v2/users/mutedByMe', UsersControllerV2.mutedByMe);
+  app.post('/v2/users/:username/mute', UsersControllerV2.mute);
+  app.post('/v2/users/:username/unmute', UsersControllerV2.unmute);
 }
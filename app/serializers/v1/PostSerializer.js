@@ -3,7 +3,7 @@ import { Serializer, AttachmentSerializer, CommentSerializer, SubscriptionSerial
 
 export function addSerializer() {
   return new Serializer('posts', {
-    select:      ['id', 'body', 'attachments', 'userId', 'comments', 'createdAt', 'updatedAt', 'likeIds', 'isHidden', 'omittedComments', 'omittedLikes', 'postedTo', 'commentsDisabled'],
+    select:      ['id', 'body', 'attachments', 'userId', 'comments', 'createdAt', 'updatedAt', 'likeIds', 'isHidden', 'omittedComments', 'omittedLikes', 'postedTo', 'commentsDisabled', 'editedAt', 'revisionsCount'],
     attachments: { through: AttachmentSerializer, embed: true },
     userId:      { relation: true, model: User, serializeUsing: UserSerializer, customFieldName: 'createdBy' },
     comments:    { through: CommentSerializer, embed: true },
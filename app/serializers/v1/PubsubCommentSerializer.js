@@ -3,7 +3,7 @@ import { Serializer, UserSerializer } from '../../models'
 
 export function addSerializer() {
   return new Serializer('comments', {
-    select:    ['id', 'body', 'createdAt', 'updatedAt', 'createdBy', 'postId', 'hideType'],
+    select:    ['id', 'body', 'createdAt', 'updatedAt', 'createdBy', 'postId', 'hideType', 'replyTo'],
     createdBy: { through: UserSerializer, embed: true }
   })
 }
@@ -0,0 +1,18 @@
+import { load as configLoader } from '../../../config/config';
+
+
+const config = configLoader();
+
+export function serializeAttachmentUpload(upload) {
+  return {
+    id:           upload.id,
+    fileName:     upload.fileName,
+    fileSize:     upload.fileSize,
+    mimeType:     upload.mimeType,
+    offset:       upload.offset,
+    isFinalizing: !!upload.finalizingAt,
+    createdAt:    upload.createdAt.toISOString(),
+    updatedAt:    upload.updatedAt.toISOString(),
+    expiresAt:    new Date(upload.updatedAt.getTime() + (config.attachmentUploads.ttl * 1000)).toISOString(),
+  };
+}
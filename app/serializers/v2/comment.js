@@ -8,6 +8,9 @@ export async function serializeComment(comment) {
       'id',
       'body',
       'createdAt',
+      'editedAt',
+      'revisionsCount',
+      'replyTo',
     ]),
     createdBy: comment.userId,
   };
@@ -0,0 +1,27 @@
+import { flatten, map, uniq } from 'lodash';
+
+import { dbAdapter } from '../../models';
+import { serializeAttachment } from './post';
+
+
+export async function serializeDrafts(drafts) {
+  const attachmentIds = uniq(flatten(map(drafts, 'attachments')));
+  const attachments = attachmentIds.length > 0 ? await dbAdapter.getAttachmentsByIds(attachmentIds) : [];
+
+  return {
+    drafts:      drafts.map(serializeDraft),
+    attachments: attachments.map(serializeAttachment),
+  };
+}
+
+export function serializeDraft(draft) {
+  return {
+    id:               draft.id,
+    body:             draft.body,
+    attachments:      draft.attachments,
+    feeds:            draft.destinationNames,
+    commentsDisabled: draft.commentsDisabled,
+    createdAt:        draft.createdAt.toISOString(),
+    updatedAt:        draft.updatedAt.toISOString(),
+  };
+}
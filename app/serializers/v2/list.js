@@ -0,0 +1,25 @@
+import { flatten, uniq, values } from 'lodash';
+
+import { dbAdapter } from '../../models';
+import { serializeUsersByIds } from './user';
+
+
+export async function serializeLists(lists, viewerId) {
+  const membersAssoc = lists.length > 0 ? await dbAdapter.getListsMembersIdsAssoc(lists.map((l) => l.intId)) : {};
+  const userIds = uniq(flatten(values(membersAssoc)));
+
+  return {
+    lists: lists.map((list) => serializeList(list, membersAssoc[list.intId])),
+    users: await serializeUsersByIds(userIds, false, viewerId),
+  };
+}
+
+export function serializeList(list, members = []) {
+  return {
+    id:        list.id,
+    title:     list.title,
+    members,
+    createdAt: new Date(+list.createdAt).toISOString(),
+    updatedAt: new Date(+list.updatedAt).toISOString(),
+  };
+}
@@ -0,0 +1,12 @@
+export function serializeMuteRule(rule) {
+  return {
+    id:        rule.id,
+    type:      rule.type,
+    pattern:   rule.pattern,
+    scope:     rule.scope,
+    expiresAt: rule.expiresAt ? rule.expiresAt.toISOString() : null,
+    isExpired: !!rule.expiresAt && rule.expiresAt <= new Date(),
+    createdAt: rule.createdAt.toISOString(),
+    updatedAt: rule.updatedAt.toISOString(),
+  };
+}
@@ -1,5 +1,6 @@
-import { reduce, uniqBy, pick, map, keyBy } from 'lodash';
+import { reduce, uniq, uniqBy, pick, map, keyBy, flatten } from 'lodash';
 import { PostSerializer, dbAdapter } from '../../models';
+import { isPollClosed } from '../../support/polls';
 
 
 export const serializePostsCollection = async (postsObjects, viewerUUID = null) => {
@@ -14,10 +15,14 @@ export const serializePostsCollection = async (postsObjects, viewerUUID = null)
     subscribers:   []
   };
 
+  // The v1 serializers omit the null fields, but 'editedAt' of the unedited
+  // posts and comments is null in the v2 responses
+  const withEditedAt = (entity) => ({ editedAt: null, ...entity });
+
   const transformPosts = (result, val) => {
-    result.posts.push(val.posts);
+    result.posts.push(withEditedAt(val.posts));
 
-    result.comments       = uniqBy(result.comments.concat(val.comments || []), 'id');
+    result.comments       = uniqBy(result.comments.concat((val.comments || []).map(withEditedAt)), 'id');
     result.attachments    = uniqBy(result.attachments.concat(val.attachments || []), 'id');
     result.subscriptions  = uniqBy(result.subscriptions.concat(val.subscriptions || []), 'id');
     result.admins         = uniqBy(result.admins.concat(val.admins || []), 'id');
@@ -29,6 +34,7 @@ export const serializePostsCollection = async (postsObjects, viewerUUID = null)
 
   let postsPayload = reduce(postsCollection, transformPosts, postsCollectionJson);
   postsPayload = await _insertCommentLikesInfo(postsPayload, viewerUUID);
+  postsPayload = await _insertReactionsInfo(postsPayload, viewerUUID);
   return postsPayload;
 };
 
@@ -40,6 +46,9 @@ export function serializePost(post) {
       'commentsDisabled',
       'createdAt',
       'updatedAt',
+      'editedAt',
+      'revisionsCount',
+      'reactions',
       'friendfeedUrl',
       'commentLikes',
       'ownCommentLikes',
@@ -57,14 +66,82 @@ export function serializeComment(comment) {
       'body',
       'createdAt',
       'updatedAt',
+      'editedAt',
+      'revisionsCount',
+      'replyTo',
       'hideType',
       'likes',
-      'hasOwnLike'
+      'hasOwnLike',
+      'reactions',
     ]),
     createdBy: comment.userId,
   };
 }
 
+export function serializePoll(poll) {
+  if (!poll) {
+    return null;
+  }
+
+  return {
+    ...pick(poll, [
+      'id',
+      'options',
+      'isMultiple',
+      'isAnonymous',
+      'votersCount',
+      'myVotes',
+    ]),
+    closesAt: poll.closesAt ? poll.closesAt.getTime().toString() : null,
+    isClosed: isPollClosed(poll),
+  };
+}
+
+/**
+ * Returns ids of all public voters of the poll (they
+ * should be present in the 'users' list of response)
+ */
+export function getPollVoters(poll) {
+  if (!poll || poll.isAnonymous) {
+    return [];
+  }
+
+  return uniq(flatten(map(poll.options, 'voters')));
+}
+
+/**
+ * Returns the serialized originals of the given quote posts as a
+ * {quotePostId: serializedOriginal} object. The original is null
+ * if it is not visible to the viewer.
+ *
+ * @param {Post[]} posts
+ * @param {string|null} viewerId
+ * @return {object}
+ */
+export async function getQuotedPosts(posts, viewerId = null) {
+  const quotePosts = posts.filter((p) => p.quotedPostId);
+
+  if (quotePosts.length === 0) {
+    return {};
+  }
+
+  const [originals, viewer] = await Promise.all([
+    dbAdapter.getPostsByIds(uniq(map(quotePosts, 'quotedPostId'))),
+    viewerId ? dbAdapter.getUserById(viewerId) : null,
+  ]);
+  const visibility = await Promise.all(originals.map((p) => p.isVisibleFor(viewer)));
+  const visibleOriginals = keyBy(originals.filter((p, i) => visibility[i]), 'id');
+
+  const result = {};
+
+  for (const p of quotePosts) {
+    const original = visibleOriginals[p.quotedPostId];
+    result[p.id] = original ? serializePost(original) : null;
+  }
+
+  return result;
+}
+
 export function serializeAttachment(att) {
   const result = {
     ...pick(att, [
@@ -77,7 +154,8 @@ export function serializeAttachment(att) {
       'mediaType',
       'createdAt',
       'updatedAt',
-      ...(att.mediaType === 'audio' ? ['artist', 'title'] : [])
+      ...(att.mediaType === 'audio' ? ['artist', 'title'] : []),
+      ...(att.mediaType === 'video' ? ['duration', 'videoCodec'] : []),
     ]),
     createdBy: att.userId,
   };
@@ -114,6 +192,18 @@ async function _insertCommentLikesInfo(postsPayload, viewerUUID) {
   return postsPayload;
 }
 
+async function _insertReactionsInfo(postsPayload, viewerUUID) {
+  const [postsReactions, commentsReactions] = await Promise.all([
+    dbAdapter.getReactionsSummaryForPosts(map(postsPayload.posts, 'id'), viewerUUID),
+    dbAdapter.getReactionsSummaryForComments(map(postsPayload.comments, 'id'), viewerUUID),
+  ]);
+
+  postsPayload.posts = map(postsPayload.posts, (post) => ({ ...post, reactions: postsReactions[post.id] || [] }));
+  postsPayload.comments = map(postsPayload.comments, (comment) => ({ ...comment, reactions: commentsReactions[comment.id] || [] }));
+
+  return postsPayload;
+}
+
 function _modifyPostsPayload(postsPayload, postCLikesDict, commentLikesDict) {
   return map(postsPayload, (post) => {
     let [allLikes, ownLikes, omittedLikes, omittedOwn] = [0, 0, 0, 0];
@@ -0,0 +1,28 @@
+import { diffWords } from '../../support/text-diff';
+
+
+/**
+ * Serializes the full history of the post or comment body: the previous
+ * revisions and the current version. Every revision except the first
+ * one has the word-level diff against the preceding revision.
+ *
+ * @param {object[]} previousRevisions - {revision, body, createdAt: Date}
+ * @param {object} entity - post or comment object
+ * @return {object[]}
+ */
+export function serializeRevisions(previousRevisions, entity) {
+  const revisions = [
+    ...previousRevisions.map((r) => ({ ...r, createdAt: r.createdAt.getTime().toString() })),
+    {
+      revision:  entity.revisionsCount,
+      body:      entity.body,
+      createdAt: entity.editedAt || entity.createdAt,
+    },
+  ];
+
+  return revisions.map((r, i) => ({
+    ...r,
+    isCurrent: i === revisions.length - 1,
+    diff:      i > 0 ? diffWords(revisions[i - 1].body, r.body) : null,
+  }));
+}
@@ -0,0 +1,8 @@
+export function serializeSavedPost(savedPost) {
+  return {
+    postId:    savedPost.postId,
+    note:      savedPost.note,
+    createdAt: savedPost.createdAt.toISOString(),
+    updatedAt: savedPost.updatedAt.toISOString(),
+  };
+}
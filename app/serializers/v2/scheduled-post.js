@@ -0,0 +1,30 @@
+import { flatten, map, uniq } from 'lodash';
+
+import { dbAdapter } from '../../models';
+import { serializeAttachment } from './post';
+
+
+export async function serializeScheduledPosts(scheduledPosts) {
+  const attachmentIds = uniq(flatten(map(scheduledPosts, 'attachments')));
+  const attachments = attachmentIds.length > 0 ? await dbAdapter.getAttachmentsByIds(attachmentIds) : [];
+
+  return {
+    scheduledPosts: scheduledPosts.map(serializeScheduledPost),
+    attachments:    attachments.map(serializeAttachment),
+  };
+}
+
+export function serializeScheduledPost(scheduledPost) {
+  return {
+    id:               scheduledPost.id,
+    body:             scheduledPost.body,
+    attachments:      scheduledPost.attachments,
+    feeds:            scheduledPost.destinationNames,
+    commentsDisabled: scheduledPost.commentsDisabled,
+    publishAt:        scheduledPost.publishAt.toISOString(),
+    status:           scheduledPost.status,
+    error:            scheduledPost.error,
+    createdAt:        scheduledPost.createdAt.toISOString(),
+    updatedAt:        scheduledPost.updatedAt.toISOString(),
+  };
+}
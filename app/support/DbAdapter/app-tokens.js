@@ -0,0 +1,68 @@
+import validator from 'validator';
+
+///////////////////////////////////////////////////
+// Application tokens
+///////////////////////////////////////////////////
+
+const appTokensTrait = (superClass) => class extends superClass {
+  async createAppToken(userId, title, scopes) {
+    const [row] = await this.database('app_tokens')
+      .insert({ user_id: userId, title, scopes })
+      .returning('*');
+    return initAppToken(row);
+  }
+
+  async getAppTokenById(id) {
+    if (!validator.isUUID(id)) {
+      return null;
+    }
+
+    const row = await this.database('app_tokens').first().where('uid', id);
+    return initAppToken(row);
+  }
+
+  async getUserAppTokens(userId) {
+    const rows = await this.database('app_tokens')
+      .where('user_id', userId)
+      .orderBy('created_at', 'desc');
+    return rows.map(initAppToken);
+  }
+
+  async updateAppToken(id, { title }) {
+    const [row] = await this.database('app_tokens')
+      .where('uid', id)
+      .update({ title, updated_at: this.database.fn.now() })
+      .returning('*');
+    return initAppToken(row);
+  }
+
+  async registerAppTokenUsage(id, ip = null) {
+    await this.database.raw(
+      `update app_tokens set last_used_at = now(), last_ip = coalesce(:ip, last_ip) where uid = :id`,
+      { id, ip }
+    );
+  }
+
+  deleteAppToken(id) {
+    return this.database('app_tokens').where('uid', id).delete();
+  }
+};
+
+export default appTokensTrait;
+
+function initAppToken(row) {
+  if (!row) {
+    return null;
+  }
+
+  return {
+    id:         row.uid,
+    userId:     row.user_id,
+    title:      row.title,
+    scopes:     row.scopes,
+    createdAt:  row.created_at,
+    updatedAt:  row.updated_at,
+    lastUsedAt: row.last_used_at,
+    lastIp:     row.last_ip,
+  };
+}
@@ -0,0 +1,148 @@
+import validator from 'validator';
+
+///////////////////////////////////////////////////
+// Resumable attachment uploads
+///////////////////////////////////////////////////
+
+const attachmentUploadsTrait = (superClass) => class extends superClass {
+  /**
+   * @param {string} userId
+   * @param {object} params - {fileName, fileSize, mimeType}
+   * @return {object}
+   */
+  async createAttachmentUpload(userId, { fileName, fileSize, mimeType = null }) {
+    const [row] = await this.database('attachment_uploads')
+      .insert({ user_id: userId, file_name: fileName, file_size: fileSize, mime_type: mimeType })
+      .returning('*');
+    return initAttachmentUpload(row);
+  }
+
+  async getAttachmentUploadById(id) {
+    if (!validator.isUUID(id)) {
+      return null;
+    }
+
+    const row = await this.database('attachment_uploads').first().where('uid', id);
+    return initAttachmentUpload(row);
+  }
+
+  /**
+   * @param {string} userId
+   * @return {number}
+   */
+  async getUserAttachmentUploadsCount(userId) {
+    const { count } = await this.database('attachment_uploads').first().count('*').where('user_id', userId);
+    return parseInt(count, 10);
+  }
+
+  /**
+   * Runs the async callback with the upload locked for the concurrent
+   * requests. If the callback returns a number, it becomes the new offset
+   * of the upload.
+   *
+   * @param {string} id
+   * @param {function} callback - async (upload|null) => number|undefined
+   * @return {object|null} - updated upload
+   */
+  withLockedAttachmentUpload(id, callback) {
+    return this.database.transaction(async (trx) => {
+      const row = await trx('attachment_uploads').first().where('uid', id).forUpdate();
+      const upload = initAttachmentUpload(row);
+      const newOffset = await callback(upload);
+
+      if (!upload || typeof newOffset !== 'number') {
+        return upload;
+      }
+
+      const [updatedRow] = await trx('attachment_uploads')
+        .where('uid', id)
+        .update({ upload_offset: newOffset, updated_at: trx.fn.now() })
+        .returning('*');
+      return initAttachmentUpload(updatedRow);
+    });
+  }
+
+  /**
+   * Marks the upload as being finalized. The callback receives the locked
+   * upload and can throw to cancel the marking. The lock is held only during
+   * this short transaction, the file processing must be done after it.
+   *
+   * @param {string} id
+   * @param {function} callback - (upload|null) => any
+   * @return {object|null} - marked upload
+   */
+  startAttachmentUploadFinalization(id, callback) {
+    return this.database.transaction(async (trx) => {
+      const row = await trx('attachment_uploads').first().where('uid', id).forUpdate();
+      const upload = initAttachmentUpload(row);
+      await callback(upload);
+
+      if (!upload) {
+        return null;
+      }
+
+      const [updatedRow] = await trx('attachment_uploads')
+        .where('uid', id)
+        .update({ finalizing_at: trx.fn.now(), updated_at: trx.fn.now() })
+        .returning('*');
+      return initAttachmentUpload(updatedRow);
+    });
+  }
+
+  /**
+   * Removes the finalization mark, so the finalization can be retried
+   *
+   * @param {string} id
+   */
+  async cancelAttachmentUploadFinalization(id) {
+    await this.database('attachment_uploads')
+      .where('uid', id)
+      .update({ finalizing_at: null, updated_at: this.database.fn.now() });
+  }
+
+  /**
+   * @param {string} id
+   * @return {boolean} - false if upload was not found
+   */
+  async deleteAttachmentUpload(id) {
+    const deleted = await this.database('attachment_uploads').where('uid', id).delete();
+    return deleted > 0;
+  }
+
+  /**
+   * Deletes uploads that were not updated during the 'ttl' seconds
+   *
+   * @param {number} ttl
+   * @return {string[]} - ids of deleted uploads
+   */
+  async deleteStaleAttachmentUploads(ttl) {
+    const ids = await this.database('attachment_uploads')
+      .whereRaw(`updated_at < now() - ? * interval '1 second'`, [ttl])
+      .delete()
+      .returning('uid');
+    return ids;
+  }
+};
+
+export default attachmentUploadsTrait;
+
+///////////////////////////////////////////////////
+
+function initAttachmentUpload(row) {
+  if (!row) {
+    return null;
+  }
+
+  return {
+    id:           row.uid,
+    userId:       row.user_id,
+    fileName:     row.file_name,
+    mimeType:     row.mime_type,
+    // bigint columns are returned as strings
+    fileSize:     parseInt(row.file_size, 10),
+    offset:       parseInt(row.upload_offset, 10),
+    finalizingAt: row.finalizing_at,
+    createdAt:    row.created_at,
+    updatedAt:    row.updated_at,
+  };
+}
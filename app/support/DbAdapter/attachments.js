@@ -84,6 +84,8 @@ const ATTACHMENT_COLUMNS = {
   imageSizes:    'image_sizes',
   artist:        'artist',
   title:         'title',
+  duration:      'duration',
+  videoCodec:    'video_codec',
   userId:        'user_id',
   postId:        'post_id'
 }
@@ -132,6 +134,8 @@ export const ATTACHMENT_FIELDS = {
   image_sizes:    'imageSizes',
   artist:         'artist',
   title:          'title',
+  duration:       'duration',
+  video_codec:    'videoCodec',
   user_id:        'userId',
   post_id:        'postId'
 }
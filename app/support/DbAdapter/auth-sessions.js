@@ -0,0 +1,111 @@
+import validator from 'validator';
+
+///////////////////////////////////////////////////
+// Auth sessions
+///////////////////////////////////////////////////
+
+const authSessionsTrait = (superClass) => class extends superClass {
+  /**
+   * Creates a new session and returns it
+   *
+   * @param {string} userId
+   * @param {number} ttl - session lifetime in seconds
+   * @param {object} params - {ip, userAgent}
+   * @return {object}
+   */
+  async createAuthSession(userId, ttl, { ip = null, userAgent = '' } = {}) {
+    const { rows: [session] } = await this.database.raw(
+      `insert into auth_sessions
+        (user_id, user_agent, created_ip, last_ip, expires_at)
+        values (:userId, :userAgent, :ip, :ip, now() + :ttl * interval '1 second')
+        returning *`,
+      { userId, userAgent, ip, ttl }
+    );
+    return initAuthSession(session);
+  }
+
+  async getAuthSessionById(id) {
+    if (!validator.isUUID(id)) {
+      return null;
+    }
+
+    const row = await this.database('auth_sessions').first().where('uid', id);
+    return initAuthSession(row);
+  }
+
+  /**
+   * Returns all non-expired sessions of the user, most recently used first
+   *
+   * @param {string} userId
+   * @return {object[]}
+   */
+  async getUserAuthSessions(userId) {
+    const rows = await this.database('auth_sessions')
+      .where('user_id', userId)
+      .where('expires_at', '>', this.database.fn.now())
+      .orderBy('last_used_at', 'desc');
+    return rows.map(initAuthSession);
+  }
+
+  /**
+   * Registers the session usage and prolongs it for the 'ttl' seconds
+   *
+   * @param {string} id
+   * @param {number} ttl
+   * @param {string|null} ip
+   */
+  async registerAuthSessionUsage(id, ttl, ip = null) {
+    await this.database.raw(
+      `update auth_sessions set
+        last_used_at = now(),
+        last_ip = coalesce(:ip, last_ip),
+        expires_at = now() + :ttl * interval '1 second'
+        where uid = :id`,
+      { id, ttl, ip }
+    );
+  }
+
+  deleteAuthSession(id) {
+    return this.database('auth_sessions').where('uid', id).delete();
+  }
+
+  /**
+   * Deletes all sessions of the user except of the 'exceptId' one
+   *
+   * @param {string} userId
+   * @param {string|null} exceptId
+   * @return {number} - number of deleted sessions
+   */
+  deleteUserAuthSessions(userId, exceptId = null) {
+    const query = this.database('auth_sessions').where('user_id', userId);
+
+    if (exceptId) {
+      query.whereNot('uid', exceptId);
+    }
+
+    return query.delete();
+  }
+
+  deleteExpiredAuthSessions() {
+    return this.database('auth_sessions').where('expires_at', '<=', this.database.fn.now()).delete();
+  }
+};
+
+export default authSessionsTrait;
+
+function initAuthSession(row) {
+  if (!row) {
+    return null;
+  }
+
+  return {
+    id:         row.uid,
+    userId:     row.user_id,
+    userAgent:  row.user_agent,
+    createdIp:  row.created_ip,
+    lastIp:     row.last_ip,
+    createdAt:  row.created_at,
+    lastUsedAt: row.last_used_at,
+    expiresAt:  row.expires_at,
+  };
+}
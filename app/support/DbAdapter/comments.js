@@ -2,6 +2,7 @@ import validator from 'validator'
 
 import { Comment } from '../../models';
 import { initObject, prepareModelPayload } from './utils';
+import { saveRevision } from './revisions';
 
 ///////////////////////////////////////////////////
 // Comments
@@ -47,6 +48,23 @@ const commentsTrait = (superClass) => class extends superClass {
     return this.database('comments').where('uid', commentId).update(preparedPayload)
   }
 
+  /**
+   * Updates the comment and saves its previous body as a revision in the
+   * same transaction
+   *
+   * @param {string} commentId
+   * @param {object} payload
+   * @return {{editedAt: string, revisionsCount: number}}
+   */
+  updateCommentWithRevision(commentId, payload) {
+    const preparedPayload = prepareModelPayload(payload, COMMENT_COLUMNS, COMMENT_COLUMNS_MAPPING)
+    return this.database.transaction(async (trx) => {
+      const revision = await saveRevision(trx, 'comment', commentId);
+      await trx('comments').where('uid', commentId).update(preparedPayload);
+      return revision;
+    });
+  }
+
   deleteComment(commentId, postId) {
     return this.database('comments').where({
       uid:     commentId,
@@ -54,6 +72,37 @@ const commentsTrait = (superClass) => class extends superClass {
     }).delete()
   }
 
+  /**
+   * Returns the reply chain of the comment: all comments it (transitively)
+   * replies to, the oldest first, the comment itself and all its (transitive)
+   * replies in the order of creation.
+   *
+   * @param {string} commentId
+   * @return {Comment[]}
+   */
+  async getCommentReplyChain(commentId) {
+    const [{ rows: ancestors }, { rows: descendants }] = await Promise.all([
+      this.database.raw(`
+        with recursive chain as (
+          select c.*, 0 as depth from comments c where c.uid = :commentId
+          union all
+          select c.*, ch.depth - 1 from comments c join chain ch on c.uid = ch.reply_to
+        )
+        select * from chain order by depth
+      `, { commentId }),
+      this.database.raw(`
+        with recursive chain as (
+          select c.* from comments c where c.reply_to = :commentId
+          union all
+          select c.* from comments c join chain ch on c.reply_to = ch.uid
+        )
+        select * from chain order by created_at, id
+      `, { commentId }),
+    ]);
+
+    return [...ancestors, ...descendants].map(initCommentObject);
+  }
+
   async getPostCommentsCount(postId) {
     const res = await this.database('comments').where({ post_id: postId }).count()
     return parseInt(res[0].count)
@@ -175,6 +224,7 @@ const COMMENT_COLUMNS = {
   postId:    'post_id',
   userId:    'user_id',
   hideType:  'hide_type',
+  replyTo:   'reply_to',
 }
 
 const COMMENT_COLUMNS_MAPPING = {
@@ -191,18 +241,22 @@ const COMMENT_COLUMNS_MAPPING = {
 }
 
 export const COMMENT_FIELDS = {
-  uid:        'id',
-  created_at: 'createdAt',
-  updated_at: 'updatedAt',
-  body:       'body',
-  user_id:    'userId',
-  post_id:    'postId',
-  hide_type:  'hideType',
+  uid:             'id',
+  created_at:      'createdAt',
+  updated_at:      'updatedAt',
+  body:            'body',
+  user_id:         'userId',
+  post_id:         'postId',
+  hide_type:       'hideType',
+  edited_at:       'editedAt',
+  revisions_count: 'revisionsCount',
+  reply_to:        'replyTo',
 }
 
 const COMMENT_FIELDS_MAPPING = {
   updated_at: (time) => time.getTime().toString(),
   created_at: (time) => time.getTime().toString(),
+  edited_at:  (time) => time ? time.getTime().toString() : null,
   post_id:    (post_id) => post_id ? post_id : null,
   user_id:    (user_id) => user_id ? user_id : null,
 }
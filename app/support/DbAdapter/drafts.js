@@ -0,0 +1,97 @@
+import validator from 'validator';
+
+///////////////////////////////////////////////////
+// Post drafts
+///////////////////////////////////////////////////
+
+const draftsTrait = (superClass) => class extends superClass {
+  /**
+   * @param {string} userId
+   * @param {object} params - {body, attachments, destinationNames, commentsDisabled}
+   * @return {object}
+   */
+  async createDraft(userId, params) {
+    const [row] = await this.database('drafts')
+      .insert({ user_id: userId, ...toRow(params) })
+      .returning('*');
+    return initDraft(row);
+  }
+
+  async getDraftById(id) {
+    if (!validator.isUUID(id)) {
+      return null;
+    }
+
+    const row = await this.database('drafts').first().where('uid', id);
+    return initDraft(row);
+  }
+
+  /**
+   * Returns all drafts of the user, the most recently updated first
+   *
+   * @param {string} userId
+   * @return {object[]}
+   */
+  async getUserDrafts(userId) {
+    const rows = await this.database('drafts')
+      .where('user_id', userId)
+      .orderBy('updated_at', 'desc');
+    return rows.map(initDraft);
+  }
+
+  /**
+   * Updates only the defined fields of the draft
+   *
+   * @param {string} id
+   * @param {object} params - {body, attachments, destinationNames, commentsDisabled}
+   * @return {object}
+   */
+  async updateDraft(id, params) {
+    const [row] = await this.database('drafts')
+      .where('uid', id)
+      .update({ ...toRow(params), updated_at: this.database.fn.now() })
+      .returning('*');
+    return initDraft(row);
+  }
+
+  deleteDraft(id) {
+    return this.database('drafts').where('uid', id).delete();
+  }
+};
+
+export default draftsTrait;
+
+function toRow(params) {
+  const row = {};
+  const fields = {
+    body:             'body',
+    attachments:      'attachments',
+    destinationNames: 'destination_names',
+    commentsDisabled: 'comments_disabled',
+  };
+
+  for (const [key, column] of Object.entries(fields)) {
+    if (params[key] !== undefined) {
+      row[column] = params[key];
+    }
+  }
+
+  return row;
+}
+
+function initDraft(row) {
+  if (!row) {
+    return null;
+  }
+
+  return {
+    id:               row.uid,
+    userId:           row.user_id,
+    body:             row.body,
+    attachments:      row.attachments,
+    destinationNames: row.destination_names,
+    commentsDisabled: row.comments_disabled,
+    createdAt:        row.created_at,
+    updatedAt:        row.updated_at,
+  };
+}
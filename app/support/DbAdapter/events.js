@@ -1,9 +1,19 @@
 import { COUNTABLE_EVENT_TYPES } from '../EventTypes';
+import { cursorConditionSQL, cursorOrderSQL } from './utils';
 
 ///////////////////////////////////////////////////
 // Events
 ///////////////////////////////////////////////////
 
+// Condition for the 'events' table: event is not created by the user muted by the recipient
+const notMutedCreatorSQL = `not exists (
+  select 1 from
+    user_mutes m
+    join users recipient on recipient.uid = m.user_id
+    join users muted on muted.uid = m.muted_user_id
+  where recipient.id = events.user_id and muted.id = events.created_by_user_id
+)`;
+
 const eventsTrait = (superClass) => class extends superClass {
   async createEvent(
     recipientIntId, eventType, createdByUserIntId, targetUserIntId = null,
@@ -27,8 +37,17 @@ const eventsTrait = (superClass) => class extends superClass {
     return this.database.raw(`${insertSQL} on conflict do nothing`);
   }
 
-  getUserEvents(userIntId, eventTypes = null, limit = null, offset = null, startDate = null, endDate = null) {
-    let query = this.database('events').where('user_id', userIntId)
+  /**
+   * Returns events of the user. With the cursor the events are
+   * returned in the cursor order (see support/cursors.js). Events
+   * created by the users muted by the user are not returned.
+   */
+  getUserEvents(userIntId, eventTypes = null, limit = null, offset = null, startDate = null, endDate = null, cursor = null) {
+    let query = this.database('events')
+      .select('*', this.database.raw('created_at::text as cursor_date'))
+      .where('user_id', userIntId)
+      .whereRaw(notMutedCreatorSQL)
+      .whereRaw(cursorConditionSQL(cursor, 'created_at', 'id'));
 
     if (eventTypes && eventTypes.length > 0) {
       query = query.whereIn('event_type', eventTypes);
@@ -50,7 +69,7 @@ const eventsTrait = (superClass) => class extends superClass {
       query = query.offset(offset);
     }
 
-    return query.orderBy('created_at', 'desc').orderBy('id', 'desc');
+    return query.orderByRaw(cursorOrderSQL(cursor, 'created_at', 'id'));
   }
 
   async _getGroupIntIdByUUID(groupUUID) {
@@ -93,6 +112,7 @@ const eventsTrait = (superClass) => class extends superClass {
     const res = await this.database('events')
       .where('user_id', user.intId)
       .whereRaw('("created_by_user_id" IS NULL OR "user_id" <> "created_by_user_id")')
+      .whereRaw(notMutedCreatorSQL)
       .whereIn('event_type', COUNTABLE_EVENT_TYPES)
       .where('created_at', '>=', notificationsLastReadTime)
       .count();
@@ -0,0 +1,57 @@
+///////////////////////////////////////////////////
+// Private feed URLs
+///////////////////////////////////////////////////
+
+const feedTokensTrait = (superClass) => class extends superClass {
+  async getUserFeedToken(userId) {
+    const row = await this.database('feed_tokens').first().where('user_id', userId);
+    return initFeedToken(row);
+  }
+
+  async getFeedTokenBySecret(secret) {
+    const row = await this.database('feed_tokens').first().where('secret', secret);
+    return initFeedToken(row);
+  }
+
+  /**
+   * Sets a new secret for the user replacing the previous one
+   *
+   * @param {string} userId
+   * @param {string} secret
+   * @return {object}
+   */
+  async setFeedToken(userId, secret) {
+    const { rows: [row] } = await this.database.raw(
+      `insert into feed_tokens (user_id, secret) values (:userId, :secret)
+        on conflict (user_id) do update set
+          secret = excluded.secret,
+          created_at = now()
+        returning *`,
+      { userId, secret }
+    );
+    return initFeedToken(row);
+  }
+
+  /**
+   * @param {string} userId
+   * @return {boolean} - true if token was deleted
+   */
+  async deleteFeedToken(userId) {
+    const deleted = await this.database('feed_tokens').where('user_id', userId).delete();
+    return deleted > 0;
+  }
+};
+
+export default feedTokensTrait;
+
+function initFeedToken(row) {
+  if (!row) {
+    return null;
+  }
+
+  return {
+    userId:    row.user_id,
+    secret:    row.secret,
+    createdAt: row.created_at,
+  };
+}
@@ -49,6 +49,7 @@ const feedsTrait = (superClass) => class extends superClass {
     const posts         = _.filter(res, (record) => record.name === 'Posts');
     const directs       = _.filter(res, (record) => record.name === 'Directs');
     const myDiscussions = _.filter(res, (record) => record.name === 'MyDiscussions');
+    const saves         = _.filter(res, (record) => record.name === 'Saves');
 
     const timelines =  {
       'RiverOfNews': riverOfNews[0] && riverOfNews[0].uid,
@@ -66,6 +67,10 @@ const feedsTrait = (superClass) => class extends superClass {
       timelines['MyDiscussions'] = myDiscussions[0].uid;
     }
 
+    if (saves[0]) {
+      timelines['Saves'] = saves[0].uid;
+    }
+
     if (res.length) {
       // Don not cache empty feeds lists
       await this.memoryCache.set(cacheKey, timelines);
@@ -212,6 +217,7 @@ const FEED_COLUMNS = {
   createdAt: 'created_at',
   updatedAt: 'updated_at',
   name:      'name',
+  title:     'title',
   userId:    'user_id'
 }
 
@@ -234,6 +240,7 @@ const FEED_FIELDS = {
   created_at: 'createdAt',
   updated_at: 'updatedAt',
   name:       'name',
+  title:      'title',
   user_id:    'userId'
 }
 
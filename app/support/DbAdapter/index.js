@@ -29,6 +29,23 @@ import commentLikesTrait from './comment-likes';
 import allGroupsTrait from './all-groups';
 import summaryTrait from './summary';
 import invitationsTrait from './invitations';
+import authSessionsTrait from './auth-sessions';
+import appTokensTrait from './app-tokens';
+import totpTrait from './totp';
+import rateLimitsTrait from './rate-limits';
+import scheduledPostsTrait from './scheduled-posts';
+import draftsTrait from './drafts';
+import revisionsTrait from './revisions';
+import pollsTrait from './polls';
+import reactionsTrait from './reactions';
+import feedTokensTrait from './feed-tokens';
+import listsTrait from './lists';
+import muteRulesTrait from './mute-rules';
+import userMutesTrait from './user-mutes';
+import pinnedPostsTrait from './pinned-posts';
+import savedPostsTrait from './saved-posts';
+import repostsTrait from './reposts';
+import attachmentUploadsTrait from './attachment-uploads';
 
 
 promisifyAll(redis.RedisClient.prototype);
@@ -80,4 +97,21 @@ export const DbAdapter = _.flow([
   allGroupsTrait,
   summaryTrait,
   invitationsTrait,
+  authSessionsTrait,
+  appTokensTrait,
+  totpTrait,
+  rateLimitsTrait,
+  scheduledPostsTrait,
+  draftsTrait,
+  revisionsTrait,
+  pollsTrait,
+  reactionsTrait,
+  feedTokensTrait,
+  listsTrait,
+  muteRulesTrait,
+  userMutesTrait,
+  pinnedPostsTrait,
+  savedPostsTrait,
+  repostsTrait,
+  attachmentUploadsTrait,
 ])(DbAdapterBase);
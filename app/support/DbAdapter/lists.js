@@ -0,0 +1,152 @@
+import _ from 'lodash';
+import validator from 'validator';
+
+///////////////////////////////////////////////////
+// Custom home feeds (lists)
+///////////////////////////////////////////////////
+
+const listsTrait = (superClass) => class extends superClass {
+  /**
+   * @param {string} userId
+   * @param {string} title
+   * @return {Timeline}
+   */
+  async createList(userId, title) {
+    const currentTime = new Date().getTime().toString();
+    const { id } = await this.createTimeline({
+      name:      'List',
+      title,
+      userId,
+      createdAt: currentTime,
+      updatedAt: currentTime,
+    });
+    return await this.getTimelineById(id);
+  }
+
+  async getListById(id) {
+    if (!validator.isUUID(id)) {
+      return null;
+    }
+
+    const list = await this.getTimelineById(id);
+    return list && list.isList() ? list : null;
+  }
+
+  /**
+   * Returns all lists of the user in order of creation
+   *
+   * @param {string} userId
+   * @return {Timeline[]}
+   */
+  async getUserLists(userId) {
+    const ids = await this.database('feeds')
+      .pluck('uid')
+      .where({ user_id: userId, name: 'List' })
+      .orderBy('created_at', 'asc')
+      .orderBy('id', 'asc');
+    return await this.getTimelinesByIds(ids);
+  }
+
+  async updateList(intId, title) {
+    await this.database('feeds')
+      .where({ id: intId, name: 'List' })
+      .update({ title, updated_at: this.database.fn.now() });
+  }
+
+  deleteList(intId) {
+    return this.database('feeds').where({ id: intId, name: 'List' }).delete();
+  }
+
+  /**
+   * Adds users/groups to the list. Already present members are ignored.
+   *
+   * @param {number} listIntId
+   * @param {string[]} userIds
+   */
+  async addListMembers(listIntId, userIds) {
+    if (userIds.length === 0) {
+      return;
+    }
+
+    await this.database.raw(
+      `insert into list_members (list_id, user_id)
+        select :listIntId, unnest(:userIds::uuid[])
+        on conflict do nothing`,
+      { listIntId, userIds }
+    );
+  }
+
+  /**
+   * @param {number} listIntId
+   * @param {string} userId
+   * @return {boolean} - true if member was removed
+   */
+  async removeListMember(listIntId, userId) {
+    const deleted = await this.database('list_members').where({ list_id: listIntId, user_id: userId }).delete();
+    return deleted > 0;
+  }
+
+  /**
+   * Returns ids of the list members in order of addition
+   *
+   * @param {number} listIntId
+   * @return {string[]}
+   */
+  getListMembersIds(listIntId) {
+    return this.database('list_members')
+      .pluck('user_id')
+      .where('list_id', listIntId)
+      .orderBy('created_at', 'asc');
+  }
+
+  /**
+   * Returns the members ids of the several lists as {[listIntId]: memberIds}
+   *
+   * @param {number[]} listIntIds
+   * @return {object}
+   */
+  async getListsMembersIdsAssoc(listIntIds) {
+    const rows = await this.database('list_members')
+      .select('list_id', 'user_id')
+      .whereIn('list_id', listIntIds)
+      .orderBy('created_at', 'asc');
+    const result = {};
+    listIntIds.forEach((id) => result[id] = []);
+    rows.forEach((r) => result[r.list_id].push(r.user_id));
+    return result;
+  }
+
+  /**
+   * Returns integer ids of the source feeds of the list. Only the members
+   * that viewer is still subscribed to are taken into account. The feeds are
+   * separated the same way as in getSubscriprionsIntIds: 'destinations'
+   * (Posts) and 'activities' (Comments and Likes). The 'authors' are the
+   * ids of the list members which are users (not groups).
+   *
+   * @param {number} listIntId
+   * @param {string} viewerId
+   * @return {{destinations: number[], activities: number[], authors: string[]}}
+   */
+  async getListSourceFeedsIntIds(listIntId, viewerId) {
+    const { rows } = await this.database.raw(
+      `select f.id, f.name, f.user_id, u.type as owner_type
+      from
+        list_members m
+        join users u on u.uid = m.user_id
+        join feeds pf on pf.user_id = m.user_id and pf.name = 'Posts'
+        join subscriptions s on s.feed_id = pf.uid and s.user_id = :viewerId
+        join feeds f on f.user_id = m.user_id and f.name in ('Posts', 'Comments', 'Likes')
+      where m.list_id = :listIntId
+      `,
+      { listIntId, viewerId }
+    );
+
+    return {
+      destinations: rows.filter((r) => r.name === 'Posts').map((r) => r.id),
+      activities:   rows.filter((r) => r.name !== 'Posts').map((r) => r.id),
+      authors:      _.uniq(rows.filter((r) => r.owner_type === 'user').map((r) => r.user_id)),
+    };
+  }
+};
+
+export default listsTrait;
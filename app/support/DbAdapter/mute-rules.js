@@ -0,0 +1,148 @@
+import pgFormat from 'pg-format';
+import validator from 'validator';
+
+import { muteRulesSQL } from './utils';
+
+///////////////////////////////////////////////////
+// Mute rules
+///////////////////////////////////////////////////
+
+const muteRulesTrait = (superClass) => class extends superClass {
+  /**
+   * @param {string} userId
+   * @param {object} params - {type, pattern, scope, expiresAt}
+   * @return {object}
+   */
+  async createMuteRule(userId, params) {
+    const [row] = await this.database('mute_rules')
+      .insert({ user_id: userId, ...toRow(params) })
+      .returning('*');
+    return initMuteRule(row);
+  }
+
+  async getMuteRuleById(id) {
+    if (!validator.isUUID(id)) {
+      return null;
+    }
+
+    const row = await this.database('mute_rules').first().where('uid', id);
+    return initMuteRule(row);
+  }
+
+  /**
+   * Returns all rules of the user (including expired), the newest first
+   *
+   * @param {string} userId
+   * @return {object[]}
+   */
+  async getUserMuteRules(userId) {
+    const rows = await this.database('mute_rules')
+      .where('user_id', userId)
+      .orderBy('created_at', 'desc');
+    return rows.map(initMuteRule);
+  }
+
+  /**
+   * Returns the non-expired rules of the user
+   *
+   * @param {string} userId
+   * @return {object[]}
+   */
+  async getActiveUserMuteRules(userId) {
+    const rows = await this.database('mute_rules')
+      .where('user_id', userId)
+      .where((q) => q.whereNull('expires_at').orWhere('expires_at', '>', this.database.fn.now()))
+      .orderBy('created_at', 'desc');
+    return rows.map(initMuteRule);
+  }
+
+  /**
+   * Updates only the defined fields of the rule
+   *
+   * @param {string} id
+   * @param {object} params - {type, pattern, scope, expiresAt}
+   * @return {object}
+   */
+  async updateMuteRule(id, params) {
+    const [row] = await this.database('mute_rules')
+      .where('uid', id)
+      .update({ ...toRow(params), updated_at: this.database.fn.now() })
+      .returning('*');
+    return initMuteRule(row);
+  }
+
+  deleteMuteRule(id) {
+    return this.database('mute_rules').where('uid', id).delete();
+  }
+
+  /**
+   * Checks that the pattern is a valid PostgreSQL regular expression
+   *
+   * @param {string} pattern
+   * @return {boolean}
+   */
+  async isValidMuteRegex(pattern) {
+    try {
+      await this.database.raw(`select '' ~* :pattern`, { pattern });
+      return true;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  /**
+   * Returns ids of the posts (from the postIds) matched by the rules
+   *
+   * @param {string[]} postIds
+   * @param {object[]} rules
+   * @param {string} viewerId
+   * @return {string[]}
+   */
+  async getMutedPostsIds(postIds, rules, viewerId) {
+    if (postIds.length === 0 || rules.length === 0) {
+      return [];
+    }
+
+    // The rules SQL can contain ':word' sequences, so the knex named bindings are not used here
+    const sql = pgFormat('select p.uid from posts p where p.uid in (%L)', postIds);
+    const { rows } = await this.database.raw(`${sql} and ${muteRulesSQL(rules, viewerId, 'p')}`);
+    return rows.map((r) => r.uid);
+  }
+};
+
+export default muteRulesTrait;
+
+function toRow(params) {
+  const row = {};
+  const fields = {
+    type:      'type',
+    pattern:   'pattern',
+    scope:     'scope',
+    expiresAt: 'expires_at',
+  };
+
+  for (const [key, column] of Object.entries(fields)) {
+    if (params[key] !== undefined) {
+      row[column] = params[key];
+    }
+  }
+
+  return row;
+}
+
+function initMuteRule(row) {
+  if (!row) {
+    return null;
+  }
+
+  return {
+    id:        row.uid,
+    userId:    row.user_id,
+    type:      row.type,
+    pattern:   row.pattern,
+    scope:     row.scope,
+    expiresAt: row.expires_at,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
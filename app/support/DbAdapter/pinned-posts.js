@@ -0,0 +1,57 @@
+///////////////////////////////////////////////////
+// Pinned posts
+///////////////////////////////////////////////////
+
+const pinnedPostsTrait = (superClass) => class extends superClass {
+  /**
+   * @param {string} feedOwnerId
+   * @param {string} postId
+   * @param {string} pinnedById
+   * @return {boolean} - false if post is already pinned
+   */
+  async pinPost(feedOwnerId, postId, pinnedById) {
+    const { rowCount } = await this.database.raw(
+      `insert into pinned_posts (feed_owner_id, post_id, pinned_by) values (:feedOwnerId, :postId, :pinnedById)
+        on conflict do nothing`,
+      { feedOwnerId, postId, pinnedById }
+    );
+    return rowCount > 0;
+  }
+
+  /**
+   * @param {string} feedOwnerId
+   * @param {string} postId
+   * @return {boolean} - false if post was not pinned
+   */
+  async unpinPost(feedOwnerId, postId) {
+    const deleted = await this.database('pinned_posts')
+      .where({ feed_owner_id: feedOwnerId, post_id: postId })
+      .delete();
+    return deleted > 0;
+  }
+
+  /**
+   * Returns posts pinned to the owner's 'Posts' feed as {id, userId}
+   * objects, the most recently pinned first. Posts that was removed
+   * from this feed are skipped.
+   *
+   * @param {string} feedOwnerId
+   * @return {{id: string, userId: string}[]}
+   */
+  async getPinnedPosts(feedOwnerId) {
+    const { rows } = await this.database.raw(
+      `select p.uid, p.user_id
+      from
+        pinned_posts pp
+        join posts p on p.uid = pp.post_id
+        join feeds f on f.user_id = pp.feed_owner_id and f.name = 'Posts'
+      where pp.feed_owner_id = :feedOwnerId and p.destination_feed_ids && array[f.id]
+      order by pp.created_at desc
+      `,
+      { feedOwnerId }
+    );
+    return rows.map((r) => ({ id: r.uid, userId: r.user_id }));
+  }
+};
+
+export default pinnedPostsTrait;
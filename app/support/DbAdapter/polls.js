@@ -0,0 +1,134 @@
+import _ from 'lodash';
+import pgFormat from 'pg-format';
+
+///////////////////////////////////////////////////
+// Polls
+///////////////////////////////////////////////////
+
+const pollsTrait = (superClass) => class extends superClass {
+  /**
+   * @param {string} postId
+   * @param {object} params - {options, isMultiple, isAnonymous, closesAt}
+   * @return {object}
+   */
+  async createPoll(postId, params) {
+    const [row] = await this.database('polls')
+      .insert({
+        post_id:      postId,
+        options:      params.options,
+        is_multiple:  !!params.isMultiple,
+        is_anonymous: !!params.isAnonymous,
+        closes_at:    params.closesAt || null,
+      })
+      .returning('*');
+    return initPoll(row, [], null);
+  }
+
+  async getPollByPostId(postId, viewerId = null) {
+    const polls = await this.getPollsByPostIds([postId], viewerId);
+    return polls[postId] || null;
+  }
+
+  /**
+   * Returns polls of the given posts with the votes tallies. The viewer's
+   * votes are returned in the 'myVotes' field.
+   *
+   * @param {string[]} postIds
+   * @param {string|null} viewerId
+   * @return {object} - polls by post ids
+   */
+  async getPollsByPostIds(postIds, viewerId = null) {
+    if (_.isEmpty(postIds)) {
+      return {};
+    }
+
+    const pollRows = await this.database('polls').whereIn('post_id', postIds);
+
+    if (pollRows.length === 0) {
+      return {};
+    }
+
+    const pollIds = _.map(pollRows, 'uid');
+
+    const [
+      { rows: optionsData },
+      { rows: votersData },
+    ] = await Promise.all([
+      this.database.raw(pgFormat(`
+        select
+          poll_id, option_index, count(*)::int as votes,
+          array_agg(user_id order by created_at desc, id desc) as voters
+        from poll_votes
+        where poll_id in (%L)
+        group by poll_id, option_index
+      `, pollIds)),
+      this.database.raw(pgFormat(`
+        select
+          poll_id, count(distinct user_id)::int as voters_count,
+          coalesce(array_agg(option_index order by option_index) filter (where user_id = %L), '{}') as my_votes
+        from poll_votes
+        where poll_id in (%L)
+        group by poll_id
+      `, viewerId, pollIds)),
+    ]);
+
+    const optionsByPoll = _.groupBy(optionsData, 'poll_id');
+    const votersByPoll = _.keyBy(votersData, 'poll_id');
+
+    const result = {};
+
+    for (const row of pollRows) {
+      result[row.post_id] = initPoll(row, optionsByPoll[row.uid] || [], votersByPoll[row.uid]);
+    }
+
+    return result;
+  }
+
+  /**
+   * Replaces all votes of the user in the poll
+   *
+   * @param {string} pollId
+   * @param {string} userId
+   * @param {number[]} optionIndices
+   */
+  setPollVotes(pollId, userId, optionIndices) {
+    return this.database.transaction(async (trx) => {
+      await trx('poll_votes').where({ poll_id: pollId, user_id: userId }).delete();
+      await trx('poll_votes').insert(optionIndices.map((option_index) => ({ poll_id: pollId, user_id: userId, option_index })));
+    });
+  }
+
+  /**
+   * Removes all votes of the user in the poll
+   *
+   * @param {string} pollId
+   * @param {string} userId
+   * @return {boolean} - false if user has not voted
+   */
+  async deletePollVotes(pollId, userId) {
+    const deleted = await this.database('poll_votes').where({ poll_id: pollId, user_id: userId }).delete();
+    return deleted > 0;
+  }
+};
+
+export default pollsTrait;
+
+function initPoll(row, optionsData, votersData) {
+  const optionsByIndex = _.keyBy(optionsData, 'option_index');
+
+  return {
+    id:          row.uid,
+    postId:      row.post_id,
+    isMultiple:  row.is_multiple,
+    isAnonymous: row.is_anonymous,
+    closesAt:    row.closes_at,
+    createdAt:   row.created_at,
+    options:     row.options.map((text, i) => {
+      const votes = optionsByIndex[i] ? optionsByIndex[i].votes : 0;
+      // Voters of the anonymous polls are never exposed
+      return row.is_anonymous ? { text, votes } : { text, votes, voters: optionsByIndex[i] ? optionsByIndex[i].voters : [] };
+    }),
+    votersCount: votersData ? votersData.voters_count : 0,
+    myVotes:     votersData ? votersData.my_votes : [],
+  };
+}
@@ -3,9 +3,11 @@ import validator from 'validator'
 import pgFormat from 'pg-format';
 
 import { Post, Comment } from '../../models';
-import { initObject, prepareModelPayload, unexistedUID } from './utils';
+import { CURSOR_AFTER } from '../cursors';
+import { initObject, prepareModelPayload, unexistedUID, cursorConditionSQL, cursorOrderSQL, muteRulesSQL } from './utils';
 import { COMMENT_FIELDS, initCommentObject } from './comments';
 import { ATTACHMENT_FIELDS, initAttachmentObject } from './attachments';
+import { saveRevision } from './revisions';
 
 ///////////////////////////////////////////////////
 // Posts
@@ -25,6 +27,23 @@ const postsTrait = (superClass) => class extends superClass {
     return this.database('posts').where('uid', postId).update(preparedPayload)
   }
 
+  /**
+   * Updates the post and saves its previous body as a revision in the same
+   * transaction
+   *
+   * @param {string} postId
+   * @param {object} payload
+   * @return {{editedAt: string, revisionsCount: number}}
+   */
+  updatePostWithRevision(postId, payload) {
+    const preparedPayload = prepareModelPayload(payload, POST_COLUMNS, POST_COLUMNS_MAPPING)
+    return this.database.transaction(async (trx) => {
+      const revision = await saveRevision(trx, 'post', postId);
+      await trx('posts').where('uid', postId).update(preparedPayload);
+      return revision;
+    });
+  }
+
   async getPostById(id, params) {
     if (!validator.isUUID(id)) {
       return null
@@ -236,26 +255,46 @@ const postsTrait = (superClass) => class extends superClass {
    * Returns UIDs of timelines posts
    */
   async getTimelinePostsIds(timelineName, timelineIntIds, viewerId = null, params = {}) {
+    const page = await this.getTimelinePostsPage(timelineName, timelineIntIds, viewerId, params);
+    return page.map((p) => p.id);
+  }
+
+  /**
+   * Returns timelines posts as {id, cursorDate} objects, where cursorDate is
+   * the text value of the sort column (see support/cursors.js). With the
+   * params.cursor the posts are returned in the cursor order. With the local
+   * bumps the post is sorted by the date of its local bump if it is newer than
+   * bumped_at, and this date is its cursorDate, so the cursor pages keep the
+   * same order as the first one.
+   */
+  async getTimelinePostsPage(timelineName, timelineIntIds, viewerId = null, params = {}) {
     params = {
-      limit:           30,
-      offset:          0,
-      sort:            'bumped',
-      withLocalBumps:  false,
-      withoutDirects:  false,
-      createdBefore:   null,
-      createdAfter:    null,
-      activityFeedIds: [],
-      authorsIds:      [],
+      limit:             30,
+      offset:            0,
+      sort:              'bumped',
+      cursor:            null,
+      withLocalBumps:    false,
+      withoutDirects:    false,
+      withoutAnyDirects: false,  // for application tokens without the 'directs' scope
+      createdBefore:     null,
+      createdAfter:      null,
+      activityFeedIds:   [],
+      authorsIds:        [],
+      muteRules:         [],
+      mutedUsersIds:     [],
+      excludedPostsIds:  [],
       ...params,
     };
 
-    params.withLocalBumps = params.withLocalBumps && !!viewerId && params.sort === 'bumped';
+    const maxOffsetWithLocalBumps = 1000;
+    params.withLocalBumps = params.withLocalBumps && !!viewerId && params.sort === 'bumped'
+      && params.offset <= maxOffsetWithLocalBumps;
 
     // Private feeds viewer can read
     let visiblePrivateFeedIntIds = [];
     // Users who banned viewer or banned by viewer (viewer should not see their posts)
     let  bannedUsersIds = [];
-    // Additional condition for params.withoutDirects option
+    // Additional condition for params.withoutDirects and params.withoutAnyDirects options
     let noDirectsSQL = 'true';
     let postsAuthorsSQL = null;
 
@@ -268,10 +307,16 @@ const postsTrait = (superClass) => class extends superClass {
         this.getUsersBansOrWasBannedBy(viewerId),
       ]);
 
-      if (params.withoutDirects) {
-        // Do not show directs-only messages (any messages posted to the viewer's 'Directs' feed and to ONE other feed)
+      if (params.withoutDirects || params.withoutAnyDirects) {
         const [directsIntId] = await this.database.pluck('id').from('feeds').where({ user_id: viewerId, name: 'Directs' });
-        noDirectsSQL = `not (destination_feed_ids && '{${directsIntId}}' and array_length(destination_feed_ids, 1) = 2)`;
+
+        if (params.withoutAnyDirects) {
+          // Do not show any messages posted to the viewer's 'Directs' feed
+          noDirectsSQL = `not (destination_feed_ids && '{${directsIntId}}')`;
+        } else {
+          // Do not show directs-only messages (any messages posted to the viewer's 'Directs' feed and to ONE other feed)
+          noDirectsSQL = `not (destination_feed_ids && '{${directsIntId}}' and array_length(destination_feed_ids, 1) = 2)`;
+        }
       }
 
       if (params.authorsIds.length > 0) {
@@ -307,13 +352,33 @@ const postsTrait = (superClass) => class extends superClass {
     const privacyCondition = viewerId ?
       pgFormat(`(not p.is_private or p.destination_feed_ids && %L)`, `{${visiblePrivateFeedIntIds.join(',')}}`)
       : 'not p.is_protected';
-    const bansSQL = bannedUsersIds.length > 0 ?
-      pgFormat(`(not p.user_id in (%L))`, bannedUsersIds)
+    // Viewer doesn't see posts of banned and muted users
+    const hiddenAuthorsIds = _.union(bannedUsersIds, params.mutedUsersIds);
+    const bansSQL = hiddenAuthorsIds.length > 0 ?
+      pgFormat(`(not p.user_id in (%L))`, hiddenAuthorsIds)
       : 'true';
 
-    const restrictionsSQL = [bansSQL, privacyCondition, noDirectsSQL, createdAtSQL].join(' and ');
+    // The restrictionsSQL is used inside the pgFormat templates, so the '%' characters of mute patterns are escaped
+    const muteSQL = (viewerId && params.muteRules.length > 0) ?
+      `not ${muteRulesSQL(params.muteRules, viewerId).replace(/%/g, '%%')}`
+      : 'true';
+
+    const excludedPostsSQL = params.excludedPostsIds.length > 0 ?
+      pgFormat(`(not p.uid in (%L))`, params.excludedPostsIds)
+      : 'true';
+
+    const restrictionsSQL = [bansSQL, privacyCondition, noDirectsSQL, createdAtSQL, muteSQL, excludedPostsSQL].join(' and ');
+    const sortColumn = pgFormat('p.%I', `${params.sort}_at`);
+    // The posts locally bumped after their bumped_at are sorted by the
+    // local bump date, so they are selected by the local bumps query only
+    const notLocallyBumpedSQL = params.withLocalBumps ?
+      pgFormat(`not exists (
+          select 1 from local_bumps b where b.user_id = %L and b.post_id = p.uid and b.created_at > p.bumped_at
+        )`, viewerId)
+      : 'true';
+    const cursorSQL = `${cursorConditionSQL(params.cursor, sortColumn, 'p.uid')} and ${notLocallyBumpedSQL}`;
+    const orderSQL = cursorOrderSQL(params.cursor, sortColumn, 'p.uid');
 
-    const maxOffsetWithLocalBumps = 1000;
     const smallFeedThreshold = 5;
 
     /**
@@ -328,59 +393,59 @@ const postsTrait = (superClass) => class extends superClass {
      *
      * @param {number} limit
      * @param {number} offset
-     * @param {string} sort
      */
-    const getPostsSQL = (limit, offset, sort) => {
+    const getPostsSQL = (limit, offset) => {
       if (timelineIntIds.length <= smallFeedThreshold) {
         // Request with CTE for the relatively small feed
         return pgFormat(`
           with posts as (
             select * from posts p where ${sourceConditionSQL}
           )
-          select p.uid, p.bumped_at as date
+          select p.uid, p.bumped_at as date, ${sortColumn}::text as cursor_date
           from 
             posts p
           where
-            ${restrictionsSQL}
+            ${restrictionsSQL} and ${cursorSQL}
           order by
-            p.%I desc
+            ${orderSQL}
           limit %L offset %L
-        `, `${sort}_at`, limit, offset);
+        `, limit, offset);
       }
 
       // Request without CTE for the large (tipically RiverOfNews) feed
       return pgFormat(`
-        select p.uid, p.bumped_at as date
+        select p.uid, p.bumped_at as date, ${sortColumn}::text as cursor_date
         from 
           posts p
         where
-          ${sourceConditionSQL} and ${restrictionsSQL}
+          ${sourceConditionSQL} and ${restrictionsSQL} and ${cursorSQL}
         order by
-          p.%I desc
+          ${orderSQL}
         limit %L offset %L
-      `, `${sort}_at`, limit, offset);
+      `, limit, offset);
     };
 
-    if (!params.withLocalBumps || params.offset > maxOffsetWithLocalBumps) {
+    const toPageItem = (r) => ({ id: r.uid, cursorDate: r.cursor_date });
+
+    if (!params.withLocalBumps) {
       // without local bumps
-      const sql = getPostsSQL(params.limit, params.offset, params.sort);
-      return (await this.database.raw(sql)).rows.map((r) => r.uid);
+      const sql = getPostsSQL(params.limit, params.offset);
+      return (await this.database.raw(sql)).rows.map(toPageItem);
     }
 
     // with local bumps
     const fullCount = params.limit + params.offset;
-    const postsSQL = getPostsSQL(fullCount, 0, 'bumped');
+    const postsSQL = getPostsSQL(fullCount, 0);
     const localBumpsSQL = pgFormat(`
-        with local_bumps as (
-          select post_id, min(created_at) as created_at from local_bumps where user_id = %L group by post_id
-        )
-        select b.post_id as uid, b.created_at as date
+        select b.post_id as uid, b.created_at as date, b.created_at::text as cursor_date
         from
           local_bumps b
           join posts p on p.uid = b.post_id
         where
-          ${sourceConditionSQL} and ${restrictionsSQL}
-        order by b.created_at desc
+          b.user_id = %L and b.created_at > p.bumped_at
+          and ${sourceConditionSQL} and ${restrictionsSQL}
+          and ${cursorConditionSQL(params.cursor, 'b.created_at', 'b.post_id')}
+        order by ${cursorOrderSQL(params.cursor, 'b.created_at', 'b.post_id')}
         limit %L
     `, viewerId, fullCount);
 
@@ -392,56 +457,17 @@ const postsTrait = (superClass) => class extends superClass {
       this.database.raw(localBumpsSQL),
     ]);
 
-    // merge these two sorted arrays
+    // Merge these two sorted arrays. They have no common posts and
+    // both are sorted in the cursor order (ascending for the 'after' pages).
+    const isAscending = !!params.cursor && params.cursor.direction === CURSOR_AFTER;
     const result = [];
+    let i = 0, j = 0;
 
-    {
-      const idsCounted = new Set();
-      let i = 0, j = 0;
-
-      while (i < postsData.length && j < localBumpsData.length) {
-        if (postsData[i].date > localBumpsData[j].date) {
-          const { uid } = postsData[i];
-
-          if (!idsCounted.has(uid)) {
-            result.push(uid);
-            idsCounted.add(uid);
-          }
-
-          i++;
-        } else {
-          const { uid } = localBumpsData[j];
-
-          if (!idsCounted.has(uid)) {
-            result.push(uid);
-            idsCounted.add(uid);
-          }
-
-          j++;
-        }
-      }
-
-      while (i < postsData.length) {
-        const { uid } = postsData[i];
-
-        if (!idsCounted.has(uid)) {
-          result.push(uid);
-          idsCounted.add(uid);
-        }
-
-        i++;
-      }
-
-      while (j < localBumpsData.length) {
-        const { uid } = localBumpsData[j];
-
-        if (!idsCounted.has(uid)) {
-          result.push(uid);
-          idsCounted.add(uid);
-        }
-
-        j++;
-      }
+    while (result.length < fullCount && (i < postsData.length || j < localBumpsData.length)) {
+      const takePost = j >= localBumpsData.length || (i < postsData.length && (
+        isAscending ? postsData[i].date < localBumpsData[j].date : postsData[i].date > localBumpsData[j].date
+      ));
+      result.push(toPageItem(takePost ? postsData[i++] : localBumpsData[j++]));
     }
 
     return result.slice(params.offset, fullCount);
@@ -467,7 +493,7 @@ const postsTrait = (superClass) => class extends superClass {
    * 15+ comments by 5+ users
    * Created less than 60 days ago
    */
-  bestPosts = async (currentUser, offset = 0, limit = 30) => {
+  bestPosts = async (currentUser, offset = 0, limit = 30, cursor = null) => {
     const MIN_LIKES = 10;
     const MIN_COMMENTS = 15;
     const MIN_COMMENT_AUTHORS = 5;
@@ -493,7 +519,7 @@ const postsTrait = (superClass) => class extends superClass {
 
     const sql = `
       SELECT
-        DISTINCT "posts".* FROM "posts"
+        DISTINCT "posts".*, "posts"."bumped_at"::text as cursor_date FROM "posts"
       LEFT JOIN (SELECT post_id, COUNT("id") AS "comments_count", COUNT(DISTINCT "user_id") as "comment_authors_count" FROM "comments" GROUP BY "comments"."post_id") AS "c" ON "c"."post_id" = "posts"."uid"
       LEFT JOIN (SELECT post_id, COUNT("id") AS "likes_count" FROM "likes" GROUP BY "likes"."post_id") AS "l" ON "l"."post_id" = "posts"."uid"
       INNER JOIN "feeds" ON "posts"."destination_feed_ids" # feeds.id > 0 AND "feeds"."name" = 'Posts'
@@ -502,7 +528,8 @@ const postsTrait = (superClass) => class extends superClass {
         "l"."likes_count" >= ${MIN_LIKES} AND "c"."comments_count" >= ${MIN_COMMENTS} AND "c"."comment_authors_count" >= ${MIN_COMMENT_AUTHORS} AND "posts"."created_at" > (current_date - ${MAX_DAYS} * interval '1 day')
         ${bannedUsersFilter}
         ${usersWhoBannedMeFilter}
-      ORDER BY "posts"."bumped_at" DESC
+        AND ${cursorConditionSQL(cursor, '"posts"."bumped_at"', '"posts"."uid"')}
+      ORDER BY ${cursorOrderSQL(cursor, '"posts"."bumped_at"', '"posts"."uid"')}
       OFFSET ${offset} LIMIT ${limit}`;
 
     const res = await this.database.raw(sql);
@@ -534,6 +561,7 @@ const postsTrait = (superClass) => class extends superClass {
       maxUnfoldedLikes:    4,
       visibleFoldedLikes:  3,
       hiddenCommentTypes:  [],
+      mutedUsersIds:       [],  // comments and likes of these users are not returned at all
       ...params,
     };
 
@@ -566,6 +594,8 @@ const postsTrait = (superClass) => class extends superClass {
       postsData,
       attData,
       { rows: destData },
+      pollsData,
+      postsReactions,
     ] = await Promise.all([
       viewerId ? this.getUserBansIds(viewerId) : [],
       viewerId ? this.getUserFriendIds(viewerId) : [],
@@ -573,6 +603,8 @@ const postsTrait = (superClass) => class extends superClass {
         .leftJoin('archive_post_names as a', 'p.uid', 'a.post_id').whereIn('p.uid', uniqPostsIds),
       this.database.select(...attFields).from('attachments').orderBy('ord', 'asc').orderBy('created_at', 'asc').whereIn('post_id', uniqPostsIds),
       this.database.raw(destinationsSQL),
+      this.getPollsByPostIds(uniqPostsIds, viewerId),
+      this.getReactionsSummaryForPosts(uniqPostsIds, viewerId),
     ]);
 
     const nobodyIsBanned = bannedUsersIds.length === 0;
@@ -585,6 +617,8 @@ const postsTrait = (superClass) => class extends superClass {
       friendsIds.push(unexistedUID);
     }
 
+    const hiddenLikersIds = _.union(bannedUsersIds, params.mutedUsersIds);
+
     const allLikesSQL = pgFormat(`
       select
         post_id, user_id,
@@ -597,7 +631,7 @@ const postsTrait = (superClass) => class extends superClass {
         count(*) over (partition by post_id) 
       from likes
       where post_id in (%L) and user_id not in (%L)
-    `, [viewerId], friendsIds, uniqPostsIds, bannedUsersIds);
+    `, [viewerId], friendsIds, uniqPostsIds, hiddenLikersIds);
 
     const foldLikesSql = params.foldLikes ? pgFormat(`where count <= %L or rank <= %L`, params.maxUnfoldedLikes, params.visibleFoldedLikes) : ``;
     const likesSQL = `
@@ -622,6 +656,10 @@ const postsTrait = (superClass) => class extends superClass {
       }
     }
 
+    if (params.mutedUsersIds.length > 0) {
+      hideCommentsSQL += pgFormat(' and user_id not in (%L)', params.mutedUsersIds);
+    }
+
     const viewerIntId = viewerId ? await this._getUserIntIdByUUID(viewerId) : null;
 
 
@@ -660,7 +698,13 @@ const postsTrait = (superClass) => class extends superClass {
 
     const results = {};
 
-    const postsCommentLikes = await this.getLikesInfoForPosts(uniqPostsIds, viewerId);
+    const [
+      postsCommentLikes,
+      commentsReactions,
+    ] = await Promise.all([
+      this.getLikesInfoForPosts(uniqPostsIds, viewerId),
+      this.getReactionsSummaryForComments(_.map(commentsData, 'uid'), viewerId),
+    ]);
 
     for (const post of postsData) {
       results[post.uid] = {
@@ -671,7 +715,9 @@ const postsTrait = (superClass) => class extends superClass {
         omittedComments: 0,
         likes:           [],
         omittedLikes:    0,
+        poll:            pollsData[post.uid] || null,
       };
+      results[post.uid].post.reactions = postsReactions[post.uid] || [];
       results[post.uid].post.commentLikes = 0;
       results[post.uid].post.ownCommentLikes = 0;
       const commentLikesForPost = postsCommentLikes.find((el) => el.uid === post.uid);
@@ -686,6 +732,17 @@ const postsTrait = (superClass) => class extends superClass {
       results[dest.post_id].destinations.push(_.omit(dest, 'post_id'));
     }
 
+    if (!nobodyIsBanned) {
+      // Don't show banned users in the poll voters (but count their votes)
+      for (const { poll } of Object.values(results)) {
+        if (poll && !poll.isAnonymous) {
+          for (const option of poll.options) {
+            option.voters = _.difference(option.voters, bannedUsersIds);
+          }
+        }
+      }
+    }
+
     for (const att of attData) {
       results[att.post_id].attachments.push(initAttachmentObject(att));
     }
@@ -707,6 +764,7 @@ const postsTrait = (superClass) => class extends superClass {
       const comment = initCommentObject(comm);
       comment.likes       = parseInt(comm.c_likes);
       comment.hasOwnLike  = Boolean(comm.has_own_like);
+      comment.reactions   = (comm.hide_type === Comment.VISIBLE && commentsReactions[comm.uid]) || [];
       results[comm.post_id].comments.push(comment);
       results[comm.post_id].omittedComments = (params.foldComments && comm.count > params.maxUnfoldedComments) ? comm.count - 2 : 0;
 
@@ -833,6 +891,7 @@ const POST_COLUMNS = {
   isPropagable:       'is_propagable',
   feedIntIds:         'feed_ids',
   destinationFeedIds: 'destination_feed_ids',
+  quotedPostId:       'quoted_post_id',
 }
 
 const POST_COLUMNS_MAPPING = {
@@ -880,12 +939,16 @@ const POST_FIELDS = {
   is_protected:         'isProtected',
   is_propagable:        'isPropagable',
   friendfeed_url:       'friendfeedUrl',
+  edited_at:            'editedAt',
+  revisions_count:      'revisionsCount',
+  quoted_post_id:       'quotedPostId',
 }
 
 const POST_FIELDS_MAPPING = {
   created_at:        (time) => { return time.getTime().toString() },
   updated_at:        (time) => { return time.getTime().toString() },
   bumped_at:         (time) => { return time.getTime().toString() },
+  edited_at:         (time) => { return time ? time.getTime().toString() : null },
   comments_disabled: (comments_disabled) => {return comments_disabled ? '1' : '0' },
   user_id:           (user_id) => {return user_id ? user_id : ''},
   is_private:        (is_private) => {return is_private ? '1' : '0' },
@@ -0,0 +1,66 @@
+///////////////////////////////////////////////////
+// Rate limits (stored in Redis)
+///////////////////////////////////////////////////
+
+const rateLimitsTrait = (superClass) => class extends superClass {
+  /**
+   * Increments the attempts counter and returns its new value.
+   * The counter expires after 'window' seconds since the last attempt.
+   *
+   * @param {string} key
+   * @param {number} window - in seconds
+   * @return {number}
+   */
+  incrementRateLimitCounter(key, window) {
+    return withRedisClient(this.cache, async (client) => {
+      const [count] = await client.multi().incr(key).expire(key, window).execAsync();
+      return count;
+    });
+  }
+
+  resetRateLimitCounter(key) {
+    return withRedisClient(this.cache, (client) => client.delAsync(key));
+  }
+
+  /**
+   * Blocks the key for the 'duration' seconds. Existing longer block is preserved.
+   *
+   * @param {string} key
+   * @param {number} duration - in seconds
+   */
+  setRateLimitBlock(key, duration) {
+    return withRedisClient(this.cache, async (client) => {
+      const ttl = await client.ttlAsync(key);
+
+      if (ttl < duration) {
+        await client.setAsync(key, '1', 'EX', duration);
+      }
+    });
+  }
+
+  /**
+   * Returns the longest remaining block time (in seconds) among
+   * the given keys or 0 if none of them is blocked.
+   *
+   * @param {string[]} keys
+   * @return {number}
+   */
+  getRateLimitBlockTTL(keys) {
+    return withRedisClient(this.cache, async (client) => {
+      const ttls = await Promise.all(keys.map((key) => client.ttlAsync(key)));
+      return Math.max(0, ...ttls);
+    });
+  }
+};
+
+export default rateLimitsTrait;
+
+async function withRedisClient(cache, action) {
+  const { client, done } = await cache.store.getClient();
+
+  try {
+    return await action(client);
+  } finally {
+    done();
+  }
+}
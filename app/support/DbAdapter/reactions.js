@@ -0,0 +1,137 @@
+import _ from 'lodash';
+import pgFormat from 'pg-format';
+
+import { unexistedUID } from './utils';
+
+///////////////////////////////////////////////////
+// Post and comment reactions
+///////////////////////////////////////////////////
+
+const reactionsTrait = (superClass) => class extends superClass {
+  /**
+   * @param {string} postId
+   * @param {string} userId
+   * @param {string} emoji
+   * @return {boolean} - false if user has already reacted with this emoji
+   */
+  addPostReaction(postId, userId, emoji) {
+    return addReaction(this.database, 'post', postId, userId, emoji);
+  }
+
+  /**
+   * @param {string} postId
+   * @param {string} userId
+   * @param {string} emoji
+   * @return {boolean} - false if user has not reacted with this emoji
+   */
+  removePostReaction(postId, userId, emoji) {
+    return removeReaction(this.database, 'post', postId, userId, emoji);
+  }
+
+  /**
+   * Returns all reactions to the post, the oldest first. Reactions of
+   * users banned by viewer are not returned.
+   *
+   * @param {string} postId
+   * @param {string|null} viewerId
+   * @return {{emoji: string, userId: string, createdAt: Date}[]}
+   */
+  async getPostReactions(postId, viewerId = null) {
+    const bannedUsersIds = viewerId ? await this.getUserBansIds(viewerId) : [];
+    return getReactions(this.database, 'post', postId, bannedUsersIds);
+  }
+
+  /**
+   * Returns the aggregated reactions of the posts (in the order of the first
+   * reaction with the given emoji). Reactions of users banned by viewer are
+   * not counted.
+   *
+   * @param {string[]} postIds
+   * @param {string|null} viewerId
+   * @return {object} - lists of {emoji, count, hasOwn} by post ids
+   */
+  async getReactionsSummaryForPosts(postIds, viewerId = null) {
+    const bannedUsersIds = viewerId ? await this.getUserBansIds(viewerId) : [];
+    return getReactionsSummary(this.database, 'post', postIds, viewerId, bannedUsersIds);
+  }
+
+  addCommentReaction(commentId, userId, emoji) {
+    return addReaction(this.database, 'comment', commentId, userId, emoji);
+  }
+
+  removeCommentReaction(commentId, userId, emoji) {
+    return removeReaction(this.database, 'comment', commentId, userId, emoji);
+  }
+
+  async getCommentReactions(commentId, viewerId = null) {
+    const bannedUsersIds = viewerId ? await this.getUserBansIds(viewerId) : [];
+    return getReactions(this.database, 'comment', commentId, bannedUsersIds);
+  }
+
+  async getReactionsSummaryForComments(commentIds, viewerId = null) {
+    const bannedUsersIds = viewerId ? await this.getUserBansIds(viewerId) : [];
+    return getReactionsSummary(this.database, 'comment', commentIds, viewerId, bannedUsersIds);
+  }
+};
+
+export default reactionsTrait;
+
+async function addReaction(database, entity, id, userId, emoji) {
+  const insertSQL = database(`${entity}_reactions`)
+    .insert({ [`${entity}_id`]: id, user_id: userId, emoji })
+    .toString();
+  const { rowCount } = await database.raw(`${insertSQL} on conflict do nothing`);
+  return rowCount > 0;
+}
+
+async function removeReaction(database, entity, id, userId, emoji) {
+  const deleted = await database(`${entity}_reactions`)
+    .where({ [`${entity}_id`]: id, user_id: userId, emoji })
+    .delete();
+  return deleted > 0;
+}
+
+async function getReactions(database, entity, id, bannedUsersIds) {
+  const rows = await database(`${entity}_reactions`)
+    .where(`${entity}_id`, id)
+    .whereNotIn('user_id', bannedUsersIds)
+    .orderBy('created_at', 'asc')
+    .orderBy('id', 'asc');
+  return rows.map((row) => ({
+    emoji:     row.emoji,
+    userId:    row.user_id,
+    createdAt: row.created_at,
+  }));
+}
+
+async function getReactionsSummary(database, entity, ids, viewerId, bannedUsersIds) {
+  if (_.isEmpty(ids)) {
+    return {};
+  }
+
+  if (bannedUsersIds.length === 0) {
+    bannedUsersIds = [unexistedUID];
+  }
+
+  const { rows } = await database.raw(pgFormat(`
+    select
+      %I as entity_id, emoji, count(*)::int as count,
+      coalesce(bool_or(user_id = %L), false) as has_own
+    from %I
+    where %I in (%L) and user_id not in (%L)
+    group by %I, emoji
+    order by min(created_at)
+  `, `${entity}_id`, viewerId, `${entity}_reactions`, `${entity}_id`, ids, bannedUsersIds, `${entity}_id`));
+
+  const result = {};
+
+  for (const row of rows) {
+    if (!result[row.entity_id]) {
+      result[row.entity_id] = [];
+    }
+
+    result[row.entity_id].push({ emoji: row.emoji, count: row.count, hasOwn: row.has_own });
+  }
+
+  return result;
+}
@@ -0,0 +1,62 @@
+///////////////////////////////////////////////////
+// Reposts
+///////////////////////////////////////////////////
+
+const repostsTrait = (superClass) => class extends superClass {
+  /**
+   * @param {string} postId
+   * @param {string} userId
+   * @return {boolean} - false if post is already reposted by this user
+   */
+  async createRepost(postId, userId) {
+    const { rowCount } = await this.database.raw(
+      `insert into reposts (post_id, user_id) values (:postId, :userId) on conflict do nothing`,
+      { postId, userId }
+    );
+    return rowCount > 0;
+  }
+
+  /**
+   * @param {string} postId
+   * @param {string} userId
+   * @return {boolean} - false if post was not reposted by this user
+   */
+  async deleteRepost(postId, userId) {
+    const deleted = await this.database('reposts')
+      .where({ post_id: postId, user_id: userId })
+      .delete();
+    return deleted > 0;
+  }
+
+  /**
+   * Returns ids of users who reposted the given posts as a
+   * {postId: userIds[]} object. Posts without reposts are not included.
+   *
+   * @param {string[]} postIds
+   * @return {object}
+   */
+  async getPostsRepostersIds(postIds) {
+    if (postIds.length === 0) {
+      return {};
+    }
+
+    const rows = await this.database('reposts')
+      .select('post_id', 'user_id')
+      .whereIn('post_id', postIds)
+      .orderBy('created_at');
+
+    const result = {};
+
+    for (const r of rows) {
+      if (!result[r.post_id]) {
+        result[r.post_id] = [];
+      }
+
+      result[r.post_id].push(r.user_id);
+    }
+
+    return result;
+  }
+};
+
+export default repostsTrait;
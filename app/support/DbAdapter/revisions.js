@@ -0,0 +1,66 @@
+///////////////////////////////////////////////////
+// Post and comment revisions
+///////////////////////////////////////////////////
+
+const revisionsTrait = (superClass) => class extends superClass {
+  /**
+   * Returns the previous versions of the post body, the oldest first
+   *
+   * @param {string} postId
+   * @return {{revision: number, body: string, createdAt: Date}[]}
+   */
+  getPostRevisions(postId) {
+    return getRevisions(this.database, 'post', postId);
+  }
+
+  getCommentRevisions(commentId) {
+    return getRevisions(this.database, 'comment', commentId);
+  }
+};
+
+export default revisionsTrait;
+
+/**
+ * Saves the current body of the post or comment as a revision and marks it as
+ * edited. Must be called in the same transaction as the body update, so the
+ * failed update doesn't leave the revision behind.
+ *
+ * @param {object} trx - knex transaction
+ * @param {string} entity - 'post' or 'comment'
+ * @param {string} id
+ * @return {{editedAt: string, revisionsCount: number}}
+ */
+export async function saveRevision(trx, entity, id) {
+  const { rows: [current] } = await trx.raw(
+    `select body, revisions_count, coalesce(edited_at, created_at) as created_at
+      from ${entity}s where uid = :id for update`,
+    { id }
+  );
+  await trx(`${entity}_revisions`).insert({
+    [`${entity}_id`]: id,
+    revision:         current.revisions_count,
+    body:             current.body,
+    created_at:       current.created_at,
+  });
+  const { rows: [updated] } = await trx.raw(
+    `update ${entity}s set edited_at = now(), revisions_count = revisions_count + 1
+      where uid = :id
+      returning edited_at, revisions_count`,
+    { id }
+  );
+  return {
+    editedAt:       updated.edited_at.getTime().toString(),
+    revisionsCount: updated.revisions_count,
+  };
+}
+
+async function getRevisions(database, entity, id) {
+  const rows = await database(`${entity}_revisions`)
+    .where(`${entity}_id`, id)
+    .orderBy('revision', 'asc');
+  return rows.map((row) => ({
+    revision:  row.revision,
+    body:      row.body,
+    createdAt: row.created_at,
+  }));
+}
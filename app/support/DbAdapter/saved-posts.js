@@ -0,0 +1,86 @@
+///////////////////////////////////////////////////
+// Saved posts (bookmarks)
+///////////////////////////////////////////////////
+
+const savedPostsTrait = (superClass) => class extends superClass {
+  /**
+   * Saves post for the user or updates the note of already saved post
+   *
+   * @param {string} userId
+   * @param {string} postId
+   * @param {string|null} note
+   * @return {object} - saved post record
+   */
+  async savePost(userId, postId, note = null) {
+    const { rows: [row] } = await this.database.raw(
+      `insert into saved_posts (user_id, post_id, note) values (:userId, :postId, :note)
+        on conflict (user_id, post_id) do update set note = excluded.note, updated_at = now()
+        returning *`,
+      { userId, postId, note }
+    );
+    return initSavedPostObject(row);
+  }
+
+  /**
+   * @param {string} userId
+   * @param {string} postId
+   * @return {boolean} - false if post was not saved
+   */
+  async unsavePost(userId, postId) {
+    const deleted = await this.database('saved_posts')
+      .where({ user_id: userId, post_id: postId })
+      .delete();
+    return deleted > 0;
+  }
+
+  /**
+   * @param {string} userId
+   * @param {string} postId
+   * @return {object|null}
+   */
+  async getSavedPost(userId, postId) {
+    const row = await this.database('saved_posts')
+      .first()
+      .where({ user_id: userId, post_id: postId });
+    return row ? initSavedPostObject(row) : null;
+  }
+
+  /**
+   * Returns notes of the given saved posts as a {postId: note} object.
+   * Posts without notes are not included.
+   *
+   * @param {string} userId
+   * @param {string[]} postIds
+   * @return {object}
+   */
+  async getSavedPostsNotes(userId, postIds) {
+    if (postIds.length === 0) {
+      return {};
+    }
+
+    const rows = await this.database('saved_posts')
+      .select('post_id', 'note')
+      .where('user_id', userId)
+      .whereIn('post_id', postIds)
+      .whereNotNull('note');
+
+    const result = {};
+
+    for (const r of rows) {
+      result[r.post_id] = r.note;
+    }
+
+    return result;
+  }
+};
+
+export default savedPostsTrait;
+
+function initSavedPostObject(row) {
+  return {
+    postId:    row.post_id,
+    note:      row.note,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
@@ -0,0 +1,148 @@
+import validator from 'validator';
+
+///////////////////////////////////////////////////
+// Scheduled posts
+///////////////////////////////////////////////////
+
+export const SCHEDULED_POST_PENDING = 'pending';
+export const SCHEDULED_POST_PUBLISHING = 'publishing';
+export const SCHEDULED_POST_FAILED = 'failed';
+
+const scheduledPostsTrait = (superClass) => class extends superClass {
+  /**
+   * @param {string} userId
+   * @param {object} params - {body, attachments, destinationNames, commentsDisabled, publishAt}
+   * @return {object}
+   */
+  async createScheduledPost(userId, params) {
+    const [row] = await this.database('scheduled_posts')
+      .insert({ user_id: userId, ...toRow(params) })
+      .returning('*');
+    return initScheduledPost(row);
+  }
+
+  async getScheduledPostById(id) {
+    if (!validator.isUUID(id)) {
+      return null;
+    }
+
+    const row = await this.database('scheduled_posts').first().where('uid', id);
+    return initScheduledPost(row);
+  }
+
+  /**
+   * Returns all scheduled posts of the user, the earliest first
+   *
+   * @param {string} userId
+   * @return {object[]}
+   */
+  async getUserScheduledPosts(userId) {
+    const rows = await this.database('scheduled_posts')
+      .where('user_id', userId)
+      .orderBy('publish_at', 'asc');
+    return rows.map(initScheduledPost);
+  }
+
+  /**
+   * Updates the scheduled post and puts it back in the queue
+   * (if it was failed)
+   *
+   * @param {string} id
+   * @param {object} params - {body, attachments, destinationNames, commentsDisabled, publishAt}
+   * @return {object}
+   */
+  async updateScheduledPost(id, params) {
+    const [row] = await this.database('scheduled_posts')
+      .where('uid', id)
+      .update({
+        ...toRow(params),
+        status:     SCHEDULED_POST_PENDING,
+        error:      null,
+        claimed_at: null,
+        updated_at: this.database.fn.now(),
+      })
+      .returning('*');
+    return initScheduledPost(row);
+  }
+
+  deleteScheduledPost(id) {
+    return this.database('scheduled_posts').where('uid', id).delete();
+  }
+
+  /**
+   * Marks up to 'limit' pending posts that should be published now as
+   * 'publishing' and returns them. Rows locked by another worker are skipped.
+   * The posts claimed more than 'claimTimeout' seconds ago are claimed again
+   * (their worker probably crashed).
+   *
+   * @param {number} claimTimeout
+   * @param {number} limit
+   * @return {object[]}
+   */
+  async claimDueScheduledPosts(claimTimeout, limit = 100) {
+    const { rows } = await this.database.raw(
+      `update scheduled_posts set status = :publishing, claimed_at = now()
+        where uid in (
+          select uid from scheduled_posts
+            where publish_at <= now() and (
+              status = :pending
+              or status = :publishing and (claimed_at is null or claimed_at < now() - :claimTimeout * interval '1 second')
+            )
+            order by publish_at
+            limit :limit
+            for update skip locked
+        )
+        returning *`,
+      { publishing: SCHEDULED_POST_PUBLISHING, pending: SCHEDULED_POST_PENDING, claimTimeout, limit }
+    );
+    return rows.map(initScheduledPost);
+  }
+
+  async setScheduledPostFailed(id, error) {
+    await this.database('scheduled_posts')
+      .where('uid', id)
+      .update({ status: SCHEDULED_POST_FAILED, error });
+  }
+};
+
+export default scheduledPostsTrait;
+
+function toRow(params) {
+  const row = {};
+  const fields = {
+    body:             'body',
+    attachments:      'attachments',
+    destinationNames: 'destination_names',
+    commentsDisabled: 'comments_disabled',
+    publishAt:        'publish_at',
+  };
+
+  for (const [key, column] of Object.entries(fields)) {
+    if (params[key] !== undefined) {
+      row[column] = params[key];
+    }
+  }
+
+  return row;
+}
+
+function initScheduledPost(row) {
+  if (!row) {
+    return null;
+  }
+
+  return {
+    id:               row.uid,
+    userId:           row.user_id,
+    body:             row.body,
+    attachments:      row.attachments,
+    destinationNames: row.destination_names,
+    commentsDisabled: row.comments_disabled,
+    publishAt:        row.publish_at,
+    status:           row.status,
+    error:            row.error,
+    claimedAt:        row.claimed_at,
+    createdAt:        row.created_at,
+    updatedAt:        row.updated_at,
+  };
+}
@@ -2,12 +2,14 @@
 import _ from 'lodash';
 import pgFormat from 'pg-format';
 
+import { cursorConditionSQL, cursorOrderSQL, muteRulesSQL } from './utils';
+
 ///////////////////////////////////////////////////
 // Search
 ///////////////////////////////////////////////////
 
 const searchTrait = (superClass) => class extends superClass {
-  async searchPosts(query, currentUserId, visibleFeedIds, bannedUserIds, feedIntIdsBannedForUser, offset, limit) {
+  async searchPosts(query, currentUserId, visibleFeedIds, bannedUserIds, feedIntIdsBannedForUser, offset, limit, cursor = null, muteRules = [], viewerId = null) {
     const { textSearchConfigName } = this.database.client.config;
     const bannedUsersFilter = this._getPostsFromBannedUsersSearchFilterCondition(bannedUserIds, feedIntIdsBannedForUser);
     const bannedCommentAuthorFilter = this._getCommentsFromBannedUsersSearchFilterCondition(bannedUserIds);
@@ -62,12 +64,14 @@ const searchTrait = (superClass) => class extends superClass {
     }
 
     const res = await this.database.raw(
-      `select * from (${subQueries.join(' union ')}) as found_posts order by found_posts.bumped_at desc offset ${offset} limit ${limit}`
+      `select *, found_posts.bumped_at::text as cursor_date from (${subQueries.join(' union ')}) as found_posts
+        where ${foundPostsCursorSQL(cursor)} and ${foundPostsMuteSQL(muteRules, viewerId)}
+        order by ${foundPostsOrderSQL(cursor)} offset ${offset} limit ${limit}`
     );
     return res.rows;
   }
 
-  async searchUserPosts(query, targetUserId, visibleFeedIds, bannedUserIds, feedIntIdsBannedForUser, offset, limit) {
+  async searchUserPosts(query, targetUserId, visibleFeedIds, bannedUserIds, feedIntIdsBannedForUser, offset, limit, cursor = null, muteRules = [], viewerId = null) {
     const { textSearchConfigName } = this.database.client.config;
     const bannedUsersFilter = this._getPostsFromBannedUsersSearchFilterCondition(bannedUserIds, feedIntIdsBannedForUser);
     const bannedCommentAuthorFilter = this._getCommentsFromBannedUsersSearchFilterCondition(bannedUserIds);
@@ -108,12 +112,14 @@ const searchTrait = (superClass) => class extends superClass {
     }
 
     const res = await this.database.raw(
-      `select * from (${subQueries.join(' union ')}) as found_posts where found_posts.user_id='${targetUserId}' order by found_posts.bumped_at desc offset ${offset} limit ${limit}`
+      `select *, found_posts.bumped_at::text as cursor_date from (${subQueries.join(' union ')}) as found_posts
+        where found_posts.user_id='${targetUserId}' and ${foundPostsCursorSQL(cursor)} and ${foundPostsMuteSQL(muteRules, viewerId)}
+        order by ${foundPostsOrderSQL(cursor)} offset ${offset} limit ${limit}`
     );
     return res.rows;
   }
 
-  async searchGroupPosts(query, groupFeedId, authorId, visibleFeedIds, bannedUserIds, feedIntIdsBannedForUser, offset, limit) {
+  async searchGroupPosts(query, groupFeedId, authorId, visibleFeedIds, bannedUserIds, feedIntIdsBannedForUser, offset, limit, cursor = null, muteRules = [], viewerId = null) {
     const { textSearchConfigName } = this.database.client.config;
     const bannedUsersFilter = this._getPostsFromBannedUsersSearchFilterCondition(bannedUserIds, feedIntIdsBannedForUser);
     const bannedCommentAuthorFilter = this._getCommentsFromBannedUsersSearchFilterCondition(bannedUserIds);
@@ -157,14 +163,16 @@ const searchTrait = (superClass) => class extends superClass {
       subQueries = [...subQueries, visiblePrivatePostsSubQuery, visiblePrivatePostsByCommentsSubQuery];
     }
 
-    let authorCondition = '';
+    let authorCondition = 'true';
 
     if (authorId) {
-      authorCondition = `WHERE "found_posts"."user_id"='${authorId}'`;
+      authorCondition = `"found_posts"."user_id"='${authorId}'`;
     }
 
     const res = await this.database.raw(
-      `select * from (${subQueries.join(' union ')}) as found_posts ${authorCondition} order by found_posts.bumped_at desc offset ${offset} limit ${limit}`
+      `select *, found_posts.bumped_at::text as cursor_date from (${subQueries.join(' union ')}) as found_posts
+        where ${authorCondition} and ${foundPostsCursorSQL(cursor)} and ${foundPostsMuteSQL(muteRules, viewerId)}
+        order by ${foundPostsOrderSQL(cursor)} offset ${offset} limit ${limit}`
     );
     return res.rows;
   }
@@ -263,3 +271,15 @@ const searchTrait = (superClass) => class extends superClass {
 };
 
 export default searchTrait;
+
+function foundPostsCursorSQL(cursor) {
+  return cursorConditionSQL(cursor, 'found_posts.bumped_at', 'found_posts.uid');
+}
+
+function foundPostsOrderSQL(cursor) {
+  return cursorOrderSQL(cursor, 'found_posts.bumped_at', 'found_posts.uid');
+}
+
+function foundPostsMuteSQL(muteRules, viewerId) {
+  return (viewerId && muteRules.length > 0) ? `not ${muteRulesSQL(muteRules, viewerId, 'found_posts')}` : 'true';
+}
@@ -0,0 +1,114 @@
+///////////////////////////////////////////////////
+// Two-factor authentication (TOTP)
+///////////////////////////////////////////////////
+
+const totpTrait = (superClass) => class extends superClass {
+  async getUserTOTP(userId) {
+    const row = await this.database('user_totp').first().where('user_id', userId);
+    return initTOTP(row);
+  }
+
+  /**
+   * Sets a new (not yet enabled) TOTP secret for the user. Any previous
+   * secret and recovery codes are discarded.
+   *
+   * @param {string} userId
+   * @param {string} secret
+   * @return {object}
+   */
+  async setUserTOTPSecret(userId, secret) {
+    const { rows: [row] } = await this.database.raw(
+      `insert into user_totp (user_id, secret) values (:userId, :secret)
+        on conflict (user_id) do update set
+          secret = excluded.secret,
+          is_enabled = false,
+          recovery_codes = ARRAY[]::text[],
+          last_used_counter = 0,
+          created_at = now(),
+          enabled_at = null
+        returning *`,
+      { userId, secret }
+    );
+    return initTOTP(row);
+  }
+
+  /**
+   * Enables TOTP for the user
+   *
+   * @param {string} userId
+   * @param {string[]} recoveryCodeHashes
+   * @param {number} counter - time step counter of the code used for confirmation
+   */
+  async enableUserTOTP(userId, recoveryCodeHashes, counter) {
+    await this.database('user_totp')
+      .where('user_id', userId)
+      .update({
+        is_enabled:        true,
+        recovery_codes:    recoveryCodeHashes,
+        last_used_counter: counter,
+        enabled_at:        this.database.fn.now(),
+      });
+  }
+
+  async setUserTOTPRecoveryCodes(userId, recoveryCodeHashes) {
+    await this.database('user_totp')
+      .where('user_id', userId)
+      .update({ recovery_codes: recoveryCodeHashes });
+  }
+
+  deleteUserTOTP(userId) {
+    return this.database('user_totp').where('user_id', userId).delete();
+  }
+
+  /**
+   * Remembers the time step counter of the accepted code. Returns false if
+   * this or a later counter has already been used.
+   *
+   * @param {string} userId
+   * @param {number} counter
+   * @return {boolean}
+   */
+  async registerTOTPCounter(userId, counter) {
+    const { rowCount } = await this.database.raw(
+      `update user_totp set last_used_counter = :counter
+        where user_id = :userId and last_used_counter < :counter`,
+      { userId, counter }
+    );
+    return rowCount > 0;
+  }
+
+  /**
+   * Removes the recovery code from the user's list. Returns false if
+   * there is no such code.
+   *
+   * @param {string} userId
+   * @param {string} codeHash
+   * @return {boolean}
+   */
+  async useTOTPRecoveryCode(userId, codeHash) {
+    const { rowCount } = await this.database.raw(
+      `update user_totp set recovery_codes = array_remove(recovery_codes, :codeHash)
+        where user_id = :userId and :codeHash = any(recovery_codes)`,
+      { userId, codeHash }
+    );
+    return rowCount > 0;
+  }
+};
+
+export default totpTrait;
+
+function initTOTP(row) {
+  if (!row) {
+    return null;
+  }
+
+  return {
+    userId:            row.user_id,
+    secret:            row.secret,
+    isEnabled:         row.is_enabled,
+    recoveryCodesLeft: row.recovery_codes.length,
+    lastUsedCounter:   row.last_used_counter,
+    createdAt:         row.created_at,
+    enabledAt:         row.enabled_at,
+  };
+}
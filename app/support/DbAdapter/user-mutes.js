@@ -0,0 +1,63 @@
+///////////////////////////////////////////////////
+// User mutes
+///////////////////////////////////////////////////
+
+const userMutesTrait = (superClass) => class extends superClass {
+  /**
+   * Returns ids of users muted by the user, the most recently muted first
+   *
+   * @param {string} userId
+   * @return {string[]}
+   */
+  getUserMutedIds(userId) {
+    return this.database('user_mutes')
+      .pluck('muted_user_id')
+      .where('user_id', userId)
+      .orderBy('created_at', 'desc');
+  }
+
+  /**
+   * Returns Map.<userId, mutedUserIds>
+   * @param {string[]} userIds
+   * @return {Map.<string, string[]>}
+   */
+  async getUsersMutedIdsMap(userIds) {
+    const { rows } = await this.database.raw(
+      `
+      select user_id, array_agg(muted_user_id) as mutes
+      from user_mutes where user_id = any(:userIds)
+      group by user_id
+      `,
+      { userIds }
+    );
+    return new Map(rows.map((r) => [r.user_id, r.mutes]));
+  }
+
+  /**
+   * @param {string} userId
+   * @param {string} mutedUserId
+   * @return {boolean} - false if user is already muted
+   */
+  async createUserMute(userId, mutedUserId) {
+    const { rowCount } = await this.database.raw(
+      `insert into user_mutes (user_id, muted_user_id) values (:userId, :mutedUserId)
+        on conflict do nothing`,
+      { userId, mutedUserId }
+    );
+    return rowCount > 0;
+  }
+
+  /**
+   * @param {string} userId
+   * @param {string} mutedUserId
+   * @return {boolean} - false if user was not muted
+   */
+  async deleteUserMute(userId, mutedUserId) {
+    const deleted = await this.database('user_mutes')
+      .where({ user_id: userId, muted_user_id: mutedUserId })
+      .delete();
+    return deleted > 0;
+  }
+};
+
+export default userMutesTrait;
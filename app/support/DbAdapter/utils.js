@@ -1,4 +1,8 @@
 import _ from 'lodash';
+import pgFormat from 'pg-format';
+
+import { CURSOR_AFTER } from '../cursors';
+import { MUTE_TYPE_KEYWORD, MUTE_TYPE_HASHTAG, MUTE_TYPE_REGEX } from '../mute-rules';
 
 
 export const unexistedUID = '00000000-0000-0000-C000-000000000046';
@@ -22,3 +26,92 @@ export function prepareModelPayload(payload, namesMapping, valuesMapping) {
     }
   });
 }
+
+/**
+ * SQL condition selecting the rows of the cursor page
+ *
+ * @param {object|null} cursor - {direction, date, id}
+ * @param {string} dateColumn - SQL expression
+ * @param {string} idColumn - SQL expression
+ * @return {string}
+ */
+export function cursorConditionSQL(cursor, dateColumn, idColumn) {
+  if (!cursor) {
+    return 'true';
+  }
+
+  const op = cursor.direction === CURSOR_AFTER ? '>' : '<';
+  return pgFormat(`(%s, %s) ${op} (%L::timestamptz, %L)`, dateColumn, idColumn, cursor.date, cursor.id);
+}
+
+/**
+ * SQL 'order by' clause for the cursor page: the 'after' pages are
+ * selected in the ascending order (and should be reversed by cutPage)
+ *
+ * @param {object|null} cursor
+ * @param {string} dateColumn - SQL expression
+ * @param {string} idColumn - SQL expression
+ * @return {string}
+ */
+export function cursorOrderSQL(cursor, dateColumn, idColumn) {
+  const dir = (cursor && cursor.direction === CURSOR_AFTER) ? 'asc' : 'desc';
+  return `${dateColumn} ${dir}, ${idColumn} ${dir}`;
+}
+
+/**
+ * SQL condition selecting the posts matched by any of the mute rules.
+ * Viewer's own posts are never muted.
+ *
+ * @param {object[]} rules
+ * @param {string} viewerId
+ * @param {string} alias - alias of the posts table
+ * @return {string}
+ */
+export function muteRulesSQL(rules, viewerId, alias = 'p') {
+  if (rules.length === 0) {
+    return 'false';
+  }
+
+  const bodyColumn = pgFormat('%I.body', alias);
+  const conditions = [];
+
+  for (const { type, pattern } of rules) {
+    if (type === MUTE_TYPE_KEYWORD) {
+      const regex = `([[:<:]]|\\W|^)${_.escapeRegExp(pattern)}([[:>:]]|\\W|$)`;
+      conditions.push(`${bodyColumn} ~* ${placeholderSafeLiteral(regex)}`);
+    } else if (type === MUTE_TYPE_REGEX) {
+      conditions.push(`${bodyColumn} ~* ${placeholderSafeLiteral(pattern)}`);
+    }
+  }
+
+  const hashtags = rules.filter((r) => r.type === MUTE_TYPE_HASHTAG).map((r) => r.pattern);
+
+  if (hashtags.length > 0) {
+    const names = hashtags.map(placeholderSafeLiteral).join(', ');
+    conditions.push(`${pgFormat('%I.uid', alias)} in (
+        select u.entity_id from hashtag_usages u join hashtags h on h.id = u.hashtag_id
+        where u.type = 'post' and h.name in (${names})
+      )`);
+  }
+
+  // Conditions can contain the '%' characters, so they are not passed through the pgFormat template
+  return `(${pgFormat('%I.user_id <> %L', alias, viewerId)} and (${conditions.join(' or ')}))`;
+}
+
+/**
+ * Quotes string as the SQL literal without the '?' characters. The result of
+ * muteRulesSQL is passed to knex.raw, and knex treats every '?' in SQL text as
+ * a binding placeholder, even inside the string literals (so the 'colou?r'
+ * pattern would turn into 'colou$1r'). The '?' is written as the hex escape
+ * of the E'' string instead.
+ *
+ * @param {string} str
+ * @return {string}
+ */
+function placeholderSafeLiteral(str) {
+  const escaped = str
+    .replace(/\\/g, '\\\\')
+    .replace(/'/g, "''")
+    .replace(/\?/g, '\\x3f');
+  return `E'${escaped}'`;
+}
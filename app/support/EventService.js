@@ -1,5 +1,5 @@
 import _ from 'lodash'
-import { dbAdapter, PubSub as pubSub } from '../models'
+import { dbAdapter, PubSub as pubSub, Comment } from '../models'
 import { extractMentions, extractMentionsWithIndices } from './mentions'
 import { EVENT_TYPES } from './EventTypes';
 
@@ -141,6 +141,7 @@ export class EventService {
     const destinationFeeds = await dbAdapter.getTimelinesByIds(destinationFeedIds);
     await this._processDirectMessagesForPost(post, destinationFeeds, author);
     await this._processMentionsInPost(post, destinationFeeds, author);
+    await this._processQuoteForPost(post, author);
   }
 
   static async onCommentChanged(comment, wasCreated = false) {
@@ -151,9 +152,15 @@ export class EventService {
       comment.getPost(),
       getMentionEvents(comment.body, comment.userId, EVENT_TYPES.MENTION_IN_COMMENT, EVENT_TYPES.MENTION_COMMENT_TO),
     ]);
-    const directEvents = wasCreated ? await getDirectEvents(post, comment.userId, EVENT_TYPES.DIRECT_COMMENT_CREATED) : [];
-
-    if (mentionEvents.length === 0 && directEvents.length === 0) {
+    const [
+      directEvents,
+      replyEvents,
+    ] = wasCreated ? await Promise.all([
+      getDirectEvents(post, comment.userId, EVENT_TYPES.DIRECT_COMMENT_CREATED),
+      getReplyEvents(comment, mentionEvents, EVENT_TYPES.MENTION_COMMENT_TO),
+    ]) : [[], []];
+
+    if (mentionEvents.length === 0 && directEvents.length === 0 && replyEvents.length === 0) {
       return;
     }
 
@@ -180,14 +187,14 @@ export class EventService {
     }
 
     // Leave users who has post and comment access
-    let affectedUsers = _.uniqBy([...mentionEvents, ...directEvents].map(({ user }) => user), 'id');
+    let affectedUsers = _.uniqBy([...mentionEvents, ...directEvents, ...replyEvents].map(({ user }) => user), 'id');
     // Only users who can see this post
     affectedUsers = await post.onlyUsersCanSeePost(affectedUsers);
     // Only users who can see this comment
     affectedUsers = affectedUsers.filter((u) => !commentAuthorBanners.includes(u.id));
 
     // Create events
-    await Promise.all([...mentionEvents, ...directEvents]
+    await Promise.all([...mentionEvents, ...directEvents, ...replyEvents]
       .filter(({ user }) => affectedUsers.some((u) => u.id === user.id))
       .map(({ event, user }) => dbAdapter.createEvent(
         user.intId,
@@ -381,6 +388,31 @@ export class EventService {
 
   ////////////////////////////////////////////
 
+  /**
+   * Notifies the author of the quoted post if they can see the quoting post
+   */
+  static async _processQuoteForPost(post, author) {
+    if (!post.quotedPostId) {
+      return;
+    }
+
+    const quotedPost = await dbAdapter.getPostById(post.quotedPostId);
+
+    if (!quotedPost || quotedPost.userId === author.id) {
+      return;
+    }
+
+    const quotedPostAuthor = await dbAdapter.getUserById(quotedPost.userId);
+    const [recipient] = await post.onlyUsersCanSeePost([quotedPostAuthor]);
+
+    if (!recipient) {
+      return;
+    }
+
+    await dbAdapter.createEvent(recipient.intId, EVENT_TYPES.POST_QUOTED, author.intId, recipient.intId, null, post.id, null, author.intId);
+    await pubSub.updateUnreadNotifications(recipient.intId);
+  }
+
   static async _processDirectMessagesForPost(post, destinationFeeds, author) {
     const directFeeds = destinationFeeds.filter((f) => {
       return f.isDirects() && f.userId !== author.id;
@@ -496,6 +528,30 @@ async function getMentionEvents(text, authorId, eventType, firstMentionEventType
     .filter(({ user }) => !!user);
 }
 
+/**
+ * The author of the comment being replied to is notified even without
+ * an explicit mention (unless they are already mentioned in the reply)
+ */
+async function getReplyEvents(comment, mentionEvents, eventType) {
+  if (!comment.replyTo) {
+    return [];
+  }
+
+  const parentComment = await dbAdapter.getCommentById(comment.replyTo);
+
+  if (
+    !parentComment
+    || parentComment.hideType !== Comment.VISIBLE
+    || parentComment.userId === comment.userId
+    || mentionEvents.some(({ user }) => user.id === parentComment.userId)
+  ) {
+    return [];
+  }
+
+  const user = await dbAdapter.getUserById(parentComment.userId);
+  return [{ event: eventType, user }];
+}
+
 async function getDirectEvents(post, authorId, eventType) {
   const destFeeds = await post.getPostedTo();
   const directFeeds = destFeeds.filter((f) => f.isDirects() && f.userId !== authorId);
@@ -36,6 +36,8 @@ export const EVENT_TYPES = {
   POST_MODERATED_BY_ANOTHER_ADMIN:    'post_moderated_by_another_admin',
 
   INVITATION_USED: 'invitation_used',
+
+  POST_QUOTED: 'post_quoted',
 };
 
 export const INVISIBLE_EVENT_TYPES = ['banned_by_user', 'unbanned_by_user', 'user_unsubscribed'];
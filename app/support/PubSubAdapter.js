@@ -13,6 +13,11 @@ export const eventNames = {
   COMMENT_LIKE_ADDED:   'comment_like:new',
   COMMENT_LIKE_REMOVED: 'comment_like:remove',
   GLOBAL_USER_UPDATED:  'global:user:update',
+
+  REACTION_ADDED:           'reaction:new',
+  REACTION_REMOVED:         'reaction:remove',
+  COMMENT_REACTION_ADDED:   'comment_reaction:new',
+  COMMENT_REACTION_REMOVED: 'comment_reaction:remove',
 }
 
 export class PubSubAdapter {
@@ -84,6 +89,24 @@ export class PubSubAdapter {
 
   ///////////////////////////////////////////////////
 
+  reactionAdded(payload) {
+    return this._publish(eventNames.REACTION_ADDED, payload);
+  }
+
+  reactionRemoved(payload) {
+    return this._publish(eventNames.REACTION_REMOVED, payload);
+  }
+
+  commentReactionAdded(payload) {
+    return this._publish(eventNames.COMMENT_REACTION_ADDED, payload);
+  }
+
+  commentReactionRemoved(payload) {
+    return this._publish(eventNames.COMMENT_REACTION_REMOVED, payload);
+  }
+
+  ///////////////////////////////////////////////////
+
   globalUserUpdated(payload) {
     return this._publish(eventNames.GLOBAL_USER_UPDATED, payload);
   }
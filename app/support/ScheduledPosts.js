@@ -0,0 +1,75 @@
+import createDebug from 'debug';
+
+import { load as configLoader } from '../../config/config';
+import { dbAdapter, Post } from '../models';
+import { checkDestNames, checkPostAttachments } from '../controllers/api/v1/PostsController';
+import { SCHEDULED_POST_PUBLISHING } from './DbAdapter/scheduled-posts';
+
+
+const config = configLoader();
+
+
+/**
+ * Publishes all scheduled posts which publication time has come.
+ * The usual post creation events and realtime messages are sent
+ * at this moment. Posts that can not be published (e.g. the author
+ * lost access to the destination group) are marked as failed.
+ */
+export async function publishScheduledPosts() {
+  const debug = createDebug('freefeed:publishScheduledPosts');
+
+  const scheduledPosts = await dbAdapter.claimDueScheduledPosts(config.scheduledPosts.claimTimeout);
+  debug(`claimDueScheduledPosts() returned ${scheduledPosts.length} records`);
+
+  for (const scheduledPost of scheduledPosts) {
+    try {
+      const post = await publishScheduledPost(scheduledPost);  // eslint-disable-line no-await-in-loop
+      debug(`[${scheduledPost.id}] published as post ${post.id}: OK`);
+    } catch (e) {
+      debug(`[${scheduledPost.id}] can not be published: ${e.message}`);
+      await dbAdapter.setScheduledPostFailed(scheduledPost.id, e.message);  // eslint-disable-line no-await-in-loop
+    }
+  }
+}
+
+/**
+ * Returns true if the scheduled post is being published by the worker
+ * right now. The claim of the crashed worker expires after the
+ * config.scheduledPosts.claimTimeout.
+ *
+ * @param {object} scheduledPost
+ * @return {boolean}
+ */
+export function isScheduledPostBeingPublished(scheduledPost) {
+  if (scheduledPost.status !== SCHEDULED_POST_PUBLISHING || !scheduledPost.claimedAt) {
+    return false;
+  }
+
+  const claimExpiresAt = scheduledPost.claimedAt.getTime() + (config.scheduledPosts.claimTimeout * 1000);
+  return claimExpiresAt > Date.now();
+}
+
+async function publishScheduledPost(scheduledPost) {
+  const author = await dbAdapter.getUserById(scheduledPost.userId);
+
+  if (!author || !author.isActive) {
+    throw new Error('Author account is not active');
+  }
+
+  // Destinations and attachments are re-checked because
+  // they could change since the post was scheduled
+  const timelineIds = await checkDestNames(scheduledPost.destinationNames, author);
+  await checkPostAttachments(scheduledPost.attachments, author);
+
+  const post = new Post({
+    userId:           author.id,
+    body:             scheduledPost.body,
+    attachments:      scheduledPost.attachments,
+    commentsDisabled: scheduledPost.commentsDisabled ? '1' : '0',
+    timelineIds,
+  });
+
+  await post.create();
+  await dbAdapter.deleteScheduledPost(scheduledPost.id);
+  return post;
+}
@@ -0,0 +1,247 @@
+/* eslint babel/semi: "error" */
+import crypto from 'crypto';
+import { promisifyAll } from 'bluebird';
+import jwt from 'jsonwebtoken';
+import createDebug from 'debug';
+
+import { load as configLoader } from '../../config/config';
+import { dbAdapter } from '../models';
+
+
+promisifyAll(jwt);
+
+const config = configLoader();
+const debug = createDebug('freefeed:authentication');
+
+export const SESSION_TOKEN_V1 = 'sess.v1';
+export const APP_TOKEN_V1 = 'app.v1';
+export const SECOND_FACTOR_CHALLENGE_V1 = '2fa-challenge.v1';
+
+export const SCOPE_READ_FEEDS = 'read-feeds';
+export const SCOPE_POST = 'post';
+export const SCOPE_COMMENT = 'comment';
+export const SCOPE_LIKE = 'like';
+export const SCOPE_MANAGE_NOTIFICATIONS = 'manage-notifications';
+export const SCOPE_DIRECTS = 'directs';
+
+export const APP_TOKEN_SCOPES = [
+  SCOPE_READ_FEEDS,
+  SCOPE_POST,
+  SCOPE_COMMENT,
+  SCOPE_LIKE,
+  SCOPE_MANAGE_NOTIFICATIONS,
+  SCOPE_DIRECTS,
+];
+
+/**
+ * Checks if the application token has the given scope. Requests without
+ * application token are not limited by scopes.
+ *
+ * @param {object|null} appToken
+ * @param {string} scope
+ * @return {boolean}
+ */
+export function isScopeAllowed(appToken, scope) {
+  return !appToken || appToken.scopes.includes(scope);
+}
+
+/**
+ * Returns the client IP address of the request. X-Forwarded-For is used only
+ * if config.trustProxyHeaders is set (koa's app.proxy). The client can put
+ * anything into this header, so only its last address, added by our own
+ * proxy, is trusted.
+ *
+ * @param {object} ctx
+ * @return {string}
+ */
+export function getRequestIp(ctx) {
+  const { ips } = ctx.request;
+  return ips.length > 0 ? ips[ips.length - 1] : ctx.request.ip;
+}
+
+/**
+ * Starts a new auth session for the user and returns
+ * the session object and the auth token for it.
+ *
+ * @param {User} user
+ * @param {object} params - {ip, userAgent}
+ * @return {{authSession: object, authToken: string}}
+ */
+export async function startAuthSession(user, { ip = null, userAgent = '' } = {}) {
+  const authSession = await dbAdapter.createAuthSession(user.id, config.authSessions.inactivityTTL, { ip, userAgent });
+  const authToken = jwt.sign({ type: SESSION_TOKEN_V1, id: authSession.id, userId: user.id }, config.secret);
+  return { authSession, authToken };
+}
+
+/**
+ * Starts a new auth session using the request's IP and User-Agent
+ *
+ * @param {User} user
+ * @param {object} ctx
+ * @return {{authSession: object, authToken: string}}
+ */
+export function startAuthSessionForRequest(user, ctx) {
+  return startAuthSession(user, {
+    ip:        getRequestIp(ctx),
+    userAgent: ctx.request.get('user-agent') || '',
+  });
+}
+
+/**
+ * Creates a new application token for the user and returns
+ * the token object and the secret token string for it.
+ *
+ * @param {User} user
+ * @param {string} title
+ * @param {string[]} scopes
+ * @return {{appToken: object, tokenString: string}}
+ */
+export async function createAppToken(user, title, scopes) {
+  const appToken = await dbAdapter.createAppToken(user.id, title, scopes);
+  const tokenString = jwt.sign({ type: APP_TOKEN_V1, id: appToken.id, userId: user.id }, config.secret);
+  return { appToken, tokenString };
+}
+
+/**
+ * Creates a short-living token for the user who passed the password check
+ * but should also provide the second factor code to sign in.
+ *
+ * @param {User} user
+ * @return {string}
+ */
+export function createSecondFactorChallenge(user) {
+  return jwt.sign(
+    { type: SECOND_FACTOR_CHALLENGE_V1, userId: user.id },
+    config.secret,
+    { expiresIn: config.totp.challengeTTL },
+  );
+}
+
+/**
+ * Verifies the second factor challenge token and returns
+ * its active user or null if token is not valid or expired.
+ *
+ * @param {string} challengeToken
+ * @return {User|null}
+ */
+export async function getSecondFactorChallengeUser(challengeToken) {
+  let decoded;
+
+  try {
+    decoded = await jwt.verifyAsync(challengeToken, config.secret);
+  } catch (e) {
+    debug(`invalid challenge token: ${e.message}`);
+    return null;
+  }
+
+  if (decoded.type !== SECOND_FACTOR_CHALLENGE_V1) {
+    return null;
+  }
+
+  const user = await dbAdapter.getUserById(decoded.userId);
+  return (user && user.isActive) ? user : null;
+}
+
+/**
+ * Creates a new secret of the user's private feed URLs. The previous
+ * secret (if any) stops working.
+ *
+ * @param {User} user
+ * @return {object} - {userId, secret, createdAt}
+ */
+export function createFeedToken(user) {
+  return dbAdapter.setFeedToken(user.id, crypto.randomBytes(20).toString('hex'));
+}
+
+/**
+ * Returns the active user owning the private feed URLs secret
+ * or null if secret is not valid.
+ *
+ * @param {string} secret
+ * @return {User|null}
+ */
+export async function getFeedTokenUser(secret) {
+  if (typeof secret !== 'string' || !/^[0-9a-f]{40}$/.test(secret)) {
+    return null;
+  }
+
+  const feedToken = await dbAdapter.getFeedTokenBySecret(secret);
+
+  if (!feedToken) {
+    return null;
+  }
+
+  const user = await dbAdapter.getUserById(feedToken.userId);
+  return (user && user.isActive) ? user : null;
+}
+
+/**
+ * Verifies the auth token and returns the active user, the auth session
+ * (null for the legacy tokens and app tokens) and the application token
+ * (null for the session tokens) or null if token is not valid.
+ *
+ * @param {string} authToken
+ * @param {string|null} ip
+ * @return {{user: User, authSession: object|null, appToken: object|null}|null}
+ */
+export async function authenticateByToken(authToken, ip = null) {
+  let decoded;
+
+  try {
+    decoded = await jwt.verifyAsync(authToken, config.secret);
+  } catch (e) {
+    debug(`invalid token: ${e.message}`);
+    return null;
+  }
+
+  let authSession = null;
+  let appToken = null;
+
+  if (decoded.type === APP_TOKEN_V1) {
+    appToken = await dbAdapter.getAppTokenById(decoded.id);
+
+    if (!appToken || appToken.userId !== decoded.userId) {
+      debug(`app token ${decoded.id} is not found`);
+      return null;
+    }
+  } else if (decoded.type === SESSION_TOKEN_V1) {
+    authSession = await dbAdapter.getAuthSessionById(decoded.id);
+
+    if (!authSession || authSession.userId !== decoded.userId) {
+      debug(`session ${decoded.id} is not found`);
+      return null;
+    }
+
+    if (authSession.expiresAt <= new Date()) {
+      debug(`session ${decoded.id} is expired`);
+      return null;
+    }
+  } else if (decoded.type !== undefined) {
+    // Tokens of other types (e.g. second factor challenges) do not authenticate
+    debug(`tokens of type '${decoded.type}' are not accepted here`);
+    return null;
+  } else if (!config.authSessions.acceptLegacyTokens) {
+    debug(`legacy tokens are not accepted anymore`);
+    return null;
+  }
+
+  const user = await dbAdapter.getUserById(decoded.userId);
+
+  if (!user || !user.isActive) {
+    return null;
+  }
+
+  if (authSession && isTimeToRegisterUsage(authSession.lastUsedAt)) {
+    await dbAdapter.registerAuthSessionUsage(authSession.id, config.authSessions.inactivityTTL, ip);
+  }
+
+  if (appToken && isTimeToRegisterUsage(appToken.lastUsedAt)) {
+    await dbAdapter.registerAppTokenUsage(appToken.id, ip);
+  }
+
+  return { user, authSession, appToken };
+}
+
+function isTimeToRegisterUsage(lastUsedAt) {
+  return !lastUsedAt || Date.now() - lastUsedAt.getTime() >= config.authSessions.usageUpdateInterval * 1000;
+}
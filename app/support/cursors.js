@@ -0,0 +1,140 @@
+/* eslint babel/semi: "error" */
+import validator from 'validator';
+
+import { BadRequestException } from './exceptions';
+
+
+// Kinds of the paginated lists (cursor of one kind can not be used with another)
+export const CURSOR_POSTS_BUMPED = 'posts:bumped';
+export const CURSOR_POSTS_CREATED = 'posts:created';
+export const CURSOR_EVENTS = 'events';
+
+// Directions of pagination
+export const CURSOR_BEFORE = 'before';
+export const CURSOR_AFTER = 'after';
+
+const DATE_RE = /^\d{4}-\d\d-\d\d[ T]\d\d:\d\d:\d\d(\.\d{1,6})?(Z|[+-]\d\d(:?\d\d)?)?$/;
+
+/**
+ * Returns the opaque cursor string pointing to the item of the list sorted by
+ * (date, id) in descending order. The date is a text representation of the
+ * PostgreSQL timestamp (to keep the microseconds).
+ *
+ * @param {string} kind
+ * @param {string} date
+ * @param {string|number} id
+ * @return {string}
+ */
+export function encodeCursor(kind, date, id) {
+  return Buffer.from(JSON.stringify([kind, date, id]))
+    .toString('base64')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+}
+
+/**
+ * Decodes the cursor string. Returns null if cursor is not valid
+ * or belongs to the list of other kind.
+ *
+ * @param {string} cursor
+ * @param {string} kind
+ * @return {{date: string, id: string|number}|null}
+ */
+export function decodeCursor(cursor, kind) {
+  let decoded;
+
+  try {
+    const base64 = cursor.replace(/-/g, '+').replace(/_/g, '/');
+    decoded = JSON.parse(Buffer.from(base64, 'base64').toString('utf8'));
+  } catch (e) {
+    return null;
+  }
+
+  if (!Array.isArray(decoded) || decoded.length !== 3) {
+    return null;
+  }
+
+  const [cursorKind, date, id] = decoded;
+
+  if (
+    cursorKind !== kind
+    || typeof date !== 'string' || !DATE_RE.test(date)
+    || !(Number.isInteger(id) || (typeof id === 'string' && validator.isUUID(id)))
+  ) {
+    return null;
+  }
+
+  return { date, id };
+}
+
+/**
+ * Fetch the pagination cursor from the 'before' or 'after' query parameter
+ *
+ * @param {object} query - request query
+ * @param {string} kind
+ * @return {{direction: string, date: string, id: string|number}|null}
+ */
+export function getCursorParam(query, kind) {
+  if (query.before && query.after) {
+    throw new BadRequestException(`The 'before' and 'after' parameters can not be used together`);
+  }
+
+  for (const direction of [CURSOR_BEFORE, CURSOR_AFTER]) {
+    if (!query[direction]) {
+      continue;
+    }
+
+    const decoded = typeof query[direction] === 'string' ? decodeCursor(query[direction], kind) : null;
+
+    if (!decoded) {
+      throw new BadRequestException(`Invalid '${direction}' cursor`);
+    }
+
+    return { direction, ...decoded };
+  }
+
+  return null;
+}
+
+/**
+ * Makes the page from items fetched with the 'limit + 1' limit in the cursor
+ * order (see cursorOrderSQL): cuts the extra item and returns items in the
+ * descending order. The 'isLastPage' flag means that there are no more items
+ * in the requested direction.
+ *
+ * @param {Array} items
+ * @param {number} limit
+ * @param {object|null} cursor
+ * @return {{items: Array, isLastPage: boolean}}
+ */
+export function cutPage(items, limit, cursor) {
+  const isLastPage = items.length <= limit;
+  items = items.slice(0, limit);
+
+  if (cursor && cursor.direction === CURSOR_AFTER) {
+    items.reverse();
+  }
+
+  return { items, isLastPage };
+}
+
+/**
+ * Returns cursors for the neighbour pages: 'before' (older items) and
+ * 'after' (newer items). Items must be in the descending order.
+ *
+ * @param {string} kind
+ * @param {Array} items
+ * @param {function} getKey - item => [date, id]
+ * @return {{before: string|null, after: string|null}}
+ */
+export function getPageCursors(kind, items, getKey) {
+  if (items.length === 0) {
+    return { before: null, after: null };
+  }
+
+  return {
+    before: encodeCursor(kind, ...getKey(items[items.length - 1])),
+    after:  encodeCursor(kind, ...getKey(items[0])),
+  };
+}
@@ -34,6 +34,10 @@ export function reportError(ctx) {
       result.err = 'Internal Server Error';
     }
 
+    if (err && err.retryAfter) {
+      ctx.set('Retry-After', String(err.retryAfter));
+    }
+
     ctx.status = status;
     ctx.body = result;
   };
@@ -79,6 +83,27 @@ export class ValidationException extends Error {
   }
 }
 
+export class ConflictException extends Error {
+  constructor(message = 'Conflict') {
+    super(message);
+    Error.captureStackTrace(this, this.constructor);
+    this.status = 409;
+  }
+}
+
+export class TooManyRequestsException extends Error {
+  /**
+   * @param {number} retryAfter - seconds to wait before the next attempt
+   * @param {string} message
+   */
+  constructor(retryAfter, message = 'Too many attempts, please try again later') {
+    super(message);
+    Error.captureStackTrace(this, this.constructor);
+    this.status = 429;
+    this.retryAfter = retryAfter;
+  }
+}
+
 export class ServerErrorException {
   constructor(message) {
     this.message = message || 'Internal server error';
@@ -0,0 +1,71 @@
+/* eslint babel/semi: "error" */
+
+// Brands of the ISO Base Media File Format ('ftyp' box) used by the image formats
+const avifBrands = ['avif', 'avis'];
+const heicBrands = ['heic', 'heix', 'heim', 'heis', 'hevc', 'hevx', 'hevm', 'hevs', 'mif1', 'msf1'];
+
+// Image types that most browsers can not display (HEIC) or that are not
+// supported by the older clients (WebP, AVIF). Thumbnails of such images
+// are always made in JPEG.
+const jpegThumbnailTypes = ['image/webp', 'image/avif', 'image/heic'];
+
+/**
+ * Detects HEIC/HEIF and AVIF images by the 'ftyp' box at the beginning of the
+ * file. These formats share the container with MP4 video so the general file
+ * type detectors either do not recognize them or report them as video.
+ *
+ * @param {Buffer} buffer - the first bytes of the file
+ * @return {string|null} - 'image/avif', 'image/heic' or null
+ */
+export function detectIsoBmffImageType(buffer) {
+  if (!buffer || buffer.length < 16 || buffer.toString('latin1', 4, 8) !== 'ftyp') {
+    return null;
+  }
+
+  const boxSize = Math.min(buffer.readUInt32BE(0), buffer.length);
+  const majorBrand = buffer.toString('latin1', 8, 12);
+  const compatibleBrands = [];
+
+  // The minor version (4 bytes) is followed by the list of compatible brands
+  for (let offset = 16; offset + 4 <= boxSize; offset += 4) {
+    compatibleBrands.push(buffer.toString('latin1', offset, offset + 4));
+  }
+
+  if (avifBrands.includes(majorBrand)) {
+    return 'image/avif';
+  }
+
+  if (heicBrands.includes(majorBrand)) {
+    // 'mif1' is a generic HEIF brand, AVIF files often use it as the major one
+    return compatibleBrands.some((b) => avifBrands.includes(b)) ? 'image/avif' : 'image/heic';
+  }
+
+  if (compatibleBrands.some((b) => avifBrands.includes(b))) {
+    return 'image/avif';
+  }
+
+  if (compatibleBrands.some((b) => heicBrands.includes(b))) {
+    return 'image/heic';
+  }
+
+  return null;
+}
+
+/**
+ * @param {string} mimeType
+ * @return {boolean}
+ */
+export function needsJpegThumbnails(mimeType) {
+  return jpegThumbnailTypes.includes(mimeType);
+}
+
+/**
+ * GraphicsMagick can not decode HEIC and AVIF, these images are decoded
+ * with ImageMagick (built with libheif)
+ *
+ * @param {string} mimeType
+ * @return {boolean}
+ */
+export function needsImageMagick(mimeType) {
+  return mimeType === 'image/heic' || mimeType === 'image/avif';
+}
@@ -0,0 +1,192 @@
+/* eslint babel/semi: "error" */
+import { promisifyAll } from 'bluebird';
+import gm from 'gm';
+
+
+const imageMagick = gm.subClass({ imageMagick: true });
+
+
+// JPEG segments with the EXIF, XMP, IPTC and device-specific data:
+// APP1 (EXIF, XMP), APP12 (Ducky, PictureInfo), APP13 (Photoshop IRB, IPTC) and COM.
+// APP0 (JFIF), APP2 (ICC profile), APP14 (Adobe color transform) are kept.
+const jpegMetadataMarkers = [0xe1, 0xec, 0xed, 0xfe];
+
+// PNG chunks with the EXIF and textual metadata
+const pngMetadataChunks = ['eXIf', 'tEXt', 'zTXt', 'iTXt', 'tIME'];
+
+// WebP chunks with the EXIF and XMP data and their flags in the VP8X chunk
+const webpMetadataChunks = { 'EXIF': 0x08, 'XMP ': 0x04 };
+
+const pngSignature = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+/**
+ * Removes the EXIF (including GPS location and camera info), XMP and similar
+ * metadata from the image without re-encoding it. The ICC color profile is
+ * kept. The image orientation should be applied before the stripping.
+ *
+ * Returns null if the image type is not supported.
+ *
+ * @param {Buffer} buffer
+ * @param {string} mimeType
+ * @return {Buffer|null}
+ */
+export function stripImageMetadata(buffer, mimeType) {
+  switch (mimeType) {
+    case 'image/jpeg': return stripJpegMetadata(buffer);
+    case 'image/png':  return stripPngMetadata(buffer);
+    case 'image/webp': return stripWebpMetadata(buffer);
+    default:           return null;
+  }
+}
+
+/**
+ * @param {string} mimeType
+ * @return {boolean}
+ */
+export function canStripImageMetadata(mimeType) {
+  return ['image/jpeg', 'image/png', 'image/webp'].includes(mimeType);
+}
+
+/**
+ * Checks if the HEIC or AVIF file has the EXIF or XMP items. The item types
+ * ('Exif' and 'application/rdf+xml' content type of XMP) are stored as plain
+ * text in the 'iinf' box, so the file is just searched for them.
+ *
+ * @param {Buffer} buffer
+ * @return {boolean}
+ */
+export function hasHeifMetadata(buffer) {
+  return buffer.includes('Exif') || buffer.includes('application/rdf+xml');
+}
+
+/**
+ * Re-encodes image by ImageMagick without the metadata. This is used for
+ * HEIC and AVIF that can not be stripped by stripImageMetadata. The EXIF
+ * orientation is applied to the image. The target format is defined by the
+ * target file extension.
+ *
+ * @param {string} sourceFile
+ * @param {string} targetFile
+ */
+export async function reencodeWithoutMetadata(sourceFile, targetFile) {
+  await promisifyAll(imageMagick(sourceFile))
+    .autoOrient()
+    .strip()
+    .quality(90)
+    .writeAsync(targetFile);
+}
+
+/**
+ * @param {Buffer} buffer
+ * @return {Buffer}
+ */
+export function stripJpegMetadata(buffer) {
+  if (buffer.length < 4 || buffer[0] !== 0xff || buffer[1] !== 0xd8) {
+    throw new Error('Invalid JPEG file');
+  }
+
+  const parts = [buffer.slice(0, 2)];
+  let pos = 2;
+
+  while (pos + 4 <= buffer.length) {
+    if (buffer[pos] !== 0xff) {
+      throw new Error('Invalid JPEG file');
+    }
+
+    const marker = buffer[pos + 1];
+
+    if (marker === 0xff) {
+      // Fill byte
+      parts.push(buffer.slice(pos, pos + 1));
+      pos++;
+      continue;
+    }
+
+    if (marker === 0xda || marker === 0xd9) {
+      // Start of the image data (or the end of image): the rest is copied as is
+      break;
+    }
+
+    const segmentEnd = pos + 2 + buffer.readUInt16BE(pos + 2);
+
+    if (!jpegMetadataMarkers.includes(marker)) {
+      parts.push(buffer.slice(pos, segmentEnd));
+    }
+
+    pos = segmentEnd;
+  }
+
+  parts.push(buffer.slice(pos));
+  return Buffer.concat(parts);
+}
+
+/**
+ * @param {Buffer} buffer
+ * @return {Buffer}
+ */
+export function stripPngMetadata(buffer) {
+  if (buffer.length < 8 || !buffer.slice(0, 8).equals(pngSignature)) {
+    throw new Error('Invalid PNG file');
+  }
+
+  const parts = [pngSignature];
+  let pos = 8;
+
+  while (pos + 12 <= buffer.length) {
+    // Length (4 bytes), type (4 bytes), data and CRC (4 bytes)
+    const chunkEnd = pos + 12 + buffer.readUInt32BE(pos);
+    const type = buffer.toString('latin1', pos + 4, pos + 8);
+
+    if (!pngMetadataChunks.includes(type)) {
+      parts.push(buffer.slice(pos, chunkEnd));
+    }
+
+    pos = chunkEnd;
+  }
+
+  return Buffer.concat(parts);
+}
+
+/**
+ * @param {Buffer} buffer
+ * @return {Buffer}
+ */
+export function stripWebpMetadata(buffer) {
+  if (
+    buffer.length < 12
+    || buffer.toString('latin1', 0, 4) !== 'RIFF'
+    || buffer.toString('latin1', 8, 12) !== 'WEBP'
+  ) {
+    throw new Error('Invalid WebP file');
+  }
+
+  const parts = [];
+  let removedFlags = 0;
+  let pos = 12;
+
+  while (pos + 8 <= buffer.length) {
+    // FourCC (4 bytes), size (4 bytes, LE), data padded to the even size
+    const size = buffer.readUInt32LE(pos + 4);
+    const chunkEnd = Math.min(pos + 8 + size + (size % 2), buffer.length);
+    const fourCC = buffer.toString('latin1', pos, pos + 4);
+
+    if (fourCC in webpMetadataChunks) {
+      removedFlags |= webpMetadataChunks[fourCC];
+    } else {
+      parts.push(Buffer.from(buffer.slice(pos, chunkEnd)));
+    }
+
+    pos = chunkEnd;
+  }
+
+  const vp8x = parts.find((p) => p.toString('latin1', 0, 4) === 'VP8X');
+
+  if (vp8x) {
+    vp8x[8] &= ~removedFlags;
+  }
+
+  const header = Buffer.from(buffer.slice(0, 12));
+  const body = Buffer.concat(parts);
+  header.writeUInt32LE(body.length + 4, 4);
+  return Buffer.concat([header, body]);
+}
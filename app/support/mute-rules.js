@@ -0,0 +1,49 @@
+/* eslint babel/semi: "error" */
+
+// Types of the mute rules
+export const MUTE_TYPE_KEYWORD = 'keyword'; // word or phrase
+export const MUTE_TYPE_HASHTAG = 'hashtag';
+export const MUTE_TYPE_REGEX = 'regex';
+
+// Where the rules are applied
+export const MUTE_SCOPE_HOME = 'home';
+export const MUTE_SCOPE_DISCUSSIONS = 'discussions';
+export const MUTE_SCOPE_EVERYWHERE = 'everywhere';
+
+// Pseudo-timeline name for the search results
+export const SEARCH_RESULTS = 'Search';
+
+const scopeTimelines = {
+  [MUTE_SCOPE_HOME]:        ['RiverOfNews', 'List'],
+  [MUTE_SCOPE_DISCUSSIONS]: ['MyDiscussions'],
+};
+
+/**
+ * Returns the normalized pattern of the rule: trimmed, with the
+ * collapsed whitespaces for keywords and without the leading '#' for
+ * hashtags. The regex patterns are kept as is.
+ *
+ * @param {string} type
+ * @param {string} pattern
+ * @return {string}
+ */
+export function normalizeMutePattern(type, pattern) {
+  switch (type) {
+    case MUTE_TYPE_KEYWORD: return pattern.trim().replace(/\s+/g, ' ');
+    case MUTE_TYPE_HASHTAG: return pattern.trim().replace(/^#/, '').toLowerCase();
+    default:                return pattern;
+  }
+}
+
+/**
+ * Selects the rules that should be applied to the given timeline
+ * (or to the search results, see SEARCH_RESULTS)
+ *
+ * @param {object[]} rules
+ * @param {string} timelineName
+ * @return {object[]}
+ */
+export function getMuteRulesForTimeline(rules, timelineName) {
+  return rules.filter(({ scope }) => scope === MUTE_SCOPE_EVERYWHERE
+    || (scopeTimelines[scope] || []).includes(timelineName));
+}
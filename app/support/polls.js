@@ -0,0 +1,33 @@
+/* eslint babel/semi: "error" */
+import { ForbiddenException, ValidationException } from './exceptions';
+
+
+/**
+ * Returns true if the poll does not accept votes anymore
+ *
+ * @param {object} poll
+ * @return {boolean}
+ */
+export function isPollClosed(poll) {
+  return !!poll.closesAt && poll.closesAt <= new Date();
+}
+
+/**
+ * Checks that the user can vote for the given options of the poll
+ *
+ * @param {object} poll
+ * @param {number[]} optionIndices
+ */
+export function checkPollVotes(poll, optionIndices) {
+  if (isPollClosed(poll)) {
+    throw new ForbiddenException('This poll is closed');
+  }
+
+  if (!poll.isMultiple && optionIndices.length > 1) {
+    throw new ValidationException('Only one option can be chosen in this poll');
+  }
+
+  if (optionIndices.some((i) => i >= poll.options.length)) {
+    throw new ValidationException('Unknown poll option');
+  }
+}
@@ -0,0 +1,131 @@
+/* eslint babel/semi: "error" */
+import createDebug from 'debug';
+
+import { load as configLoader } from '../../config/config';
+import { dbAdapter } from '../models';
+import { TooManyRequestsException } from './exceptions';
+import { getRequestIp } from './auth-tokens';
+
+
+const config = configLoader();
+const debug = createDebug('freefeed:rate-limiter');
+
+// Rate-limited actions (the keys of config.rateLimits)
+export const ACTION_LOGIN = 'login';
+export const ACTION_PASSWORD_RESET = 'passwordReset';
+export const ACTION_SIGN_UP = 'signUp';
+
+/**
+ * Returns the rate limiting subjects of the request: the client IP
+ * and the target username or email (if any)
+ *
+ * @param {object} ctx
+ * @param {string} [target]
+ * @return {{ip: string, target: string|null}}
+ */
+export function getRateLimitSubjects(ctx, target = null) {
+  return {
+    ip:     getRequestIp(ctx),
+    target: (typeof target === 'string' && target.trim() !== '') ? target.trim().toLowerCase() : null,
+  };
+}
+
+/**
+ * Throws TooManyRequestsException if any of the subjects
+ * is blocked for the given action
+ *
+ * @param {string} action
+ * @param {object} subjects - {ip, target}
+ */
+export async function checkRateLimit(action, subjects) {
+  if (!config.rateLimits.enabled) {
+    return;
+  }
+
+  const keys = getKeys(action, subjects).map(({ key }) => `${key}:block`);
+  const retryAfter = await dbAdapter.getRateLimitBlockTTL(keys);
+
+  if (retryAfter > 0) {
+    debug(`${action} is blocked for ${JSON.stringify(subjects)} for ${retryAfter} seconds`);
+    throw new TooManyRequestsException(retryAfter);
+  }
+}
+
+/**
+ * Registers an attempt (usually a failed one) of the action. The subjects
+ * are blocked with progressively increasing delays after the
+ * 'freeAttempts' attempts and locked out after the 'lockoutAttempts' ones.
+ *
+ * @param {string} action
+ * @param {object} subjects - {ip, target}
+ */
+export async function registerAttempt(action, subjects) {
+  if (!config.rateLimits.enabled) {
+    return;
+  }
+
+  const actionConfig = config.rateLimits[action];
+
+  await Promise.all(getKeys(action, subjects).map(async ({ key, factor }) => {
+    const count = await dbAdapter.incrementRateLimitCounter(`${key}:count`, actionConfig.window);
+    const delay = getBlockDuration(count, actionConfig, factor);
+
+    if (delay > 0) {
+      await dbAdapter.setRateLimitBlock(`${key}:block`, delay);
+    }
+  }));
+}
+
+/**
+ * Resets the attempts counter of the target (e.g. after the successful login).
+ * The IP counter is not reset, otherwise one could reset it using their own account.
+ *
+ * @param {string} action
+ * @param {object} subjects - {ip, target}
+ */
+export async function resetAttempts(action, { target }) {
+  if (!config.rateLimits.enabled || !target) {
+    return;
+  }
+
+  await dbAdapter.resetRateLimitCounter(`ratelimit:${action}:target:${target}:count`);
+}
+
+/**
+ * Returns duration of the block (in seconds) after the 'count' attempts
+ *
+ * @param {number} count
+ * @param {object} actionConfig
+ * @param {number} factor - multiplier for the attempts limits
+ * @return {number}
+ */
+export function getBlockDuration(count, actionConfig, factor = 1) {
+  const { freeAttempts, initialDelay, maxDelay, lockoutAttempts, lockoutDuration } = actionConfig;
+
+  if (count >= lockoutAttempts * factor) {
+    return lockoutDuration;
+  }
+
+  const extraAttempts = count - (freeAttempts * factor);
+
+  if (extraAttempts <= 0) {
+    return 0;
+  }
+
+  return Math.min(initialDelay * (2 ** (extraAttempts - 1)), maxDelay);
+}
+
+function getKeys(action, { ip, target }) {
+  const keys = [];
+
+  if (ip) {
+    // Many users can share the same IP, so the IP limits are softer
+    keys.push({ key: `ratelimit:${action}:ip:${ip}`, factor: config.rateLimits.ipFactor });
+  }
+
+  if (target) {
+    keys.push({ key: `ratelimit:${action}:target:${target}`, factor: 1 });
+  }
+
+  return keys;
+}
@@ -0,0 +1,92 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+import { promisify, promisifyAll } from 'bluebird';
+import mv from 'mv';
+
+import { FsStorage } from './fs';
+import { hashFile, ensureDir } from './utils';
+
+
+promisifyAll(fs);
+const mvAsync = promisify(mv);
+
+/**
+ * Content-addressed local storage with deduplication. Every unique content is
+ * stored once, as '<rootDir>/.objects/<2 first hash chars>/<sha256 hash>', and
+ * the files are hard links to these objects. So the files are still available
+ * by their keys (and served from rootDir as the usual local files) but the
+ * identical files take the disk space only once.
+ *
+ * The '.objects' directory is hidden and is not served by koa-static.
+ */
+export class ContentAddressedStorage extends FsStorage {
+  getObjectPath(hash) {
+    return path.join(this.rootDir, '.objects', hash.substr(0, 2), hash);
+  }
+
+  async putFile(key, localFile) {
+    // The old file is deleted first: its object may be the same as the new one
+    if (await this.exists(key)) {
+      await this.delete(key);
+    }
+
+    const objectPath = this.getObjectPath(await hashFile(localFile));
+    const filePath = this.getPath(key);
+    await ensureDir(path.dirname(filePath));
+
+    // The local file is moved next to the objects, so it can be hard-linked
+    // as the new object. It is kept until the file is linked: the concurrent
+    // delete can remove the existing object at any moment.
+    const tmpPath = `${objectPath}.${crypto.randomBytes(8).toString('hex')}.tmp`;
+    await mvAsync(localFile, tmpPath, { mkdirp: true });
+
+    try {
+      while (true) {  // eslint-disable-line no-constant-condition
+        try {
+          await fs.linkAsync(objectPath, filePath);  // eslint-disable-line no-await-in-loop
+          return;
+        } catch (e) {
+          if (e.code !== 'ENOENT') {
+            throw e;
+          }
+        }
+
+        try {
+          // There is no object, the uploaded file becomes it
+          await fs.linkAsync(tmpPath, objectPath);  // eslint-disable-line no-await-in-loop
+        } catch (e) {
+          // EEXIST: the same content was just uploaded concurrently
+          if (e.code !== 'EEXIST') {
+            throw e;
+          }
+        }
+      }
+    } finally {
+      await fs.unlinkAsync(tmpPath).catch(() => null);
+    }
+  }
+
+  /**
+   * Removes the file and its object if it is not used by other files
+   */
+  async delete(key) {
+    const filePath = this.getPath(key);
+    const objectPath = this.getObjectPath(await hashFile(filePath));
+
+    await fs.unlinkAsync(filePath);
+
+    try {
+      const { nlink } = await fs.statAsync(objectPath);
+
+      if (nlink === 1) {
+        await fs.unlinkAsync(objectPath);
+      }
+    } catch (e) {
+      if (e.code !== 'ENOENT') {
+        throw e;
+      }
+    }
+  }
+}
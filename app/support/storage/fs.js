@@ -0,0 +1,75 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+import { promisify, promisifyAll } from 'bluebird';
+import mv from 'mv';
+
+import { writeTmpFile } from './utils';
+
+
+promisifyAll(fs);
+const mvAsync = promisify(mv);
+
+/**
+ * Files are stored in the local directory (config.rootDir) by their keys
+ */
+export class FsStorage {
+  constructor({ rootDir }) {
+    this.rootDir = rootDir;
+  }
+
+  getPath(key) {
+    return path.join(this.rootDir, key);
+  }
+
+  /**
+   * The file is moved to the temporary name next to the target first and
+   * then renamed, so the interrupted move never leaves a partial file
+   */
+  async putFile(key, localFile) {
+    const filePath = this.getPath(key);
+    const tmpPath = `${filePath}.${crypto.randomBytes(8).toString('hex')}.tmp`;
+
+    try {
+      await mvAsync(localFile, tmpPath, { mkdirp: true });
+      await fs.renameAsync(tmpPath, filePath);
+    } catch (e) {
+      await fs.unlinkAsync(tmpPath).catch(() => null);
+      throw e;
+    }
+  }
+
+  async put(key, buffer) {
+    await this.putFile(key, await writeTmpFile(buffer));
+  }
+
+  get(key) {
+    return fs.readFileAsync(this.getPath(key));
+  }
+
+  async getFile(key, localFile) {
+    await fs.copyFileAsync(this.getPath(key), localFile);
+  }
+
+  async getSize(key) {
+    try {
+      const { size } = await fs.statAsync(this.getPath(key));
+      return size;
+    } catch (e) {
+      if (e.code === 'ENOENT') {
+        return null;
+      }
+
+      throw e;
+    }
+  }
+
+  async exists(key) {
+    return (await this.getSize(key)) !== null;
+  }
+
+  async delete(key) {
+    await fs.unlinkAsync(this.getPath(key));
+  }
+}
@@ -0,0 +1,49 @@
+import { FsStorage } from './fs';
+import { S3Storage } from './s3';
+import { ContentAddressedStorage } from './content-addressed';
+
+/**
+ * Storage drivers keep files (attachments, thumbnails, profile pictures) by
+ * their keys, i.e. the relative paths like 'attachments/<id>.jpg'. All the
+ * drivers have the same async interface:
+ *
+ * - putFile(key, localFile, options): stores local file and removes it
+ * - put(key, buffer, options): stores buffer
+ * - get(key): returns file content as Buffer
+ * - getFile(key, localFile): writes file content to the local file
+ * - getSize(key): returns file size in bytes or null if file doesn't exist
+ * - exists(key): returns true if file exists
+ * - delete(key): removes file
+ *
+ * The options are {contentType, contentDisposition}, they are used only by
+ * the drivers that serve files themselves (S3). The get and getFile methods
+ * throw error with code 'ENOENT' if file is not found.
+ */
+
+const drivers = {
+  fs:  FsStorage,
+  s3:  S3Storage,
+  cas: ContentAddressedStorage,
+};
+
+const instances = new WeakMap();
+
+/**
+ * Returns storage driver for the given storage config ({type: 'fs'|'s3'|'cas', ...})
+ *
+ * @param {object} storageConfig
+ * @return {FsStorage|S3Storage|ContentAddressedStorage}
+ */
+export function getStorage(storageConfig) {
+  if (!instances.has(storageConfig)) {
+    const Driver = drivers[storageConfig.type];
+
+    if (!Driver) {
+      throw new Error(`Unknown storage type: ${storageConfig.type}`);
+    }
+
+    instances.set(storageConfig, new Driver(storageConfig));
+  }
+
+  return instances.get(storageConfig);
+}
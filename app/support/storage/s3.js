@@ -0,0 +1,91 @@
+import fs from 'fs';
+
+import { promisifyAll } from 'bluebird';
+import { wait as waitStream, pipeline } from 'promise-streams';
+
+import { getS3 } from '../s3';
+
+
+promisifyAll(fs);
+
+/**
+ * Files are stored in the S3-compatible bucket (config.bucket) by their keys
+ * and served by the bucket
+ */
+export class S3Storage {
+  constructor(storageConfig) {
+    this.bucket = storageConfig.bucket;
+    this.s3 = getS3(storageConfig);
+  }
+
+  async putFile(key, localFile, options = {}) {
+    await this.upload(key, fs.createReadStream(localFile), options);
+    await fs.unlinkAsync(localFile);
+  }
+
+  async put(key, buffer, options = {}) {
+    await this.upload(key, buffer, options);
+  }
+
+  async get(key) {
+    try {
+      const { Body } = await this.s3.getObject({ Bucket: this.bucket, Key: key }).promise();
+      return Body;
+    } catch (e) {
+      throw fixNotFoundCode(e);
+    }
+  }
+
+  async getFile(key, localFile) {
+    const stream = fs.createWriteStream(localFile, { flags: 'w' });
+    const fileWasWritten = waitStream(stream);
+
+    try {
+      await pipeline(this.s3.getObject({ Bucket: this.bucket, Key: key }).createReadStream(), stream);
+      await fileWasWritten;
+    } catch (e) {
+      await fs.unlinkAsync(localFile).catch(() => null);
+      throw fixNotFoundCode(e);
+    }
+  }
+
+  async getSize(key) {
+    try {
+      const { ContentLength } = await this.s3.headObject({ Bucket: this.bucket, Key: key }).promise();
+      return ContentLength;
+    } catch (e) {
+      if (e.code === 'NotFound') {
+        return null;
+      }
+
+      throw e;
+    }
+  }
+
+  async exists(key) {
+    return (await this.getSize(key)) !== null;
+  }
+
+  async delete(key) {
+    await this.s3.deleteObject({ Bucket: this.bucket, Key: key }).promise();
+  }
+
+  async upload(key, body, { contentType, contentDisposition }) {
+    await this.s3.upload({
+      ACL:                'public-read',
+      Bucket:             this.bucket,
+      Key:                key,
+      Body:               body,
+      ContentType:        contentType,
+      ContentDisposition: contentDisposition,
+    }).promise();
+  }
+}
+
+function fixNotFoundCode(e) {
+  if (e.code === 'NoSuchKey') {
+    e.code = 'ENOENT';
+  }
+
+  return e;
+}
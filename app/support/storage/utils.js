@@ -0,0 +1,68 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+
+import { promisifyAll } from 'bluebird';
+
+
+promisifyAll(fs);
+
+/**
+ * Creates directory with all the missing parents
+ *
+ * @param {string} dir
+ */
+export async function ensureDir(dir) {
+  try {
+    await fs.mkdirAsync(dir);
+  } catch (e) {
+    if (e.code === 'EEXIST') {
+      return;
+    }
+
+    if (e.code !== 'ENOENT') {
+      throw e;
+    }
+
+    await ensureDir(path.dirname(dir));
+    await ensureDir(dir);
+  }
+}
+
+/**
+ * Writes buffer to the new temporary file and returns its path
+ *
+ * @param {Buffer} buffer
+ * @return {string}
+ */
+export async function writeTmpFile(buffer) {
+  const tmpFile = getTmpFileName();
+  await fs.writeFileAsync(tmpFile, buffer);
+  return tmpFile;
+}
+
+/**
+ * Returns the new unique name in the system temporary directory
+ *
+ * @return {string}
+ */
+export function getTmpFileName() {
+  return path.join(os.tmpdir(), `storage_${crypto.randomBytes(16).toString('hex')}`);
+}
+
+/**
+ * Returns SHA-256 hash of the file content (hex)
+ *
+ * @param {string} file
+ * @return {string}
+ */
+export function hashFile(file) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(file)
+      .on('error', reject)
+      .on('data', (chunk) => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+}
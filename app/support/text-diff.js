@@ -0,0 +1,125 @@
+/* eslint babel/semi: "error" */
+
+export const DIFF_EQUAL = 'equal';
+export const DIFF_INSERT = 'insert';
+export const DIFF_DELETE = 'delete';
+
+// Texts with larger changed parts are compared as a whole
+const MAX_MATRIX_SIZE = 1000 * 1000;
+
+/**
+ * Returns the word-level difference between two texts as a list
+ * of chunks: {type: 'equal'|'insert'|'delete', text: string}
+ *
+ * @param {string} oldText
+ * @param {string} newText
+ * @return {{type: string, text: string}[]}
+ */
+export function diffWords(oldText, newText) {
+  const a = tokenize(oldText);
+  const b = tokenize(newText);
+
+  // Common prefix and suffix
+  let start = 0;
+
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    start++;
+  }
+
+  let endA = a.length;
+  let endB = b.length;
+
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const chunks = [];
+  addChunk(chunks, DIFF_EQUAL, a.slice(0, start));
+
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+
+  if (midA.length * midB.length > MAX_MATRIX_SIZE) {
+    addChunk(chunks, DIFF_DELETE, midA);
+    addChunk(chunks, DIFF_INSERT, midB);
+  } else {
+    for (const [type, token] of lcsDiff(midA, midB)) {
+      addChunk(chunks, type, [token]);
+    }
+  }
+
+  addChunk(chunks, DIFF_EQUAL, a.slice(endA));
+  return chunks;
+}
+
+/**
+ * Splits text to words with the trailing whitespaces
+ */
+function tokenize(text) {
+  return text.match(/^\s+|\S+\s*/g) || [];
+}
+
+function addChunk(chunks, type, tokens) {
+  if (tokens.length === 0) {
+    return;
+  }
+
+  const text = tokens.join('');
+  const last = chunks[chunks.length - 1];
+
+  if (last && last.type === type) {
+    last.text += text;
+  } else {
+    chunks.push({ type, text });
+  }
+}
+
+/**
+ * Classic longest common subsequence diff
+ *
+ * @param {string[]} a
+ * @param {string[]} b
+ * @return {Array<[string, string]>} - list of [type, token]
+ */
+function lcsDiff(a, b) {
+  const n = a.length;
+  const m = b.length;
+  // lcs[i * (m + 1) + j] is the LCS length of a[i:] and b[j:]
+  const lcs = new Uint32Array((n + 1) * (m + 1));
+
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[(i * (m + 1)) + j] = (a[i] === b[j])
+        ? lcs[((i + 1) * (m + 1)) + j + 1] + 1
+        : Math.max(lcs[((i + 1) * (m + 1)) + j], lcs[(i * (m + 1)) + j + 1]);
+    }
+  }
+
+  const result = [];
+  let i = 0, j = 0;
+
+  while (i < n && j < m) {
+    if (a[i] === b[j]) {
+      result.push([DIFF_EQUAL, a[i]]);
+      i++;
+      j++;
+    } else if (lcs[((i + 1) * (m + 1)) + j] >= lcs[(i * (m + 1)) + j + 1]) {
+      result.push([DIFF_DELETE, a[i]]);
+      i++;
+    } else {
+      result.push([DIFF_INSERT, b[j]]);
+      j++;
+    }
+  }
+
+  for (; i < n; i++) {
+    result.push([DIFF_DELETE, a[i]]);
+  }
+
+  for (; j < m; j++) {
+    result.push([DIFF_INSERT, b[j]]);
+  }
+
+  return result;
+}
@@ -0,0 +1,183 @@
+/* eslint babel/semi: "error" */
+import crypto from 'crypto';
+
+import { load as configLoader } from '../../config/config';
+import { dbAdapter } from '../models';
+
+
+const config = configLoader();
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const TIME_STEP = 30; // seconds
+const CODE_DIGITS = 6;
+
+/**
+ * Generates a new random TOTP secret (base32-encoded)
+ *
+ * @return {string}
+ */
+export function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * Returns the otpauth:// URI for the authenticator applications
+ * (usually shown to the user as a QR code)
+ *
+ * @param {string} secret
+ * @param {string} accountName
+ * @return {string}
+ */
+export function getProvisioningURI(secret, accountName) {
+  const { issuer } = config.totp;
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  return `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(issuer)}`
+    + `&algorithm=SHA1&digits=${CODE_DIGITS}&period=${TIME_STEP}`;
+}
+
+/**
+ * Returns the TOTP code for the given secret and time step counter
+ *
+ * @param {string} secret
+ * @param {number} counter
+ * @return {string}
+ */
+export function getCode(secret, counter) {
+  const counterBuf = Buffer.alloc(8);
+  counterBuf.writeUInt32BE(Math.floor(counter / 0x100000000), 0);
+  counterBuf.writeUInt32BE(counter % 0x100000000, 4);
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counterBuf).digest();
+  // Dynamic truncation, see RFC 4226, section 5.3
+  const offset = hmac[hmac.length - 1] % 16;
+  const binCode = hmac.readUInt32BE(offset) % 0x80000000;
+  return String(binCode % (10 ** CODE_DIGITS)).padStart(CODE_DIGITS, '0');
+}
+
+export function getCurrentCounter(time = Date.now()) {
+  return Math.floor(time / 1000 / TIME_STEP);
+}
+
+/**
+ * Checks the code against the secret allowing the clock drift of
+ * config.totp.window time steps. Returns the matched time step
+ * counter or null if code is not valid.
+ *
+ * @param {string} secret
+ * @param {string} code
+ * @return {number|null}
+ */
+export function findCodeCounter(secret, code) {
+  const current = getCurrentCounter();
+
+  for (let counter = current - config.totp.window; counter <= current + config.totp.window; counter++) {
+    if (getCode(secret, counter) === code) {
+      return counter;
+    }
+  }
+
+  return null;
+}
+
+export function isTOTPCode(code) {
+  return new RegExp(`^\\d{${CODE_DIGITS}}$`).test(code);
+}
+
+/**
+ * Generates a new set of one-time recovery codes
+ *
+ * @return {string[]}
+ */
+export function generateRecoveryCodes() {
+  const codes = [];
+
+  for (let i = 0; i < config.totp.recoveryCodesCount; i++) {
+    const hex = crypto.randomBytes(6).toString('hex');
+    codes.push(`${hex.substr(0, 4)}-${hex.substr(4, 4)}-${hex.substr(8, 4)}`);
+  }
+
+  return codes;
+}
+
+export function hashRecoveryCode(code) {
+  const normalized = code.toLowerCase().replace(/[^0-9a-f]/g, '');
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+/**
+ * Checks the second factor code (TOTP code or recovery code) of the user.
+ * Every code can be used only once.
+ *
+ * @param {string} userId
+ * @param {string} code
+ * @return {boolean}
+ */
+export async function verifySecondFactor(userId, code) {
+  if (typeof code !== 'string' || code === '') {
+    return false;
+  }
+
+  const totp = await dbAdapter.getUserTOTP(userId);
+
+  if (!totp || !totp.isEnabled) {
+    return false;
+  }
+
+  code = code.trim();
+
+  if (isTOTPCode(code)) {
+    const counter = findCodeCounter(totp.secret, code);
+    return counter !== null && await dbAdapter.registerTOTPCounter(userId, counter);
+  }
+
+  return await dbAdapter.useTOTPRecoveryCode(userId, hashRecoveryCode(code));
+}
+
+/**
+ * Returns true if the user has enabled the two-factor authentication
+ *
+ * @param {string} userId
+ * @return {boolean}
+ */
+export async function isSecondFactorEnabled(userId) {
+  const totp = await dbAdapter.getUserTOTP(userId);
+  return !!totp && totp.isEnabled;
+}
+
+function base32Encode(buf) {
+  let bits = '';
+
+  for (const byte of buf) {
+    bits += byte.toString(2).padStart(8, '0');
+  }
+
+  let result = '';
+
+  for (let i = 0; i < bits.length; i += 5) {
+    result += BASE32_ALPHABET[parseInt(bits.substr(i, 5).padEnd(5, '0'), 2)];
+  }
+
+  return result;
+}
+
+function base32Decode(str) {
+  let bits = '';
+
+  for (const char of str.toUpperCase().replace(/=+$/, '')) {
+    const idx = BASE32_ALPHABET.indexOf(char);
+
+    if (idx === -1) {
+      throw new Error(`Invalid base32 character: '${char}'`);
+    }
+
+    bits += idx.toString(2).padStart(5, '0');
+  }
+
+  const bytes = [];
+
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.substr(i, 8), 2));
+  }
+
+  return Buffer.from(bytes);
+}
@@ -0,0 +1,92 @@
+/* eslint babel/semi: "error" */
+import _ from 'lodash';
+
+// Codecs that are playable by all the modern browsers in the MP4 container
+const webSafeVideoCodecs = ['h264'];
+const webSafeAudioCodecs = ['aac', 'mp3'];
+const webSafePixelFormats = ['yuv420p', 'yuvj420p'];
+
+/**
+ * Extracts the video metadata from the ffprobe JSON output (produced with the
+ * '-print_format json -show_format -show_streams' options). Returns null if
+ * the file has no video stream.
+ *
+ * The width and height are the display dimensions, i.e. they are swapped for
+ * the videos rotated by 90 or 270 degrees.
+ *
+ * @param {object} probeResult
+ * @return {object|null} - {width, height, duration, codec, audioCodec, pixelFormat}
+ */
+export function parseProbeResult(probeResult) {
+  const streams = (probeResult && probeResult.streams) || [];
+  const videoStream = streams.find((s) => s.codec_type === 'video' && !isAttachedPicture(s));
+
+  if (!videoStream || !(videoStream.width > 0) || !(videoStream.height > 0)) {
+    return null;
+  }
+
+  const audioStream = streams.find((s) => s.codec_type === 'audio');
+
+  let { width, height } = videoStream;
+
+  if (Math.abs(getRotation(videoStream)) % 180 === 90) {
+    [width, height] = [height, width];
+  }
+
+  const duration = parseFloat(_.get(probeResult, 'format.duration') || videoStream.duration);
+
+  return {
+    width,
+    height,
+    duration:    Number.isFinite(duration) ? duration : null,
+    codec:       videoStream.codec_name || null,
+    audioCodec:  audioStream ? audioStream.codec_name : null,
+    pixelFormat: videoStream.pix_fmt || null,
+  };
+}
+
+/**
+ * Checks whether the video can be served to browsers as is, without
+ * transcoding
+ *
+ * @param {object} meta - result of parseProbeResult
+ * @param {string} mimeType
+ * @return {boolean}
+ */
+export function isWebSafeVideo(meta, mimeType) {
+  return mimeType === 'video/mp4'
+    && webSafeVideoCodecs.includes(meta.codec)
+    && (meta.audioCodec === null || webSafeAudioCodecs.includes(meta.audioCodec))
+    && webSafePixelFormats.includes(meta.pixelFormat);
+}
+
+/**
+ * Checks whether the video is small enough to be transcoded during the upload
+ * request. The videos of unknown duration are not transcoded.
+ *
+ * @param {object} meta - result of parseProbeResult
+ * @param {number} fileSize
+ * @param {object} limits - {maxTranscodeDuration, maxTranscodeFileSize}
+ * @return {boolean}
+ */
+export function canTranscodeVideo(meta, fileSize, { maxTranscodeDuration, maxTranscodeFileSize }) {
+  return meta.duration !== null
+    && meta.duration <= maxTranscodeDuration
+    && fileSize <= maxTranscodeFileSize;
+}
+
+function isAttachedPicture(stream) {
+  // Cover arts of the audio files are reported as video streams
+  return !!(stream.disposition && stream.disposition.attached_pic);
+}
+
+function getRotation(stream) {
+  const tagRotation = parseInt(_.get(stream, 'tags.rotate'), 10);
+
+  if (Number.isFinite(tagRotation)) {
+    return tagRotation;
+  }
+
+  const sideData = (stream.side_data_list || []).find((d) => 'rotation' in d);
+  return sideData ? parseInt(sideData.rotation, 10) || 0 : 0;
+}
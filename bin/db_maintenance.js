@@ -1,4 +1,6 @@
 #!node_modules/.bin/babel-node
+import fs from 'fs';
+
 import bluebird from 'bluebird';
 
 
@@ -7,8 +9,11 @@ global.Promise.onPossiblyUnhandledRejection((e) => {
   throw e;
 });
 
-import { postgres } from '../app/models'
+import { postgres, dbAdapter } from '../app/models'
+import { load as configLoader } from '../config/config';
+
 
+const config = configLoader();
 
 async function purge_local_bumps() {
   // Delete local bumps older than 1 month
@@ -16,9 +21,31 @@ async function purge_local_bumps() {
   await postgres.raw(`delete from local_bumps where created_at < (current_date - interval '1 month')`);
 }
 
+async function purge_expired_auth_sessions() {
+  process.stdout.write(`Purging expired auth sessions...\n`);
+  await dbAdapter.deleteExpiredAuthSessions();
+}
+
+async function purge_stale_attachment_uploads() {
+  process.stdout.write(`Purging stale attachment uploads...\n`);
+  const ids = await dbAdapter.deleteStaleAttachmentUploads(config.attachmentUploads.ttl);
+
+  for (const id of ids) {
+    try {
+      fs.unlinkSync(`${config.attachmentUploads.dir}${id}`);
+    } catch (e) {
+      if (e.code !== 'ENOENT') {
+        throw e;
+      }
+    }
+  }
+}
+
 async function main() {
   process.stdout.write(`Running db maintenance...\n`);
   await purge_local_bumps();
+  await purge_expired_auth_sessions();
+  await purge_stale_attachment_uploads();
 }
 
 main()
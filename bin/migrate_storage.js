@@ -0,0 +1,180 @@
+#!node_modules/.bin/babel-node
+/* eslint-disable no-await-in-loop */
+import fs from 'fs';
+import path from 'path';
+
+import bluebird, { promisifyAll } from 'bluebird';
+
+
+promisifyAll(fs);
+
+global.Promise = bluebird;
+global.Promise.onPossiblyUnhandledRejection((e) => {
+  throw e;
+});
+
+import { postgres, User } from '../app/models';
+import { initAttachmentObject } from '../app/support/DbAdapter/attachments';
+import { getStorage } from '../app/support/storage';
+import { getTmpFileName } from '../app/support/storage/utils';
+import { load as configLoader } from '../config/config';
+
+// Copies all the stored files (attachments with their thumbnails and profile
+// pictures) from the currently configured storages to the target storage.
+// The target storage config has the same format as config.attachments.storage.
+//
+// The progress is saved to the state file, so the interrupted migration can
+// be continued by running the same command again. Files that already exist in
+// the target storage and have the same size are not copied. The drivers write
+// the files atomically, so the interrupted copy never leaves a partial file.
+//
+// Usage: bin/migrate_storage.js target-storage.json [--state=migrate_storage.state.json]
+
+const config = configLoader();
+const CHUNK_SIZE = 100;
+
+const stats = { copied: 0, skipped: 0, missing: 0 };
+
+class SimpleError extends Error {}
+
+async function main(args) {
+  const targetConfigFile = args.find((a) => !a.startsWith('--'));
+  const stateArg = args.find((a) => a.startsWith('--state='));
+  const stateFile = stateArg ? stateArg.substr('--state='.length) : 'migrate_storage.state.json';
+
+  if (!targetConfigFile) {
+    throw new SimpleError(`Usage: babel-node ${path.basename(process.argv[1])} target-storage.json [--state=file]`);
+  }
+
+  const target = getStorage(JSON.parse(fs.readFileSync(targetConfigFile, 'utf8')));
+  const state = fs.existsSync(stateFile)
+    ? JSON.parse(fs.readFileSync(stateFile, 'utf8'))
+    : { attachments: null, users: null };
+  const saveState = () => fs.writeFileSync(stateFile, JSON.stringify(state));
+
+  if (state.attachments !== true) {
+    process.stdout.write(`Migrating attachments...\n`);
+    await migrateAttachments(target, state, saveState);
+  }
+
+  if (state.users !== true) {
+    process.stdout.write(`Migrating profile pictures...\n`);
+    await migrateProfilePictures(target, state, saveState);
+  }
+
+  process.stdout.write(`Files copied: ${stats.copied}\n`);
+  process.stdout.write(`Files already in the target storage: ${stats.skipped}\n`);
+  process.stdout.write(`Files not found: ${stats.missing}\n`);
+}
+
+async function migrateAttachments(target, state, saveState) {
+  const source = getStorage(config.attachments.storage);
+
+  await forEachChunk('attachments', state.attachments, async (rows) => {
+    for (const row of rows) {
+      const att = initAttachmentObject(row);
+      const contentDisposition = att.fileName ? att.getContentDisposition() : undefined;
+
+      for (const { key, contentType } of att.getStoredFiles()) {
+        await copyFile(source, target, key, { contentType, contentDisposition });
+      }
+    }
+
+    state.attachments = rows[rows.length - 1].uid;
+    saveState();
+  });
+
+  state.attachments = true;
+  saveState();
+}
+
+async function migrateProfilePictures(target, state, saveState) {
+  const source = getStorage(config.profilePictures.storage);
+  const sizes = [User.PROFILE_PICTURE_SIZE_LARGE, User.PROFILE_PICTURE_SIZE_MEDIUM];
+  const options = { contentType: 'image/jpeg', contentDisposition: 'inline' };
+
+  await forEachChunk('users', state.users, async (rows) => {
+    for (const { profile_picture_uuid: uuid } of rows) {
+      if (!uuid) {
+        continue;
+      }
+
+      for (const size of sizes) {
+        const key = config.profilePictures.path + User.prototype.getProfilePictureFilename(uuid, size);
+        await copyFile(source, target, key, options);
+      }
+    }
+
+    state.users = rows[rows.length - 1].uid;
+    saveState();
+  });
+
+  state.users = true;
+  saveState();
+}
+
+/**
+ * Calls the callback for each chunk of table rows (ordered by uid) after
+ * the 'lastId'
+ */
+async function forEachChunk(table, lastId, callback) {
+  while (true) {  // eslint-disable-line no-constant-condition
+    const query = postgres(table).orderBy('uid').limit(CHUNK_SIZE);
+
+    if (lastId) {
+      query.where('uid', '>', lastId);
+    }
+
+    const rows = await query;
+
+    if (rows.length === 0) {
+      return;
+    }
+
+    await callback(rows);
+    lastId = rows[rows.length - 1].uid;
+    process.stdout.write(`  ${stats.copied} files copied\n`);
+  }
+}
+
+/**
+ * Copies file through the local temporary file, so the large files are not
+ * loaded into memory. The file of the same size in the target storage is
+ * considered as already copied.
+ */
+async function copyFile(source, target, key, options) {
+  const size = await source.getSize(key);
+
+  if (size === null) {
+    process.stdout.write(`  ${key}: not found\n`);
+    stats.missing++;
+    return;
+  }
+
+  if (await target.getSize(key) === size) {
+    stats.skipped++;
+    return;
+  }
+
+  const tmpFile = getTmpFileName();
+
+  try {
+    await source.getFile(key, tmpFile);
+    await target.putFile(key, tmpFile, options);
+  } finally {
+    // putFile removes the file on success
+    await fs.unlinkAsync(tmpFile).catch(() => null);
+  }
+
+  stats.copied++;
+}
+
+main(process.argv.slice(2))
+  .then(() => {
+    process.stdout.write(`Finished\n`);
+    process.exit(0);
+  })
+  .catch((e) => {
+    process.stderr.write(`${e.message}\n`);
+    process.exit(1);
+  });
@@ -0,0 +1,22 @@
+#!/usr/bin/env babel-node
+import bluebird from 'bluebird';
+
+import { publishScheduledPosts } from '../app/support/ScheduledPosts';
+
+
+// This script should be run periodically (e.g. every minute by cron)
+
+global.Promise = bluebird;
+global.Promise.onPossiblyUnhandledRejection((e) => {
+  throw e;
+});
+
+publishScheduledPosts()
+  .then(() => {
+    process.stdout.write('Finished\n');
+    process.exit(0);
+  })
+  .catch((e) => {
+    process.stderr.write(`Error: ${e}\n`);
+    process.exit(1);
+  });
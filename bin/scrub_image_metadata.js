@@ -0,0 +1,190 @@
+#!node_modules/.bin/babel-node
+/* eslint-disable no-await-in-loop */
+import fs from 'fs';
+
+import bluebird, { promisifyAll } from 'bluebird';
+
+
+promisifyAll(fs);
+
+global.Promise = bluebird;
+global.Promise.onPossiblyUnhandledRejection((e) => {
+  throw e;
+});
+
+import { postgres, dbAdapter } from '../app/models';
+import { initAttachmentObject } from '../app/support/DbAdapter/attachments';
+import {
+  stripImageMetadata,
+  canStripImageMetadata,
+  hasHeifMetadata,
+  reencodeWithoutMetadata,
+} from '../app/support/image-metadata';
+import { needsImageMagick } from '../app/support/image-formats';
+import { getStorage } from '../app/support/storage';
+import { getTmpFileName } from '../app/support/storage/utils';
+import { load as configLoader } from '../config/config';
+
+// Removes the EXIF/GPS metadata from the already stored image attachments
+// (originals, thumbnails and JPEG fallbacks) of users who have not chosen to
+// keep it (the 'keepImageMetadata' preference). HEIC and AVIF originals are
+// re-encoded by ImageMagick. Files that can not be processed are reported and
+// skipped.
+//
+// Usage: bin/scrub_image_metadata.js [--dry-run]
+
+const config = configLoader();
+const storage = getStorage(config.attachments.storage);
+const CHUNK_SIZE = 100;
+
+const stats = { attachments: 0, scrubbed: 0, reencoded: 0, missing: 0, failed: 0 };
+
+async function main(dryRun) {
+  process.stdout.write(`Scrubbing image metadata${dryRun ? ' (dry run)' : ''}...\n`);
+
+  let lastId = null;
+
+  while (true) {  // eslint-disable-line no-constant-condition
+    const query = postgres('attachments')
+      .select('attachments.*')
+      .innerJoin('users', 'users.uid', 'attachments.user_id')
+      .where('attachments.media_type', 'image')
+      .whereRaw(`not coalesce((users.preferences->>'keepImageMetadata')::boolean, false)`)
+      .orderBy('attachments.uid')
+      .limit(CHUNK_SIZE);
+
+    if (lastId) {
+      query.where('attachments.uid', '>', lastId);
+    }
+
+    const rows = await query;
+
+    if (rows.length === 0) {
+      break;
+    }
+
+    lastId = rows[rows.length - 1].uid;
+
+    for (const row of rows) {
+      await scrubAttachment(initAttachmentObject(row), dryRun);
+    }
+
+    process.stdout.write(`  ${stats.attachments} attachments processed\n`);
+  }
+
+  process.stdout.write(`Files scrubbed: ${stats.scrubbed}\n`);
+  process.stdout.write(`HEIC/AVIF originals re-encoded: ${stats.reencoded}\n`);
+  process.stdout.write(`Files not found: ${stats.missing}\n`);
+  process.stdout.write(`Files failed (not changed): ${stats.failed}\n`);
+}
+
+async function scrubAttachment(att, dryRun) {
+  stats.attachments++;
+
+  for (const file of att.getStoredFiles()) {
+    try {
+      if (canStripImageMetadata(file.contentType)) {
+        await scrubFile(att, file, dryRun);
+      } else if (file.isOriginal && needsImageMagick(file.contentType)) {
+        await reencodeFile(att, file, dryRun);
+      }
+    } catch (e) {
+      process.stdout.write(`  ${file.key}: ${e.message}\n`);
+      stats.failed++;
+    }
+  }
+}
+
+async function scrubFile(att, file, dryRun) {
+  let data;
+
+  try {
+    data = await storage.get(file.key);
+  } catch (e) {
+    if (e.code !== 'ENOENT') {
+      throw e;
+    }
+
+    process.stdout.write(`  ${file.key}: not found\n`);
+    stats.missing++;
+    return;
+  }
+
+  const stripped = stripImageMetadata(data, file.contentType);
+
+  if (stripped.length === data.length) {
+    // Nothing was removed
+    return;
+  }
+
+  stats.scrubbed++;
+
+  if (dryRun) {
+    return;
+  }
+
+  await storage.put(file.key, stripped, {
+    contentType:        file.contentType,
+    contentDisposition: att.getContentDisposition(),
+  });
+
+  if (file.isOriginal) {
+    await dbAdapter.updateAttachment(att.id, { fileSize: stripped.length });
+  }
+}
+
+/**
+ * HEIC and AVIF originals are re-encoded without metadata, the same way as
+ * the new uploads
+ */
+async function reencodeFile(att, file, dryRun) {
+  const tmpFile = getTmpFileName();
+  const tmpStrippedFile = `${tmpFile}.stripped.${att.fileExtension}`;
+
+  try {
+    try {
+      await storage.getFile(file.key, tmpFile);
+    } catch (e) {
+      if (e.code !== 'ENOENT') {
+        throw e;
+      }
+
+      process.stdout.write(`  ${file.key}: not found\n`);
+      stats.missing++;
+      return;
+    }
+
+    if (!hasHeifMetadata(await fs.readFileAsync(tmpFile))) {
+      // Already stripped
+      return;
+    }
+
+    stats.reencoded++;
+
+    if (dryRun) {
+      return;
+    }
+
+    await reencodeWithoutMetadata(tmpFile, tmpStrippedFile);
+    const { size } = await fs.statAsync(tmpStrippedFile);
+
+    await storage.putFile(file.key, tmpStrippedFile, {
+      contentType:        file.contentType,
+      contentDisposition: att.getContentDisposition(),
+    });
+    await dbAdapter.updateAttachment(att.id, { fileSize: size });
+  } finally {
+    await fs.unlinkAsync(tmpFile).catch(() => null);
+    await fs.unlinkAsync(tmpStrippedFile).catch(() => null);
+  }
+}
+
+main(process.argv.includes('--dry-run'))
+  .then(() => {
+    process.stdout.write(`Finished\n`);
+    process.exit(0);
+  })
+  .catch((e) => {
+    process.stderr.write(e.message);
+    process.exit(1);
+  });
@@ -41,6 +41,7 @@ async function selectEnvironment(app) {
 
 exports.init = async function (app) {
   await selectEnvironment(app);
+  app.proxy = !!config.trustProxyHeaders;
 
   if (config.media.storage.type === 'fs') {
     const access = promisify(fs.access);
@@ -22,6 +22,10 @@ export function getConfig() {
     frontendPreferencesLimit: 65536,
 
     dynamicRiverOfNews: true,
+
+    // Take the client IP from the X-Forwarded-For header. Enable it only when
+    // the server is behind a reverse proxy that sets (or appends to) this header.
+    trustProxyHeaders: false,
   };
 
   config.host = `http://localhost:${config.port}`;
@@ -63,6 +67,21 @@ export function getConfig() {
         path:   'attachments/anotherTestSize/', // must have trailing slash
         bounds: { width: 1600, height: 1200 }
       }
+    },
+    // Full-size JPEG copies of WebP, AVIF and HEIC images for the older
+    // clients, set to null to disable
+    jpegFallback: { path: 'attachments/jpeg/' }, // must have trailing slash
+    video:        {
+      ffprobePath:          'ffprobe',
+      ffmpegPath:           'ffmpeg',
+      // Transcode videos that are not H.264/AAC MP4 to this web-safe format
+      transcode:            false,
+      // Transcoding runs during the upload request, so the longer or larger
+      // videos are saved as is. The ffmpeg process is killed after the
+      // transcodeTimeout and the original video is saved.
+      maxTranscodeDuration: 3 * 60, // seconds
+      maxTranscodeFileSize: 50 * 1000 * 1000,
+      transcodeTimeout:     2 * 60, // seconds
     }
   };
   config.profilePictures = {
@@ -89,6 +108,112 @@ export function getConfig() {
     options: {}
   };
 
+  config.authSessions = {
+    // Session is closed after this period of inactivity (in seconds)
+    inactivityTTL:       60 * 60 * 24 * 30,
+    // Minimal interval between updates of the session's last usage time (in seconds)
+    usageUpdateInterval: 60,
+    // Accept old (session-less) tokens. Set to false when the migration period is over.
+    acceptLegacyTokens:  true,
+  };
+
+  config.totp = {
+    // Issuer name shown in the authenticator applications
+    issuer:             'FreeFeed',
+    // Number of the adjacent 30-second time steps accepted to compensate clock drift
+    window:             1,
+    recoveryCodesCount: 10,
+    // Lifetime of the second factor challenge token (in seconds)
+    challengeTTL:       60 * 5,
+  };
+
+  config.polls = {
+    maxOptions:      20,
+    maxOptionLength: 200,
+  };
+
+  config.reactions = {
+    // Allowed reactions, in the display order
+    emojis: ['👍', '❤️', '😂', '😮', '😢', '😡', '🎉', '🤔'],
+  };
+
+  config.lists = {
+    // Max. number of the custom home feeds per user
+    maxCount: 50,
+  };
+
+  config.pinnedPosts = {
+    // Max. number of posts pinned to the user's or group's feed
+    maxCount: 3,
+  };
+
+  config.muteRules = {
+    // Max. number of the mute rules per user
+    maxCount: 100,
+  };
+
+  config.scheduledPosts = {
+    // The post claimed by the publishing worker is returned to the queue after
+    // this period (in seconds) if the worker did not finish it (e.g. crashed)
+    claimTimeout: 10 * 60,
+  };
+
+  config.attachmentUploads = {
+    // Directory for the incomplete resumable uploads. It must be shared between
+    // all the server instances and must not be publicly served.
+    dir:          '/tmp/pepyatka-uploads/', // must have trailing slash
+    // Max. size of the uploaded file, null means the same as
+    // config.attachments.fileSizeLimit. Set it only to allow the larger files
+    // in the resumable uploads than in the regular ones.
+    maxFileSize:  null,
+    maxChunkSize: 100 * 1000,
+    // Max. number of the incomplete uploads per user
+    maxCount:     10,
+    // Incomplete uploads are removed after this period (in seconds) of inactivity
+    ttl:          24 * 60 * 60,
+  };
+
+  config.rateLimits = {
+    // Disabled by default in tests, the rate-limiting tests enable it explicitly
+    enabled:  false,
+    // The limits of the per-IP counters are multiplied by this factor
+    ipFactor: 5,
+
+    // Failed sign in attempts (including the second factor codes)
+    login: {
+      // Attempts are counted within this period since the last one (in seconds)
+      window:          60 * 15,
+      // Number of attempts without any delays
+      freeAttempts:    5,
+      // Delay after the first extra attempt (in seconds), it doubles after every next one
+      initialDelay:    1,
+      maxDelay:        60,
+      // Lockout after this number of attempts for the lockoutDuration seconds
+      lockoutAttempts: 20,
+      lockoutDuration: 60 * 30,
+    },
+
+    // All password reset requests
+    passwordReset: {
+      window:          60 * 60,
+      freeAttempts:    3,
+      initialDelay:    60,
+      maxDelay:        60 * 10,
+      lockoutAttempts: 10,
+      lockoutDuration: 60 * 60,
+    },
+
+    // All sign up requests
+    signUp: {
+      window:          60 * 60,
+      freeAttempts:    3,
+      initialDelay:    10,
+      maxDelay:        60 * 10,
+      lockoutAttempts: 10,
+      lockoutDuration: 60 * 60,
+    },
+  };
+
   config.postgres = postgresConfig;
 
   return config;
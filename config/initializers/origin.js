@@ -5,9 +5,9 @@ const config = configLoader();
 
 export const originMiddleware = async (ctx, next) => {
   ctx.response.set('Access-Control-Allow-Origin', config.origin);
-  ctx.response.set('Access-Control-Allow-Methods', 'GET,PUT,POST,DELETE,OPTIONS');
-  ctx.response.set('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, X-Authentication-Token, Access-Control-Request-Method');
-  ctx.response.set('Access-Control-Expose-Headers', 'Date, X-Freefeed-Server');
+  ctx.response.set('Access-Control-Allow-Methods', 'GET,HEAD,PUT,PATCH,POST,DELETE,OPTIONS');
+  ctx.response.set('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, X-Authentication-Token, Access-Control-Request-Method, Upload-Offset');
+  ctx.response.set('Access-Control-Expose-Headers', 'Date, X-Freefeed-Server, Upload-Offset, Upload-Length');
 
   await next();
 };
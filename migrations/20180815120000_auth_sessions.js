@@ -0,0 +1,21 @@
+export async function up(knex) {
+  await knex.schema.createTable('auth_sessions', (table) => {
+    table.uuid('uid').defaultTo(knex.raw('gen_random_uuid()')).notNullable().primary();
+    table.uuid('user_id').notNullable()
+      .references('uid').inTable('users')
+      .onUpdate('cascade').onDelete('cascade');
+    table.text('user_agent').defaultTo('').notNullable();
+    table.text('created_ip');
+    table.text('last_ip');
+    table.timestamp('created_at').defaultTo(knex.fn.now()).notNullable();
+    table.timestamp('last_used_at').defaultTo(knex.fn.now()).notNullable();
+    table.timestamp('expires_at').notNullable();
+
+    table.index('user_id', 'auth_sessions_user_id_idx', 'btree');
+    table.index('expires_at', 'auth_sessions_expires_at_idx', 'btree');
+  });
+}
+
+export async function down(knex) {
+  await knex.schema.dropTableIfExists('auth_sessions');
+}
@@ -0,0 +1,20 @@
+export async function up(knex) {
+  await knex.schema.createTable('app_tokens', (table) => {
+    table.uuid('uid').defaultTo(knex.raw('gen_random_uuid()')).notNullable().primary();
+    table.uuid('user_id').notNullable()
+      .references('uid').inTable('users')
+      .onUpdate('cascade').onDelete('cascade');
+    table.text('title').notNullable();
+    table.specificType('scopes', 'text[]').defaultTo(knex.raw('ARRAY[]::text[]')).notNullable();
+    table.timestamp('created_at').defaultTo(knex.fn.now()).notNullable();
+    table.timestamp('updated_at').defaultTo(knex.fn.now()).notNullable();
+    table.timestamp('last_used_at');
+    table.text('last_ip');
+
+    table.index('user_id', 'app_tokens_user_id_idx', 'btree');
+  });
+}
+
+export async function down(knex) {
+  await knex.schema.dropTableIfExists('app_tokens');
+}
@@ -0,0 +1,19 @@
+export async function up(knex) {
+  await knex.schema.createTable('user_totp', (table) => {
+    table.uuid('user_id').notNullable().primary()
+      .references('uid').inTable('users')
+      .onUpdate('cascade').onDelete('cascade');
+    table.text('secret').notNullable();
+    table.boolean('is_enabled').defaultTo(false).notNullable();
+    // SHA-256 hashes of the unused recovery codes
+    table.specificType('recovery_codes', 'text[]').defaultTo(knex.raw('ARRAY[]::text[]')).notNullable();
+    // Time step counter of the last accepted code (to prevent code reuse)
+    table.integer('last_used_counter').defaultTo(0).notNullable();
+    table.timestamp('created_at').defaultTo(knex.fn.now()).notNullable();
+    table.timestamp('enabled_at');
+  });
+}
+
+export async function down(knex) {
+  await knex.schema.dropTableIfExists('user_totp');
+}
@@ -0,0 +1,26 @@
+export async function up(knex) {
+  await knex.schema.createTable('scheduled_posts', (table) => {
+    table.uuid('uid').defaultTo(knex.raw('gen_random_uuid()')).notNullable().primary();
+    table.uuid('user_id').notNullable()
+      .references('uid').inTable('users')
+      .onUpdate('cascade').onDelete('cascade');
+    table.text('body').notNullable();
+    table.specificType('attachments', 'uuid[]').defaultTo(knex.raw('ARRAY[]::uuid[]')).notNullable();
+    // Usernames of the post destinations, they are re-checked at the publish time
+    table.specificType('destination_names', 'text[]').notNullable();
+    table.boolean('comments_disabled').defaultTo(false).notNullable();
+    table.timestamp('publish_at').notNullable();
+    // 'pending', 'publishing' or 'failed'
+    table.text('status').defaultTo('pending').notNullable();
+    table.text('error');
+    table.timestamp('created_at').defaultTo(knex.fn.now()).notNullable();
+    table.timestamp('updated_at').defaultTo(knex.fn.now()).notNullable();
+
+    table.index('user_id', 'scheduled_posts_user_id_idx', 'btree');
+    table.index(['status', 'publish_at'], 'scheduled_posts_status_publish_at_idx', 'btree');
+  });
+}
+
+export async function down(knex) {
+  await knex.schema.dropTableIfExists('scheduled_posts');
+}
@@ -0,0 +1,21 @@
+export async function up(knex) {
+  await knex.schema.createTable('drafts', (table) => {
+    table.uuid('uid').defaultTo(knex.raw('gen_random_uuid()')).notNullable().primary();
+    table.uuid('user_id').notNullable()
+      .references('uid').inTable('users')
+      .onUpdate('cascade').onDelete('cascade');
+    table.text('body').defaultTo('').notNullable();
+    // Usernames of the intended post destinations
+    table.specificType('destination_names', 'text[]').defaultTo(knex.raw('ARRAY[]::text[]')).notNullable();
+    table.specificType('attachments', 'uuid[]').defaultTo(knex.raw('ARRAY[]::uuid[]')).notNullable();
+    table.boolean('comments_disabled').defaultTo(false).notNullable();
+    table.timestamp('created_at').defaultTo(knex.fn.now()).notNullable();
+    table.timestamp('updated_at').defaultTo(knex.fn.now()).notNullable();
+
+    table.index('user_id', 'drafts_user_id_idx', 'btree');
+  });
+}
+
+export async function down(knex) {
+  await knex.schema.dropTableIfExists('drafts');
+}
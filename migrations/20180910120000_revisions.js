@@ -0,0 +1,49 @@
+export async function up(knex) {
+  await knex.schema.table('posts', (table) => {
+    table.timestamp('edited_at');
+    table.integer('revisions_count').defaultTo(0).notNullable();
+  });
+  await knex.schema.table('comments', (table) => {
+    table.timestamp('edited_at');
+    table.integer('revisions_count').defaultTo(0).notNullable();
+  });
+
+  // Previous versions of the post/comment bodies. The current version is stored
+  // in the posts/comments table. Revisions are numbered from 0 (the original version),
+  // created_at is the time when this version was created.
+  await knex.schema.createTable('post_revisions', (table) => {
+    table.increments('id').notNullable().primary();
+    table.uuid('post_id').notNullable()
+      .references('uid').inTable('posts')
+      .onUpdate('cascade').onDelete('cascade');
+    table.integer('revision').notNullable();
+    table.text('body').notNullable();
+    table.timestamp('created_at').notNullable();
+
+    table.unique(['post_id', 'revision']);
+  });
+  await knex.schema.createTable('comment_revisions', (table) => {
+    table.increments('id').notNullable().primary();
+    table.uuid('comment_id').notNullable()
+      .references('uid').inTable('comments')
+      .onUpdate('cascade').onDelete('cascade');
+    table.integer('revision').notNullable();
+    table.text('body').notNullable();
+    table.timestamp('created_at').notNullable();
+
+    table.unique(['comment_id', 'revision']);
+  });
+}
+
+export async function down(knex) {
+  await knex.schema.dropTableIfExists('comment_revisions');
+  await knex.schema.dropTableIfExists('post_revisions');
+  await knex.schema.table('comments', (table) => {
+    table.dropColumn('edited_at');
+    table.dropColumn('revisions_count');
+  });
+  await knex.schema.table('posts', (table) => {
+    table.dropColumn('edited_at');
+    table.dropColumn('revisions_count');
+  });
+}
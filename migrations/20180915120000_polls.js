@@ -0,0 +1,34 @@
+export async function up(knex) {
+  await knex.schema.createTable('polls', (table) => {
+    table.uuid('uid').defaultTo(knex.raw('gen_random_uuid()')).notNullable().primary();
+    table.uuid('post_id').notNullable().unique()
+      .references('uid').inTable('posts')
+      .onUpdate('cascade').onDelete('cascade');
+    // Texts of the poll options, votes refer to them by index
+    table.specificType('options', 'text[]').notNullable();
+    table.boolean('is_multiple').defaultTo(false).notNullable();
+    table.boolean('is_anonymous').defaultTo(false).notNullable();
+    table.timestamp('closes_at');
+    table.timestamp('created_at').defaultTo(knex.fn.now()).notNullable();
+  });
+
+  await knex.schema.createTable('poll_votes', (table) => {
+    table.increments('id').notNullable().primary();
+    table.uuid('poll_id').notNullable()
+      .references('uid').inTable('polls')
+      .onUpdate('cascade').onDelete('cascade');
+    table.uuid('user_id').notNullable()
+      .references('uid').inTable('users')
+      .onUpdate('cascade').onDelete('cascade');
+    table.integer('option_index').notNullable();
+    table.timestamp('created_at').defaultTo(knex.fn.now()).notNullable();
+
+    table.unique(['poll_id', 'user_id', 'option_index']);
+    table.index('user_id', 'poll_votes_user_id_idx', 'btree');
+  });
+}
+
+export async function down(knex) {
+  await knex.schema.dropTableIfExists('poll_votes');
+  await knex.schema.dropTableIfExists('polls');
+}
@@ -0,0 +1,17 @@
+export async function up(knex) {
+  await knex.schema.table('comments', (table) => {
+    // The comment this one replies to (in the same post)
+    table.uuid('reply_to')
+      .references('uid').inTable('comments')
+      .onUpdate('cascade').onDelete('set null');
+
+    table.index('reply_to', 'comments_reply_to_idx', 'btree');
+  });
+}
+
+export async function down(knex) {
+  await knex.schema.table('comments', (table) => {
+    table.dropIndex('', 'comments_reply_to_idx');
+    table.dropColumn('reply_to');
+  });
+}
@@ -0,0 +1,36 @@
+export async function up(knex) {
+  await knex.schema.createTable('post_reactions', (table) => {
+    table.increments('id').notNullable().primary();
+    table.uuid('post_id').notNullable()
+      .references('uid').inTable('posts')
+      .onUpdate('cascade').onDelete('cascade');
+    table.uuid('user_id').notNullable()
+      .references('uid').inTable('users')
+      .onUpdate('cascade').onDelete('cascade');
+    table.text('emoji').notNullable();
+    table.timestamp('created_at').defaultTo(knex.fn.now()).notNullable();
+
+    table.unique(['post_id', 'user_id', 'emoji']);
+    table.index('user_id', 'post_reactions_user_id_idx', 'btree');
+  });
+
+  await knex.schema.createTable('comment_reactions', (table) => {
+    table.increments('id').notNullable().primary();
+    table.uuid('comment_id').notNullable()
+      .references('uid').inTable('comments')
+      .onUpdate('cascade').onDelete('cascade');
+    table.uuid('user_id').notNullable()
+      .references('uid').inTable('users')
+      .onUpdate('cascade').onDelete('cascade');
+    table.text('emoji').notNullable();
+    table.timestamp('created_at').defaultTo(knex.fn.now()).notNullable();
+
+    table.unique(['comment_id', 'user_id', 'emoji']);
+    table.index('user_id', 'comment_reactions_user_id_idx', 'btree');
+  });
+}
+
+export async function down(knex) {
+  await knex.schema.dropTableIfExists('comment_reactions');
+  await knex.schema.dropTableIfExists('post_reactions');
+}
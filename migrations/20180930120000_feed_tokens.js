@@ -0,0 +1,14 @@
+export async function up(knex) {
+  // Secrets of the users' private feed URLs
+  await knex.schema.createTable('feed_tokens', (table) => {
+    table.uuid('user_id').notNullable().primary()
+      .references('uid').inTable('users')
+      .onUpdate('cascade').onDelete('cascade');
+    table.text('secret').notNullable().unique();
+    table.timestamp('created_at').defaultTo(knex.fn.now()).notNullable();
+  });
+}
+
+export async function down(knex) {
+  await knex.schema.dropTableIfExists('feed_tokens');
+}
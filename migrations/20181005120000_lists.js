@@ -0,0 +1,27 @@
+export async function up(knex) {
+  // Custom home feeds (lists) are the feeds named 'List' with the user-defined titles
+  await knex.schema.table('feeds', (table) => {
+    table.text('title');
+  });
+
+  await knex.schema.createTable('list_members', (table) => {
+    table.integer('list_id').notNullable()
+      .references('id').inTable('feeds')
+      .onUpdate('cascade').onDelete('cascade');
+    table.uuid('user_id').notNullable()
+      .references('uid').inTable('users')
+      .onUpdate('cascade').onDelete('cascade');
+    table.timestamp('created_at').defaultTo(knex.fn.now()).notNullable();
+
+    table.primary(['list_id', 'user_id']);
+    table.index('user_id');
+  });
+}
+
+export async function down(knex) {
+  await knex.schema.dropTableIfExists('list_members');
+  await knex.raw(`delete from feeds where name = 'List'`);
+  await knex.schema.table('feeds', (table) => {
+    table.dropColumn('title');
+  });
+}
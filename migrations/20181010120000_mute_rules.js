@@ -0,0 +1,22 @@
+export async function up(knex) {
+  await knex.schema.createTable('mute_rules', (table) => {
+    table.uuid('uid').defaultTo(knex.raw('gen_random_uuid()')).notNullable().primary();
+    table.uuid('user_id').notNullable()
+      .references('uid').inTable('users')
+      .onUpdate('cascade').onDelete('cascade');
+    // 'keyword' (word or phrase), 'hashtag' or 'regex'
+    table.text('type').notNullable();
+    table.text('pattern').notNullable();
+    // 'home', 'discussions' or 'everywhere'
+    table.text('scope').notNullable();
+    table.timestamp('expires_at');
+    table.timestamp('created_at').defaultTo(knex.fn.now()).notNullable();
+    table.timestamp('updated_at').defaultTo(knex.fn.now()).notNullable();
+
+    table.index('user_id', 'mute_rules_user_id_idx', 'btree');
+  });
+}
+
+export async function down(knex) {
+  await knex.schema.dropTableIfExists('mute_rules');
+}
@@ -0,0 +1,18 @@
+export async function up(knex) {
+  // Silent mutes: unlike bans, they affect only the muting user's view
+  await knex.schema.createTable('user_mutes', (table) => {
+    table.uuid('user_id').notNullable()
+      .references('uid').inTable('users')
+      .onUpdate('cascade').onDelete('cascade');
+    table.uuid('muted_user_id').notNullable()
+      .references('uid').inTable('users')
+      .onUpdate('cascade').onDelete('cascade');
+    table.timestamp('created_at').defaultTo(knex.fn.now()).notNullable();
+
+    table.primary(['user_id', 'muted_user_id']);
+  });
+}
+
+export async function down(knex) {
+  await knex.schema.dropTableIfExists('user_mutes');
+}
@@ -0,0 +1,22 @@
+export async function up(knex) {
+  await knex.schema.createTable('pinned_posts', (table) => {
+    // Owner (user or group) of the 'Posts' feed the post is pinned to
+    table.uuid('feed_owner_id').notNullable()
+      .references('uid').inTable('users')
+      .onUpdate('cascade').onDelete('cascade');
+    table.uuid('post_id').notNullable()
+      .references('uid').inTable('posts')
+      .onUpdate('cascade').onDelete('cascade');
+    table.uuid('pinned_by').notNullable()
+      .references('uid').inTable('users')
+      .onUpdate('cascade').onDelete('cascade');
+    table.timestamp('created_at').defaultTo(knex.fn.now()).notNullable();
+
+    table.primary(['feed_owner_id', 'post_id']);
+    table.index('post_id');
+  });
+}
+
+export async function down(knex) {
+  await knex.schema.dropTableIfExists('pinned_posts');
+}
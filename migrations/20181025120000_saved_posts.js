@@ -0,0 +1,29 @@
+export async function up(knex) {
+  // Private 'Saves' feed for every existing user
+  await knex.raw(`
+    insert into feeds (name, user_id)
+    select 'Saves', u.uid from users u
+    where u.type = 'user' and not exists (select 1 from feeds f where f.user_id = u.uid and f.name = 'Saves')
+  `);
+
+  await knex.schema.createTable('saved_posts', (table) => {
+    table.uuid('user_id').notNullable()
+      .references('uid').inTable('users')
+      .onUpdate('cascade').onDelete('cascade');
+    table.uuid('post_id').notNullable()
+      .references('uid').inTable('posts')
+      .onUpdate('cascade').onDelete('cascade');
+    table.text('note');
+    table.timestamp('created_at').defaultTo(knex.fn.now()).notNullable();
+    table.timestamp('updated_at').defaultTo(knex.fn.now()).notNullable();
+
+    table.primary(['user_id', 'post_id']);
+    table.index('post_id');
+  });
+}
+
+export async function down(knex) {
+  await knex.schema.dropTableIfExists('saved_posts');
+  await knex.raw(`update posts set feed_ids = feed_ids - array(select id from feeds where name = 'Saves')`);
+  await knex.raw(`delete from feeds where name = 'Saves'`);
+}
@@ -0,0 +1,111 @@
+export async function up(knex) {
+  // Quote posts keep reference to the original post
+  await knex.schema.table('posts', (table) => {
+    table.uuid('quoted_post_id')
+      .references('uid').inTable('posts')
+      .onUpdate('cascade').onDelete('set null');
+    table.index('quoted_post_id');
+  });
+
+  // Reposts: original posts placed into the reposter's 'Posts' feed
+  await knex.schema.createTable('reposts', (table) => {
+    table.uuid('post_id').notNullable()
+      .references('uid').inTable('posts')
+      .onUpdate('cascade').onDelete('cascade');
+    table.uuid('user_id').notNullable()
+      .references('uid').inTable('users')
+      .onUpdate('cascade').onDelete('cascade');
+    table.timestamp('created_at').defaultTo(knex.fn.now()).notNullable();
+
+    table.primary(['post_id', 'user_id']);
+    table.index('user_id');
+  });
+
+  await knex.raw('ALTER TABLE events DROP CONSTRAINT events_event_type_check');
+  await knex.raw(`ALTER TABLE events ADD CONSTRAINT events_event_type_check CHECK (event_type = ANY (ARRAY[
+    'mention_in_post'::text,
+    'mention_in_comment'::text,
+    'mention_comment_to'::text,
+    'banned_user'::text,
+    'unbanned_user'::text,
+    'banned_by_user'::text,
+    'unbanned_by_user'::text,
+    'subscription_requested'::text,
+    'subscription_request_revoked'::text,
+    'user_subscribed'::text,
+    'user_unsubscribed'::text,
+    'subscription_request_approved'::text,
+    'subscription_request_rejected'::text,
+    'group_created'::text,
+    'group_subscription_requested'::text,
+    'group_subscription_request_revoked'::text,
+    'group_subscription_rejected'::text,
+    'group_subscribed'::text,
+    'group_unsubscribed'::text,
+    'group_admin_promoted'::text,
+    'group_admin_demoted'::text,
+    'group_subscription_approved'::text,
+    'group_subscription_rejected'::text,
+    'direct'::text,
+    'direct_comment'::text,
+    'managed_group_subscription_approved'::text,
+    'managed_group_subscription_rejected'::text,
+    'comment_moderated'::text,
+    'comment_moderated_by_another_admin'::text,
+    'post_moderated'::text,
+    'post_moderated_by_another_admin'::text,
+
+    'invitation_used'::text,
+
+    'post_quoted'::text
+    ]))`);
+}
+
+export async function down(knex) {
+  await knex.raw(`delete from events where event_type = 'post_quoted'`);
+  await knex.raw('ALTER TABLE events DROP CONSTRAINT events_event_type_check');
+  await knex.raw(`ALTER TABLE events ADD CONSTRAINT events_event_type_check CHECK (event_type = ANY (ARRAY[
+    'mention_in_post'::text,
+    'mention_in_comment'::text,
+    'mention_comment_to'::text,
+    'banned_user'::text,
+    'unbanned_user'::text,
+    'banned_by_user'::text,
+    'unbanned_by_user'::text,
+    'subscription_requested'::text,
+    'subscription_request_revoked'::text,
+    'user_subscribed'::text,
+    'user_unsubscribed'::text,
+    'subscription_request_approved'::text,
+    'subscription_request_rejected'::text,
+    'group_created'::text,
+    'group_subscription_requested'::text,
+    'group_subscription_request_revoked'::text,
+    'group_subscription_rejected'::text,
+    'group_subscribed'::text,
+    'group_unsubscribed'::text,
+    'group_admin_promoted'::text,
+    'group_admin_demoted'::text,
+    'group_subscription_approved'::text,
+    'group_subscription_rejected'::text,
+    'direct'::text,
+    'direct_comment'::text,
+    'managed_group_subscription_approved'::text,
+    'managed_group_subscription_rejected'::text,
+    'comment_moderated'::text,
+    'comment_moderated_by_another_admin'::text,
+    'post_moderated'::text,
+    'post_moderated_by_another_admin'::text,
+
+    'invitation_used'::text
+    ]))`);
+
+  await knex.raw(`update posts p set feed_ids = p.feed_ids - array(
+    select f.id from reposts r join feeds f on f.user_id = r.user_id and f.name = 'Posts' where r.post_id = p.uid
+  ) where p.uid in (select post_id from reposts)`);
+  await knex.schema.dropTableIfExists('reposts');
+
+  await knex.schema.table('posts', (table) => {
+    table.dropColumn('quoted_post_id');
+  });
+}
@@ -0,0 +1,14 @@
+export async function up(knex) {
+  await knex.schema.table('attachments', (table) => {
+    // Filled only for video: duration in seconds and the name of the video codec
+    table.float('duration');
+    table.text('video_codec');
+  });
+}
+
+export async function down(knex) {
+  await knex.schema.table('attachments', (table) => {
+    table.dropColumn('duration');
+    table.dropColumn('video_codec');
+  });
+}
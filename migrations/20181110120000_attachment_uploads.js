@@ -0,0 +1,24 @@
+export async function up(knex) {
+  // Resumable (chunked) uploads of attachments
+  await knex.schema.createTable('attachment_uploads', (table) => {
+    table.uuid('uid').defaultTo(knex.raw('gen_random_uuid()')).notNullable().primary();
+    table.uuid('user_id').notNullable()
+      .references('uid').inTable('users')
+      .onUpdate('cascade').onDelete('cascade');
+    table.text('file_name').notNullable();
+    table.text('mime_type');
+    // Expected size of the whole file
+    table.bigInteger('file_size').notNullable();
+    // Number of bytes received so far
+    table.bigInteger('upload_offset').defaultTo(0).notNullable();
+    table.timestamp('created_at').defaultTo(knex.fn.now()).notNullable();
+    table.timestamp('updated_at').defaultTo(knex.fn.now()).notNullable();
+
+    table.index('user_id', 'attachment_uploads_user_id_idx', 'btree');
+    table.index('updated_at', 'attachment_uploads_updated_at_idx', 'btree');
+  });
+}
+
+export async function down(knex) {
+  await knex.schema.dropTableIfExists('attachment_uploads');
+}
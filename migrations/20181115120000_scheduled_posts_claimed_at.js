@@ -0,0 +1,13 @@
+export async function up(knex) {
+  // Time when the publishing worker claimed the scheduled post. The stale
+  // claims (of the crashed worker) are returned to the queue.
+  await knex.schema.table('scheduled_posts', (table) => {
+    table.timestamp('claimed_at');
+  });
+}
+
+export async function down(knex) {
+  await knex.schema.table('scheduled_posts', (table) => {
+    table.dropColumn('claimed_at');
+  });
+}
@@ -0,0 +1,13 @@
+export async function up(knex) {
+  // Time when the upload finalization (attachment processing) was started.
+  // Such upload can not be changed or finalized again.
+  await knex.schema.table('attachment_uploads', (table) => {
+    table.timestamp('finalizing_at');
+  });
+}
+
+export async function down(knex) {
+  await knex.schema.table('attachment_uploads', (table) => {
+    table.dropColumn('finalizing_at');
+  });
+}
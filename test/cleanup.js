@@ -1,11 +1,20 @@
 /* eslint-env node, mocha */
-import { readdirSync, statSync, unlinkSync } from 'fs';
+import { existsSync, readdirSync, statSync, unlinkSync } from 'fs';
 import { join } from 'path';
 
 import { load as configLoader } from '../config/config'
 
 
-after(() => cleanDir(configLoader().attachments.storage.rootDir));
+const config = configLoader();
+
+after(() => cleanDir(config.attachments.storage.rootDir));
+
+after(() => {
+  // Incomplete uploads left by the resumable uploads tests
+  if (existsSync(config.attachmentUploads.dir)) {
+    cleanDir(config.attachmentUploads.dir);
+  }
+});
 
 /**
  * cleanDir recursively removes all files in the given directory
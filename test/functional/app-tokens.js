@@ -0,0 +1,194 @@
+/* eslint-env node, mocha */
+/* global $pg_database */
+import expect from 'unexpected';
+
+import cleanDB from '../dbCleaner';
+import { getSingleton } from '../../app/app';
+import { DummyPublisher } from '../../app/pubsub';
+import { PubSub } from '../../app/models';
+import {
+  createTestUsers,
+  createAndReturnPostToFeed,
+  mutualSubscriptions,
+  performJSONRequest,
+} from './functional_test_helper';
+
+
+describe('Application tokens', () => {
+  before(async () => {
+    await getSingleton();
+    PubSub.setPublisher(new DummyPublisher());
+  });
+
+  beforeEach(() => cleanDB($pg_database));
+
+  let luna, mars;
+
+  beforeEach(async () => {
+    [luna, mars] = await createTestUsers(2);
+  });
+
+  const authHeader = (authToken) => ({ 'X-Authentication-Token': authToken });
+  const createToken = (userCtx, title, scopes) => performJSONRequest(
+    'POST', '/v2/app-tokens', { title, scopes }, authHeader(userCtx.authToken)
+  );
+  const createPost = (authToken, body, feeds) => performJSONRequest(
+    'POST', '/v1/posts', { post: { body }, meta: { feeds } }, authHeader(authToken)
+  );
+
+  it('should return list of available scopes', async () => {
+    const resp = await performJSONRequest('GET', '/v2/app-tokens/scopes');
+    expect(resp, 'to satisfy', { __httpCode: 200, scopes: expect.it('to contain', 'read-feeds', 'post') });
+  });
+
+  it('should not create token for anonymous', async () => {
+    const resp = await performJSONRequest('POST', '/v2/app-tokens', { title: 'Bot', scopes: ['post'] });
+    expect(resp, 'to satisfy', { __httpCode: 401 });
+  });
+
+  it('should not create token with unknown scope', async () => {
+    const resp = await createToken(luna, 'Bot', ['post', 'everything']);
+    expect(resp, 'to satisfy', { __httpCode: 422 });
+  });
+
+  it('should not create token without scopes', async () => {
+    const resp = await createToken(luna, 'Bot', []);
+    expect(resp, 'to satisfy', { __httpCode: 422 });
+  });
+
+  it('should create token', async () => {
+    const resp = await createToken(luna, 'Bot', ['read-feeds', 'post']);
+    expect(resp, 'to satisfy', {
+      __httpCode:  200,
+      token:       { title: 'Bot', scopes: ['read-feeds', 'post'], lastUsedAt: null },
+      tokenString: expect.it('to be a string'),
+    });
+  });
+
+  describe('Luna has a token', () => {
+    let token, tokenString;
+
+    beforeEach(async () => {
+      ({ token, tokenString } = await createToken(luna, 'Bot', ['read-feeds', 'post']));
+    });
+
+    it('should list tokens', async () => {
+      const resp = await performJSONRequest('GET', '/v2/app-tokens', null, authHeader(luna.authToken));
+      expect(resp, 'to satisfy', { __httpCode: 200, tokens: [{ id: token.id, title: 'Bot' }] });
+    });
+
+    it('should not list Luna tokens to Mars', async () => {
+      const resp = await performJSONRequest('GET', '/v2/app-tokens', null, authHeader(mars.authToken));
+      expect(resp, 'to satisfy', { __httpCode: 200, tokens: [] });
+    });
+
+    it('should rename token', async () => {
+      const resp = await performJSONRequest('PUT', `/v2/app-tokens/${token.id}`, { title: 'Robot' }, authHeader(luna.authToken));
+      expect(resp, 'to satisfy', { __httpCode: 200, token: { id: token.id, title: 'Robot' } });
+    });
+
+    it('should not allow Mars to rename Luna token', async () => {
+      const resp = await performJSONRequest('PUT', `/v2/app-tokens/${token.id}`, { title: 'Robot' }, authHeader(mars.authToken));
+      expect(resp, 'to satisfy', { __httpCode: 403 });
+    });
+
+    it('should allow to read feeds with token', async () => {
+      const resp = await performJSONRequest('GET', '/v2/users/whoami', null, authHeader(tokenString));
+      expect(resp, 'to satisfy', { __httpCode: 200, users: { id: luna.user.id } });
+    });
+
+    it('should allow to create post with token', async () => {
+      const resp = await createPost(tokenString, 'Hello from bot', [luna.username]);
+      expect(resp, 'to satisfy', { __httpCode: 200, posts: { body: 'Hello from bot' } });
+    });
+
+    it('should register token usage', async () => {
+      await performJSONRequest('GET', '/v2/users/whoami', null, authHeader(tokenString));
+      const resp = await performJSONRequest('GET', '/v2/app-tokens', null, authHeader(luna.authToken));
+      expect(resp, 'to satisfy', { tokens: [{ lastUsedAt: expect.it('to be a string') }] });
+    });
+
+    it('should not allow to send direct messages without directs scope', async () => {
+      const resp = await createPost(tokenString, 'Hello from bot', [mars.username]);
+      expect(resp, 'to satisfy', { __httpCode: 403 });
+    });
+
+    it('should not allow to comment without comment scope', async () => {
+      const { posts: { id: postId } } = await createPost(tokenString, 'Hello from bot', [luna.username]);
+      const resp = await performJSONRequest('POST', '/v1/comments', { comment: { body: 'Comment', postId } }, authHeader(tokenString));
+      expect(resp, 'to satisfy', { __httpCode: 403 });
+    });
+
+    it('should not allow to read notifications without manage-notifications scope', async () => {
+      const resp = await performJSONRequest('GET', '/v2/notifications', null, authHeader(tokenString));
+      expect(resp, 'to satisfy', { __httpCode: 403 });
+    });
+
+    it('should treat token as anonymous on the routes without scope', async () => {
+      const resp = await performJSONRequest('GET', '/v2/sessions', null, authHeader(tokenString));
+      expect(resp, 'to satisfy', { __httpCode: 401 });
+    });
+
+    it('should not allow to manage tokens with token', async () => {
+      const resp = await createToken({ authToken: tokenString }, 'Another bot', ['post']);
+      expect(resp, 'to satisfy', { __httpCode: 401 });
+    });
+
+    it('should revoke token', async () => {
+      const resp = await performJSONRequest('DELETE', `/v2/app-tokens/${token.id}`, null, authHeader(luna.authToken));
+      expect(resp, 'to satisfy', { __httpCode: 200 });
+
+      const whoAmIResp = await performJSONRequest('GET', '/v2/users/whoami', null, authHeader(tokenString));
+      expect(whoAmIResp, 'to satisfy', { __httpCode: 401 });
+    });
+
+    it('should not allow Mars to revoke Luna token', async () => {
+      const resp = await performJSONRequest('DELETE', `/v2/app-tokens/${token.id}`, null, authHeader(mars.authToken));
+      expect(resp, 'to satisfy', { __httpCode: 403 });
+    });
+  });
+
+  describe('Mars sent direct message to Luna', () => {
+    let direct, readToken, directsToken;
+
+    beforeEach(async () => {
+      await mutualSubscriptions([luna, mars]);
+      direct = await createAndReturnPostToFeed([luna], mars, 'Direct message');
+      ({ tokenString: readToken } = await createToken(luna, 'Reader', ['read-feeds']));
+      ({ tokenString: directsToken } = await createToken(luna, 'Directs reader', ['read-feeds', 'directs']));
+    });
+
+    const getHomePostsIds = async (authToken) => {
+      const { posts } = await performJSONRequest('GET', '/v2/timelines/home', null, authHeader(authToken));
+      return posts.map((p) => p.id);
+    };
+
+    it('should not show direct message in home feed to token without directs scope', async () => {
+      expect(await getHomePostsIds(readToken), 'not to contain', direct.id);
+    });
+
+    it('should show direct message in home feed to token with directs scope', async () => {
+      expect(await getHomePostsIds(directsToken), 'to contain', direct.id);
+    });
+
+    it('should not show direct message in summary to token without directs scope', async () => {
+      const { posts } = await performJSONRequest('GET', '/v2/summary/1', null, authHeader(readToken));
+      expect(posts.map((p) => p.id), 'not to contain', direct.id);
+    });
+
+    it('should not return direct message to token without directs scope', async () => {
+      const resp = await performJSONRequest('GET', `/v2/posts/${direct.id}`, null, authHeader(readToken));
+      expect(resp, 'to satisfy', { __httpCode: 403 });
+    });
+
+    it('should return direct message to token with directs scope', async () => {
+      const resp = await performJSONRequest('GET', `/v2/posts/${direct.id}`, null, authHeader(directsToken));
+      expect(resp, 'to satisfy', { __httpCode: 200, posts: { id: direct.id } });
+    });
+
+    it('should not allow to read directs feed without directs scope', async () => {
+      const resp = await performJSONRequest('GET', '/v2/timelines/filter/directs', null, authHeader(readToken));
+      expect(resp, 'to satisfy', { __httpCode: 403 });
+    });
+  });
+});
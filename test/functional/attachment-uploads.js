@@ -0,0 +1,186 @@
+/* eslint-env node, mocha */
+/* global $pg_database */
+import fs from 'fs';
+
+import expect from 'unexpected';
+
+import cleanDB from '../dbCleaner';
+import { load as configLoader } from '../../config/config';
+import {
+  createTestUsers,
+  performRequest,
+  performJSONRequest,
+} from './functional_test_helper';
+
+
+const config = configLoader();
+
+describe('Resumable attachment uploads', () => {
+  beforeEach(() => cleanDB($pg_database));
+
+  let luna, mars;
+
+  beforeEach(async () => {
+    [luna, mars] = await createTestUsers(2);
+  });
+
+  const content = Buffer.from('The quick brown fox jumps over the lazy dog');
+
+  const authHeader = (userCtx) => ({ 'X-Authentication-Token': userCtx.authToken });
+  const createUpload = (userCtx, upload) => performJSONRequest('POST', '/v2/attachments/uploads', { upload }, authHeader(userCtx));
+  const sendChunk = async (userCtx, uploadId, offset, chunk) => {
+    const response = await performRequest(`/v2/attachments/uploads/${uploadId}`, {
+      method:  'PATCH',
+      body:    chunk,
+      headers: {
+        ...authHeader(userCtx),
+        'Content-Type':  'application/offset+octet-stream',
+        'Upload-Offset': offset.toString(),
+      },
+    });
+    const json = await response.json();
+    json.__httpCode = response.status;
+    json.__offsetHeader = response.headers.get('Upload-Offset');
+    return json;
+  };
+  const finalizeUpload = (userCtx, uploadId) => performJSONRequest('POST', `/v2/attachments/uploads/${uploadId}/finalize`, null, authHeader(userCtx));
+
+  describe('Upload creation', () => {
+    it('should not allow anonymous to create upload', async () => {
+      const resp = await createUpload({ authToken: '' }, { fileName: 'fox.txt', fileSize: content.length });
+      expect(resp, 'to satisfy', { __httpCode: 401 });
+    });
+
+    it('should create upload', async () => {
+      const resp = await createUpload(luna, { fileName: 'fox.txt', fileSize: content.length, mimeType: 'text/plain' });
+      expect(resp, 'to satisfy', {
+        __httpCode: 200,
+        upload:     { fileName: 'fox.txt', fileSize: content.length, mimeType: 'text/plain', offset: 0 },
+      });
+    });
+
+    it('should not create upload of too large file', async () => {
+      const resp = await createUpload(luna, { fileName: 'big.bin', fileSize: config.attachments.fileSizeLimit + 1 });
+      expect(resp, 'to satisfy', { __httpCode: 422 });
+    });
+
+    it('should not create too many uploads', async () => {
+      for (let i = 0; i < config.attachmentUploads.maxCount; i++) {
+        await createUpload(luna, { fileName: `fox${i}.txt`, fileSize: content.length });  // eslint-disable-line no-await-in-loop
+      }
+
+      const resp = await createUpload(luna, { fileName: 'fox.txt', fileSize: content.length });
+      expect(resp, 'to satisfy', { __httpCode: 403 });
+    });
+  });
+
+  describe('Luna created upload', () => {
+    let upload;
+
+    beforeEach(async () => {
+      ({ upload } = await createUpload(luna, { fileName: 'fox.txt', fileSize: content.length, mimeType: 'text/plain' }));
+    });
+
+    it('should return upload status to Luna', async () => {
+      const resp = await performJSONRequest('GET', `/v2/attachments/uploads/${upload.id}`, null, authHeader(luna));
+      expect(resp, 'to satisfy', { __httpCode: 200, upload: { id: upload.id, offset: 0 } });
+    });
+
+    it('should not show upload to Mars', async () => {
+      const resp = await performJSONRequest('GET', `/v2/attachments/uploads/${upload.id}`, null, authHeader(mars));
+      expect(resp, 'to satisfy', { __httpCode: 404 });
+    });
+
+    it('should not accept chunk from Mars', async () => {
+      const resp = await sendChunk(mars, upload.id, 0, content);
+      expect(resp, 'to satisfy', { __httpCode: 404 });
+    });
+
+    it('should accept chunks and update offset', async () => {
+      const resp = await sendChunk(luna, upload.id, 0, content.slice(0, 10));
+      expect(resp, 'to satisfy', { __httpCode: 200, __offsetHeader: '10', upload: { offset: 10 } });
+    });
+
+    it('should not accept chunk with wrong offset', async () => {
+      await sendChunk(luna, upload.id, 0, content.slice(0, 10));
+      const resp = await sendChunk(luna, upload.id, 5, content.slice(5, 15));
+      expect(resp, 'to satisfy', { __httpCode: 409 });
+    });
+
+    it('should not accept chunk larger than the rest of file', async () => {
+      const resp = await sendChunk(luna, upload.id, 0, Buffer.concat([content, content]));
+      expect(resp, 'to satisfy', { __httpCode: 422 });
+    });
+
+    it('should not finalize incomplete upload', async () => {
+      await sendChunk(luna, upload.id, 0, content.slice(0, 10));
+      const resp = await finalizeUpload(luna, upload.id);
+      expect(resp, 'to satisfy', { __httpCode: 409 });
+    });
+
+    it('should create attachment from the complete upload', async () => {
+      await sendChunk(luna, upload.id, 0, content.slice(0, 10));
+      await sendChunk(luna, upload.id, 10, content.slice(10));
+      const resp = await finalizeUpload(luna, upload.id);
+      expect(resp, 'to satisfy', {
+        __httpCode:  200,
+        attachments: { fileName: 'fox.txt', fileSize: content.length, mediaType: 'general' },
+      });
+
+      const { __httpCode: statusAfter } = await performJSONRequest('GET', `/v2/attachments/uploads/${upload.id}`, null, authHeader(luna));
+      expect(statusAfter, 'to be', 404);
+    });
+
+    it('should keep upload if finalization fails', async () => {
+      await sendChunk(luna, upload.id, 0, content);
+
+      // Processing can not read the file
+      const uploadPath = `${config.attachmentUploads.dir}${upload.id}`;
+      fs.renameSync(uploadPath, `${uploadPath}.moved`);
+      const failed = await finalizeUpload(luna, upload.id);
+      expect(failed, 'to satisfy', { __httpCode: 500 });
+
+      const status = await performJSONRequest('GET', `/v2/attachments/uploads/${upload.id}`, null, authHeader(luna));
+      expect(status, 'to satisfy', { __httpCode: 200, upload: { offset: content.length, isFinalizing: false } });
+
+      // Finalization can be retried
+      fs.renameSync(`${uploadPath}.moved`, uploadPath);
+      const resp = await finalizeUpload(luna, upload.id);
+      expect(resp, 'to satisfy', { __httpCode: 200, attachments: { fileName: 'fox.txt' } });
+    });
+
+    describe('Upload is being finalized', () => {
+      beforeEach(async () => {
+        await sendChunk(luna, upload.id, 0, content.slice(0, 10));
+        // Finalization is started by the other request
+        await $pg_database.raw(`update attachment_uploads set finalizing_at = now() where uid = ?`, upload.id);
+      });
+
+      it('should return upload status with the finalizing flag', async () => {
+        const resp = await performJSONRequest('GET', `/v2/attachments/uploads/${upload.id}`, null, authHeader(luna));
+        expect(resp, 'to satisfy', { __httpCode: 200, upload: { isFinalizing: true } });
+      });
+
+      it('should not accept chunks', async () => {
+        const resp = await sendChunk(luna, upload.id, 10, content.slice(10));
+        expect(resp, 'to satisfy', { __httpCode: 409, err: 'Upload is being finalized' });
+      });
+
+      it('should not finalize upload again', async () => {
+        const resp = await finalizeUpload(luna, upload.id);
+        expect(resp, 'to satisfy', { __httpCode: 409, err: 'Upload is being finalized' });
+
+        const { __httpCode: statusAfter } = await performJSONRequest('GET', `/v2/attachments/uploads/${upload.id}`, null, authHeader(luna));
+        expect(statusAfter, 'to be', 200);
+      });
+    });
+
+    it('should delete upload', async () => {
+      const resp = await performJSONRequest('DELETE', `/v2/attachments/uploads/${upload.id}`, null, authHeader(luna));
+      expect(resp, 'to satisfy', { __httpCode: 200 });
+
+      const { __httpCode: statusAfter } = await performJSONRequest('GET', `/v2/attachments/uploads/${upload.id}`, null, authHeader(luna));
+      expect(statusAfter, 'to be', 404);
+    });
+  });
+});
@@ -0,0 +1,125 @@
+/* eslint-env node, mocha */
+/* global $pg_database */
+import jwt from 'jsonwebtoken';
+import expect from 'unexpected';
+
+import cleanDB from '../dbCleaner';
+import { getSingleton } from '../../app/app';
+import { DummyPublisher } from '../../app/pubsub';
+import { PubSub, dbAdapter } from '../../app/models';
+import { load as configLoader } from '../../config/config';
+import {
+  createTestUsers,
+  performJSONRequest,
+  sessionRequest,
+} from './functional_test_helper';
+
+
+describe('Auth sessions', () => {
+  const config = configLoader();
+
+  before(async () => {
+    await getSingleton();
+    PubSub.setPublisher(new DummyPublisher());
+  });
+
+  beforeEach(() => cleanDB($pg_database));
+
+  let luna, mars;
+
+  beforeEach(async () => {
+    [luna, mars] = await createTestUsers(2);
+  });
+
+  const signIn = async (user) => {
+    const resp = await sessionRequest(user.username, user.password);
+    const { authToken } = await resp.json();
+    return authToken;
+  };
+
+  const authHeader = (authToken) => ({ 'X-Authentication-Token': authToken });
+  const whoAmI = (authToken) => performJSONRequest('GET', '/v2/users/whoami', null, authHeader(authToken));
+  const listSessions = (authToken) => performJSONRequest('GET', '/v2/sessions', null, authHeader(authToken));
+
+  it('should create session on sign in', async () => {
+    const authToken = await signIn(luna);
+    const resp = await listSessions(authToken);
+    // The first session was created on sign up
+    expect(resp, 'to satisfy', { __httpCode: 200, sessions: expect.it('to have length', 2) });
+    expect(resp.sessions.filter((s) => s.isCurrent), 'to have length', 1);
+  });
+
+  it('should not list sessions to anonymous', async () => {
+    const resp = await performJSONRequest('GET', '/v2/sessions');
+    expect(resp, 'to satisfy', { __httpCode: 401 });
+  });
+
+  describe('Luna has two sessions', () => {
+    let firstToken, secondToken, secondSessionId;
+
+    beforeEach(async () => {
+      firstToken = luna.authToken;
+      secondToken = await signIn(luna);
+      ({ id: secondSessionId } = jwt.decode(secondToken));
+    });
+
+    it('should close the second session from the first one', async () => {
+      const resp = await performJSONRequest('DELETE', `/v2/sessions/${secondSessionId}`, null, authHeader(firstToken));
+      expect(resp, 'to satisfy', { __httpCode: 200 });
+      expect(await whoAmI(secondToken), 'to satisfy', { __httpCode: 401 });
+      expect(await whoAmI(firstToken), 'to satisfy', { __httpCode: 200 });
+    });
+
+    it('should not allow Mars to close Luna session', async () => {
+      const resp = await performJSONRequest('DELETE', `/v2/sessions/${secondSessionId}`, null, authHeader(mars.authToken));
+      expect(resp, 'to satisfy', { __httpCode: 403 });
+      expect(await whoAmI(secondToken), 'to satisfy', { __httpCode: 200 });
+    });
+
+    it('should close all sessions', async () => {
+      const resp = await performJSONRequest('DELETE', '/v2/sessions', null, authHeader(firstToken));
+      expect(resp, 'to satisfy', { __httpCode: 200, closed: 2 });
+      expect(await whoAmI(firstToken), 'to satisfy', { __httpCode: 401 });
+      expect(await whoAmI(secondToken), 'to satisfy', { __httpCode: 401 });
+    });
+
+    it('should close all sessions except the current one', async () => {
+      const resp = await performJSONRequest('DELETE', '/v2/sessions?keepCurrent=1', null, authHeader(firstToken));
+      expect(resp, 'to satisfy', { __httpCode: 200, closed: 1 });
+      expect(await whoAmI(firstToken), 'to satisfy', { __httpCode: 200 });
+      expect(await whoAmI(secondToken), 'to satisfy', { __httpCode: 401 });
+    });
+
+    it('should not accept token of expired session', async () => {
+      await $pg_database.raw(`update auth_sessions set expires_at = now() - interval '1 hour' where uid = ?`, secondSessionId);
+      expect(await whoAmI(secondToken), 'to satisfy', { __httpCode: 401 });
+    });
+
+    it('should delete expired sessions', async () => {
+      await $pg_database.raw(`update auth_sessions set expires_at = now() - interval '1 hour' where uid = ?`, secondSessionId);
+      await dbAdapter.deleteExpiredAuthSessions();
+      expect(await dbAdapter.getAuthSessionById(secondSessionId), 'to be null');
+    });
+  });
+
+  describe('Legacy tokens', () => {
+    let legacyToken;
+
+    beforeEach(() => {
+      legacyToken = jwt.sign({ userId: luna.user.id }, config.secret);
+    });
+
+    afterEach(() => {
+      config.authSessions.acceptLegacyTokens = true;
+    });
+
+    it('should accept legacy token during the migration period', async () => {
+      expect(await whoAmI(legacyToken), 'to satisfy', { __httpCode: 200 });
+    });
+
+    it('should not accept legacy token after the migration period', async () => {
+      config.authSessions.acceptLegacyTokens = false;
+      expect(await whoAmI(legacyToken), 'to satisfy', { __httpCode: 401 });
+    });
+  });
+});
@@ -0,0 +1,154 @@
+/* eslint-env node, mocha */
+/* global $pg_database */
+import expect from 'unexpected';
+
+import cleanDB from '../dbCleaner';
+import { getSingleton } from '../../app/app';
+import { DummyPublisher } from '../../app/pubsub';
+import { PubSub, dbAdapter } from '../../app/models';
+import {
+  createTestUsers,
+  createAndReturnPost,
+  createCommentAsync,
+  banUser,
+  performJSONRequest,
+} from './functional_test_helper';
+
+
+describe('Comment replies', () => {
+  before(async () => {
+    await getSingleton();
+    PubSub.setPublisher(new DummyPublisher());
+  });
+
+  beforeEach(() => cleanDB($pg_database));
+
+  let luna, mars, venus, post;
+
+  beforeEach(async () => {
+    [luna, mars, venus] = await createTestUsers(3);
+    post = await createAndReturnPost(luna, 'Luna post');
+  });
+
+  const authHeader = (userCtx) => (userCtx ? { 'X-Authentication-Token': userCtx.authToken } : {});
+  const reply = (userCtx, postId, body, replyTo) => performJSONRequest(
+    'POST', '/v1/comments', { comment: { body, postId, replyTo } }, authHeader(userCtx)
+  );
+  const getReplyChain = (userCtx, commentId) => performJSONRequest(
+    'GET', `/v2/comments/${commentId}/reply-chain`, null, authHeader(userCtx)
+  );
+  const getReplyEvents = async (userCtx) => {
+    const user = await dbAdapter.getUserById(userCtx.user.id);
+    return await dbAdapter.getUserEvents(user.intId, ['mention_comment_to']);
+  };
+
+  describe('Luna wrote a comment', () => {
+    let lunaComment;
+
+    beforeEach(async () => {
+      ({ comments: lunaComment } = await createCommentAsync(luna, post.id, 'Luna comment').then((r) => r.json()));
+    });
+
+    it('should create reply', async () => {
+      const resp = await reply(mars, post.id, 'Mars reply', lunaComment.id);
+      expect(resp, 'to satisfy', { __httpCode: 200, comments: { body: 'Mars reply', replyTo: lunaComment.id } });
+    });
+
+    it('should return replyTo in post comments', async () => {
+      const { comments: { id: replyId } } = await reply(mars, post.id, 'Mars reply', lunaComment.id);
+      const resp = await performJSONRequest('GET', `/v2/posts/${post.id}`);
+      expect(resp, 'to satisfy', {
+        comments: [
+          { id: lunaComment.id, replyTo: null },
+          { id: replyId, replyTo: lunaComment.id },
+        ],
+      });
+    });
+
+    it('should not create reply to comment of another post', async () => {
+      const anotherPost = await createAndReturnPost(luna, 'Another post');
+      const resp = await reply(mars, anotherPost.id, 'Mars reply', lunaComment.id);
+      expect(resp, 'to satisfy', { __httpCode: 422 });
+    });
+
+    it('should not create reply to nonexistent comment', async () => {
+      const resp = await reply(mars, post.id, 'Mars reply', '00000000-0000-4000-8000-000000000001');
+      expect(resp, 'to satisfy', { __httpCode: 422 });
+    });
+
+    it('should notify Luna about reply without mention', async () => {
+      await reply(mars, post.id, 'Mars reply', lunaComment.id);
+      const events = await getReplyEvents(luna);
+      expect(events, 'to have length', 1);
+    });
+
+    it('should create only one event when Luna is also mentioned', async () => {
+      await reply(mars, post.id, '@luna Mars reply', lunaComment.id);
+      const events = await getReplyEvents(luna);
+      expect(events, 'to have length', 1);
+    });
+
+    it('should not notify Luna about her own reply', async () => {
+      await reply(luna, post.id, 'Luna reply', lunaComment.id);
+      const events = await getReplyEvents(luna);
+      expect(events, 'to be empty');
+    });
+
+    it('should not notify Luna about reply of banned user', async () => {
+      const venusPost = await createAndReturnPost(venus, 'Venus post');
+      const { comments: { id: commentId } } = await createCommentAsync(luna, venusPost.id, 'Luna comment').then((r) => r.json());
+      await banUser(luna, mars);
+      const resp = await reply(mars, venusPost.id, 'Mars reply', commentId);
+      expect(resp, 'to satisfy', { __httpCode: 200 });
+      const events = await getReplyEvents(luna);
+      expect(events, 'to be empty');
+    });
+
+    describe('Reply chain', () => {
+      let marsReply, lunaReply, venusReply;
+
+      beforeEach(async () => {
+        ({ comments: marsReply } = await reply(mars, post.id, 'Mars reply', lunaComment.id));
+        ({ comments: lunaReply } = await reply(luna, post.id, 'Luna reply', marsReply.id));
+        ({ comments: venusReply } = await reply(venus, post.id, 'Venus reply', lunaComment.id));
+        await createCommentAsync(venus, post.id, 'Unrelated comment');
+      });
+
+      it('should return ancestors and replies of comment', async () => {
+        const resp = await getReplyChain(venus, marsReply.id);
+        expect(resp, 'to satisfy', {
+          __httpCode: 200,
+          comments:   [
+            { id: lunaComment.id },
+            { id: marsReply.id },
+            { id: lunaReply.id },
+          ],
+          users: expect.it('to have length', 2),
+        });
+      });
+
+      it('should return all replies of the root comment', async () => {
+        const resp = await getReplyChain(venus, lunaComment.id);
+        expect(resp, 'to satisfy', {
+          comments: [
+            { id: lunaComment.id },
+            { id: marsReply.id },
+            { id: lunaReply.id },
+            { id: venusReply.id },
+          ],
+        });
+      });
+
+      it('should hide comments of banned users in chain', async () => {
+        await banUser(venus, mars);
+        const resp = await getReplyChain(venus, lunaComment.id);
+        expect(resp, 'to satisfy', { comments: [{}, { id: marsReply.id, body: 'Hidden comment', createdBy: null }, {}, {}] });
+      });
+
+      it('should return 404 for unknown comment', async () => {
+        const resp = await getReplyChain(venus, '00000000-0000-4000-8000-000000000001');
+        expect(resp, 'to satisfy', { __httpCode: 404 });
+      });
+    });
+  });
+});
@@ -0,0 +1,208 @@
+/* eslint-env node, mocha */
+/* global $pg_database */
+import expect from 'unexpected';
+
+import cleanDB from '../dbCleaner';
+import { getSingleton } from '../../app/app';
+import { DummyPublisher } from '../../app/pubsub';
+import { PubSub } from '../../app/models';
+import {
+  createTestUsers,
+  createAndReturnPost,
+  createCommentAsync,
+  subscribeToAsync,
+  like,
+  banUser,
+  unbanUser,
+  performJSONRequest,
+} from './functional_test_helper';
+
+
+describe('Cursor pagination', () => {
+  before(async () => {
+    await getSingleton();
+    PubSub.setPublisher(new DummyPublisher());
+  });
+
+  beforeEach(() => cleanDB($pg_database));
+
+  let luna, mars;
+  let posts;
+
+  beforeEach(async () => {
+    [luna, mars] = await createTestUsers(2);
+    posts = [];
+
+    for (let i = 0; i < 5; i++) {
+      // eslint-disable-next-line no-await-in-loop
+      posts.push(await createAndReturnPost(luna, `Post ${i}`));
+    }
+
+    posts.reverse(); // newest first
+  });
+
+  const authHeader = (userCtx) => ({ 'X-Authentication-Token': userCtx.authToken });
+  const fetchTimeline = (query = '') => performJSONRequest('GET', `/v2/timelines/${luna.username}${query}`);
+  const postIds = (resp) => resp.timelines.posts;
+
+  describe('Timelines', () => {
+    it('should return cursors', async () => {
+      const resp = await fetchTimeline('?limit=2');
+      expect(resp, 'to satisfy', {
+        __httpCode: 200,
+        isLastPage: false,
+        cursors:    { before: expect.it('to be a string'), after: expect.it('to be a string') },
+      });
+      expect(postIds(resp), 'to equal', [posts[0].id, posts[1].id]);
+    });
+
+    it('should return the next pages with the "before" cursor', async () => {
+      const page1 = await fetchTimeline('?limit=2');
+      const page2 = await fetchTimeline(`?limit=2&before=${page1.cursors.before}`);
+      expect(page2, 'to satisfy', { isLastPage: false });
+      expect(postIds(page2), 'to equal', [posts[2].id, posts[3].id]);
+
+      const page3 = await fetchTimeline(`?limit=2&before=${page2.cursors.before}`);
+      expect(page3, 'to satisfy', { isLastPage: true });
+      expect(postIds(page3), 'to equal', [posts[4].id]);
+    });
+
+    it('should return the newer posts with the "after" cursor', async () => {
+      const page = await fetchTimeline(`?limit=2&before=${(await fetchTimeline('?limit=3')).cursors.before}`);
+      expect(postIds(page), 'to equal', [posts[3].id, posts[4].id]);
+
+      const newer = await fetchTimeline(`?limit=2&after=${page.cursors.after}`);
+      expect(newer, 'to satisfy', { isLastPage: false });
+      expect(postIds(newer), 'to equal', [posts[1].id, posts[2].id]);
+    });
+
+    it('should not skip posts when the feed is bumped', async () => {
+      const page1 = await fetchTimeline('?limit=2');
+      // Bump the oldest post to the top of the feed
+      await createCommentAsync(luna, posts[4].id, 'Bump!');
+
+      const page2 = await fetchTimeline(`?limit=2&before=${page1.cursors.before}`);
+      expect(postIds(page2), 'to equal', [posts[2].id, posts[3].id]);
+
+      const newer = await fetchTimeline(`?after=${page1.cursors.after}`);
+      expect(postIds(newer), 'to equal', [posts[4].id]);
+    });
+
+    it('should use cursors with "created" sort', async () => {
+      const page1 = await fetchTimeline('?limit=2&sort=created');
+      await createCommentAsync(luna, posts[4].id, 'Bump!');
+
+      const page2 = await fetchTimeline(`?limit=2&sort=created&before=${page1.cursors.before}`);
+      expect(postIds(page2), 'to equal', [posts[2].id, posts[3].id]);
+    });
+
+    it('should not accept the cursor of other sort', async () => {
+      const page1 = await fetchTimeline('?limit=2');
+      const resp = await fetchTimeline(`?limit=2&sort=created&before=${page1.cursors.before}`);
+      expect(resp, 'to satisfy', { __httpCode: 400 });
+    });
+
+    it('should not accept the invalid cursor', async () => {
+      const resp = await fetchTimeline('?before=garbage');
+      expect(resp, 'to satisfy', { __httpCode: 400 });
+    });
+
+    it('should not accept the both cursors', async () => {
+      const { cursors } = await fetchTimeline('?limit=2');
+      const resp = await fetchTimeline(`?before=${cursors.before}&after=${cursors.after}`);
+      expect(resp, 'to satisfy', { __httpCode: 400 });
+    });
+
+    it('should return null cursors for the empty page', async () => {
+      const resp = await performJSONRequest('GET', `/v2/timelines/${mars.username}`);
+      expect(resp, 'to satisfy', { posts: [], cursors: { before: null, after: null } });
+    });
+  });
+
+  describe('Home feed with local bumps', () => {
+    let venus, venusPost;
+
+    beforeEach(async () => {
+      [venus] = await createTestUsers(1);
+      await subscribeToAsync(luna, mars);
+      venusPost = await createAndReturnPost(venus, 'Venus post');
+      await $pg_database.raw(
+        `update posts set created_at = now() - interval '1 day', bumped_at = now() - interval '1 day' where uid = ?`,
+        venusPost.id,
+      );
+      // Venus post appears at the top of Luna's home feed
+      await like(venusPost.id, mars.authToken);
+    });
+
+    const fetchHomefeed = (query = '') => performJSONRequest('GET', `/v2/timelines/home${query}`, null, authHeader(luna));
+
+    it('should return every post once when paging with the "before" cursor', async () => {
+      const allIds = [];
+      let page = await fetchHomefeed('?limit=2');
+      allIds.push(...postIds(page));
+
+      while (!page.isLastPage) {
+        // eslint-disable-next-line no-await-in-loop
+        page = await fetchHomefeed(`?limit=2&before=${page.cursors.before}`);
+        allIds.push(...postIds(page));
+      }
+
+      expect(allIds, 'to equal', [venusPost.id, ...posts.map((p) => p.id)]);
+    });
+
+    it('should continue after the locally bumped post', async () => {
+      const page1 = await fetchHomefeed('?limit=1');
+      expect(postIds(page1), 'to equal', [venusPost.id]);
+
+      const page2 = await fetchHomefeed(`?limit=2&before=${page1.cursors.before}`);
+      expect(postIds(page2), 'to equal', [posts[0].id, posts[1].id]);
+    });
+
+    it('should return the locally bumped post with the "after" cursor', async () => {
+      const page1 = await fetchHomefeed('?limit=3');
+      const page2 = await fetchHomefeed(`?limit=2&before=${page1.cursors.before}`);
+      expect(postIds(page2), 'to equal', [posts[2].id, posts[3].id]);
+
+      const newer = await fetchHomefeed(`?limit=2&after=${page2.cursors.after}`);
+      expect(postIds(newer), 'to equal', [posts[0].id, posts[1].id]);
+
+      const newest = await fetchHomefeed(`?after=${newer.cursors.after}`);
+      expect(postIds(newest), 'to equal', [venusPost.id]);
+    });
+  });
+
+  describe('Search', () => {
+    it('should paginate search results', async () => {
+      const page1 = await performJSONRequest('GET', '/v2/search?qs=post&limit=3');
+      expect(page1, 'to satisfy', { isLastPage: false, cursors: { before: expect.it('to be a string') } });
+      expect(page1.posts.map((p) => p.id), 'to equal', [posts[0].id, posts[1].id, posts[2].id]);
+
+      const page2 = await performJSONRequest('GET', `/v2/search?qs=post&limit=3&before=${page1.cursors.before}`);
+      expect(page2, 'to satisfy', { isLastPage: true });
+      expect(page2.posts.map((p) => p.id), 'to equal', [posts[3].id, posts[4].id]);
+    });
+  });
+
+  describe('Notifications', () => {
+    beforeEach(async () => {
+      // 'banned_user' and 'unbanned_user' events for Luna
+      await banUser(luna, mars);
+      await unbanUser(luna, mars);
+    });
+
+    it('should paginate notifications', async () => {
+      const events = await performJSONRequest('GET', '/v2/notifications', null, authHeader(luna));
+      expect(events, 'to satisfy', { __httpCode: 200, cursors: { before: expect.it('to be a string') } });
+
+      const count = events.Notifications.length;
+      expect(count, 'to be greater than', 0);
+
+      const page1 = await performJSONRequest('GET', '/v2/notifications?limit=1', null, authHeader(luna));
+      expect(page1.Notifications, 'to have length', 1);
+
+      const page2 = await performJSONRequest('GET', `/v2/notifications?limit=100&before=${page1.cursors.before}`, null, authHeader(luna));
+      expect(page2, 'to satisfy', { isLastPage: true });
+      expect(page2.Notifications, 'to have length', count - 1);
+    });
+  });
+});
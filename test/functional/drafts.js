@@ -0,0 +1,129 @@
+/* eslint-env node, mocha */
+/* global $pg_database */
+import expect from 'unexpected';
+
+import cleanDB from '../dbCleaner';
+import { getSingleton } from '../../app/app';
+import { DummyPublisher } from '../../app/pubsub';
+import { PubSub } from '../../app/models';
+import {
+  createTestUsers,
+  createMockAttachmentAsync,
+  getUserFeed,
+  performJSONRequest,
+} from './functional_test_helper';
+
+
+describe('Drafts', () => {
+  before(async () => {
+    await getSingleton();
+    PubSub.setPublisher(new DummyPublisher());
+  });
+
+  beforeEach(() => cleanDB($pg_database));
+
+  let luna, mars;
+
+  beforeEach(async () => {
+    [luna, mars] = await createTestUsers(2);
+  });
+
+  const authHeader = (userCtx) => ({ 'X-Authentication-Token': userCtx.authToken });
+  const createDraft = (userCtx, draft) => performJSONRequest('POST', '/v2/drafts', { draft }, authHeader(userCtx));
+  const updateDraft = (userCtx, id, draft) => performJSONRequest('PUT', `/v2/drafts/${id}`, { draft }, authHeader(userCtx));
+  const publishDraft = (userCtx, id) => performJSONRequest('POST', `/v2/drafts/${id}/publish`, null, authHeader(userCtx));
+  const listDrafts = (userCtx) => performJSONRequest('GET', '/v2/drafts', null, authHeader(userCtx));
+
+  it('should not create draft for anonymous', async () => {
+    const resp = await performJSONRequest('POST', '/v2/drafts', { draft: { body: 'Hello' } });
+    expect(resp, 'to satisfy', { __httpCode: 401 });
+  });
+
+  it('should create an empty draft', async () => {
+    const resp = await createDraft(luna, {});
+    expect(resp, 'to satisfy', {
+      __httpCode: 200,
+      drafts:     [{ body: '', feeds: [], attachments: [], commentsDisabled: false }],
+    });
+  });
+
+  it('should create draft with attachment', async () => {
+    const att = await createMockAttachmentAsync(luna);
+    const resp = await createDraft(luna, { body: 'Hello', feeds: [luna.username], attachments: [att.id] });
+    expect(resp, 'to satisfy', {
+      __httpCode:  200,
+      drafts:      [{ body: 'Hello', feeds: [luna.username], attachments: [att.id] }],
+      attachments: [{ id: att.id }],
+    });
+  });
+
+  it('should not create draft with attachment of another user', async () => {
+    const att = await createMockAttachmentAsync(mars);
+    const resp = await createDraft(luna, { body: 'Hello', attachments: [att.id] });
+    expect(resp, 'to satisfy', { __httpCode: 403 });
+  });
+
+  describe('Luna has a draft', () => {
+    let draft;
+
+    beforeEach(async () => {
+      ({ drafts: [draft] } = await createDraft(luna, { body: 'Hello' }));
+    });
+
+    it('should list drafts', async () => {
+      const resp = await listDrafts(luna);
+      expect(resp, 'to satisfy', { __httpCode: 200, drafts: [{ id: draft.id }] });
+    });
+
+    it('should not list Luna drafts to Mars', async () => {
+      const resp = await listDrafts(mars);
+      expect(resp, 'to satisfy', { __httpCode: 200, drafts: [] });
+    });
+
+    it('should not allow Mars to update Luna draft', async () => {
+      const resp = await updateDraft(mars, draft.id, { body: 'Hi' });
+      expect(resp, 'to satisfy', { __httpCode: 403 });
+    });
+
+    it('should update only the given fields', async () => {
+      const resp = await updateDraft(luna, draft.id, { feeds: [luna.username] });
+      expect(resp, 'to satisfy', { __httpCode: 200, drafts: [{ body: 'Hello', feeds: [luna.username] }] });
+    });
+
+    it('should delete draft', async () => {
+      const resp = await performJSONRequest('DELETE', `/v2/drafts/${draft.id}`, null, authHeader(luna));
+      expect(resp, 'to satisfy', { __httpCode: 200 });
+      expect(await listDrafts(luna), 'to satisfy', { drafts: [] });
+    });
+
+    it('should not publish draft without destinations', async () => {
+      const resp = await publishDraft(luna, draft.id);
+      expect(resp, 'to satisfy', { __httpCode: 400 });
+    });
+
+    it('should not publish draft to the forbidden destination', async () => {
+      await updateDraft(luna, draft.id, { feeds: [mars.username] });
+      const resp = await publishDraft(luna, draft.id);
+      expect(resp, 'to satisfy', { __httpCode: 403 });
+      expect(await listDrafts(luna), 'to satisfy', { drafts: [{ id: draft.id }] });
+    });
+
+    it('should not publish draft with empty body', async () => {
+      await updateDraft(luna, draft.id, { body: '  ', feeds: [luna.username] });
+      const resp = await publishDraft(luna, draft.id);
+      expect(resp, 'to satisfy', { __httpCode: 400 });
+    });
+
+    it('should publish draft', async () => {
+      const att = await createMockAttachmentAsync(luna);
+      await updateDraft(luna, draft.id, { feeds: [luna.username], attachments: [att.id] });
+
+      const resp = await publishDraft(luna, draft.id);
+      expect(resp, 'to satisfy', { __httpCode: 200, posts: { body: 'Hello', attachments: [att.id] } });
+
+      const { posts } = await getUserFeed(luna, luna);
+      expect(posts, 'to satisfy', [{ id: resp.posts.id }]);
+      expect(await listDrafts(luna), 'to satisfy', { drafts: [] });
+    });
+  });
+});
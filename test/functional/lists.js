@@ -0,0 +1,196 @@
+/* eslint-env node, mocha */
+/* global $pg_database */
+import expect from 'unexpected';
+
+import cleanDB from '../dbCleaner';
+import {
+  createTestUsers,
+  createAndReturnPost,
+  createAndReturnPostToFeed,
+  createGroupAsync,
+  like,
+  subscribeToAsync,
+  unsubscribeFromAsync,
+  performJSONRequest,
+} from './functional_test_helper';
+
+
+describe('Lists', () => {
+  beforeEach(() => cleanDB($pg_database));
+
+  let luna, mars, venus, jupiter, celestials;
+
+  beforeEach(async () => {
+    [luna, mars, venus, jupiter] = await createTestUsers(4);
+    celestials = await createGroupAsync(mars, 'celestials');
+    await Promise.all([mars, venus, celestials].map((u) => subscribeToAsync(luna, u.user || u.group)));
+  });
+
+  const authHeader = (userCtx) => ({ 'X-Authentication-Token': userCtx.authToken });
+  const createList = (userCtx, list) => performJSONRequest('POST', '/v2/lists', { list }, authHeader(userCtx));
+
+  describe('Lists management', () => {
+    it('should not allow anonymous to create list', async () => {
+      const resp = await createList({ authToken: '' }, { title: 'Work' });
+      expect(resp, 'to satisfy', { __httpCode: 401 });
+    });
+
+    it('should create list with members', async () => {
+      const resp = await createList(luna, { title: 'Work', members: ['mars', 'celestials'] });
+      expect(resp, 'to satisfy', {
+        __httpCode: 200,
+        lists:      [{ title: 'Work', members: [mars.user.id, celestials.group.id] }],
+        users:      expect.it('to have an item satisfying', { username: 'celestials' }),
+      });
+    });
+
+    it('should not create list with the empty title', async () => {
+      const resp = await createList(luna, { title: '   ' });
+      expect(resp, 'to satisfy', { __httpCode: 422 });
+    });
+
+    it('should not add account that user is not subscribed to', async () => {
+      const resp = await createList(luna, { title: 'Work', members: ['jupiter'] });
+      expect(resp, 'to satisfy', { __httpCode: 422 });
+    });
+
+    it('should not add nonexistent account', async () => {
+      const resp = await createList(luna, { title: 'Work', members: ['pluto'] });
+      expect(resp, 'to satisfy', { __httpCode: 422 });
+    });
+
+    describe('Luna has lists', () => {
+      let workList, familyList;
+
+      beforeEach(async () => {
+        ({ lists: [workList] } = await createList(luna, { title: 'Work', members: ['mars'] }));
+        ({ lists: [familyList] } = await createList(luna, { title: 'Family' }));
+      });
+
+      it('should return all lists of user', async () => {
+        const resp = await performJSONRequest('GET', '/v2/lists', null, authHeader(luna));
+        expect(resp, 'to satisfy', {
+          __httpCode: 200,
+          lists:      [{ id: workList.id, title: 'Work' }, { id: familyList.id, title: 'Family' }],
+        });
+      });
+
+      it('should not return lists of other users', async () => {
+        const resp = await performJSONRequest('GET', '/v2/lists', null, authHeader(mars));
+        expect(resp, 'to satisfy', { lists: [] });
+      });
+
+      it('should not show list to other user', async () => {
+        const resp = await performJSONRequest('GET', `/v2/lists/${workList.id}`, null, authHeader(mars));
+        expect(resp, 'to satisfy', { __httpCode: 404 });
+      });
+
+      it('should update list title', async () => {
+        const resp = await performJSONRequest(
+          'PUT', `/v2/lists/${workList.id}`,
+          { list: { title: 'Job' } },
+          authHeader(luna),
+        );
+        expect(resp, 'to satisfy', { __httpCode: 200, lists: [{ title: 'Job', members: [mars.user.id] }] });
+      });
+
+      it('should replace list members', async () => {
+        const resp = await performJSONRequest(
+          'PUT', `/v2/lists/${workList.id}`,
+          { list: { title: 'Work', members: ['venus', 'celestials'] } },
+          authHeader(luna),
+        );
+        expect(resp, 'to satisfy', { __httpCode: 200, lists: [{ members: [venus.user.id, celestials.group.id] }] });
+      });
+
+      it('should add members to list', async () => {
+        const resp = await performJSONRequest(
+          'POST', `/v2/lists/${workList.id}/members`,
+          { members: ['mars', 'venus'] },
+          authHeader(luna),
+        );
+        expect(resp, 'to satisfy', { __httpCode: 200, lists: [{ members: [mars.user.id, venus.user.id] }] });
+      });
+
+      it('should remove member from list', async () => {
+        const resp = await performJSONRequest('DELETE', `/v2/lists/${workList.id}/members/mars`, null, authHeader(luna));
+        expect(resp, 'to satisfy', { __httpCode: 200, lists: [{ members: [] }] });
+      });
+
+      it('should not remove non-member from list', async () => {
+        const resp = await performJSONRequest('DELETE', `/v2/lists/${workList.id}/members/venus`, null, authHeader(luna));
+        expect(resp, 'to satisfy', { __httpCode: 404 });
+      });
+
+      it('should not allow other user to delete list', async () => {
+        const resp = await performJSONRequest('DELETE', `/v2/lists/${workList.id}`, null, authHeader(mars));
+        expect(resp, 'to satisfy', { __httpCode: 404 });
+      });
+
+      it('should delete list', async () => {
+        const resp = await performJSONRequest('DELETE', `/v2/lists/${workList.id}`, null, authHeader(luna));
+        expect(resp, 'to satisfy', { __httpCode: 200 });
+
+        const { lists } = await performJSONRequest('GET', '/v2/lists', null, authHeader(luna));
+        expect(lists, 'to satisfy', [{ id: familyList.id }]);
+      });
+    });
+  });
+
+  describe('List timeline', () => {
+    let workList;
+    let marsPost, venusPost, groupPost, jupiterPost;
+
+    const fetchList = (userCtx, query = '') => performJSONRequest(
+      'GET', `/v2/timelines/lists/${workList.id}${query}`,
+      null, authHeader(userCtx),
+    );
+
+    beforeEach(async () => {
+      ({ lists: [workList] } = await createList(luna, { title: 'Work', members: ['mars', 'celestials'] }));
+
+      jupiterPost = await createAndReturnPost(jupiter, 'Jupiter post');
+      venusPost = await createAndReturnPost(venus, 'Venus post');
+      groupPost = await createAndReturnPostToFeed(celestials.group, mars, 'Group post');
+      marsPost = await createAndReturnPost(mars, 'Mars post');
+      await like(jupiterPost.id, mars.authToken);
+    });
+
+    it('should not show list timeline to other user', async () => {
+      const resp = await fetchList(mars);
+      expect(resp, 'to satisfy', { __httpCode: 404 });
+    });
+
+    it('should show posts of list members with title', async () => {
+      const resp = await fetchList(luna, '?homefeed-mode=friends-only');
+      expect(resp, 'to satisfy', {
+        __httpCode: 200,
+        timelines:  { id: workList.id, name: 'List', title: 'Work', posts: [marsPost.id, groupPost.id] },
+      });
+      expect(resp.timelines.posts, 'not to contain', venusPost.id);
+    });
+
+    it('should show posts liked by list members in classic mode', async () => {
+      const resp = await fetchList(luna);
+      expect(resp.timelines.posts, 'to contain', jupiterPost.id, marsPost.id, groupPost.id);
+      expect(resp.timelines.posts, 'not to contain', venusPost.id);
+    });
+
+    it('should not show posts of the unsubscribed members', async () => {
+      await unsubscribeFromAsync(luna, mars.user);
+      const resp = await fetchList(luna);
+      expect(resp.timelines.posts, 'to equal', [groupPost.id]);
+    });
+
+    it('should show all posts of list members in all-activity mode', async () => {
+      const dogs = await createGroupAsync(mars, 'dogs');
+      const dogsPost = await createAndReturnPostToFeed(dogs.group, mars, 'Dogs post');
+
+      const classicResp = await fetchList(luna);
+      expect(classicResp.timelines.posts, 'not to contain', dogsPost.id);
+
+      const resp = await fetchList(luna, '?homefeed-mode=friends-all-activity');
+      expect(resp.timelines.posts, 'to contain', dogsPost.id);
+    });
+  });
+});
@@ -0,0 +1,195 @@
+/* eslint-env node, mocha */
+/* global $pg_database */
+import expect from 'unexpected';
+
+import cleanDB from '../dbCleaner';
+import {
+  createTestUsers,
+  createAndReturnPost,
+  mutualSubscriptions,
+  performJSONRequest,
+} from './functional_test_helper';
+
+
+describe('Mute rules', () => {
+  beforeEach(() => cleanDB($pg_database));
+
+  let luna, mars;
+
+  beforeEach(async () => {
+    [luna, mars] = await createTestUsers(2);
+    await mutualSubscriptions([luna, mars]);
+  });
+
+  const authHeader = (userCtx) => ({ 'X-Authentication-Token': userCtx.authToken });
+  const createRule = (userCtx, rule) => performJSONRequest('POST', '/v2/mute-rules', { rule }, authHeader(userCtx));
+
+  describe('Rules management', () => {
+    it('should not allow anonymous to create rule', async () => {
+      const resp = await createRule({ authToken: '' }, { type: 'keyword', pattern: 'football', scope: 'home' });
+      expect(resp, 'to satisfy', { __httpCode: 401 });
+    });
+
+    it('should create rule with the normalized pattern', async () => {
+      const resp = await createRule(luna, { type: 'hashtag', pattern: '#WorldCup', scope: 'everywhere' });
+      expect(resp, 'to satisfy', {
+        __httpCode: 200,
+        rules:      [{ type: 'hashtag', pattern: 'worldcup', scope: 'everywhere', expiresAt: null, isExpired: false }],
+      });
+    });
+
+    it('should not create rule with invalid regex', async () => {
+      const resp = await createRule(luna, { type: 'regex', pattern: 'foo(bar', scope: 'home' });
+      expect(resp, 'to satisfy', { __httpCode: 422 });
+    });
+
+    it('should not create rule with invalid scope', async () => {
+      const resp = await createRule(luna, { type: 'keyword', pattern: 'football', scope: 'nowhere' });
+      expect(resp, 'to satisfy', { __httpCode: 422 });
+    });
+
+    describe('Luna has a rule', () => {
+      let rule;
+
+      beforeEach(async () => {
+        ({ rules: [rule] } = await createRule(luna, { type: 'keyword', pattern: 'football', scope: 'home' }));
+      });
+
+      it('should list rules of user', async () => {
+        const resp = await performJSONRequest('GET', '/v2/mute-rules', null, authHeader(luna));
+        expect(resp, 'to satisfy', { __httpCode: 200, rules: [{ id: rule.id, pattern: 'football' }] });
+      });
+
+      it('should update rule', async () => {
+        const resp = await performJSONRequest(
+          'PUT', `/v2/mute-rules/${rule.id}`,
+          { rule: { type: 'keyword', pattern: 'soccer', scope: 'everywhere' } },
+          authHeader(luna),
+        );
+        expect(resp, 'to satisfy', { __httpCode: 200, rules: [{ id: rule.id, pattern: 'soccer', scope: 'everywhere' }] });
+      });
+
+      it('should not allow other user to delete rule', async () => {
+        const resp = await performJSONRequest('DELETE', `/v2/mute-rules/${rule.id}`, null, authHeader(mars));
+        expect(resp, 'to satisfy', { __httpCode: 403 });
+      });
+
+      it('should delete rule', async () => {
+        const resp = await performJSONRequest('DELETE', `/v2/mute-rules/${rule.id}`, null, authHeader(luna));
+        expect(resp, 'to satisfy', { __httpCode: 200 });
+
+        const { rules } = await performJSONRequest('GET', '/v2/mute-rules', null, authHeader(luna));
+        expect(rules, 'to be empty');
+      });
+    });
+  });
+
+  describe('Muting posts', () => {
+    let footballPost, worldCupPost, percentPost, catsPost, lunaFootballPost;
+
+    const fetchHome = (query = '') => performJSONRequest('GET', `/v2/timelines/home${query}`, null, authHeader(luna));
+    const fetchSearch = (qs, query = '') => performJSONRequest(
+      'GET', `/v2/search?qs=${encodeURIComponent(qs)}${query}`,
+      null, authHeader(luna),
+    );
+
+    beforeEach(async () => {
+      footballPost = await createAndReturnPost(mars, 'I love Football so much');
+      worldCupPost = await createAndReturnPost(mars, 'Watching the #WorldCup');
+      percentPost = await createAndReturnPost(mars, 'Discount: 100% off');
+      catsPost = await createAndReturnPost(mars, 'Cats are great');
+      lunaFootballPost = await createAndReturnPost(luna, 'My football team');
+    });
+
+    it('should remove posts matched by keyword from home feed', async () => {
+      await createRule(luna, { type: 'keyword', pattern: 'football', scope: 'home' });
+      const { timelines: { posts } } = await fetchHome();
+      expect(posts, 'not to contain', footballPost.id);
+      expect(posts, 'to contain', catsPost.id, worldCupPost.id);
+    });
+
+    it('should not mute viewer own posts', async () => {
+      await createRule(luna, { type: 'keyword', pattern: 'football', scope: 'home' });
+      const { timelines: { posts } } = await fetchHome();
+      expect(posts, 'to contain', lunaFootballPost.id);
+    });
+
+    it('should not match keyword inside other words', async () => {
+      await createRule(luna, { type: 'keyword', pattern: 'cat', scope: 'home' });
+      const { timelines: { posts } } = await fetchHome();
+      expect(posts, 'to contain', catsPost.id);
+    });
+
+    it('should remove posts matched by hashtag', async () => {
+      await createRule(luna, { type: 'hashtag', pattern: 'worldcup', scope: 'home' });
+      const { timelines: { posts } } = await fetchHome();
+      expect(posts, 'not to contain', worldCupPost.id);
+    });
+
+    it('should remove posts matched by regex', async () => {
+      await createRule(luna, { type: 'regex', pattern: '\\d+%', scope: 'home' });
+      const { timelines: { posts } } = await fetchHome();
+      expect(posts, 'not to contain', percentPost.id);
+      expect(posts, 'to contain', footballPost.id);
+    });
+
+    it(`should apply rules with the '?' character`, async () => {
+      const colorPost = await createAndReturnPost(mars, 'What a nice color');
+      const whyPost = await createAndReturnPost(mars, 'But why?');
+      await createRule(luna, { type: 'regex', pattern: 'colou?r', scope: 'home' });
+      await createRule(luna, { type: 'keyword', pattern: 'why?', scope: 'home' });
+      // Hashtags can not contain '?', but such rule should not break the query
+      await createRule(luna, { type: 'hashtag', pattern: 'what?', scope: 'home' });
+      await createRule(luna, { type: 'hashtag', pattern: 'worldcup', scope: 'home' });
+      const { timelines: { posts } } = await fetchHome();
+      expect(posts, 'not to contain', colorPost.id, whyPost.id, worldCupPost.id);
+      expect(posts, 'to contain', catsPost.id);
+    });
+
+    it('should return muted posts with flag in collapse mode', async () => {
+      await createRule(luna, { type: 'keyword', pattern: 'football', scope: 'home' });
+      const { timelines: { posts: postIds }, posts } = await fetchHome('?muted=collapse');
+      expect(postIds, 'to contain', footballPost.id);
+      expect(posts, 'to have an item satisfying', { id: footballPost.id, isMuted: true });
+      expect(posts, 'to have an item satisfying', { id: catsPost.id, isMuted: undefined });
+    });
+
+    it('should not apply discussions rules to home feed', async () => {
+      await createRule(luna, { type: 'keyword', pattern: 'football', scope: 'discussions' });
+      const { timelines: { posts } } = await fetchHome();
+      expect(posts, 'to contain', footballPost.id);
+    });
+
+    it('should not apply expired rules', async () => {
+      const expiresAt = new Date(Date.now() - 1000).toISOString();
+      await createRule(luna, { type: 'keyword', pattern: 'football', scope: 'home', expiresAt });
+      const { timelines: { posts } } = await fetchHome();
+      expect(posts, 'to contain', footballPost.id);
+    });
+
+    it('should apply everywhere rules to user timelines', async () => {
+      await createRule(luna, { type: 'keyword', pattern: 'football', scope: 'everywhere' });
+      const { timelines: { posts } } = await performJSONRequest(
+        'GET', `/v2/timelines/${mars.username}`,
+        null, authHeader(luna),
+      );
+      expect(posts, 'not to contain', footballPost.id);
+    });
+
+    it('should apply everywhere rules to search', async () => {
+      await createRule(luna, { type: 'keyword', pattern: 'love', scope: 'everywhere' });
+      const resp = await fetchSearch('football');
+      expect(resp.posts, 'to have length', 1);
+      expect(resp.posts, 'to have an item satisfying', { id: lunaFootballPost.id });
+
+      const collapsed = await fetchSearch('football', '&muted=collapse');
+      expect(collapsed.posts, 'to have an item satisfying', { id: footballPost.id, isMuted: true });
+    });
+
+    it('should not apply home rules to search', async () => {
+      await createRule(luna, { type: 'keyword', pattern: 'love', scope: 'home' });
+      const resp = await fetchSearch('football');
+      expect(resp.posts, 'to have length', 2);
+    });
+  });
+});
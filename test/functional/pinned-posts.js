@@ -0,0 +1,205 @@
+/* eslint-env node, mocha */
+/* global $pg_database */
+import expect from 'unexpected';
+
+import cleanDB from '../dbCleaner';
+import { load as configLoader } from '../../config/config';
+import {
+  createTestUsers,
+  createAndReturnPost,
+  createAndReturnPostToFeed,
+  createGroupAsync,
+  promoteToAdmin,
+  subscribeToAsync,
+  performRequest,
+  performJSONRequest,
+} from './functional_test_helper';
+
+
+const config = configLoader();
+
+describe('Pinned posts', () => {
+  beforeEach(() => cleanDB($pg_database));
+
+  let luna, mars, venus, celestials;
+  let lunaPost1, lunaPost2, lunaPost3;
+
+  beforeEach(async () => {
+    [luna, mars, venus] = await createTestUsers(3);
+    celestials = await createGroupAsync(luna, 'celestials');
+    await subscribeToAsync(mars, celestials.group);
+    lunaPost1 = await createAndReturnPost(luna, 'Luna post 1');
+    lunaPost2 = await createAndReturnPost(luna, 'Luna post 2');
+    lunaPost3 = await createAndReturnPost(luna, 'Luna post 3');
+  });
+
+  const authHeader = (userCtx) => ({ 'X-Authentication-Token': userCtx.authToken });
+  const pinPost = (userCtx, postId, username) => performJSONRequest(
+    'POST', `/v2/posts/${postId}/pins/${username}`,
+    null, authHeader(userCtx),
+  );
+  const unpinPost = (userCtx, postId, username) => performJSONRequest(
+    'DELETE', `/v2/posts/${postId}/pins/${username}`,
+    null, authHeader(userCtx),
+  );
+  const fetchPosts = (username, query = '') => performJSONRequest('GET', `/v2/timelines/${username}${query}`);
+
+  describe('Pinning', () => {
+    it('should not allow anonymous to pin post', async () => {
+      const resp = await pinPost({ authToken: '' }, lunaPost1.id, luna.username);
+      expect(resp, 'to satisfy', { __httpCode: 401 });
+    });
+
+    it('should allow user to pin post to their own feed', async () => {
+      const resp = await pinPost(luna, lunaPost1.id, luna.username);
+      expect(resp, 'to satisfy', { __httpCode: 200 });
+    });
+
+    it('should not allow user to pin post to feed of other user', async () => {
+      const resp = await pinPost(mars, lunaPost1.id, luna.username);
+      expect(resp, 'to satisfy', { __httpCode: 403 });
+    });
+
+    it('should not allow user to pin post that is not in the feed', async () => {
+      const marsPost = await createAndReturnPost(mars, 'Mars post');
+      const resp = await pinPost(luna, marsPost.id, luna.username);
+      expect(resp, 'to satisfy', { __httpCode: 403 });
+    });
+
+    it('should not allow to pin post twice', async () => {
+      await pinPost(luna, lunaPost1.id, luna.username);
+      const resp = await pinPost(luna, lunaPost1.id, luna.username);
+      expect(resp, 'to satisfy', { __httpCode: 403 });
+    });
+
+    it(`should not allow to pin more than ${config.pinnedPosts.maxCount} posts`, async () => {
+      const posts = [lunaPost1, lunaPost2, lunaPost3];
+
+      for (let i = posts.length; i < config.pinnedPosts.maxCount + 1; i++) {
+        // eslint-disable-next-line no-await-in-loop
+        posts.push(await createAndReturnPost(luna, `Luna post ${i + 1}`));
+      }
+
+      for (const post of posts.slice(0, config.pinnedPosts.maxCount)) {
+        // eslint-disable-next-line no-await-in-loop
+        await pinPost(luna, post.id, luna.username);
+      }
+
+      const resp = await pinPost(luna, posts[config.pinnedPosts.maxCount].id, luna.username);
+      expect(resp, 'to satisfy', { __httpCode: 403 });
+    });
+
+    it('should allow user to unpin post', async () => {
+      await pinPost(luna, lunaPost1.id, luna.username);
+      const resp = await unpinPost(luna, lunaPost1.id, luna.username);
+      expect(resp, 'to satisfy', { __httpCode: 200 });
+    });
+
+    it('should not unpin post that is not pinned', async () => {
+      const resp = await unpinPost(luna, lunaPost1.id, luna.username);
+      expect(resp, 'to satisfy', { __httpCode: 404 });
+    });
+
+    it('should return 404 for the invalid post id', async () => {
+      const resp = await unpinPost(luna, 'not-a-uuid', luna.username);
+      expect(resp, 'to satisfy', { __httpCode: 404 });
+    });
+  });
+
+  describe('Group feed', () => {
+    let groupPost;
+
+    beforeEach(async () => {
+      groupPost = await createAndReturnPostToFeed(celestials.group, mars, 'Group post');
+    });
+
+    it('should allow group admin to pin post', async () => {
+      const resp = await pinPost(luna, groupPost.id, 'celestials');
+      expect(resp, 'to satisfy', { __httpCode: 200 });
+    });
+
+    it('should not allow non-admin to pin post', async () => {
+      const resp = await pinPost(mars, groupPost.id, 'celestials');
+      expect(resp, 'to satisfy', { __httpCode: 403 });
+    });
+
+    it('should allow new group admin to pin post', async () => {
+      await promoteToAdmin(celestials.group, luna, mars);
+      const resp = await pinPost(mars, groupPost.id, 'celestials');
+      expect(resp, 'to satisfy', { __httpCode: 200 });
+    });
+
+    it('should show pinned post first in group feed', async () => {
+      await createAndReturnPostToFeed(celestials.group, luna, 'Another group post');
+      await pinPost(luna, groupPost.id, 'celestials');
+      const resp = await fetchPosts('celestials');
+      expect(resp.timelines.posts[0], 'to be', groupPost.id);
+    });
+  });
+
+  describe('Posts timeline', () => {
+    beforeEach(async () => {
+      await pinPost(luna, lunaPost1.id, luna.username);
+    });
+
+    it('should return pinned post first with isPinned flag', async () => {
+      const resp = await fetchPosts(luna.username);
+      expect(resp.timelines.posts, 'to equal', [lunaPost1.id, lunaPost3.id, lunaPost2.id]);
+      expect(resp.posts, 'to have an item satisfying', { id: lunaPost1.id, isPinned: true });
+      expect(resp.posts.find((p) => p.id === lunaPost3.id), 'not to have key', 'isPinned');
+    });
+
+    it('should not return pinned post on the next pages', async () => {
+      const resp = await fetchPosts(luna.username, '?limit=1&offset=1');
+      expect(resp.timelines.posts, 'to equal', [lunaPost2.id]);
+    });
+
+    it('should return pinned post at its own place on the cursor pages', async () => {
+      const page1 = await fetchPosts(luna.username, '?limit=1');
+      expect(page1.timelines.posts, 'to equal', [lunaPost1.id, lunaPost3.id]);
+
+      const page2 = await fetchPosts(luna.username, `?limit=1&before=${page1.cursors.before}`);
+      expect(page2.timelines.posts, 'to equal', [lunaPost2.id]);
+
+      const page3 = await fetchPosts(luna.username, `?limit=1&before=${page2.cursors.before}`);
+      expect(page3.timelines.posts, 'to equal', [lunaPost1.id]);
+      expect(page3.posts, 'to have items satisfying', { isPinned: undefined });
+    });
+
+    it('should return pinned post at its own place with the date filter', async () => {
+      const createdBefore = new Date(Date.now() + 1000).toISOString();
+      const resp = await fetchPosts(luna.username, `?created-before=${encodeURIComponent(createdBefore)}`);
+      expect(resp.timelines.posts, 'to equal', [lunaPost3.id, lunaPost2.id, lunaPost1.id]);
+    });
+
+    it('should not return pinned post matched by the viewer mute rules', async () => {
+      await performJSONRequest(
+        'POST', '/v2/mute-rules',
+        { rule: { type: 'regex', pattern: 'post 1$', scope: 'everywhere' } },
+        authHeader(mars),
+      );
+      const resp = await performJSONRequest('GET', `/v2/timelines/${luna.username}`, null, authHeader(mars));
+      expect(resp.timelines.posts, 'to equal', [lunaPost3.id, lunaPost2.id]);
+    });
+
+    it('should return pinned post at its own place after unpin', async () => {
+      await unpinPost(luna, lunaPost1.id, luna.username);
+      const resp = await fetchPosts(luna.username);
+      expect(resp.timelines.posts, 'to equal', [lunaPost3.id, lunaPost2.id, lunaPost1.id]);
+    });
+
+    it('should not return pinned posts in other timelines', async () => {
+      await subscribeToAsync(venus, luna);
+      const resp = await performJSONRequest('GET', '/v2/timelines/home', null, authHeader(venus));
+      expect(resp.timelines.posts, 'to equal', [lunaPost3.id, lunaPost2.id, lunaPost1.id]);
+      expect(resp.posts, 'to have items satisfying', { isPinned: undefined });
+    });
+
+    it('should mark pinned post in RSS feed', async () => {
+      const resp = await performRequest(`/v2/timelines-rss/${luna.username}`);
+      const rss = await resp.text();
+      expect(rss, 'to contain', '<category>pinned</category>');
+      expect(rss.indexOf(lunaPost1.id), 'to be less than', rss.indexOf(lunaPost3.id));
+    });
+  });
+});
@@ -0,0 +1,296 @@
+/* eslint-env node, mocha */
+/* global $database, $pg_database */
+import expect from 'unexpected';
+
+import cleanDB from '../dbCleaner';
+import { getSingleton } from '../../app/app';
+import { DummyPublisher } from '../../app/pubsub';
+import { PubSub } from '../../app/models';
+import { PubSubAdapter } from '../../app/support/PubSubAdapter';
+import {
+  createTestUsers,
+  createAndReturnPost,
+  goPrivate,
+  performJSONRequest,
+} from './functional_test_helper';
+import Session from './realtime-session';
+
+
+describe('Polls', () => {
+  let port;
+
+  before(async () => {
+    const app = await getSingleton();
+    port = process.env.PEPYATKA_SERVER_PORT || app.context.config.port;
+    PubSub.setPublisher(new DummyPublisher());
+  });
+
+  beforeEach(() => cleanDB($pg_database));
+
+  let luna, mars, venus;
+
+  beforeEach(async () => {
+    [luna, mars, venus] = await createTestUsers(3);
+  });
+
+  const authHeader = (userCtx) => (userCtx ? { 'X-Authentication-Token': userCtx.authToken } : {});
+  const createPostWithPoll = (userCtx, poll) => performJSONRequest(
+    'POST', '/v1/posts', { post: { body: 'Which one?', poll }, meta: { feeds: [userCtx.username] } }, authHeader(userCtx)
+  );
+  const vote = (userCtx, postId, options) => performJSONRequest(
+    'POST', `/v2/posts/${postId}/poll/votes`, { options }, authHeader(userCtx)
+  );
+  const unvote = (userCtx, postId) => performJSONRequest(
+    'DELETE', `/v2/posts/${postId}/poll/votes`, null, authHeader(userCtx)
+  );
+  const getPost = (userCtx, postId) => performJSONRequest('GET', `/v2/posts/${postId}`, null, authHeader(userCtx));
+
+  describe('Poll creation', () => {
+    it('should create post with poll', async () => {
+      const resp = await createPostWithPoll(luna, { options: ['Tea', 'Coffee'] });
+      expect(resp, 'to satisfy', {
+        __httpCode: 200,
+        posts:      {
+          poll: {
+            options: [
+              { text: 'Tea', votes: 0, voters: [] },
+              { text: 'Coffee', votes: 0, voters: [] },
+            ],
+            isMultiple:  false,
+            isAnonymous: false,
+            closesAt:    null,
+            isClosed:    false,
+            votersCount: 0,
+            myVotes:     [],
+          },
+        },
+      });
+    });
+
+    it('should not create poll with one option', async () => {
+      const resp = await createPostWithPoll(luna, { options: ['Tea'] });
+      expect(resp, 'to satisfy', { __httpCode: 422 });
+    });
+
+    it('should not create poll with duplicate options', async () => {
+      const resp = await createPostWithPoll(luna, { options: ['Tea', 'Tea'] });
+      expect(resp, 'to satisfy', { __httpCode: 422 });
+    });
+
+    it('should not create poll closed in the past', async () => {
+      const resp = await createPostWithPoll(luna, { options: ['Tea', 'Coffee'], closesAt: '2001-01-01T00:00:00Z' });
+      expect(resp, 'to satisfy', { __httpCode: 422 });
+    });
+
+    it('should return null poll for post without poll', async () => {
+      const post = await createAndReturnPost(luna, 'No poll here');
+      const resp = await getPost(mars, post.id);
+      expect(resp, 'to satisfy', { posts: { poll: null } });
+    });
+  });
+
+  describe('Luna created a single choice poll', () => {
+    let postId;
+
+    beforeEach(async () => {
+      ({ posts: { id: postId } } = await createPostWithPoll(luna, { options: ['Tea', 'Coffee', 'Water'] }));
+    });
+
+    it('should allow Mars to vote', async () => {
+      const resp = await vote(mars, postId, [1]);
+      expect(resp, 'to satisfy', {
+        __httpCode: 200,
+        poll:       {
+          options:     [{ votes: 0 }, { votes: 1, voters: [mars.user.id] }, { votes: 0 }],
+          votersCount: 1,
+          myVotes:     [1],
+        },
+      });
+    });
+
+    it('should not allow anonymous to vote', async () => {
+      const resp = await vote(null, postId, [1]);
+      expect(resp, 'to satisfy', { __httpCode: 401 });
+    });
+
+    it('should not allow to choose several options', async () => {
+      const resp = await vote(mars, postId, [0, 1]);
+      expect(resp, 'to satisfy', { __httpCode: 422 });
+    });
+
+    it('should not allow to vote for unknown option', async () => {
+      const resp = await vote(mars, postId, [3]);
+      expect(resp, 'to satisfy', { __httpCode: 422 });
+    });
+
+    it('should not allow to vote if post is not visible', async () => {
+      await goPrivate(luna);
+      const resp = await vote(mars, postId, [1]);
+      expect(resp, 'to satisfy', { __httpCode: 403 });
+    });
+
+    it('should return 404 when voting in post without poll', async () => {
+      const post = await createAndReturnPost(luna, 'No poll here');
+      const resp = await vote(mars, post.id, [0]);
+      expect(resp, 'to satisfy', { __httpCode: 404 });
+    });
+
+    describe('Mars and Venus voted', () => {
+      beforeEach(async () => {
+        await vote(mars, postId, [1]);
+        await vote(venus, postId, [0]);
+      });
+
+      it('should show tallies and voters in post', async () => {
+        const resp = await getPost(luna, postId);
+        expect(resp, 'to satisfy', {
+          posts: {
+            poll: {
+              options: [
+                { votes: 1, voters: [venus.user.id] },
+                { votes: 1, voters: [mars.user.id] },
+                { votes: 0, voters: [] },
+              ],
+              votersCount: 2,
+              myVotes:     [],
+            },
+          },
+          users: expect.it('to have an item satisfying', { id: mars.user.id })
+            .and('to have an item satisfying', { id: venus.user.id }),
+        });
+      });
+
+      it('should show poll in timeline', async () => {
+        const resp = await performJSONRequest('GET', `/v2/timelines/${luna.username}`, null, authHeader(mars));
+        expect(resp, 'to satisfy', { posts: [{ id: postId, poll: { votersCount: 2, myVotes: [1] } }] });
+      });
+
+      it('should allow Mars to change vote', async () => {
+        const resp = await vote(mars, postId, [2]);
+        expect(resp, 'to satisfy', {
+          poll: {
+            options:     [{ votes: 1 }, { votes: 0 }, { votes: 1 }],
+            votersCount: 2,
+            myVotes:     [2],
+          },
+        });
+      });
+
+      it('should allow Mars to unvote', async () => {
+        const resp = await unvote(mars, postId);
+        expect(resp, 'to satisfy', {
+          __httpCode: 200,
+          poll:       {
+            options:     [{ votes: 1 }, { votes: 0 }, { votes: 0 }],
+            votersCount: 1,
+            myVotes:     [],
+          },
+        });
+      });
+
+      it('should not allow Luna to unvote', async () => {
+        const resp = await unvote(luna, postId);
+        expect(resp, 'to satisfy', { __httpCode: 403 });
+      });
+    });
+  });
+
+  describe('Luna created a multiple choice anonymous poll', () => {
+    let postId;
+
+    beforeEach(async () => {
+      ({ posts: { id: postId } } = await createPostWithPoll(luna, { options: ['Tea', 'Coffee', 'Water'], isMultiple: true, isAnonymous: true }));
+    });
+
+    it('should allow to choose several options', async () => {
+      const resp = await vote(mars, postId, [0, 2]);
+      expect(resp, 'to satisfy', {
+        __httpCode: 200,
+        poll:       {
+          options:     [{ votes: 1 }, { votes: 0 }, { votes: 1 }],
+          votersCount: 1,
+          myVotes:     [0, 2],
+        },
+      });
+    });
+
+    it('should not show voters', async () => {
+      await vote(mars, postId, [0, 2]);
+      const resp = await getPost(luna, postId);
+      expect(resp, 'to satisfy', {
+        posts: {
+          poll: {
+            options: [
+              expect.it('not to have key', 'voters'),
+              expect.it('not to have key', 'voters'),
+              expect.it('not to have key', 'voters'),
+            ],
+          },
+        },
+        users: expect.it('not to have an item satisfying', { id: mars.user.id }),
+      });
+    });
+  });
+
+  describe('Closed poll', () => {
+    let postId;
+
+    beforeEach(async () => {
+      ({ posts: { id: postId } } = await createPostWithPoll(luna, { options: ['Tea', 'Coffee'] }));
+      await $pg_database('polls').where('post_id', postId).update({ closes_at: new Date(Date.now() - 1000) });
+    });
+
+    it('should mark poll as closed', async () => {
+      const resp = await getPost(mars, postId);
+      expect(resp, 'to satisfy', { posts: { poll: { isClosed: true, closesAt: expect.it('to be a string') } } });
+    });
+
+    it('should not allow to vote', async () => {
+      const resp = await vote(mars, postId, [0]);
+      expect(resp, 'to satisfy', { __httpCode: 403 });
+    });
+  });
+
+  describe('Realtime', () => {
+    let postId, lunaSession, marsSession;
+
+    before(() => PubSub.setPublisher(new PubSubAdapter($database)));
+    after(() => PubSub.setPublisher(new DummyPublisher()));
+
+    beforeEach(async () => {
+      ({ posts: { id: postId } } = await createPostWithPoll(luna, { options: ['Tea', 'Coffee'] }));
+
+      [lunaSession, marsSession] = await Promise.all([
+        Session.create(port, 'Luna session'),
+        Session.create(port, 'Mars session'),
+      ]);
+
+      await Promise.all([
+        lunaSession.sendAsync('auth', { authToken: luna.authToken }),
+        marsSession.sendAsync('auth', { authToken: mars.authToken }),
+      ]);
+
+      await Promise.all([
+        lunaSession.sendAsync('subscribe', { 'post': [postId] }),
+        marsSession.sendAsync('subscribe', { 'post': [postId] }),
+      ]);
+    });
+
+    afterEach(() => [lunaSession, marsSession].forEach((s) => s.disconnect()));
+
+    it(`should deliver 'post:update' event with new tallies when Mars votes`, async () => {
+      const lunaEvent = lunaSession.receive('post:update');
+      const marsEvent = marsSession.receive('post:update');
+      await Promise.all([vote(mars, postId, [1]), lunaEvent, marsEvent]);
+      expect(lunaEvent, 'to be fulfilled with value satisfying', { posts: { id: postId, poll: { options: [{ votes: 0 }, { votes: 1 }], myVotes: [] } } });
+      expect(marsEvent, 'to be fulfilled with value satisfying', { posts: { id: postId, poll: { options: [{ votes: 0 }, { votes: 1 }], myVotes: [1] } } });
+    });
+
+    it(`should deliver 'post:update' event when Mars unvotes`, async () => {
+      await vote(mars, postId, [1]);
+      const lunaEvent = lunaSession.receive('post:update');
+      await Promise.all([unvote(mars, postId), lunaEvent]);
+      expect(lunaEvent, 'to be fulfilled with value satisfying', { posts: { id: postId, poll: { options: [{ votes: 0 }, { votes: 0 }] } } });
+    });
+  });
+});
@@ -0,0 +1,193 @@
+/* eslint-env node, mocha */
+/* global $pg_database */
+import expect from 'unexpected';
+import parseXML from 'xml-parser';
+
+import cleanDB from '../dbCleaner';
+import { load as configLoader } from '../../config/config';
+import {
+  createTestUsers,
+  createAndReturnPost,
+  createAndReturnPostToFeed,
+  createCommentAsync,
+  createGroupAsync,
+  goPrivate,
+  mutualSubscriptions,
+  performRequest,
+  performJSONRequest,
+  subscribeToAsync,
+} from './functional_test_helper';
+
+
+const config = configLoader();
+
+describe('Private feeds', () => {
+  beforeEach(() => cleanDB($pg_database));
+
+  let luna, mars, venus;
+
+  beforeEach(async () => {
+    [luna, mars, venus] = await createTestUsers(3);
+  });
+
+  const authHeader = (userCtx) => ({ 'X-Authentication-Token': userCtx.authToken });
+
+  describe('Private feed URLs management', () => {
+    it('should not show private feeds to anonymous', async () => {
+      const resp = await performJSONRequest('GET', '/v2/private-feeds');
+      expect(resp, 'to satisfy', { __httpCode: 401 });
+    });
+
+    it('should return empty URLs if not created', async () => {
+      const resp = await performJSONRequest('GET', '/v2/private-feeds', null, authHeader(luna));
+      expect(resp, 'to satisfy', { __httpCode: 200, secret: null, urls: null });
+    });
+
+    it('should create private feed URLs', async () => {
+      const resp = await performJSONRequest('POST', '/v2/private-feeds', null, authHeader(luna));
+      expect(resp, 'to satisfy', {
+        __httpCode: 200,
+        secret:     expect.it('to match', /^[0-9a-f]{40}$/),
+        urls:       {
+          home:        expect.it('to begin with', `${config.host}/v2/private-rss/`),
+          discussions: expect.it('to end with', '/discussions'),
+          directs:     expect.it('to end with', '/directs'),
+          list:        expect.it('to end with', '/lists/:listId'),
+        },
+      });
+
+      const showResp = await performJSONRequest('GET', '/v2/private-feeds', null, authHeader(luna));
+      expect(showResp, 'to satisfy', { secret: resp.secret });
+    });
+
+    it('should regenerate private feed URLs', async () => {
+      const { secret: oldSecret } = await performJSONRequest('POST', '/v2/private-feeds', null, authHeader(luna));
+      const { secret: newSecret } = await performJSONRequest('POST', '/v2/private-feeds', null, authHeader(luna));
+      expect(newSecret, 'not to equal', oldSecret);
+
+      const response = await performRequest(`/v2/private-rss/${oldSecret}/home`);
+      expect(response.status, 'to be', 404);
+    });
+
+    it('should revoke private feed URLs', async () => {
+      const { secret } = await performJSONRequest('POST', '/v2/private-feeds', null, authHeader(luna));
+      const resp = await performJSONRequest('DELETE', '/v2/private-feeds', null, authHeader(luna));
+      expect(resp, 'to satisfy', { __httpCode: 200, secret: null });
+
+      const response = await performRequest(`/v2/private-rss/${secret}/home`);
+      expect(response.status, 'to be', 404);
+    });
+  });
+
+  describe('Luna has private feed URLs', () => {
+    let secret;
+
+    beforeEach(async () => {
+      ({ secret } = await performJSONRequest('POST', '/v2/private-feeds', null, authHeader(luna)));
+      await mutualSubscriptions([luna, mars]);
+    });
+
+    it('should return 404 for the invalid secret', async () => {
+      const response = await performRequest(`/v2/private-rss/${'0'.repeat(40)}/home`);
+      expect(response.status, 'to be', 404);
+    });
+
+    it('should return Luna home feed as RSS', async () => {
+      const post = await createAndReturnPost(mars, 'Hello from Mars');
+      const items = await fetchItems(`/v2/private-rss/${secret}/home`);
+      expect(items, 'to have length', 1);
+      expect(items[0].children, 'to have an item satisfying', { name: 'guid', content: `freefeed:post:${post.id}` });
+      expect(items[0].children, 'to have an item satisfying', { name: 'title', content: `${mars.username}: Hello from Mars` });
+      expect(items[0].children, 'to have an item satisfying', { name: 'link', content: `${config.host}/${mars.username}/${post.id}` });
+    });
+
+    it('should return Luna discussions as RSS', async () => {
+      const post = await createAndReturnPost(mars, 'Hello from Mars');
+      await createAndReturnPost(mars, 'Another post from Mars');
+      await createCommentAsync(luna, post.id, 'Hello from Luna');
+
+      const items = await fetchItems(`/v2/private-rss/${secret}/discussions`);
+      expect(items, 'to have length', 1);
+      expect(items[0].children, 'to have an item satisfying', { name: 'guid', content: `freefeed:post:${post.id}` });
+    });
+
+    it('should return Luna directs as RSS', async () => {
+      const post = await createAndReturnPostToFeed(luna, mars, 'Secret message');
+      const items = await fetchItems(`/v2/private-rss/${secret}/directs`);
+      expect(items, 'to have length', 1);
+      expect(items[0].children, 'to have an item satisfying', { name: 'guid', content: `freefeed:post:${post.id}` });
+    });
+
+    it('should return private Mars timeline visible to Luna as RSS', async () => {
+      await createAndReturnPost(mars, 'Hello from Mars');
+      await goPrivate(mars);
+
+      const items = await fetchItems(`/v2/private-rss/${secret}/timelines/${mars.username}`);
+      expect(items, 'to have length', 1);
+    });
+
+    it('should not return private Venus timeline to Luna', async () => {
+      await createAndReturnPost(venus, 'Hello from Venus');
+      await goPrivate(venus);
+
+      const items = await fetchItems(`/v2/private-rss/${secret}/timelines/${venus.username}`);
+      expect(items, 'to be empty');
+    });
+
+    describe('Luna has a list of groups', () => {
+      let celestials, listId;
+
+      beforeEach(async () => {
+        celestials = await createGroupAsync(mars, 'celestials');
+        await subscribeToAsync(luna, celestials.group);
+        ({ lists: [{ id: listId }] } = await performJSONRequest(
+          'POST', '/v2/lists',
+          { list: { title: 'Groups', members: ['celestials'] } },
+          authHeader(luna),
+        ));
+      });
+
+      it('should return posts of the list as RSS', async () => {
+        const post = await createAndReturnPostToFeed(celestials.group, mars, 'Hello from group');
+        await createAndReturnPost(mars, 'Hello from Mars');
+
+        const response = await performRequest(`/v2/private-rss/${secret}/lists/${listId}`);
+        const { root } = parseXML(await response.text());
+        const channel = root.children.find(({ name }) => name === 'channel');
+        expect(channel.children, 'to have an item satisfying', {
+          name:    'title',
+          content: expect.it('to begin with', 'List').and('to contain', 'Groups'),
+        });
+
+        const items = channel.children.filter(({ name }) => name === 'item');
+        expect(items, 'to have length', 1);
+        expect(items[0].children, 'to have an item satisfying', { name: 'guid', content: `freefeed:post:${post.id}` });
+      });
+
+      it('should not return list of Luna by the Mars secret', async () => {
+        const { secret: marsSecret } = await performJSONRequest('POST', '/v2/private-feeds', null, authHeader(mars));
+        const response = await performRequest(`/v2/private-rss/${marsSecret}/lists/${listId}`);
+        expect(response.status, 'to be', 404);
+      });
+    });
+
+    it('should not authenticate API requests by secret', async () => {
+      const resp = await performJSONRequest('GET', '/v2/timelines/home', null, { 'X-Authentication-Token': secret });
+      expect(resp, 'to satisfy', { __httpCode: 401 });
+    });
+  });
+});
+
+async function fetchItems(path) {
+  const response = await performRequest(path);
+
+  if (response.status !== 200) {
+    const { err } = await response.json();
+    expect.fail('HTTP error (code {0}): {1}', response.status, err);
+  }
+
+  expect(response.headers.get('Content-Type'), 'to be', 'application/xml');
+  const { root } = parseXML(await response.text());
+  const channel = root.children.find(({ name }) => name === 'channel');
+  return channel.children.filter(({ name }) => name === 'item');
+}
@@ -0,0 +1,164 @@
+/* eslint-env node, mocha */
+/* global $pg_database */
+import expect from 'unexpected';
+
+import cleanDB from '../dbCleaner';
+import { getSingleton } from '../../app/app';
+import { DummyPublisher } from '../../app/pubsub';
+import { PubSub, dbAdapter } from '../../app/models';
+import { load as configLoader } from '../../config/config';
+import {
+  createTestUser,
+  performJSONRequest,
+  performRequest,
+} from './functional_test_helper';
+
+
+describe('Rate limits', () => {
+  const config = configLoader();
+  const origLoginConfig = config.rateLimits.login;
+
+  before(async () => {
+    await getSingleton();
+    PubSub.setPublisher(new DummyPublisher());
+  });
+
+  beforeEach(async () => {
+    await cleanDB($pg_database);
+
+    const { client, done } = await dbAdapter.cache.store.getClient();
+
+    try {
+      const keys = await client.keysAsync('ratelimit:*');
+
+      if (keys.length > 0) {
+        await client.delAsync(keys);
+      }
+    } finally {
+      done();
+    }
+
+    config.rateLimits.enabled = true;
+    config.rateLimits.login = { ...origLoginConfig, freeAttempts: 3, initialDelay: 60, lockoutAttempts: 5 };
+  });
+
+  afterEach(() => {
+    config.rateLimits.enabled = false;
+    config.rateLimits.login = origLoginConfig;
+  });
+
+  let luna;
+
+  beforeEach(async () => {
+    luna = await createTestUser();
+  });
+
+  const signIn = (username, password) => performJSONRequest('POST', '/v1/session', { username, password });
+  const failedSignIns = async (count) => {
+    for (let i = 0; i < count; i++) {
+      // eslint-disable-next-line no-await-in-loop
+      await signIn(luna.username, 'wrong password');
+    }
+  };
+
+  it('should allow several failed attempts', async () => {
+    await failedSignIns(3);
+    expect(await signIn(luna.username, luna.password), 'to satisfy', { __httpCode: 200 });
+  });
+
+  it('should block sign in after too many failed attempts', async () => {
+    await failedSignIns(4);
+    const resp = await performRequest('/v1/session', {
+      method:  'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body:    JSON.stringify({ username: luna.username, password: luna.password }),
+    });
+    expect(resp.status, 'to equal', 429);
+    expect(Number(resp.headers.get('Retry-After')), 'to be within', 1, 60);
+  });
+
+  it('should lock out the target regardless of the username case', async () => {
+    await failedSignIns(5);
+    const resp = await signIn(luna.username.toUpperCase(), luna.password);
+    expect(resp, 'to satisfy', { __httpCode: 429 });
+  });
+
+  it('should not block other users', async () => {
+    const mars = await createTestUser();
+    await failedSignIns(5);
+    expect(await signIn(mars.username, mars.password), 'to satisfy', { __httpCode: 200 });
+  });
+
+  it('should reset the counter after the successful sign in', async () => {
+    await failedSignIns(3);
+    await signIn(luna.username, luna.password);
+    await failedSignIns(3);
+    expect(await signIn(luna.username, luna.password), 'to satisfy', { __httpCode: 200 });
+  });
+
+  describe('Client IP', () => {
+    // Password spraying: one failed attempt for each of many usernames
+    const sprayWithForwardedFor = async (count, getForwardedFor) => {
+      for (let i = 0; i < count; i++) {
+        // eslint-disable-next-line no-await-in-loop
+        await performJSONRequest(
+          'POST', '/v1/session',
+          { username: `${luna.username}${i}`, password: 'wrong password' },
+          { 'X-Forwarded-For': getForwardedFor(i) },
+        );
+      }
+    };
+
+    // The per-IP limit is freeAttempts * ipFactor = 15 attempts
+    const sprayAttempts = 16;
+
+    it('should ignore X-Forwarded-For if proxy headers are not trusted', async () => {
+      await sprayWithForwardedFor(sprayAttempts, (i) => `10.0.0.${i}`);
+      const resp = await performJSONRequest(
+        'POST', '/v1/session',
+        { username: luna.username, password: luna.password },
+        { 'X-Forwarded-For': '10.0.1.1' },
+      );
+      expect(resp, 'to satisfy', { __httpCode: 429 });
+    });
+
+    describe('behind the trusted proxy', () => {
+      let app;
+
+      beforeEach(async () => {
+        app = await getSingleton();
+        app.proxy = true;
+      });
+
+      afterEach(() => {
+        app.proxy = false;
+      });
+
+      it('should not reset limit by the spoofed X-Forwarded-For addresses', async () => {
+        await sprayWithForwardedFor(sprayAttempts, (i) => `10.0.0.${i}, 192.168.0.1`);
+        const resp = await performJSONRequest(
+          'POST', '/v1/session',
+          { username: luna.username, password: luna.password },
+          { 'X-Forwarded-For': '10.0.1.1, 192.168.0.1' },
+        );
+        expect(resp, 'to satisfy', { __httpCode: 429 });
+      });
+
+      it('should not block other clients of the proxy', async () => {
+        await sprayWithForwardedFor(sprayAttempts, () => '192.168.0.1');
+        const resp = await performJSONRequest(
+          'POST', '/v1/session',
+          { username: luna.username, password: luna.password },
+          { 'X-Forwarded-For': '192.168.0.2' },
+        );
+        expect(resp, 'to satisfy', { __httpCode: 200 });
+      });
+    });
+  });
+
+  it('should not count attempts when limits are disabled', async () => {
+    config.rateLimits.enabled = false;
+    await failedSignIns(5);
+    expect(await signIn(luna.username, luna.password), 'to satisfy', { __httpCode: 200 });
+  });
+});
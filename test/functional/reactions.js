@@ -0,0 +1,247 @@
+/* eslint-env node, mocha */
+/* global $database, $pg_database */
+import expect from 'unexpected';
+
+import cleanDB from '../dbCleaner';
+import { getSingleton } from '../../app/app';
+import { DummyPublisher } from '../../app/pubsub';
+import { PubSub } from '../../app/models';
+import { PubSubAdapter } from '../../app/support/PubSubAdapter';
+import {
+  createTestUsers,
+  createAndReturnPost,
+  createCommentAsync,
+  banUser,
+  goPrivate,
+  performJSONRequest,
+} from './functional_test_helper';
+import Session from './realtime-session';
+
+
+const THUMBS_UP = '\u{1F44D}';
+const HEART = '\u{2764}\u{FE0F}';
+const PARTY = '\u{1F389}';
+
+describe('Reactions', () => {
+  let port;
+
+  before(async () => {
+    const app = await getSingleton();
+    port = process.env.PEPYATKA_SERVER_PORT || app.context.config.port;
+    PubSub.setPublisher(new DummyPublisher());
+  });
+
+  beforeEach(() => cleanDB($pg_database));
+
+  let luna, mars, venus, post;
+
+  beforeEach(async () => {
+    [luna, mars, venus] = await createTestUsers(3);
+    post = await createAndReturnPost(luna, 'Luna post');
+  });
+
+  const authHeader = (userCtx) => (userCtx ? { 'X-Authentication-Token': userCtx.authToken } : {});
+  const react = (userCtx, path, emoji) => performJSONRequest('POST', `${path}/reactions`, { emoji }, authHeader(userCtx));
+  const unreact = (userCtx, path, emoji) => performJSONRequest(
+    'DELETE', `${path}/reactions/${encodeURIComponent(emoji)}`, null, authHeader(userCtx)
+  );
+  const listReactions = (userCtx, path) => performJSONRequest('GET', `${path}/reactions`, null, authHeader(userCtx));
+
+  it('should return the list of available emojis', async () => {
+    const resp = await performJSONRequest('GET', '/v2/reactions/emojis');
+    expect(resp, 'to satisfy', { __httpCode: 200, emojis: expect.it('to contain', THUMBS_UP, HEART, PARTY) });
+  });
+
+  describe('Post reactions', () => {
+    let postPath;
+
+    beforeEach(() => {
+      postPath = `/v2/posts/${post.id}`;
+    });
+
+    it('should allow Mars to react to post', async () => {
+      const resp = await react(mars, postPath, THUMBS_UP);
+      expect(resp, 'to satisfy', { __httpCode: 200, reactions: [{ emoji: THUMBS_UP, count: 1, hasOwn: true }] });
+    });
+
+    it('should not allow anonymous to react to post', async () => {
+      const resp = await react(null, postPath, THUMBS_UP);
+      expect(resp, 'to satisfy', { __httpCode: 401 });
+    });
+
+    it('should not allow unknown emoji', async () => {
+      const resp = await react(mars, postPath, 'X');
+      expect(resp, 'to satisfy', { __httpCode: 422 });
+    });
+
+    it('should not allow to react to invisible post', async () => {
+      await goPrivate(luna);
+      const resp = await react(mars, postPath, THUMBS_UP);
+      expect(resp, 'to satisfy', { __httpCode: 403 });
+    });
+
+    describe('Mars and Venus reacted', () => {
+      beforeEach(async () => {
+        await react(mars, postPath, THUMBS_UP);
+        await react(mars, postPath, PARTY);
+        await react(venus, postPath, THUMBS_UP);
+      });
+
+      it('should not allow Mars to react with the same emoji twice', async () => {
+        const resp = await react(mars, postPath, THUMBS_UP);
+        expect(resp, 'to satisfy', { __httpCode: 403 });
+      });
+
+      it('should return aggregated reactions in post', async () => {
+        const resp = await performJSONRequest('GET', postPath, null, authHeader(venus));
+        expect(resp, 'to satisfy', {
+          posts: {
+            reactions: [
+              { emoji: THUMBS_UP, count: 2, hasOwn: true },
+              { emoji: PARTY, count: 1, hasOwn: false },
+            ],
+          },
+        });
+      });
+
+      it('should return aggregated reactions in timeline', async () => {
+        const resp = await performJSONRequest('GET', `/v2/timelines/${luna.username}`, null, authHeader(luna));
+        expect(resp, 'to satisfy', {
+          posts: [{
+            id:        post.id,
+            reactions: [
+              { emoji: THUMBS_UP, count: 2, hasOwn: false },
+              { emoji: PARTY, count: 1, hasOwn: false },
+            ],
+          }],
+        });
+      });
+
+      it('should return who reacted with what', async () => {
+        const resp = await listReactions(luna, postPath);
+        expect(resp, 'to satisfy', {
+          __httpCode: 200,
+          reactions:  [
+            { emoji: THUMBS_UP, users: [mars.user.id, venus.user.id] },
+            { emoji: PARTY, users: [mars.user.id] },
+          ],
+          users: expect.it('to have length', 2),
+        });
+      });
+
+      it('should not count reactions of banned users', async () => {
+        await banUser(luna, mars);
+        const resp = await listReactions(luna, postPath);
+        expect(resp, 'to satisfy', { reactions: [{ emoji: THUMBS_UP, users: [venus.user.id] }] });
+        const postResp = await performJSONRequest('GET', postPath, null, authHeader(luna));
+        expect(postResp, 'to satisfy', { posts: { reactions: [{ emoji: THUMBS_UP, count: 1 }] } });
+      });
+
+      it('should allow Mars to remove reaction', async () => {
+        const resp = await unreact(mars, postPath, THUMBS_UP);
+        expect(resp, 'to satisfy', {
+          __httpCode: 200,
+          reactions:  [
+            { emoji: THUMBS_UP, count: 1, hasOwn: false },
+            { emoji: PARTY, count: 1, hasOwn: true },
+          ],
+        });
+      });
+
+      it('should not allow Luna to remove reaction she has not made', async () => {
+        const resp = await unreact(luna, postPath, THUMBS_UP);
+        expect(resp, 'to satisfy', { __httpCode: 403 });
+      });
+    });
+  });
+
+  describe('Comment reactions', () => {
+    let comment, commentPath;
+
+    beforeEach(async () => {
+      ({ comments: comment } = await createCommentAsync(luna, post.id, 'Luna comment').then((r) => r.json()));
+      commentPath = `/v2/comments/${comment.id}`;
+    });
+
+    it('should allow Mars to react to comment', async () => {
+      const resp = await react(mars, commentPath, HEART);
+      expect(resp, 'to satisfy', { __httpCode: 200, reactions: [{ emoji: HEART, count: 1, hasOwn: true }] });
+    });
+
+    it('should return comment reactions in post', async () => {
+      await react(mars, commentPath, HEART);
+      const resp = await performJSONRequest('GET', `/v2/posts/${post.id}`, null, authHeader(venus));
+      expect(resp, 'to satisfy', { comments: [{ id: comment.id, reactions: [{ emoji: HEART, count: 1, hasOwn: false }] }] });
+    });
+
+    it('should return who reacted to comment', async () => {
+      await react(mars, commentPath, HEART);
+      const resp = await listReactions(venus, commentPath);
+      expect(resp, 'to satisfy', { reactions: [{ emoji: HEART, users: [mars.user.id] }] });
+    });
+
+    it('should not allow to react to comment of banned user', async () => {
+      await banUser(mars, luna);
+      const resp = await react(mars, commentPath, HEART);
+      expect(resp, 'to satisfy', { __httpCode: 403 });
+    });
+
+    it('should allow Mars to remove comment reaction', async () => {
+      await react(mars, commentPath, HEART);
+      const resp = await unreact(mars, commentPath, HEART);
+      expect(resp, 'to satisfy', { __httpCode: 200, reactions: [] });
+    });
+
+    it('should return 404 for unknown comment', async () => {
+      const resp = await react(mars, '/v2/comments/00000000-0000-4000-8000-000000000001', HEART);
+      expect(resp, 'to satisfy', { __httpCode: 404 });
+    });
+  });
+
+  describe('Realtime', () => {
+    let lunaSession;
+
+    before(() => PubSub.setPublisher(new PubSubAdapter($database)));
+    after(() => PubSub.setPublisher(new DummyPublisher()));
+
+    beforeEach(async () => {
+      lunaSession = await Session.create(port, 'Luna session');
+      await lunaSession.sendAsync('auth', { authToken: luna.authToken });
+      await lunaSession.sendAsync('subscribe', { 'post': [post.id] });
+    });
+
+    afterEach(() => lunaSession.disconnect());
+
+    it(`should deliver 'reaction:new' event when Mars reacts to post`, async () => {
+      const event = lunaSession.receive('reaction:new');
+      await Promise.all([react(mars, `/v2/posts/${post.id}`, THUMBS_UP), event]);
+      expect(event, 'to be fulfilled with value satisfying', {
+        users: { id: mars.user.id },
+        meta:  { postId: post.id, userId: mars.user.id, emoji: THUMBS_UP },
+      });
+    });
+
+    it(`should deliver 'reaction:remove' event when Mars removes reaction`, async () => {
+      await react(mars, `/v2/posts/${post.id}`, THUMBS_UP);
+      const event = lunaSession.receive('reaction:remove');
+      await Promise.all([unreact(mars, `/v2/posts/${post.id}`, THUMBS_UP), event]);
+      expect(event, 'to be fulfilled with value satisfying', { meta: { postId: post.id, emoji: THUMBS_UP } });
+    });
+
+    it(`should deliver 'comment_reaction:new' event when Mars reacts to comment`, async () => {
+      const { comments: { id: commentId } } = await createCommentAsync(luna, post.id, 'Luna comment').then((r) => r.json());
+      const event = lunaSession.receive('comment_reaction:new');
+      await Promise.all([react(mars, `/v2/comments/${commentId}`, HEART), event]);
+      expect(event, 'to be fulfilled with value satisfying', { meta: { postId: post.id, commentId, emoji: HEART } });
+    });
+
+    it(`should not deliver 'reaction:new' event from banned user`, async () => {
+      const venusPost = await createAndReturnPost(venus, 'Venus post');
+      await lunaSession.sendAsync('subscribe', { 'post': [venusPost.id] });
+      await banUser(luna, mars);
+      const event = lunaSession.notReceive('reaction:new');
+      await Promise.all([react(mars, `/v2/posts/${venusPost.id}`, THUMBS_UP), event]);
+      expect(event, 'to be fulfilled');
+    });
+  });
+});
@@ -549,4 +549,125 @@ describe('Realtime #2', () => {
       })
     });
   });
+
+  describe('Application token without directs scope', () => {
+    let tokenSession;
+
+    beforeEach(async () => {
+      await funcTestHelper.mutualSubscriptions([luna, mars]);
+      const { tokenString } = await funcTestHelper.performJSONRequest(
+        'POST', '/v2/app-tokens',
+        { title: 'Bot', scopes: ['read-feeds'] },
+        { 'X-Authentication-Token': luna.authToken },
+      );
+      const lunaRoNFeed = await dbAdapter.getUserNamedFeed(luna.user.id, 'RiverOfNews');
+
+      tokenSession = await Session.create(port, 'Token session');
+      await tokenSession.sendAsync('auth', { authToken: tokenString });
+      await Promise.all([
+        tokenSession.sendAsync('subscribe', { 'timeline': [lunaRoNFeed.id] }),
+        lunaSession.sendAsync('subscribe', { 'timeline': [lunaRoNFeed.id] }),
+      ]);
+    });
+
+    afterEach(() => tokenSession.disconnect());
+
+    it(`should deliver 'post:new' event of the regular post`, async () => {
+      const test = tokenSession.receiveWhile(
+        'post:new',
+        funcTestHelper.createAndReturnPost(mars, 'Mars post'),
+      );
+      await expect(test, 'to be fulfilled');
+    });
+
+    it(`should not deliver 'post:new' event of the direct message`, async () => {
+      const lunaEvent = lunaSession.receive('post:new');
+      const tokenEvent = tokenSession.notReceive('post:new');
+      await Promise.all([
+        funcTestHelper.createAndReturnPostToFeed([luna], mars, 'Direct'),
+        lunaEvent,
+        tokenEvent,
+      ]);
+      expect(lunaEvent, 'to be fulfilled');
+      expect(tokenEvent, 'to be fulfilled');
+    });
+
+    it(`should not deliver 'comment:new' event of the direct message`, async () => {
+      const direct = await funcTestHelper.createAndReturnPostToFeed([luna], mars, 'Direct');
+      const test = tokenSession.notReceiveWhile(
+        'comment:new',
+        funcTestHelper.createCommentAsync(mars, direct.id, 'Comment'),
+      );
+      await expect(test, 'to be fulfilled');
+    });
+  });
+
+  describe('Luna muted Mars', () => {
+    let lunaPost, lunaRoNFeed;
+
+    beforeEach(async () => {
+      await funcTestHelper.mutualSubscriptions([luna, mars]);
+      lunaPost = await funcTestHelper.createAndReturnPost(luna, 'Luna post');
+      await funcTestHelper.performJSONRequest(
+        'POST', `/v2/users/${mars.username}/mute`, null,
+        { 'X-Authentication-Token': luna.authToken },
+      );
+      lunaRoNFeed = await dbAdapter.getUserNamedFeed(luna.user.id, 'RiverOfNews');
+    });
+
+    describe('Luna is subscribed to her home feed', () => {
+      beforeEach(() => lunaSession.sendAsync('subscribe', { 'timeline': [lunaRoNFeed.id] }));
+
+      it(`should not deliver 'post:new' event of Mars post to Luna`, async () => {
+        const test = lunaSession.notReceiveWhile(
+          'post:new',
+          funcTestHelper.createAndReturnPost(mars, 'Mars post'),
+        );
+        await expect(test, 'to be fulfilled');
+      });
+
+      it(`should not deliver 'comment:new' event of Mars comment to Luna`, async () => {
+        const test = lunaSession.notReceiveWhile(
+          'comment:new',
+          funcTestHelper.createCommentAsync(mars, lunaPost.id, 'Mars comment'),
+        );
+        await expect(test, 'to be fulfilled');
+      });
+
+      it(`should not deliver 'like:new' event of Mars like to Luna`, async () => {
+        const test = lunaSession.notReceiveWhile(
+          'like:new',
+          funcTestHelper.like(lunaPost.id, mars.authToken),
+        );
+        await expect(test, 'to be fulfilled');
+      });
+
+      it(`should deliver 'comment:new' event of other user comment to Luna`, async () => {
+        const test = lunaSession.receiveWhile(
+          'comment:new',
+          funcTestHelper.createCommentAsync(luna, lunaPost.id, 'Luna comment'),
+        );
+        await expect(test, 'to be fulfilled');
+      });
+    });
+
+    it(`should deliver 'post:new' event of Mars post to Luna subscribed to Mars timeline`, async () => {
+      const marsPostsFeed = await dbAdapter.getUserNamedFeed(mars.user.id, 'Posts');
+      await lunaSession.sendAsync('subscribe', { 'timeline': [marsPostsFeed.id] });
+      const test = lunaSession.receiveWhile(
+        'post:new',
+        funcTestHelper.createAndReturnPost(mars, 'Mars post'),
+      );
+      await expect(test, 'to be fulfilled');
+    });
+
+    it(`should deliver 'comment:new' event of Mars comment to Luna subscribed to the post`, async () => {
+      await lunaSession.sendAsync('subscribe', { 'post': [lunaPost.id] });
+      const test = lunaSession.receiveWhile(
+        'comment:new',
+        funcTestHelper.createCommentAsync(mars, lunaPost.id, 'Mars comment'),
+      );
+      await expect(test, 'to be fulfilled');
+    });
+  });
 });
@@ -0,0 +1,164 @@
+/* eslint-env node, mocha */
+/* global $pg_database */
+import expect from 'unexpected';
+
+import cleanDB from '../dbCleaner';
+import {
+  createTestUsers,
+  createAndReturnPost,
+  goPrivate,
+  subscribeToAsync,
+  getUserEvents,
+  performJSONRequest,
+} from './functional_test_helper';
+
+
+describe('Reposts and quote posts', () => {
+  beforeEach(() => cleanDB($pg_database));
+
+  let luna, mars, venus;
+  let lunaPost;
+
+  beforeEach(async () => {
+    [luna, mars, venus] = await createTestUsers(3);
+    lunaPost = await createAndReturnPost(luna, 'Luna post');
+  });
+
+  const authHeader = (userCtx) => ({ 'X-Authentication-Token': userCtx.authToken });
+  const repost = (userCtx, postId) => performJSONRequest('POST', `/v2/posts/${postId}/repost`, null, authHeader(userCtx));
+  const unrepost = (userCtx, postId) => performJSONRequest('POST', `/v2/posts/${postId}/unrepost`, null, authHeader(userCtx));
+  const fetchPosts = (username, userCtx = { authToken: '' }) => performJSONRequest('GET', `/v2/timelines/${username}`, null, authHeader(userCtx));
+
+  describe('Reposts', () => {
+    it('should not allow anonymous to repost', async () => {
+      const resp = await repost({ authToken: '' }, lunaPost.id);
+      expect(resp, 'to satisfy', { __httpCode: 401 });
+    });
+
+    it('should repost post', async () => {
+      const resp = await repost(mars, lunaPost.id);
+      expect(resp, 'to satisfy', { __httpCode: 200, posts: { id: lunaPost.id, repostedBy: [mars.user.id] } });
+    });
+
+    it('should show reposted post in the reposter Posts feed', async () => {
+      await createAndReturnPost(mars, 'Mars post');
+      await repost(mars, lunaPost.id);
+      const resp = await fetchPosts(mars.username);
+      expect(resp.timelines.posts, 'to contain', lunaPost.id);
+      expect(resp.posts, 'to have an item satisfying', { id: lunaPost.id, createdBy: luna.user.id, repostedBy: [mars.user.id] });
+    });
+
+    it('should show reposted post in the home feed of reposter subscriber', async () => {
+      await subscribeToAsync(venus, mars);
+      await repost(mars, lunaPost.id);
+      const resp = await performJSONRequest('GET', '/v2/timelines/home', null, authHeader(venus));
+      expect(resp.timelines.posts, 'to equal', [lunaPost.id]);
+    });
+
+    it('should not repost post twice', async () => {
+      await repost(mars, lunaPost.id);
+      const resp = await repost(mars, lunaPost.id);
+      expect(resp, 'to satisfy', { __httpCode: 403 });
+    });
+
+    it('should not repost own post to own feed', async () => {
+      const resp = await repost(luna, lunaPost.id);
+      expect(resp, 'to satisfy', { __httpCode: 403 });
+    });
+
+    it('should unrepost post', async () => {
+      await repost(mars, lunaPost.id);
+      const resp = await unrepost(mars, lunaPost.id);
+      expect(resp, 'to satisfy', { __httpCode: 200 });
+      expect(resp.posts, 'not to have key', 'repostedBy');
+
+      const { timelines } = await fetchPosts(mars.username);
+      expect(timelines.posts, 'to equal', []);
+    });
+
+    it('should not unrepost post that is not reposted', async () => {
+      const resp = await unrepost(mars, lunaPost.id);
+      expect(resp, 'to satisfy', { __httpCode: 404 });
+    });
+
+    describe('Luna is private', () => {
+      beforeEach(async () => {
+        await Promise.all([subscribeToAsync(mars, luna), subscribeToAsync(venus, mars)]);
+        await goPrivate(luna);
+      });
+
+      it('should not allow to repost private post to public feed', async () => {
+        const resp = await repost(mars, lunaPost.id);
+        expect(resp, 'to satisfy', { __httpCode: 403 });
+      });
+
+      it('should allow to repost private post to private feed', async () => {
+        await goPrivate(mars);
+        const resp = await repost(mars, lunaPost.id);
+        expect(resp, 'to satisfy', { __httpCode: 200 });
+      });
+
+      it('should not show reposted private post to those who can not see it', async () => {
+        await goPrivate(mars);
+        await repost(mars, lunaPost.id);
+
+        const { timelines } = await fetchPosts(mars.username, venus);
+        expect(timelines.posts, 'to equal', []);
+      });
+    });
+  });
+
+  describe('Quote posts', () => {
+    const quotePost = (userCtx, quotedPost, body = 'Look at this') => performJSONRequest(
+      'POST', '/v1/posts',
+      { post: { body, quotedPost }, meta: { feeds: [userCtx.username] } },
+      authHeader(userCtx),
+    );
+
+    it('should create quote post with embedded original', async () => {
+      const resp = await quotePost(mars, lunaPost.id);
+      expect(resp, 'to satisfy', {
+        __httpCode: 200,
+        posts:      { body: 'Look at this', quotedPost: { id: lunaPost.id, body: 'Luna post', createdBy: luna.user.id } },
+        users:      expect.it('to have an item satisfying', { id: luna.user.id }),
+      });
+    });
+
+    it('should not quote nonexistent post', async () => {
+      const resp = await quotePost(mars, '00000000-0000-4000-8000-000000000000');
+      expect(resp, 'to satisfy', { __httpCode: 404 });
+    });
+
+    it('should not quote invisible post', async () => {
+      await goPrivate(luna);
+      const resp = await quotePost(mars, lunaPost.id);
+      expect(resp, 'to satisfy', { __httpCode: 404 });
+    });
+
+    it('should not embed original that is invisible to viewer', async () => {
+      const { posts: quote } = await quotePost(mars, lunaPost.id);
+      await goPrivate(luna);
+
+      const resp = await performJSONRequest('GET', `/v2/posts/${quote.id}`, null, authHeader(venus));
+      expect(resp.posts, 'to satisfy', { id: quote.id, quotedPost: null });
+    });
+
+    it('should embed original in timeline', async () => {
+      await quotePost(mars, lunaPost.id);
+      const resp = await fetchPosts(mars.username);
+      expect(resp.posts, 'to satisfy', [{ quotedPost: { id: lunaPost.id } }]);
+    });
+
+    it('should notify the original post author', async () => {
+      const { posts: quote } = await quotePost(mars, lunaPost.id);
+      const { Notifications } = await getUserEvents(luna, ['mentions']);
+      expect(Notifications, 'to satisfy', [{ event_type: 'post_quoted', post_id: quote.id, created_user_id: mars.user.id }]);
+    });
+
+    it('should not notify author who quotes their own post', async () => {
+      await quotePost(luna, lunaPost.id);
+      const { Notifications } = await getUserEvents(luna, ['mentions']);
+      expect(Notifications, 'to be empty');
+    });
+  });
+});
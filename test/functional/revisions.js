@@ -0,0 +1,155 @@
+/* eslint-env node, mocha */
+/* global $pg_database */
+import expect from 'unexpected';
+
+import cleanDB from '../dbCleaner';
+import { getSingleton } from '../../app/app';
+import { DummyPublisher } from '../../app/pubsub';
+import { PubSub } from '../../app/models';
+import {
+  createTestUsers,
+  createAndReturnPost,
+  createCommentAsync,
+  updateCommentAsync,
+  updatePostAsync,
+  goPrivate,
+  banUser,
+  performJSONRequest,
+} from './functional_test_helper';
+import * as schema from './schemaV2-helper';
+
+
+describe('Revisions', () => {
+  before(async () => {
+    await getSingleton();
+    PubSub.setPublisher(new DummyPublisher());
+  });
+
+  beforeEach(() => cleanDB($pg_database));
+
+  let luna, mars, post;
+
+  beforeEach(async () => {
+    [luna, mars] = await createTestUsers(2);
+    post = await createAndReturnPost(luna, 'Original post');
+  });
+
+  const authHeader = (userCtx) => (userCtx ? { 'X-Authentication-Token': userCtx.authToken } : {});
+  const getPostRevisions = (userCtx) => performJSONRequest('GET', `/v2/posts/${post.id}/revisions`, null, authHeader(userCtx));
+  const getPost = (userCtx) => performJSONRequest('GET', `/v2/posts/${post.id}`, null, authHeader(userCtx));
+
+  describe('Post revisions', () => {
+    it('should return only the current version of not edited post', async () => {
+      const resp = await getPostRevisions(mars);
+      expect(resp, 'to satisfy', {
+        __httpCode: 200,
+        revisions:  [{ revision: 0, body: 'Original post', isCurrent: true, diff: null }],
+      });
+    });
+
+    it('should not mark not edited post as edited', async () => {
+      const resp = await getPost(mars);
+      expect(resp, 'to satisfy', { posts: { editedAt: null, revisionsCount: 0 } });
+    });
+
+    it('should not mark not edited post as edited in search results', async () => {
+      const resp = await performJSONRequest('GET', '/v2/search?qs=original', null, authHeader(mars));
+      expect(resp.posts, 'to have items satisfying', schema.post);
+      expect(resp, 'to satisfy', { posts: [{ id: post.id, editedAt: null, revisionsCount: 0 }] });
+    });
+
+    describe('Luna edited the post twice', () => {
+      beforeEach(async () => {
+        await updatePostAsync({ ...luna, post }, { body: 'Edited post' });
+        await updatePostAsync({ ...luna, post }, { body: 'Edited post again' });
+      });
+
+      it('should mark post as edited', async () => {
+        const resp = await getPost(mars);
+        expect(resp, 'to satisfy', { posts: { editedAt: expect.it('to be a string'), revisionsCount: 2 } });
+      });
+
+      it('should mark post as edited in search results', async () => {
+        const resp = await performJSONRequest('GET', '/v2/search?qs=again', null, authHeader(mars));
+        expect(resp.posts, 'to have items satisfying', schema.post);
+        expect(resp, 'to satisfy', { posts: [{ id: post.id, editedAt: expect.it('to be a string'), revisionsCount: 2 }] });
+      });
+
+      it('should return all revisions with diffs', async () => {
+        const resp = await getPostRevisions(mars);
+        expect(resp, 'to satisfy', {
+          __httpCode: 200,
+          revisions:  [
+            { revision: 0, body: 'Original post', createdAt: post.createdAt, isCurrent: false, diff: null },
+            {
+              revision:  1,
+              body:      'Edited post',
+              isCurrent: false,
+              diff:      [
+                { type: 'delete', text: 'Original ' },
+                { type: 'insert', text: 'Edited ' },
+                { type: 'equal', text: 'post' },
+              ],
+            },
+            { revision: 2, body: 'Edited post again', isCurrent: true },
+          ],
+        });
+      });
+
+      it('should not create revision if body is not changed', async () => {
+        await updatePostAsync({ ...luna, post }, { body: 'Edited post again' });
+        const resp = await getPost(mars);
+        expect(resp, 'to satisfy', { posts: { revisionsCount: 2 } });
+      });
+
+      it('should not show revisions of private post to stranger', async () => {
+        await goPrivate(luna);
+        expect(await getPostRevisions(mars), 'to satisfy', { __httpCode: 403 });
+        expect(await getPostRevisions(luna), 'to satisfy', { __httpCode: 200 });
+      });
+    });
+  });
+
+  describe('Comment revisions', () => {
+    let comment;
+
+    beforeEach(async () => {
+      const resp = await createCommentAsync(mars, post.id, 'Original comment');
+      ({ comments: comment } = await resp.json());
+      await updateCommentAsync(mars, comment.id, 'Edited comment');
+    });
+
+    const getCommentRevisions = (userCtx) => performJSONRequest('GET', `/v2/comments/${comment.id}/revisions`, null, authHeader(userCtx));
+
+    it('should mark comment as edited', async () => {
+      const resp = await getPost(luna);
+      expect(resp, 'to satisfy', { comments: [{ id: comment.id, editedAt: expect.it('to be a string'), revisionsCount: 1 }] });
+    });
+
+    it('should return comment revisions', async () => {
+      const resp = await getCommentRevisions(luna);
+      expect(resp, 'to satisfy', {
+        __httpCode: 200,
+        revisions:  [
+          { revision: 0, body: 'Original comment' },
+          { revision: 1, body: 'Edited comment', isCurrent: true },
+        ],
+      });
+    });
+
+    it('should return 404 for unknown comment', async () => {
+      const resp = await performJSONRequest('GET', `/v2/comments/00000000-0000-4000-8000-000000000001/revisions`);
+      expect(resp, 'to satisfy', { __httpCode: 404 });
+    });
+
+    it('should not show comment revisions if the post is not visible', async () => {
+      await goPrivate(luna);
+      expect(await getCommentRevisions(null), 'to satisfy', { __httpCode: 403 });
+    });
+
+    it('should not show comment revisions of banned user', async () => {
+      await banUser(luna, mars);
+      expect(await getCommentRevisions(luna), 'to satisfy', { __httpCode: 403 });
+    });
+  });
+});
@@ -0,0 +1,136 @@
+/* eslint-env node, mocha */
+/* global $pg_database */
+import expect from 'unexpected';
+
+import cleanDB from '../dbCleaner';
+import {
+  createTestUsers,
+  createAndReturnPost,
+  goPrivate,
+  like,
+  performJSONRequest,
+} from './functional_test_helper';
+
+
+describe('Saved posts', () => {
+  beforeEach(() => cleanDB($pg_database));
+
+  let luna, mars, venus;
+  let marsPost1, marsPost2;
+
+  beforeEach(async () => {
+    [luna, mars, venus] = await createTestUsers(3);
+    marsPost1 = await createAndReturnPost(mars, 'Mars post 1');
+    marsPost2 = await createAndReturnPost(mars, 'Mars post 2');
+  });
+
+  const authHeader = (userCtx) => ({ 'X-Authentication-Token': userCtx.authToken });
+  const savePost = (userCtx, postId, body = {}) => performJSONRequest(
+    'POST', `/v2/posts/${postId}/save`,
+    body, authHeader(userCtx),
+  );
+  const unsavePost = (userCtx, postId) => performJSONRequest(
+    'POST', `/v2/posts/${postId}/unsave`,
+    null, authHeader(userCtx),
+  );
+  const fetchSaves = (userCtx) => performJSONRequest('GET', '/v2/timelines/filter/saves', null, authHeader(userCtx));
+
+  describe('Saving', () => {
+    it('should not allow anonymous to save post', async () => {
+      const resp = await savePost({ authToken: '' }, marsPost1.id);
+      expect(resp, 'to satisfy', { __httpCode: 401 });
+    });
+
+    it('should save post without note', async () => {
+      const resp = await savePost(luna, marsPost1.id);
+      expect(resp, 'to satisfy', { __httpCode: 200, savedPost: { postId: marsPost1.id, note: null } });
+    });
+
+    it('should save post with note', async () => {
+      const resp = await savePost(luna, marsPost1.id, { note: 'Read later' });
+      expect(resp, 'to satisfy', { __httpCode: 200, savedPost: { postId: marsPost1.id, note: 'Read later' } });
+    });
+
+    it('should update note of saved post', async () => {
+      await savePost(luna, marsPost1.id, { note: 'Read later' });
+      const resp = await savePost(luna, marsPost1.id, { note: 'Done' });
+      expect(resp, 'to satisfy', { __httpCode: 200, savedPost: { note: 'Done' } });
+    });
+
+    it('should not save invisible post', async () => {
+      await goPrivate(mars);
+      const resp = await savePost(luna, marsPost1.id);
+      expect(resp, 'to satisfy', { __httpCode: 403 });
+    });
+
+    it('should unsave post', async () => {
+      await savePost(luna, marsPost1.id);
+      const resp = await unsavePost(luna, marsPost1.id);
+      expect(resp, 'to satisfy', { __httpCode: 200 });
+    });
+
+    it('should not unsave post that is not saved', async () => {
+      const resp = await unsavePost(luna, marsPost1.id);
+      expect(resp, 'to satisfy', { __httpCode: 404 });
+    });
+  });
+
+  describe('Saves timeline', () => {
+    beforeEach(async () => {
+      await savePost(luna, marsPost1.id, { note: 'Read later' });
+      await savePost(luna, marsPost2.id);
+    });
+
+    it('should not show Saves timeline to anonymous', async () => {
+      const resp = await fetchSaves({ authToken: '' });
+      expect(resp, 'to satisfy', { __httpCode: 401 });
+    });
+
+    it('should return saved posts with notes', async () => {
+      const resp = await fetchSaves(luna);
+      expect(resp, 'to satisfy', {
+        __httpCode: 200,
+        timelines:  { name: 'Saves', posts: [marsPost2.id, marsPost1.id] },
+        posts:      expect.it('to have an item satisfying', { id: marsPost1.id, isSaved: true, savedNote: 'Read later' })
+          .and('to have an item satisfying', { id: marsPost2.id, isSaved: true, savedNote: null }),
+      });
+    });
+
+    it('should not return posts saved by other users', async () => {
+      await savePost(venus, marsPost1.id);
+      const resp = await fetchSaves(venus);
+      expect(resp.timelines.posts, 'to equal', [marsPost1.id]);
+    });
+
+    it('should not return unsaved post', async () => {
+      await unsavePost(luna, marsPost1.id);
+      const resp = await fetchSaves(luna);
+      expect(resp.timelines.posts, 'to equal', [marsPost2.id]);
+    });
+
+    it('should mark saved post in other timelines only for the saver', async () => {
+      const lunaResp = await performJSONRequest('GET', `/v2/timelines/${mars.username}`, null, authHeader(luna));
+      expect(lunaResp.posts, 'to have an item satisfying', { id: marsPost1.id, isSaved: true });
+
+      const venusResp = await performJSONRequest('GET', `/v2/timelines/${mars.username}`, null, authHeader(venus));
+      expect(venusResp.posts, 'to have items satisfying', { isSaved: undefined, savedNote: undefined });
+    });
+
+    it('should mark saved post in the single post response', async () => {
+      const resp = await performJSONRequest('GET', `/v2/posts/${marsPost1.id}`, null, authHeader(luna));
+      expect(resp.posts, 'to satisfy', { isSaved: true, savedNote: 'Read later' });
+    });
+
+    it('should not show saved posts in Likes timeline', async () => {
+      await like(marsPost2.id, luna.authToken);
+      const resp = await performJSONRequest('GET', `/v2/timelines/${luna.username}/likes`);
+      expect(resp.timelines.posts, 'to equal', [marsPost2.id]);
+    });
+
+    it('should not return saved posts that became invisible', async () => {
+      await goPrivate(mars);
+      const resp = await fetchSaves(luna);
+      expect(resp.timelines.posts, 'to equal', []);
+    });
+  });
+});
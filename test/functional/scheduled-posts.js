@@ -0,0 +1,203 @@
+/* eslint-env node, mocha */
+/* global $pg_database */
+import expect from 'unexpected';
+
+import cleanDB from '../dbCleaner';
+import { getSingleton } from '../../app/app';
+import { DummyPublisher } from '../../app/pubsub';
+import { PubSub } from '../../app/models';
+import { publishScheduledPosts } from '../../app/support/ScheduledPosts';
+import {
+  createTestUsers,
+  createGroupAsync,
+  subscribeToAsync,
+  unsubscribeFromAsync,
+  getUserFeed,
+  performJSONRequest,
+} from './functional_test_helper';
+
+
+describe('Scheduled posts', () => {
+  before(async () => {
+    await getSingleton();
+    PubSub.setPublisher(new DummyPublisher());
+  });
+
+  beforeEach(() => cleanDB($pg_database));
+
+  let luna, mars;
+
+  beforeEach(async () => {
+    [luna, mars] = await createTestUsers(2);
+  });
+
+  const authHeader = (userCtx) => ({ 'X-Authentication-Token': userCtx.authToken });
+  const inFuture = (minutes = 60) => new Date(Date.now() + (minutes * 60 * 1000)).toISOString();
+  const schedulePost = (userCtx, body, publishAt, feeds = [userCtx.username]) => performJSONRequest(
+    'POST', '/v1/posts', { post: { body }, meta: { feeds, publishAt } }, authHeader(userCtx),
+  );
+  const listScheduled = (userCtx) => performJSONRequest('GET', '/v2/posts/scheduled', null, authHeader(userCtx));
+  const makeDue = (id) => $pg_database.raw(
+    `update scheduled_posts set publish_at = now() - interval '1 minute' where uid = ?`, id,
+  );
+
+  it('should schedule a post', async () => {
+    const publishAt = inFuture();
+    const resp = await schedulePost(luna, 'Hello from the future', publishAt);
+    expect(resp, 'to satisfy', {
+      __httpCode:     200,
+      scheduledPosts: [{ body: 'Hello from the future', feeds: [luna.username], publishAt, status: 'pending' }],
+    });
+  });
+
+  it('should not schedule a post to the past', async () => {
+    const resp = await schedulePost(luna, 'Hello from the past', new Date(Date.now() - 1000).toISOString());
+    expect(resp, 'to satisfy', { __httpCode: 422 });
+  });
+
+  it('should not schedule a post with invalid publication time', async () => {
+    const resp = await schedulePost(luna, 'Hello', 'tomorrow');
+    expect(resp, 'to satisfy', { __httpCode: 422 });
+  });
+
+  it('should not schedule a post to the forbidden destination', async () => {
+    const resp = await schedulePost(luna, 'Hello', inFuture(), [mars.username]);
+    expect(resp, 'to satisfy', { __httpCode: 403 });
+  });
+
+  describe('Luna has a scheduled post', () => {
+    let scheduledPost;
+
+    beforeEach(async () => {
+      ({ scheduledPosts: [scheduledPost] } = await schedulePost(luna, 'Hello from the future', inFuture()));
+    });
+
+    it('should not show scheduled post in feed', async () => {
+      const { posts } = await getUserFeed(luna, luna);
+      expect(posts, 'to be empty');
+    });
+
+    it('should list scheduled posts', async () => {
+      const resp = await listScheduled(luna);
+      expect(resp, 'to satisfy', { __httpCode: 200, scheduledPosts: [{ id: scheduledPost.id }] });
+    });
+
+    it('should not list Luna scheduled posts to Mars', async () => {
+      const resp = await listScheduled(mars);
+      expect(resp, 'to satisfy', { __httpCode: 200, scheduledPosts: [] });
+    });
+
+    it('should not show Luna scheduled post to Mars', async () => {
+      const resp = await performJSONRequest('GET', `/v2/posts/scheduled/${scheduledPost.id}`, null, authHeader(mars));
+      expect(resp, 'to satisfy', { __httpCode: 403 });
+    });
+
+    it('should update scheduled post', async () => {
+      const publishAt = inFuture(120);
+      const resp = await performJSONRequest(
+        'PUT', `/v2/posts/scheduled/${scheduledPost.id}`,
+        { scheduledPost: { body: 'Updated', publishAt } },
+        authHeader(luna),
+      );
+      expect(resp, 'to satisfy', { __httpCode: 200, scheduledPosts: [{ body: 'Updated', publishAt }] });
+    });
+
+    it('should cancel scheduled post', async () => {
+      const resp = await performJSONRequest('DELETE', `/v2/posts/scheduled/${scheduledPost.id}`, null, authHeader(luna));
+      expect(resp, 'to satisfy', { __httpCode: 200 });
+      expect(await listScheduled(luna), 'to satisfy', { scheduledPosts: [] });
+    });
+
+    it('should not publish post before its time', async () => {
+      await publishScheduledPosts();
+      const { posts } = await getUserFeed(luna, luna);
+      expect(posts, 'to be empty');
+    });
+
+    it('should publish post when its time has come', async () => {
+      await makeDue(scheduledPost.id);
+      await publishScheduledPosts();
+
+      const { posts } = await getUserFeed(luna, luna);
+      expect(posts, 'to satisfy', [{ body: 'Hello from the future' }]);
+      expect(await listScheduled(luna), 'to satisfy', { scheduledPosts: [] });
+    });
+  });
+
+  describe('Luna scheduled post is claimed by the publishing worker', () => {
+    let scheduledPost;
+
+    beforeEach(async () => {
+      ({ scheduledPosts: [scheduledPost] } = await schedulePost(luna, 'Hello from the future', inFuture()));
+      await makeDue(scheduledPost.id);
+    });
+
+    const claim = (id, minutesAgo) => $pg_database.raw(
+      `update scheduled_posts set status = 'publishing', claimed_at = now() - :minutesAgo * interval '1 minute' where uid = :id`,
+      { id, minutesAgo },
+    );
+    const cancelScheduled = (id) => performJSONRequest('DELETE', `/v2/posts/scheduled/${id}`, null, authHeader(luna));
+
+    describe('the claim is fresh', () => {
+      beforeEach(() => claim(scheduledPost.id, 1));
+
+      it('should not allow to cancel post', async () => {
+        expect(await cancelScheduled(scheduledPost.id), 'to satisfy', { __httpCode: 403 });
+      });
+
+      it('should not publish post again', async () => {
+        await publishScheduledPosts();
+        const { posts } = await getUserFeed(luna, luna);
+        expect(posts, 'to be empty');
+      });
+    });
+
+    describe('the claim is stale (the worker crashed)', () => {
+      beforeEach(() => claim(scheduledPost.id, 60));
+
+      it('should allow to cancel post', async () => {
+        expect(await cancelScheduled(scheduledPost.id), 'to satisfy', { __httpCode: 200 });
+        expect(await listScheduled(luna), 'to satisfy', { scheduledPosts: [] });
+      });
+
+      it('should publish post by the next worker', async () => {
+        await publishScheduledPosts();
+        const { posts } = await getUserFeed(luna, luna);
+        expect(posts, 'to satisfy', [{ body: 'Hello from the future' }]);
+        expect(await listScheduled(luna), 'to satisfy', { scheduledPosts: [] });
+      });
+    });
+  });
+
+  describe('Luna scheduled a post to the Mars group', () => {
+    let scheduledPost;
+
+    beforeEach(async () => {
+      await createGroupAsync(mars, 'celestials');
+      await subscribeToAsync(luna, { username: 'celestials' });
+      ({ scheduledPosts: [scheduledPost] } = await schedulePost(luna, 'Hello, celestials', inFuture(), ['celestials']));
+    });
+
+    it('should mark post as failed if Luna left the group', async () => {
+      await unsubscribeFromAsync(luna, { username: 'celestials' });
+      await makeDue(scheduledPost.id);
+      await publishScheduledPosts();
+
+      expect(await listScheduled(luna), 'to satisfy', {
+        scheduledPosts: [{
+          id:     scheduledPost.id,
+          status: 'failed',
+          error:  expect.it('to be a string'),
+        }]
+      });
+    });
+
+    it('should publish the post to the group', async () => {
+      await makeDue(scheduledPost.id);
+      await publishScheduledPosts();
+
+      const { posts } = await getUserFeed({ username: 'celestials' }, luna);
+      expect(posts, 'to satisfy', [{ body: 'Hello, celestials' }]);
+    });
+  });
+});
@@ -56,6 +56,8 @@ const postBasic = {
   commentsDisabled:       expect.it('to satisfy', boolString),
   createdAt:              expect.it('to satisfy', timeStampString),
   updatedAt:              expect.it('to satisfy', timeStampString),
+  editedAt:               expect.it('to be null').or('to satisfy', timeStampString),
+  revisionsCount:         expect.it('to be a number'),
   createdBy:              expect.it('to satisfy', UUID),
   postedTo:               expect.it('to be an array').and('to be empty').or('to have items satisfying', UUID),
   attachments:            expect.it('to be an array').and('to be empty').or('to have items satisfying', UUID),
@@ -80,17 +82,24 @@ export const post = (obj) => {
     tpl.friendfeedUrl = expect.it('to be a string');
   }
 
+  if (obj && typeof obj === 'object' && obj.reactions) {
+    // Posts collections (search, summary) include the reactions
+    tpl.reactions = expect.it('to be an array');
+  }
+
   return expect(obj, 'to exhaustively satisfy', tpl);
 };
 
 const commentBasic = {
-  id:         expect.it('to satisfy', UUID),
-  body:       expect.it('to be a string'),
-  createdAt:  expect.it('to satisfy', timeStampString),
-  updatedAt:  expect.it('to satisfy', timeStampString),
-  hideType:   expect.it('to be greater than or equal to', Comment.VISIBLE),
-  likes:      expect.it('to be a number'),
-  hasOwnLike: expect.it('to be a boolean'),
+  id:             expect.it('to satisfy', UUID),
+  body:           expect.it('to be a string'),
+  createdAt:      expect.it('to satisfy', timeStampString),
+  updatedAt:      expect.it('to satisfy', timeStampString),
+  editedAt:       expect.it('to be null').or('to satisfy', timeStampString),
+  revisionsCount: expect.it('to be a number'),
+  hideType:       expect.it('to be greater than or equal to', Comment.VISIBLE),
+  likes:          expect.it('to be a number'),
+  hasOwnLike:     expect.it('to be a boolean'),
 };
 
 export const comment = (obj) => {
@@ -107,7 +116,7 @@ const attachmentCommons = {
   createdAt:    expect.it('to satisfy', timeStampString),
   updatedAt:    expect.it('to satisfy', timeStampString),
   createdBy:    expect.it('to satisfy', UUID),
-  mediaType:    expect.it('to be one of', ['image', 'audio', 'general']),
+  mediaType:    expect.it('to be one of', ['image', 'audio', 'video', 'general']),
   fileName:     expect.it('to be a string'),
   fileSize:     expect.it('to be a string').and('to match', /^\d+$/),
   imageSizes:   expect.it('to be an object'),
@@ -120,9 +129,11 @@ export const attachmentImage = {
   mediaType:  expect.it('to equal', 'image'),
   imageSizes: expect.it('to have keys satisfying', 'to be one of', ['o', 't', 't2'])
     .and('to have values exhaustively satisfying', {
-      w:   expect.it('to be a number'),
-      h:   expect.it('to be a number'),
-      url: expect.it('to be a string'),
+      w:           expect.it('to be a number'),
+      h:           expect.it('to be a number'),
+      url:         expect.it('to be a string'),
+      // JPEG copy of the WebP, AVIF and HEIC originals
+      fallbackUrl: expect.it('to be undefined').or('to be a string'),
     }),
 };
 
@@ -134,6 +145,19 @@ export const attachmentAudio = {
   imageSizes: expect.it('to be empty'),
 };
 
+export const attachmentVideo = {
+  ...attachmentCommons,
+  mediaType:  expect.it('to equal', 'video'),
+  duration:   expect.it('to be a number').or('to be null'),
+  videoCodec: expect.it('to be a string').or('to be null'),
+  imageSizes: expect.it('to have keys satisfying', 'to be one of', ['o', 't', 't2'])
+    .and('to have values exhaustively satisfying', {
+      w:   expect.it('to be a number'),
+      h:   expect.it('to be a number'),
+      url: expect.it('to be a string'),
+    }),
+};
+
 export const attachmentGeneral = {
   ...attachmentCommons,
   mediaType:  expect.it('to equal', 'general'),
@@ -144,6 +168,7 @@ const properAttachmentType = (obj) => {
   switch (obj.mediaType) {
     case 'image':   return expect(obj, 'to exhaustively satisfy', attachmentImage);
     case 'audio':   return expect(obj, 'to exhaustively satisfy', attachmentAudio);
+    case 'video':   return expect(obj, 'to exhaustively satisfy', attachmentVideo);
     case 'general': return expect(obj, 'to exhaustively satisfy', attachmentGeneral);
   }
 
@@ -171,7 +196,7 @@ export const postResponse = {
 export const timelineResponse = {
   timelines: expect.it('to exhaustively satisfy', {
     id:          expect.it('to satisfy', UUID),
-    name:        expect.it('to be one of', ['RiverOfNews', 'Hides', 'Comments', 'Likes', 'Posts', 'Directs', 'MyDiscussions']),
+    name:        expect.it('to be one of', ['RiverOfNews', 'Hides', 'Comments', 'Likes', 'Posts', 'Directs', 'MyDiscussions', 'Saves']),
     user:        expect.it('to satisfy', UUID),
     posts:       expect.it('to be an array').and('to be empty').or('to have items satisfying', UUID),
     subscribers: expect.it('to be an array').and('to be empty').or('to have items satisfying', UUID),
@@ -0,0 +1,103 @@
+/* eslint-env node, mocha */
+/* global $pg_database */
+import expect from 'unexpected';
+import parseXML from 'xml-parser';
+
+import cleanDB from '../dbCleaner';
+import { load as configLoader } from '../../config/config';
+import {
+  createTestUsers,
+  createAndReturnPost,
+  createAndReturnPostToFeed,
+  createGroupAsync,
+  goProtected,
+  groupToProtected,
+  performRequest,
+} from './functional_test_helper';
+
+
+const config = configLoader();
+
+describe('Search results as RSS', () => {
+  beforeEach(() => cleanDB($pg_database));
+
+  let luna, mars, celestials;
+
+  beforeEach(async () => {
+    [luna, mars] = await createTestUsers(2);
+    celestials = await createGroupAsync(luna, 'celestials', 'Celestials');
+    await createAndReturnPost(luna, 'Hello from #freefeeddev');
+    await createAndReturnPost(mars, 'Hello from Mars, #freefeeddev');
+    await createAndReturnPost(mars, 'Just a release');
+    await createAndReturnPostToFeed(celestials, luna, 'The release is coming');
+  });
+
+  it('should return RSS for the hashtag', async () => {
+    const { channel, items } = await fetchRSS('/v2/hashtags-rss/freefeeddev');
+    expect(channel.children, 'to have an item satisfying', { name: 'title', content: 'Search results for "#freefeeddev" @ FreeFeed.net' });
+    expect(items, 'to have length', 2);
+  });
+
+  it('should return RSS for the search query', async () => {
+    const { items } = await fetchRSS(`/v2/search-rss?qs=${encodeURIComponent('release')}`);
+    expect(items, 'to have length', 2);
+  });
+
+  it('should return RSS for the search query in group', async () => {
+    const { items } = await fetchRSS(`/v2/search-rss?qs=${encodeURIComponent('group:celestials "release"')}`);
+    expect(items, 'to have length', 1);
+    expect(items[0].children, 'to have an item satisfying', { name: 'title', content: `${luna.username}: The release is coming` });
+    expect(items[0].children, 'to have an item satisfying', {
+      name:    'link',
+      content: expect.it('to begin with', `${config.host}/${celestials.username}/`),
+    });
+  });
+
+  it('should not return RSS without query', async () => {
+    const response = await performRequest('/v2/search-rss');
+    expect(response.status, 'to be', 400);
+  });
+
+  it('should not show posts of protected user to anonymous', async () => {
+    await goProtected(mars);
+    const { items } = await fetchRSS('/v2/hashtags-rss/freefeeddev');
+    expect(items, 'to have length', 1);
+  });
+
+  it('should show posts of protected user to the signed in user', async () => {
+    await goProtected(mars);
+    const { items } = await fetchRSS('/v2/hashtags-rss/freefeeddev', luna);
+    expect(items, 'to have length', 2);
+  });
+
+  it('should not show posts of protected group to anonymous', async () => {
+    await groupToProtected(celestials, luna);
+    const response = await performRequest(`/v2/search-rss?qs=${encodeURIComponent('group:celestials release')}`);
+    expect(response.status, 'to be', 403);
+  });
+
+  it('should return ETag header', async () => {
+    const response = await performRequest('/v2/hashtags-rss/freefeeddev');
+    expect(response.headers.get('ETag'), 'to be a string');
+  });
+});
+
+async function fetchRSS(path, viewerContext = null) {
+  const headers = {};
+
+  if (viewerContext) {
+    headers['X-Authentication-Token'] = viewerContext.authToken;
+  }
+
+  const response = await performRequest(path, { headers });
+
+  if (response.status !== 200) {
+    const { err } = await response.json();
+    expect.fail('HTTP error (code {0}): {1}', response.status, err);
+  }
+
+  expect(response.headers.get('Content-Type'), 'to be', 'application/xml');
+  const { root } = parseXML(await response.text());
+  const channel = root.children.find(({ name }) => name === 'channel');
+  return { channel, items: channel.children.filter(({ name }) => name === 'item') };
+}
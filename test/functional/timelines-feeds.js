@@ -0,0 +1,271 @@
+/* eslint-env node, mocha */
+/* global $pg_database */
+import expect from 'unexpected';
+import parseXML from 'xml-parser';
+import { unescape as htmlUnescape } from 'lodash';
+
+import cleanDB from '../dbCleaner';
+import { load as configLoader } from '../../config/config';
+import { textToHTML } from '../../app/support/rss-text-parser';
+import {
+  createUserAsync,
+  performRequest,
+  updateUserAsync,
+  createAndReturnPost,
+  createMockAttachmentAsync,
+  updatePostAsync,
+  createGroupAsync,
+  createAndReturnPostToFeed,
+  createCommentAsync,
+  deletePostAsync,
+  goPrivate,
+} from './functional_test_helper';
+
+
+const config = configLoader();
+
+describe('TimelinesAsAtomAndJSONFeed', () => {
+  beforeEach(() => cleanDB($pg_database));
+
+  let luna;
+  beforeEach(async () => {
+    luna = await createUserAsync('luna', 'pw');
+    await updateUserAsync(luna, { description: 'I am Luna!' });
+  });
+
+  describe('Atom', () => {
+    it('should return a basic empty Atom feed for Luna', async () => {
+      const resp = parseXML(await fetchFeed('atom', luna));
+      expect(resp.root, 'to satisfy', {
+        name:       'feed',
+        attributes: { xmlns: 'http://www.w3.org/2005/Atom' },
+      });
+      expect(resp.root.children, 'to satisfy', [
+        { name: 'id', content: `${config.host}/${luna.username}` },
+        { name: 'title', content: `Posts of ${luna.username} @ FreeFeed.net` },
+        { name: 'subtitle', content: 'I am Luna!' },
+        { name: 'link', attributes: { rel: 'alternate', href: `${config.host}/${luna.username}` } },
+        { name: 'link', attributes: { rel: 'self', href: `${config.host}/v2/timelines-atom/${luna.username}` } },
+        { name: 'updated', content: expect.it('to be a string') },
+        { name: 'icon', content: config.profilePictures.defaultProfilePictureMediumUrl },
+      ]);
+    });
+
+    it('should return Atom feed with a post', async () => {
+      const post = await createAndReturnPost(luna, 'Tiger, tiger, burning bright');
+      const resp = parseXML(await fetchFeed('atom', luna));
+      const entries = resp.root.children.filter(({ name }) => name === 'entry');
+
+      expect(entries, 'to have length', 1);
+      expect(entries[0].children, 'to satisfy', [
+        { name: 'id', content: `urn:uuid:${post.id}` },
+        { name: 'title', content: 'Tiger, tiger, burning bright' },
+        { name: 'link', attributes: { rel: 'alternate', href: `${config.host}/${luna.username}/${post.id}` } },
+        { name: 'published', content: new Date(+post.createdAt).toISOString() },
+        { name: 'updated', content: new Date(+post.createdAt).toISOString() },
+        {
+          name:     'author',
+          children: [
+            { name: 'name', content: luna.username },
+            { name: 'uri', content: `${config.host}/${luna.username}` },
+          ],
+        },
+        { name: 'content', attributes: { type: 'html' } },
+      ]);
+
+      const content = htmlUnescape(findNode(entries[0], 'content').content);
+      expect(content, 'to contain', textToHTML(post.body));
+    });
+
+    it('should return Atom feed with a post with attachments', async () => {
+      const att = await createMockAttachmentAsync(luna);
+      const post = await createAndReturnPost(luna, 'Tiger, tiger, burning bright');
+      luna.post = post;
+      await updatePostAsync(luna, { body: post.body, attachments: [att.id] });
+
+      const resp = parseXML(await fetchFeed('atom', luna));
+      const entry = findNode(resp.root, 'entry');
+      expect(entry.children, 'to have an item satisfying', {
+        name:       'link',
+        attributes: {
+          rel:    'enclosure',
+          href:   `${config.host}/attachments/${att.id}`,
+          type:   'image/jpeg',
+          length: `${att.fileSize}`,
+        },
+      });
+    });
+  });
+
+  describe('JSON Feed', () => {
+    it('should return a basic empty JSON Feed for Luna', async () => {
+      const feed = JSON.parse(await fetchFeed('json', luna));
+      expect(feed, 'to equal', {
+        version:       'https://jsonfeed.org/version/1.1',
+        title:         `Posts of ${luna.username} @ FreeFeed.net`,
+        home_page_url: `${config.host}/${luna.username}`,
+        feed_url:      `${config.host}/v2/timelines-json/${luna.username}`,
+        description:   'I am Luna!',
+        icon:          config.profilePictures.defaultProfilePictureMediumUrl,
+        authors:       [{
+          name:   luna.username,
+          url:    `${config.host}/${luna.username}`,
+          avatar: config.profilePictures.defaultProfilePictureMediumUrl,
+        }],
+        items: [],
+      });
+    });
+
+    it('should return JSON Feed with a post with attachments', async () => {
+      const att = await createMockAttachmentAsync(luna);
+      const post = await createAndReturnPost(luna, 'Tiger, tiger, burning bright');
+      luna.post = post;
+      await updatePostAsync(luna, { body: post.body, attachments: [att.id] });
+
+      const feed = JSON.parse(await fetchFeed('json', luna));
+      expect(feed.items, 'to satisfy', [{
+        id:             post.id,
+        url:            `${config.host}/${luna.username}/${post.id}`,
+        title:          'Tiger, tiger, burning bright',
+        content_html:   expect.it('to contain', textToHTML(post.body)),
+        date_published: new Date(+post.createdAt).toISOString(),
+        authors:        [{ name: luna.username }],
+        attachments:    [{
+          url:           `${config.host}/attachments/${att.id}`,
+          mime_type:     'image/jpeg',
+          size_in_bytes: +att.fileSize,
+        }],
+      }]);
+    });
+
+    it('should prefix group post titles with the author name', async () => {
+      const celestials = await createGroupAsync(luna, 'celestials', 'Celestials');
+      await createAndReturnPostToFeed(celestials, luna, 'Tiger, tiger, burning bright');
+
+      const feed = JSON.parse(await fetchFeed('json', celestials));
+      expect(feed, 'to satisfy', {
+        title: `Posts in group ${celestials.username} @ FreeFeed.net`,
+        items: [{ title: `${luna.username}: Tiger, tiger, burning bright` }],
+      });
+    });
+
+    it('should not show private posts to anonymous', async () => {
+      await createAndReturnPost(luna, 'Tiger, tiger, burning bright');
+      await goPrivate(luna);
+
+      const response = await performRequest(`/v2/timelines-json/${luna.username}`);
+      const feed = await response.json();
+      expect(feed, 'to satisfy', { items: [] });
+    });
+  });
+
+  describe('Conditional GET', () => {
+    for (const format of ['rss', 'atom', 'json']) {
+      describe(`${format} format`, () => {
+        beforeEach(() => createAndReturnPost(luna, 'Tiger, tiger, burning bright'));
+
+        it('should return ETag header', async () => {
+          const response = await performRequest(`/v2/timelines-${format}/${luna.username}`);
+          expect(response.status, 'to be', 200);
+          expect(response.headers.get('ETag'), 'to be a string');
+        });
+
+        it('should not return Last-Modified header', async () => {
+          const response = await performRequest(`/v2/timelines-${format}/${luna.username}`);
+          expect(response.headers.get('Last-Modified'), 'to be null');
+
+          const response2 = await performRequest(
+            `/v2/timelines-${format}/${luna.username}`,
+            { headers: { 'If-Modified-Since': new Date().toUTCString() } },
+          );
+          expect(response2.status, 'to be', 200);
+        });
+
+        it('should return 304 for the matching If-None-Match', async () => {
+          const response = await performRequest(`/v2/timelines-${format}/${luna.username}`);
+          const etag = response.headers.get('ETag');
+
+          const response2 = await performRequest(
+            `/v2/timelines-${format}/${luna.username}`,
+            { headers: { 'If-None-Match': etag } },
+          );
+          expect(response2.status, 'to be', 304);
+        });
+
+        it('should return 200 after the new comment of the feed author', async () => {
+          const post = await createAndReturnPost(luna, 'In the forests of the night');
+          const response = await performRequest(`/v2/timelines-${format}/${luna.username}`);
+          const etag = response.headers.get('ETag');
+
+          await createCommentAsync(luna, post.id, 'What immortal hand or eye');
+
+          const response2 = await performRequest(
+            `/v2/timelines-${format}/${luna.username}`,
+            { headers: { 'If-None-Match': etag } },
+          );
+          expect(response2.status, 'to be', 200);
+        });
+
+        it('should return 200 after the post deletion', async () => {
+          const post = await createAndReturnPost(luna, 'In the forests of the night');
+          const response = await performRequest(`/v2/timelines-${format}/${luna.username}`);
+          const etag = response.headers.get('ETag');
+
+          await deletePostAsync(luna, post.id);
+
+          const response2 = await performRequest(
+            `/v2/timelines-${format}/${luna.username}`,
+            { headers: { 'If-None-Match': etag } },
+          );
+          expect(response2.status, 'to be', 200);
+        });
+
+        it('should return 200 after the new post', async () => {
+          const response = await performRequest(`/v2/timelines-${format}/${luna.username}`);
+          const etag = response.headers.get('ETag');
+
+          await createAndReturnPost(luna, 'In the forests of the night');
+
+          const response2 = await performRequest(
+            `/v2/timelines-${format}/${luna.username}`,
+            { headers: { 'If-None-Match': etag } },
+          );
+          expect(response2.status, 'to be', 200);
+        });
+      });
+    }
+  });
+});
+
+const feedContentTypes = {
+  atom: 'application/atom+xml',
+  json: 'application/feed+json',
+};
+
+async function fetchFeed(format, userContext) {
+  const response = await performRequest(`/v2/timelines-${format}/${userContext.username}`);
+
+  if (response.status !== 200) {
+    const { err } = await response.json();
+    expect.fail('HTTP error (code {0}): {1}', response.status, err);
+  }
+
+  expect(response.headers.get('Content-Type'), 'to be', feedContentTypes[format]);
+  return await response.text();
+}
+
+function findNode(node, nodeName) {
+  if (node.name === nodeName) {
+    return node;
+  }
+
+  for (const child of node.children) {
+    const found = findNode(child, nodeName);
+
+    if (found) {
+      return found;
+    }
+  }
+
+  return null;
+}
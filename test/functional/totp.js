@@ -0,0 +1,182 @@
+/* eslint-env node, mocha */
+/* global $pg_database */
+import expect from 'unexpected';
+
+import cleanDB from '../dbCleaner';
+import { getSingleton } from '../../app/app';
+import { DummyPublisher } from '../../app/pubsub';
+import { PubSub, dbAdapter } from '../../app/models';
+import { getCode, getCurrentCounter } from '../../app/support/totp';
+import {
+  createTestUser,
+  performJSONRequest,
+} from './functional_test_helper';
+
+
+describe('Two-factor authentication', () => {
+  before(async () => {
+    await getSingleton();
+    PubSub.setPublisher(new DummyPublisher());
+  });
+
+  beforeEach(() => cleanDB($pg_database));
+
+  let luna;
+
+  beforeEach(async () => {
+    luna = await createTestUser();
+  });
+
+  const authHeader = (authToken) => ({ 'X-Authentication-Token': authToken });
+  const totpRequest = (method, path, body = null) => performJSONRequest(method, path, body, authHeader(luna.authToken));
+  const signIn = (username, password) => performJSONRequest('POST', '/v1/session', { username, password });
+  const completeSignIn = (challengeToken, code) => performJSONRequest('POST', '/v1/session/second-factor', { challengeToken, code });
+  // Every code can be used only once, so the tests use the codes from the "future" time steps
+  const codeFor = (secret, shift = 0) => getCode(secret, getCurrentCounter() + shift);
+
+  it('should be disabled by default', async () => {
+    const resp = await totpRequest('GET', '/v2/totp');
+    expect(resp, 'to satisfy', { __httpCode: 200, enabled: false });
+  });
+
+  it('should not start enrolment with invalid password', async () => {
+    const resp = await totpRequest('POST', '/v2/totp', { password: 'wrong' });
+    expect(resp, 'to satisfy', { __httpCode: 403 });
+  });
+
+  it('should start enrolment', async () => {
+    const resp = await totpRequest('POST', '/v2/totp', { password: luna.password });
+    expect(resp, 'to satisfy', {
+      __httpCode:      200,
+      secret:          expect.it('to match', /^[A-Z2-7]+$/),
+      provisioningURI: expect.it('to begin with', 'otpauth://totp/'),
+    });
+  });
+
+  it('should not enable with invalid code', async () => {
+    const { secret } = await totpRequest('POST', '/v2/totp', { password: luna.password });
+    const code = String((Number(codeFor(secret)) + 1) % 1000000).padStart(6, '0');
+    const resp = await totpRequest('POST', '/v2/totp/enable', { code });
+    expect(resp, 'to satisfy', { __httpCode: 403 });
+  });
+
+  it('should sign in without second factor when enrolment is not completed', async () => {
+    await totpRequest('POST', '/v2/totp', { password: luna.password });
+    const resp = await signIn(luna.username, luna.password);
+    expect(resp, 'to satisfy', { __httpCode: 200, authToken: expect.it('to be a string') });
+  });
+
+  describe('Luna enabled two-factor authentication', () => {
+    let secret, recoveryCodes;
+
+    beforeEach(async () => {
+      ({ secret } = await totpRequest('POST', '/v2/totp', { password: luna.password }));
+      ({ recoveryCodes } = await totpRequest('POST', '/v2/totp/enable', { code: codeFor(secret, -1) }));
+    });
+
+    it('should return recovery codes', () => {
+      expect(recoveryCodes, 'to have length', 10);
+    });
+
+    it('should report status', async () => {
+      const resp = await totpRequest('GET', '/v2/totp');
+      expect(resp, 'to satisfy', { __httpCode: 200, enabled: true, recoveryCodesLeft: 10 });
+    });
+
+    it('should not allow to start enrolment again', async () => {
+      const resp = await totpRequest('POST', '/v2/totp', { password: luna.password });
+      expect(resp, 'to satisfy', { __httpCode: 403 });
+    });
+
+    it('should return challenge instead of auth token on sign in', async () => {
+      const resp = await signIn(luna.username, luna.password);
+      expect(resp, 'to satisfy', {
+        __httpCode:           401,
+        secondFactorRequired: true,
+        challengeToken:       expect.it('to be a string'),
+        authToken:            undefined,
+      });
+    });
+
+    it('should not accept challenge token as auth token', async () => {
+      const { challengeToken } = await signIn(luna.username, luna.password);
+      const resp = await performJSONRequest('GET', '/v2/users/whoami', null, authHeader(challengeToken));
+      expect(resp, 'to satisfy', { __httpCode: 401 });
+    });
+
+    it('should sign in with the valid code', async () => {
+      const { challengeToken } = await signIn(luna.username, luna.password);
+      const resp = await completeSignIn(challengeToken, codeFor(secret));
+      expect(resp, 'to satisfy', { __httpCode: 200, authToken: expect.it('to be a string') });
+    });
+
+    it('should not accept the same code twice', async () => {
+      const code = codeFor(secret);
+      const { challengeToken } = await signIn(luna.username, luna.password);
+      await completeSignIn(challengeToken, code);
+      const resp = await completeSignIn(challengeToken, code);
+      expect(resp, 'to satisfy', { __httpCode: 401 });
+    });
+
+    it('should not sign in with the code used for enabling', async () => {
+      const { challengeToken } = await signIn(luna.username, luna.password);
+      const resp = await completeSignIn(challengeToken, codeFor(secret, -1));
+      expect(resp, 'to satisfy', { __httpCode: 401 });
+    });
+
+    it('should sign in with the recovery code only once', async () => {
+      const { challengeToken } = await signIn(luna.username, luna.password);
+      const resp1 = await completeSignIn(challengeToken, recoveryCodes[0]);
+      expect(resp1, 'to satisfy', { __httpCode: 200 });
+      const resp2 = await completeSignIn(challengeToken, recoveryCodes[0]);
+      expect(resp2, 'to satisfy', { __httpCode: 401 });
+
+      const status = await totpRequest('GET', '/v2/totp');
+      expect(status, 'to satisfy', { recoveryCodesLeft: 9 });
+    });
+
+    it('should regenerate recovery codes', async () => {
+      const resp = await totpRequest('POST', '/v2/totp/recovery-codes', { code: codeFor(secret) });
+      expect(resp, 'to satisfy', { __httpCode: 200, recoveryCodes: expect.it('to have length', 10) });
+
+      const { challengeToken } = await signIn(luna.username, luna.password);
+      expect(await completeSignIn(challengeToken, recoveryCodes[0]), 'to satisfy', { __httpCode: 401 });
+      expect(await completeSignIn(challengeToken, resp.recoveryCodes[0]), 'to satisfy', { __httpCode: 200 });
+    });
+
+    it('should disable two-factor authentication', async () => {
+      const resp = await totpRequest('POST', '/v2/totp/disable', { code: codeFor(secret) });
+      expect(resp, 'to satisfy', { __httpCode: 200 });
+
+      const signInResp = await signIn(luna.username, luna.password);
+      expect(signInResp, 'to satisfy', { __httpCode: 200, authToken: expect.it('to be a string') });
+    });
+
+    describe('Password reset', () => {
+      let resetToken;
+
+      beforeEach(async () => {
+        const user = await dbAdapter.getUserById(luna.user.id);
+        resetToken = await user.updateResetPasswordToken();
+      });
+
+      const resetPassword = (code) => performJSONRequest(
+        'PUT',
+        `/v1/passwords/${resetToken}`,
+        { newPassword: 'new-password', passwordConfirmation: 'new-password', code },
+      );
+
+      it('should not reset password without second factor code', async () => {
+        const resp = await resetPassword(undefined);
+        expect(resp, 'to satisfy', { __httpCode: 403, secondFactorRequired: true });
+        expect(await signIn(luna.username, 'new-password'), 'to satisfy', { __httpCode: 401, err: expect.it('not to contain', 'Second factor') });
+      });
+
+      it('should reset password with second factor code and keep it enabled', async () => {
+        const resp = await resetPassword(codeFor(secret));
+        expect(resp, 'to satisfy', { __httpCode: 200 });
+        expect(await signIn(luna.username, 'new-password'), 'to satisfy', { __httpCode: 401, secondFactorRequired: true });
+      });
+    });
+  });
+});
@@ -0,0 +1,129 @@
+/* eslint-env node, mocha */
+/* global $pg_database */
+import expect from 'unexpected';
+
+import cleanDB from '../dbCleaner';
+import {
+  createTestUsers,
+  createAndReturnPost,
+  createCommentAsync,
+  createGroupAsync,
+  getUserEvents,
+  like,
+  mutualSubscriptions,
+  performJSONRequest,
+} from './functional_test_helper';
+
+
+describe('User mutes', () => {
+  beforeEach(() => cleanDB($pg_database));
+
+  let luna, mars, venus;
+
+  beforeEach(async () => {
+    [luna, mars, venus] = await createTestUsers(3);
+    await mutualSubscriptions([luna, mars, venus]);
+  });
+
+  const authHeader = (userCtx) => ({ 'X-Authentication-Token': userCtx.authToken });
+  const mute = (userCtx, username) => performJSONRequest('POST', `/v2/users/${username}/mute`, null, authHeader(userCtx));
+  const unmute = (userCtx, username) => performJSONRequest('POST', `/v2/users/${username}/unmute`, null, authHeader(userCtx));
+  const fetchTimeline = (userCtx, path) => performJSONRequest('GET', `/v2/timelines/${path}`, null, authHeader(userCtx));
+
+  describe('Mutes management', () => {
+    it('should not allow anonymous to mute', async () => {
+      const resp = await performJSONRequest('POST', `/v2/users/${mars.username}/mute`);
+      expect(resp, 'to satisfy', { __httpCode: 401 });
+    });
+
+    it('should mute user', async () => {
+      const resp = await mute(luna, mars.username);
+      expect(resp, 'to satisfy', { __httpCode: 200 });
+
+      const { users } = await performJSONRequest('GET', '/v2/users/mutedByMe', null, authHeader(luna));
+      expect(users, 'to satisfy', [{ id: mars.user.id }]);
+    });
+
+    it('should not mute user twice', async () => {
+      await mute(luna, mars.username);
+      const resp = await mute(luna, mars.username);
+      expect(resp, 'to satisfy', { __httpCode: 403 });
+    });
+
+    it('should not mute self', async () => {
+      const resp = await mute(luna, luna.username);
+      expect(resp, 'to satisfy', { __httpCode: 403 });
+    });
+
+    it('should not mute group', async () => {
+      await createGroupAsync(mars, 'celestials');
+      const resp = await mute(luna, 'celestials');
+      expect(resp, 'to satisfy', { __httpCode: 403 });
+    });
+
+    it('should unmute user', async () => {
+      await mute(luna, mars.username);
+      const resp = await unmute(luna, mars.username);
+      expect(resp, 'to satisfy', { __httpCode: 200 });
+
+      const { users } = await performJSONRequest('GET', '/v2/users/mutedByMe', null, authHeader(luna));
+      expect(users, 'to be empty');
+    });
+
+    it('should not unmute not muted user', async () => {
+      const resp = await unmute(luna, mars.username);
+      expect(resp, 'to satisfy', { __httpCode: 403 });
+    });
+  });
+
+  describe('Luna muted Mars', () => {
+    let marsPost, venusPost, lunaPost;
+
+    beforeEach(async () => {
+      marsPost = await createAndReturnPost(mars, 'Mars post');
+      venusPost = await createAndReturnPost(venus, 'Venus post');
+      lunaPost = await createAndReturnPost(luna, 'Luna post');
+      await createCommentAsync(mars, venusPost.id, 'Mars comment');
+      await createCommentAsync(venus, venusPost.id, 'Venus comment');
+      await like(venusPost.id, mars.authToken);
+      await mute(luna, mars.username);
+    });
+
+    it('should not show Mars posts in Luna home feed', async () => {
+      const { timelines: { posts } } = await fetchTimeline(luna, 'home');
+      expect(posts, 'to equal', [venusPost.id, lunaPost.id]);
+    });
+
+    it('should not show Mars comments and likes to Luna', async () => {
+      const { posts, comments } = await fetchTimeline(luna, 'home');
+      const post = posts.find((p) => p.id === venusPost.id);
+      expect(post.likes, 'to be empty');
+      expect(comments, 'to satisfy', [{ body: 'Venus comment' }]);
+    });
+
+    it('should show Mars own timeline to Luna', async () => {
+      const { timelines: { posts } } = await fetchTimeline(luna, mars.username);
+      expect(posts, 'to equal', [marsPost.id]);
+    });
+
+    it('should not affect what Mars can see', async () => {
+      await createCommentAsync(luna, marsPost.id, 'Luna comment');
+      const { timelines: { posts }, comments } = await fetchTimeline(mars, 'home');
+      expect(posts, 'to contain', lunaPost.id, marsPost.id);
+      expect(comments, 'to have an item satisfying', { body: 'Luna comment' });
+    });
+
+    it('should show Mars posts again after unmute', async () => {
+      await unmute(luna, mars.username);
+      const { timelines: { posts } } = await fetchTimeline(luna, 'home');
+      expect(posts, 'to contain', marsPost.id);
+    });
+
+    it('should not show notifications from Mars to Luna', async () => {
+      await createAndReturnPost(mars, 'Hello @luna');
+      await createAndReturnPost(venus, 'Hi @luna');
+      const { Notifications } = await getUserEvents(luna, ['mentions']);
+      expect(Notifications, 'to satisfy', [{ event_type: 'mention_in_post', created_user_id: venus.user.id }]);
+    });
+  });
+});
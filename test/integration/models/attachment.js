@@ -86,6 +86,18 @@ describe('Attachment', () => {
         path: '/tmp/upload_12345678901234567890123456789012_9',
         name: 'sample',
         type: 'audio/mpeg'
+      },
+      webp: {
+        size: 3426,
+        path: '/tmp/upload_12345678901234567890123456789012_10',
+        name: 'test-image.900x300.webp',
+        type: 'image/webp'
+      },
+      smallWebp: {
+        size: 1158,
+        path: '/tmp/upload_12345678901234567890123456789012_11',
+        name: 'test-image.150x150.webp',
+        type: 'image/webp'
       }
     }
 
@@ -163,7 +175,9 @@ describe('Attachment', () => {
         'test-image-sgrb.png':                 '6',
         'test-image-animated.gif':             '7',
         'sample.mp3':                          '8',
-        'sample':                              '9'
+        'sample':                              '9',
+        'test-image.900x300.webp':             '10',
+        'test-image.150x150.webp':             '11'
       };
 
       const srcPrefix = path.resolve(__dirname, '../../fixtures');
@@ -355,6 +369,51 @@ describe('Attachment', () => {
       })
     })
 
+    it('should create a WebP attachment with JPEG thumbnail and fallback', async () => {
+      const newAttachment = await createAndCheckAttachment(files.webp, post, user)
+
+      newAttachment.should.have.a.property('noThumbnail')
+      newAttachment.noThumbnail.should.be.equal('0')
+
+      newAttachment.should.have.property('imageSizes')
+      newAttachment.imageSizes.should.be.deep.equal({
+        o: {
+          w:           900,
+          h:           300,
+          url:         `${config.attachments.url}${config.attachments.path}${newAttachment.id}.webp`,
+          fallbackUrl: `${config.attachments.url}${config.attachments.jpegFallback.path}${newAttachment.id}.jpg`
+        },
+        t: {
+          w:   525,
+          h:   175,
+          url: `${config.attachments.url}${config.attachments.imageSizes.t.path}${newAttachment.id}.jpg`
+        }
+      })
+
+      const thumbnail = await readFile(newAttachment.getResizedImagePath('t'))
+      thumbnail.slice(0, 2).should.be.deep.equal(Buffer.from([0xff, 0xd8]))
+
+      const fallback = await readFile(`${config.attachments.storage.rootDir}${config.attachments.jpegFallback.path}${newAttachment.id}.jpg`)
+      fallback.slice(0, 2).should.be.deep.equal(Buffer.from([0xff, 0xd8]))
+    })
+
+    it('should create a JPEG thumbnail for the small WebP attachment', async () => {
+      const newAttachment = await createAndCheckAttachment(files.smallWebp, post, user)
+
+      newAttachment.should.have.a.property('noThumbnail')
+      newAttachment.noThumbnail.should.be.equal('0')
+
+      newAttachment.imageSizes.should.have.property('t')
+      newAttachment.imageSizes.t.should.be.deep.equal({
+        w:   150,
+        h:   150,
+        url: `${config.attachments.url}${config.attachments.imageSizes.t.path}${newAttachment.id}.jpg`
+      })
+
+      const thumbnail = await readFile(newAttachment.getResizedImagePath('t'))
+      thumbnail.slice(0, 2).should.be.deep.equal(Buffer.from([0xff, 0xd8]))
+    })
+
     it('should create an audio attachment', async () => {
       const newAttachment = await createAndCheckAttachment(files.audio, post, user)
       newAttachment.should.have.a.property('mimeType');
@@ -374,5 +433,65 @@ describe('Attachment', () => {
       newAttachment.should.have.a.property('mediaType');
       newAttachment.mediaType.should.be.equal('audio')
     })
+
+    describe('EXIF metadata', () => {
+      let keeper
+
+      before(async () => {
+        keeper = new User({
+          username:    'Mars',
+          password:    'password',
+          preferences: { keepImageMetadata: true }
+        })
+        await keeper.create()
+      })
+
+      const uploadRotatedImage = async (author, suffix) => {
+        const filePath = `/tmp/upload_12345678901234567890123456789012_exif_${suffix}`
+        await writeFile(filePath, await readFile(path.resolve(__dirname, '../../fixtures', files.rotated.name)))
+
+        const attachment = new Attachment({
+          file:   { ...files.rotated, path: filePath },
+          postId: post.id,
+          userId: author.id
+        })
+        await attachment.create()
+        return attachment
+      }
+
+      const hasExif = (buffer) => buffer.includes('Exif\0\0')
+      const getSize = (file) => promisifyAll(gm(file)).sizeAsync()
+
+      it('should strip EXIF from the original and thumbnail', async () => {
+        const attachment = await uploadRotatedImage(user, 'strip')
+
+        const original = await readFile(attachment.getPath())
+        hasExif(original).should.be.false
+        attachment.fileSize.should.be.equal(original.length)
+
+        const thumbnail = await readFile(attachment.getResizedImagePath('t'))
+        hasExif(thumbnail).should.be.false
+      })
+
+      it('should apply EXIF orientation before stripping', async () => {
+        const attachment = await uploadRotatedImage(user, 'orientation')
+
+        const { width, height } = await getSize(attachment.getPath())
+        width.should.be.equal(900)
+        height.should.be.equal(300)
+        attachment.imageSizes.o.should.include({ w: 900, h: 300 })
+      })
+
+      it('should keep EXIF if author prefers to keep it', async () => {
+        const attachment = await uploadRotatedImage(keeper, 'keep')
+
+        const original = await readFile(attachment.getPath())
+        hasExif(original).should.be.true
+
+        const { width, height } = await getSize(attachment.getPath())
+        width.should.be.equal(900)
+        height.should.be.equal(300)
+      })
+    })
   })
 })
@@ -0,0 +1,71 @@
+/* eslint-env node, mocha */
+/* global $pg_database */
+import expect from 'unexpected';
+
+import cleanDB from '../../../dbCleaner';
+import { dbAdapter, User } from '../../../../app/models';
+
+
+describe('Revisions', () => {
+  beforeEach(() => cleanDB($pg_database));
+
+  // Violates the foreign key constraints of posts and comments
+  const unexistedId = '00000000-0000-4000-8000-000000000000';
+
+  let luna, post, comment;
+
+  beforeEach(async () => {
+    luna = new User({ username: 'luna', password: 'password' });
+    await luna.create();
+
+    post = luna.newPost({ body: 'Original post' });
+    await post.create();
+
+    comment = luna.newComment({ body: 'Original comment', postId: post.id });
+    await comment.create();
+  });
+
+  describe('Post revisions', () => {
+    it('should save revision with the post update', async () => {
+      const result = await dbAdapter.updatePostWithRevision(post.id, { body: 'Edited post' });
+      expect(result, 'to satisfy', { editedAt: expect.it('to be a string'), revisionsCount: 1 });
+
+      const updated = await dbAdapter.getPostById(post.id);
+      expect(updated, 'to satisfy', { body: 'Edited post', revisionsCount: 1 });
+      expect(await dbAdapter.getPostRevisions(post.id), 'to satisfy', [{ revision: 0, body: 'Original post' }]);
+    });
+
+    it('should not save revision if the post update fails', async () => {
+      await expect(
+        dbAdapter.updatePostWithRevision(post.id, { body: 'Edited post', quotedPostId: unexistedId }),
+        'to be rejected'
+      );
+
+      const updated = await dbAdapter.getPostById(post.id);
+      expect(updated, 'to satisfy', { body: 'Original post', editedAt: null, revisionsCount: 0 });
+      expect(await dbAdapter.getPostRevisions(post.id), 'to equal', []);
+    });
+  });
+
+  describe('Comment revisions', () => {
+    it('should save revision with the comment update', async () => {
+      const result = await dbAdapter.updateCommentWithRevision(comment.id, { body: 'Edited comment' });
+      expect(result, 'to satisfy', { editedAt: expect.it('to be a string'), revisionsCount: 1 });
+
+      const updated = await dbAdapter.getCommentById(comment.id);
+      expect(updated, 'to satisfy', { body: 'Edited comment', revisionsCount: 1 });
+      expect(await dbAdapter.getCommentRevisions(comment.id), 'to satisfy', [{ revision: 0, body: 'Original comment' }]);
+    });
+
+    it('should not save revision if the comment update fails', async () => {
+      await expect(
+        dbAdapter.updateCommentWithRevision(comment.id, { body: 'Edited comment', userId: unexistedId }),
+        'to be rejected'
+      );
+
+      const updated = await dbAdapter.getCommentById(comment.id);
+      expect(updated, 'to satisfy', { body: 'Original comment', editedAt: null, revisionsCount: 0 });
+      expect(await dbAdapter.getCommentRevisions(comment.id), 'to equal', []);
+    });
+  });
+});
@@ -0,0 +1,149 @@
+/* eslint-env node, mocha */
+/* eslint babel/semi: "error" */
+import fs from 'fs';
+import crypto from 'crypto';
+
+import { promisifyAll } from 'bluebird';
+import expect from 'unexpected';
+
+import { getStorage } from '../../../app/support/storage';
+import { FsStorage } from '../../../app/support/storage/fs';
+import { ContentAddressedStorage } from '../../../app/support/storage/content-addressed';
+import { writeTmpFile } from '../../../app/support/storage/utils';
+import { load as configLoader } from '../../../config/config';
+
+
+promisifyAll(fs);
+
+const config = configLoader();
+
+describe('Storage drivers', () => {
+  // The test files are removed by test/cleanup.js (directories are kept)
+  const rootDir = `${config.attachments.storage.rootDir}storage-test/`;
+
+  describe('getStorage', () => {
+    it('should return driver by the storage type', () => {
+      expect(getStorage({ type: 'fs', rootDir }), 'to be a', FsStorage);
+      expect(getStorage({ type: 'cas', rootDir }), 'to be a', ContentAddressedStorage);
+    });
+
+    it('should return the same driver for the same config', () => {
+      const storageConfig = { type: 'fs', rootDir };
+      expect(getStorage(storageConfig), 'to be', getStorage(storageConfig));
+    });
+
+    it('should throw error for unknown type', () => {
+      expect(() => getStorage({ type: 'ftp' }), 'to throw', 'Unknown storage type: ftp');
+    });
+  });
+
+  for (const type of ['fs', 'cas']) {
+    describe(`'${type}' storage`, () => {
+      const storage = getStorage({ type, rootDir: `${rootDir}${type}/` });
+
+      it('should store local file and remove it', async () => {
+        const tmpFile = await writeTmpFile(Buffer.from('Hello'));
+        await storage.putFile('files/a/hello.txt', tmpFile);
+
+        expect(await storage.get('files/a/hello.txt'), 'to equal', Buffer.from('Hello'));
+        expect(fs.existsSync(tmpFile), 'to be false');
+      });
+
+      it('should store buffer', async () => {
+        await storage.put('files/b/world.txt', Buffer.from('World'));
+        expect(await storage.get('files/b/world.txt'), 'to equal', Buffer.from('World'));
+      });
+
+      it('should replace file', async () => {
+        await storage.put('files/replaced.txt', Buffer.from('First'));
+        await storage.put('files/replaced.txt', Buffer.from('Second'));
+        expect(await storage.get('files/replaced.txt'), 'to equal', Buffer.from('Second'));
+      });
+
+      it('should check file existence', async () => {
+        await storage.put('files/exists.txt', Buffer.from('Yes'));
+        expect(await storage.exists('files/exists.txt'), 'to be true');
+        expect(await storage.exists('files/not-exists.txt'), 'to be false');
+      });
+
+      it('should delete file', async () => {
+        await storage.put('files/deleted.txt', Buffer.from('Bye'));
+        await storage.delete('files/deleted.txt');
+        expect(await storage.exists('files/deleted.txt'), 'to be false');
+      });
+
+      it('should return file size', async () => {
+        await storage.put('files/sized.txt', Buffer.from('Twelve bytes'));
+        expect(await storage.getSize('files/sized.txt'), 'to be', 12);
+        expect(await storage.getSize('files/not-exists.txt'), 'to be null');
+      });
+
+      it('should write file content to local file', async () => {
+        await storage.put('files/copied.txt', Buffer.from('Copy me'));
+        const tmpFile = await writeTmpFile(Buffer.from('Old content'));
+        await storage.getFile('files/copied.txt', tmpFile);
+        expect(fs.readFileSync(tmpFile), 'to equal', Buffer.from('Copy me'));
+        fs.unlinkSync(tmpFile);
+      });
+
+      it(`should throw 'ENOENT' error for missing file`, async () => {
+        await expect(storage.get('files/not-exists.txt'), 'to be rejected with', { code: 'ENOENT' });
+      });
+    });
+  }
+
+  describe('content-addressed storage', () => {
+    const storage = getStorage({ type: 'cas', rootDir: `${rootDir}cas-dedup/` });
+    const objectPath = (content) => storage.getObjectPath(crypto.createHash('sha256').update(content).digest('hex'));
+
+    it('should store identical files once', async () => {
+      await storage.put('files/one.txt', Buffer.from('Same content'));
+      await storage.put('files/two.txt', Buffer.from('Same content'));
+
+      const [one, two] = await Promise.all([
+        fs.statAsync(storage.getPath('files/one.txt')),
+        fs.statAsync(storage.getPath('files/two.txt')),
+      ]);
+      expect(one.ino, 'to equal', two.ino);
+      expect(one.nlink, 'to equal', 3);
+    });
+
+    it('should remove object when its last file is deleted', async () => {
+      await storage.put('files/three.txt', Buffer.from('Other content'));
+      await storage.put('files/four.txt', Buffer.from('Other content'));
+
+      await storage.delete('files/three.txt');
+      expect(fs.existsSync(objectPath('Other content')), 'to be true');
+
+      await storage.delete('files/four.txt');
+      expect(fs.existsSync(objectPath('Other content')), 'to be false');
+    });
+
+    it('should replace file by the same content', async () => {
+      await storage.put('files/six.txt', Buffer.from('Unchanged content'));
+      await storage.put('files/six.txt', Buffer.from('Unchanged content'));
+      expect(await storage.get('files/six.txt'), 'to equal', Buffer.from('Unchanged content'));
+    });
+
+    it('should store file while the identical one is being deleted', async () => {
+      for (let i = 0; i < 20; i++) {
+        /* eslint-disable no-await-in-loop */
+        await storage.put('files/racing-old.txt', Buffer.from('Racing content'));
+        await Promise.all([
+          storage.delete('files/racing-old.txt'),
+          storage.put('files/racing-new.txt', Buffer.from('Racing content')),
+        ]);
+        expect(await storage.get('files/racing-new.txt'), 'to equal', Buffer.from('Racing content'));
+        /* eslint-enable no-await-in-loop */
+      }
+    });
+
+    it('should remove unused object when file is replaced', async () => {
+      await storage.put('files/five.txt', Buffer.from('Old content'));
+      await storage.put('files/five.txt', Buffer.from('New content'));
+
+      expect(fs.existsSync(objectPath('Old content')), 'to be false');
+      expect(await storage.get('files/five.txt'), 'to equal', Buffer.from('New content'));
+    });
+  });
+});
@@ -0,0 +1,95 @@
+/* eslint-env node, mocha */
+import expect from 'unexpected';
+
+import {
+  CURSOR_POSTS_BUMPED,
+  CURSOR_POSTS_CREATED,
+  CURSOR_EVENTS,
+  encodeCursor,
+  decodeCursor,
+  getCursorParam,
+  cutPage,
+  getPageCursors,
+} from '../../../app/support/cursors';
+
+
+describe('Pagination cursors', () => {
+  const date = '2018-09-30 12:34:56.123456+00';
+  const postId = '8f2b33e6-3a3d-4b4c-9d7c-1f1ab1c2d3e4';
+
+  describe('encodeCursor/decodeCursor', () => {
+    it('should decode the encoded cursor', () => {
+      const cursor = encodeCursor(CURSOR_POSTS_BUMPED, date, postId);
+      expect(cursor, 'to match', /^[\w-]+$/);
+      expect(decodeCursor(cursor, CURSOR_POSTS_BUMPED), 'to equal', { date, id: postId });
+    });
+
+    it('should decode the cursor with integer id', () => {
+      const cursor = encodeCursor(CURSOR_EVENTS, date, 42);
+      expect(decodeCursor(cursor, CURSOR_EVENTS), 'to equal', { date, id: 42 });
+    });
+
+    it('should not decode the cursor of other kind', () => {
+      const cursor = encodeCursor(CURSOR_POSTS_BUMPED, date, postId);
+      expect(decodeCursor(cursor, CURSOR_POSTS_CREATED), 'to be null');
+    });
+
+    it('should not decode the garbage', () => {
+      expect(decodeCursor('garbage', CURSOR_POSTS_BUMPED), 'to be null');
+      expect(decodeCursor(encodeCursor(CURSOR_POSTS_BUMPED, 'yesterday', postId), CURSOR_POSTS_BUMPED), 'to be null');
+      expect(decodeCursor(encodeCursor(CURSOR_POSTS_BUMPED, date, 'post'), CURSOR_POSTS_BUMPED), 'to be null');
+    });
+  });
+
+  describe('getCursorParam', () => {
+    const cursor = encodeCursor(CURSOR_POSTS_BUMPED, date, postId);
+
+    it('should return null without cursor', () => {
+      expect(getCursorParam({}, CURSOR_POSTS_BUMPED), 'to be null');
+    });
+
+    it('should return the "before" cursor', () => {
+      expect(getCursorParam({ before: cursor }, CURSOR_POSTS_BUMPED), 'to equal', { direction: 'before', date, id: postId });
+    });
+
+    it('should return the "after" cursor', () => {
+      expect(getCursorParam({ after: cursor }, CURSOR_POSTS_BUMPED), 'to equal', { direction: 'after', date, id: postId });
+    });
+
+    it('should throw on both cursors', () => {
+      expect(() => getCursorParam({ before: cursor, after: cursor }, CURSOR_POSTS_BUMPED), 'to throw', { status: 400 });
+    });
+
+    it('should throw on invalid cursor', () => {
+      expect(() => getCursorParam({ before: cursor }, CURSOR_POSTS_CREATED), 'to throw', { status: 400 });
+    });
+  });
+
+  describe('cutPage', () => {
+    it('should cut the extra item', () => {
+      expect(cutPage([5, 4, 3], 2, null), 'to equal', { items: [5, 4], isLastPage: false });
+    });
+
+    it('should return the last page', () => {
+      expect(cutPage([5, 4], 2, null), 'to equal', { items: [5, 4], isLastPage: true });
+    });
+
+    it('should reverse the "after" page', () => {
+      expect(cutPage([3, 4, 5], 2, { direction: 'after' }), 'to equal', { items: [4, 3], isLastPage: false });
+    });
+  });
+
+  describe('getPageCursors', () => {
+    it('should return null cursors for the empty page', () => {
+      expect(getPageCursors(CURSOR_EVENTS, [], (e) => e), 'to equal', { before: null, after: null });
+    });
+
+    it('should return cursors of the first and the last items', () => {
+      const items = [['2018-09-30 12:00:02+00', 2], ['2018-09-30 12:00:01+00', 1]];
+      expect(getPageCursors(CURSOR_EVENTS, items, (e) => e), 'to equal', {
+        before: encodeCursor(CURSOR_EVENTS, ...items[1]),
+        after:  encodeCursor(CURSOR_EVENTS, ...items[0]),
+      });
+    });
+  });
+});
@@ -0,0 +1,67 @@
+/* eslint-env node, mocha */
+import expect from 'unexpected';
+
+import {
+  detectIsoBmffImageType,
+  needsJpegThumbnails,
+  needsImageMagick,
+} from '../../../app/support/image-formats';
+
+
+describe('Image formats', () => {
+  describe('detectIsoBmffImageType', () => {
+    const ftypBox = (majorBrand, ...compatibleBrands) => {
+      const size = 16 + (4 * compatibleBrands.length);
+      const header = Buffer.alloc(8);
+      header.writeUInt32BE(size, 0);
+      header.write('ftyp', 4, 'latin1');
+      // The box is followed by some other data
+      return Buffer.concat([
+        header,
+        Buffer.from(`${majorBrand}\0\0\0\0${compatibleBrands.join('')}`, 'latin1'),
+        Buffer.from('\0\0\0\x08meta', 'latin1'),
+      ]);
+    };
+
+    it('should detect HEIC image', () => {
+      expect(detectIsoBmffImageType(ftypBox('heic', 'mif1', 'heic')), 'to equal', 'image/heic');
+    });
+
+    it('should detect generic HEIF image as HEIC', () => {
+      expect(detectIsoBmffImageType(ftypBox('mif1', 'mif1', 'heic')), 'to equal', 'image/heic');
+    });
+
+    it('should detect AVIF image', () => {
+      expect(detectIsoBmffImageType(ftypBox('avif', 'avif', 'mif1', 'miaf')), 'to equal', 'image/avif');
+    });
+
+    it('should detect AVIF image with the generic major brand', () => {
+      expect(detectIsoBmffImageType(ftypBox('mif1', 'avif', 'mif1', 'miaf')), 'to equal', 'image/avif');
+    });
+
+    it('should not detect MP4 video', () => {
+      expect(detectIsoBmffImageType(ftypBox('isom', 'isom', 'iso2', 'avc1', 'mp41')), 'to be null');
+    });
+
+    it('should not detect other files', () => {
+      expect(detectIsoBmffImageType(Buffer.from('Lorem ipsum dolor sit amet')), 'to be null');
+      expect(detectIsoBmffImageType(Buffer.from('GIF89a')), 'to be null');
+    });
+  });
+
+  describe('needsJpegThumbnails', () => {
+    it('should be true for WebP, AVIF and HEIC', () => {
+      expect(['image/webp', 'image/avif', 'image/heic'].map(needsJpegThumbnails), 'to equal', [true, true, true]);
+    });
+
+    it('should be false for the classic formats', () => {
+      expect(['image/jpeg', 'image/png', 'image/gif'].map(needsJpegThumbnails), 'to equal', [false, false, false]);
+    });
+  });
+
+  describe('needsImageMagick', () => {
+    it('should be true only for AVIF and HEIC', () => {
+      expect(['image/webp', 'image/avif', 'image/heic'].map(needsImageMagick), 'to equal', [false, true, true]);
+    });
+  });
+});
@@ -0,0 +1,131 @@
+/* eslint-env node, mocha */
+import expect from 'unexpected';
+
+import {
+  hasHeifMetadata,
+  stripImageMetadata,
+  stripJpegMetadata,
+  stripPngMetadata,
+  stripWebpMetadata,
+} from '../../../app/support/image-metadata';
+
+
+describe('Image metadata', () => {
+  describe('stripJpegMetadata', () => {
+    const segment = (marker, payload) => {
+      const header = Buffer.from([0xff, marker, 0, 0]);
+      header.writeUInt16BE(payload.length + 2, 2);
+      return Buffer.concat([header, Buffer.from(payload, 'latin1')]);
+    };
+
+    const soi = Buffer.from([0xff, 0xd8]);
+    const jfif = segment(0xe0, 'JFIF\0\x01\x01');
+    const exif = segment(0xe1, 'Exif\0\0GPS data');
+    const xmp = segment(0xe1, 'http://ns.adobe.com/xap/1.0/\0<x:xmpmeta/>');
+    const icc = segment(0xe2, 'ICC_PROFILE\0\x01\x01profile');
+    const iptc = segment(0xed, 'Photoshop 3.0\0IPTC');
+    const comment = segment(0xfe, 'Camera comment');
+    const quantTable = segment(0xdb, '\0tables');
+    // Image data may contain anything, including the "metadata" markers
+    const imageData = Buffer.concat([segment(0xda, '\x01scan'), Buffer.from([0x12, 0xff, 0x00, 0xff, 0xe1, 0xff, 0xd9])]);
+
+    it('should remove EXIF, XMP, IPTC and comments', () => {
+      const jpeg = Buffer.concat([soi, jfif, exif, xmp, icc, iptc, comment, quantTable, imageData]);
+      expect(stripJpegMetadata(jpeg), 'to equal', Buffer.concat([soi, jfif, icc, quantTable, imageData]));
+    });
+
+    it('should not change JPEG without metadata', () => {
+      const jpeg = Buffer.concat([soi, jfif, quantTable, imageData]);
+      expect(stripJpegMetadata(jpeg), 'to equal', jpeg);
+    });
+
+    it('should throw error on invalid JPEG', () => {
+      expect(() => stripJpegMetadata(Buffer.from('not a jpeg')), 'to throw', 'Invalid JPEG file');
+    });
+  });
+
+  describe('stripPngMetadata', () => {
+    const signature = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+    const chunk = (type, payload) => {
+      const length = Buffer.alloc(4);
+      length.writeUInt32BE(payload.length, 0);
+      return Buffer.concat([length, Buffer.from(type + payload, 'latin1'), Buffer.from('CRC!', 'latin1')]);
+    };
+
+    const ihdr = chunk('IHDR', '0123456789abc');
+    const iccp = chunk('iCCP', 'profile');
+    const idat = chunk('IDAT', 'image data');
+    const iend = chunk('IEND', '');
+
+    it('should remove EXIF and text chunks', () => {
+      const png = Buffer.concat([
+        signature, ihdr, iccp,
+        chunk('eXIf', 'MM\0*GPS'), chunk('tEXt', 'Software\0Camera'), chunk('iTXt', 'XML:com.adobe.xmp\0'),
+        idat, chunk('tIME', '1234567'), iend,
+      ]);
+      expect(stripPngMetadata(png), 'to equal', Buffer.concat([signature, ihdr, iccp, idat, iend]));
+    });
+
+    it('should throw error on invalid PNG', () => {
+      expect(() => stripPngMetadata(Buffer.from('not a png')), 'to throw', 'Invalid PNG file');
+    });
+  });
+
+  describe('stripWebpMetadata', () => {
+    const chunk = (fourCC, payload) => {
+      const header = Buffer.from(`${fourCC}\0\0\0\0`, 'latin1');
+      header.writeUInt32LE(payload.length, 4);
+      const padding = Buffer.alloc(payload.length % 2);
+      return Buffer.concat([header, Buffer.from(payload, 'latin1'), padding]);
+    };
+    const riff = (...chunks) => {
+      const body = Buffer.concat(chunks);
+      const header = Buffer.from('RIFF\0\0\0\0WEBP', 'latin1');
+      header.writeUInt32LE(body.length + 4, 4);
+      return Buffer.concat([header, body]);
+    };
+    // VP8X flags: ICC (0x20), EXIF (0x08) and XMP (0x04)
+    const vp8x = (flags) => chunk('VP8X', `${String.fromCharCode(flags)}\0\0\0abcdef`);
+
+    const iccp = chunk('ICCP', 'profile');
+    const vp8 = chunk('VP8 ', 'image data!');
+
+    it('should remove EXIF and XMP chunks and their flags', () => {
+      const webp = riff(vp8x(0x2c), iccp, vp8, chunk('EXIF', 'GPS data'), chunk('XMP ', '<x:xmpmeta/>'));
+      expect(stripWebpMetadata(webp), 'to equal', riff(vp8x(0x20), iccp, vp8));
+    });
+
+    it('should not change WebP without metadata', () => {
+      const webp = riff(vp8);
+      expect(stripWebpMetadata(webp), 'to equal', webp);
+    });
+
+    it('should throw error on invalid WebP', () => {
+      expect(() => stripWebpMetadata(Buffer.from('RIFF\0\0\0\0WAVE')), 'to throw', 'Invalid WebP file');
+    });
+  });
+
+  describe('hasHeifMetadata', () => {
+    const ftyp = Buffer.from('\0\0\0\x18ftypheic\0\0\0\0mif1heic', 'latin1');
+    const infe = (itemType, contentType = '') => Buffer.from(`\0\0\0\x20infe\x02\0\0\0\0\x01\0\0${itemType}\0${contentType}\0`, 'latin1');
+
+    it('should find EXIF item', () => {
+      expect(hasHeifMetadata(Buffer.concat([ftyp, infe('hvc1'), infe('Exif')])), 'to be true');
+    });
+
+    it('should find XMP item', () => {
+      expect(hasHeifMetadata(Buffer.concat([ftyp, infe('hvc1'), infe('mime', 'application/rdf+xml')])), 'to be true');
+    });
+
+    it('should not find metadata in stripped file', () => {
+      expect(hasHeifMetadata(Buffer.concat([ftyp, infe('hvc1')])), 'to be false');
+    });
+  });
+
+  describe('stripImageMetadata', () => {
+    it('should return null for unsupported types', () => {
+      expect(stripImageMetadata(Buffer.from('GIF89a'), 'image/gif'), 'to be null');
+      expect(stripImageMetadata(Buffer.from('<svg/>'), 'image/svg+xml'), 'to be null');
+    });
+  });
+});
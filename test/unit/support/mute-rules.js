@@ -0,0 +1,52 @@
+/* eslint-env node, mocha */
+import expect from 'unexpected';
+
+import {
+  MUTE_TYPE_KEYWORD,
+  MUTE_TYPE_HASHTAG,
+  MUTE_TYPE_REGEX,
+  MUTE_SCOPE_HOME,
+  MUTE_SCOPE_DISCUSSIONS,
+  MUTE_SCOPE_EVERYWHERE,
+  SEARCH_RESULTS,
+  normalizeMutePattern,
+  getMuteRulesForTimeline,
+} from '../../../app/support/mute-rules';
+
+
+describe('Mute rules', () => {
+  describe('normalizeMutePattern', () => {
+    it('should collapse whitespaces in keywords', () => {
+      expect(normalizeMutePattern(MUTE_TYPE_KEYWORD, '  world   cup '), 'to equal', 'world cup');
+    });
+
+    it('should remove leading # from hashtags and lowercase them', () => {
+      expect(normalizeMutePattern(MUTE_TYPE_HASHTAG, ' #WorldCup'), 'to equal', 'worldcup');
+    });
+
+    it('should keep regex patterns as is', () => {
+      expect(normalizeMutePattern(MUTE_TYPE_REGEX, ' ^foo\\s+Bar '), 'to equal', ' ^foo\\s+Bar ');
+    });
+  });
+
+  describe('getMuteRulesForTimeline', () => {
+    const home = { scope: MUTE_SCOPE_HOME };
+    const discussions = { scope: MUTE_SCOPE_DISCUSSIONS };
+    const everywhere = { scope: MUTE_SCOPE_EVERYWHERE };
+    const rules = [home, discussions, everywhere];
+
+    it('should apply home rules to RiverOfNews and lists', () => {
+      expect(getMuteRulesForTimeline(rules, 'RiverOfNews'), 'to equal', [home, everywhere]);
+      expect(getMuteRulesForTimeline(rules, 'List'), 'to equal', [home, everywhere]);
+    });
+
+    it('should apply discussions rules to MyDiscussions', () => {
+      expect(getMuteRulesForTimeline(rules, 'MyDiscussions'), 'to equal', [discussions, everywhere]);
+    });
+
+    it('should apply only everywhere rules to other timelines and search', () => {
+      expect(getMuteRulesForTimeline(rules, 'Posts'), 'to equal', [everywhere]);
+      expect(getMuteRulesForTimeline(rules, SEARCH_RESULTS), 'to equal', [everywhere]);
+    });
+  });
+});
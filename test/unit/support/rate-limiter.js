@@ -0,0 +1,51 @@
+/* eslint-env node, mocha */
+import expect from 'unexpected';
+
+import { getBlockDuration, getRateLimitSubjects } from '../../../app/support/rate-limiter';
+
+
+describe('Rate limiter', () => {
+  const actionConfig = {
+    freeAttempts:    3,
+    initialDelay:    2,
+    maxDelay:        10,
+    lockoutAttempts: 8,
+    lockoutDuration: 100,
+  };
+
+  const cases = [
+    { count: 1, duration: 0 },
+    { count: 3, duration: 0 },
+    { count: 4, duration: 2 },
+    { count: 5, duration: 4 },
+    { count: 6, duration: 8 },
+    { count: 7, duration: 10 },
+    { count: 8, duration: 100 },
+    { count: 20, duration: 100 },
+  ];
+
+  cases.forEach(({ count, duration }) => {
+    it(`should block for ${duration} seconds after ${count} attempts`, () => {
+      expect(getBlockDuration(count, actionConfig), 'to equal', duration);
+    });
+  });
+
+  it('should multiply limits by factor', () => {
+    expect(getBlockDuration(6, actionConfig, 2), 'to equal', 0);
+    expect(getBlockDuration(7, actionConfig, 2), 'to equal', 2);
+    expect(getBlockDuration(16, actionConfig, 2), 'to equal', 100);
+  });
+
+  describe('getRateLimitSubjects', () => {
+    const request = (ip, ips = []) => ({ request: { ip, ips } });
+
+    it('should use the socket address without trusted proxy', () => {
+      expect(getRateLimitSubjects(request('127.0.0.1'), ' Luna '), 'to equal', { ip: '127.0.0.1', target: 'luna' });
+    });
+
+    it('should use the last address added by the trusted proxy', () => {
+      const ctx = request('10.0.0.1', ['10.0.0.1', '192.168.0.1']);
+      expect(getRateLimitSubjects(ctx), 'to equal', { ip: '192.168.0.1', target: null });
+    });
+  });
+});
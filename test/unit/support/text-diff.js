@@ -0,0 +1,35 @@
+/* eslint-env node, mocha */
+import expect from 'unexpected';
+
+import { diffWords } from '../../../app/support/text-diff';
+
+
+describe('Text diff', () => {
+  it('should return single equal chunk for the same texts', () => {
+    expect(diffWords('foo bar', 'foo bar'), 'to equal', [{ type: 'equal', text: 'foo bar' }]);
+  });
+
+  it('should return empty diff for the empty texts', () => {
+    expect(diffWords('', ''), 'to equal', []);
+  });
+
+  it('should find replaced words', () => {
+    expect(diffWords('the quick brown fox jumps', 'the slow brown fox leaps high'), 'to equal', [
+      { type: 'equal', text: 'the ' },
+      { type: 'delete', text: 'quick ' },
+      { type: 'insert', text: 'slow ' },
+      { type: 'equal', text: 'brown fox ' },
+      { type: 'delete', text: 'jumps' },
+      { type: 'insert', text: 'leaps high' },
+    ]);
+  });
+
+  it('should find inserted and deleted words', () => {
+    expect(diffWords('one two three', 'zero one three'), 'to equal', [
+      { type: 'insert', text: 'zero ' },
+      { type: 'equal', text: 'one ' },
+      { type: 'delete', text: 'two ' },
+      { type: 'equal', text: 'three' },
+    ]);
+  });
+});
@@ -0,0 +1,33 @@
+/* eslint-env node, mocha */
+import expect from 'unexpected';
+
+import { getCode, hashRecoveryCode, isTOTPCode } from '../../../app/support/totp';
+
+
+describe('TOTP', () => {
+  // Test vectors from RFC 6238, appendix B (SHA1, last 6 digits)
+  // Secret is the base32-encoded '12345678901234567890'
+  const secret = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+  const cases = [
+    { time: 59, code: '287082' },
+    { time: 1111111109, code: '081804' },
+    { time: 1111111111, code: '050471' },
+    { time: 1234567890, code: '005924' },
+    { time: 2000000000, code: '279037' },
+  ];
+
+  cases.forEach(({ time, code }) => {
+    it(`should generate code for the time ${time}`, () => {
+      expect(getCode(secret, Math.floor(time / 30)), 'to equal', code);
+    });
+  });
+
+  it('should distinguish TOTP codes from recovery codes', () => {
+    expect(isTOTPCode('123456'), 'to be true');
+    expect(isTOTPCode('1234-5678-90ab'), 'to be false');
+  });
+
+  it('should ignore case and separators in recovery codes', () => {
+    expect(hashRecoveryCode('ABCD-1234-ef56'), 'to equal', hashRecoveryCode('abcd1234 EF56'));
+  });
+});
@@ -0,0 +1,107 @@
+/* eslint-env node, mocha */
+import expect from 'unexpected';
+
+import { parseProbeResult, isWebSafeVideo, canTranscodeVideo } from '../../../app/support/video';
+
+
+describe('Video support', () => {
+  const videoStream = {
+    codec_type: 'video',
+    codec_name: 'h264',
+    pix_fmt:    'yuv420p',
+    width:      1280,
+    height:     720,
+    duration:   '10.000000',
+  };
+  const audioStream = { codec_type: 'audio', codec_name: 'aac' };
+
+  describe('parseProbeResult', () => {
+    it('should extract metadata of the video', () => {
+      const result = parseProbeResult({
+        streams: [audioStream, videoStream],
+        format:  { duration: '12.345000' },
+      });
+      expect(result, 'to equal', {
+        width:       1280,
+        height:      720,
+        duration:    12.345,
+        codec:       'h264',
+        audioCodec:  'aac',
+        pixelFormat: 'yuv420p',
+      });
+    });
+
+    it('should use the stream duration if the format has none', () => {
+      const result = parseProbeResult({ streams: [videoStream], format: {} });
+      expect(result, 'to satisfy', { duration: 10, audioCodec: null });
+    });
+
+    it('should swap dimensions of the video rotated by the tag', () => {
+      const result = parseProbeResult({ streams: [{ ...videoStream, tags: { rotate: '90' } }] });
+      expect(result, 'to satisfy', { width: 720, height: 1280 });
+    });
+
+    it('should swap dimensions of the video rotated by the side data', () => {
+      const result = parseProbeResult({ streams: [{ ...videoStream, side_data_list: [{ rotation: -270 }] }] });
+      expect(result, 'to satisfy', { width: 720, height: 1280 });
+    });
+
+    it('should not swap dimensions of the upside-down video', () => {
+      const result = parseProbeResult({ streams: [{ ...videoStream, tags: { rotate: '180' } }] });
+      expect(result, 'to satisfy', { width: 1280, height: 720 });
+    });
+
+    it('should return null for the file without video', () => {
+      expect(parseProbeResult({ streams: [audioStream] }), 'to be null');
+      expect(parseProbeResult({}), 'to be null');
+    });
+
+    it('should ignore the cover art of audio file', () => {
+      const cover = { ...videoStream, codec_name: 'mjpeg', disposition: { attached_pic: 1 } };
+      expect(parseProbeResult({ streams: [audioStream, cover] }), 'to be null');
+    });
+  });
+
+  describe('isWebSafeVideo', () => {
+    const meta = { codec: 'h264', audioCodec: 'aac', pixelFormat: 'yuv420p' };
+
+    it('should accept H.264/AAC video in MP4', () => {
+      expect(isWebSafeVideo(meta, 'video/mp4'), 'to be true');
+    });
+
+    it('should accept silent H.264 video in MP4', () => {
+      expect(isWebSafeVideo({ ...meta, audioCodec: null }, 'video/mp4'), 'to be true');
+    });
+
+    it('should not accept other containers', () => {
+      expect(isWebSafeVideo(meta, 'video/quicktime'), 'to be false');
+    });
+
+    it('should not accept other codecs and pixel formats', () => {
+      expect(isWebSafeVideo({ ...meta, codec: 'hevc' }, 'video/mp4'), 'to be false');
+      expect(isWebSafeVideo({ ...meta, audioCodec: 'opus' }, 'video/mp4'), 'to be false');
+      expect(isWebSafeVideo({ ...meta, pixelFormat: 'yuv444p' }, 'video/mp4'), 'to be false');
+    });
+  });
+
+  describe('canTranscodeVideo', () => {
+    const meta = { duration: 60 };
+    const limits = { maxTranscodeDuration: 120, maxTranscodeFileSize: 1000 };
+
+    it('should accept video within the limits', () => {
+      expect(canTranscodeVideo(meta, 1000, limits), 'to be true');
+    });
+
+    it('should not accept too long video', () => {
+      expect(canTranscodeVideo({ duration: 121 }, 1000, limits), 'to be false');
+    });
+
+    it('should not accept too large video', () => {
+      expect(canTranscodeVideo(meta, 1001, limits), 'to be false');
+    });
+
+    it('should not accept video of unknown duration', () => {
+      expect(canTranscodeVideo({ duration: null }, 1000, limits), 'to be false');
+    });
+  });
+});